@@ -13,11 +13,13 @@ const database = container.get('database');
 const { specs, swaggerUi } = require('./config/swagger');
 
 const { globalErrorHandler, notFoundHandler, requestId } = require('./middleware/errorHandler');
+const { rejectPersonalAccessTokens } = require('./middleware/auth');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const groupRoutes = require('./routes/group');
 const messageRoutes = require('./routes/message');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
@@ -82,10 +84,17 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.use('/api/v1/auth', authRoutes);
-app.use('/api/v1/users', userRoutes);
+// Public keys for services that verify our access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(container.get('jwtUtils').getJwks());
+});
+
+app.use('/api/v1/auth', rejectPersonalAccessTokens, authRoutes);
+app.use('/api/v1/users', rejectPersonalAccessTokens, userRoutes);
 app.use('/api/v1/groups', groupRoutes);
 app.use('/api/v1/messages', messageRoutes);
+app.use('/api/v1/admin', rejectPersonalAccessTokens, adminRoutes);
 
 app.use('*', notFoundHandler);
 app.use(globalErrorHandler);
@@ -109,9 +118,17 @@ if (!env.isTest()) {
     logger.info('🔌 Real-time messaging enabled: WebSocket server active');
   });
 
+  // Delete archived groups whose retention period has ended
+  const groupPurgeTimer = setInterval(() => {
+    container.get('groupService').purgeArchivedGroups()
+      .catch(error => logger.error('Archived group purge failed:', { message: error.message }));
+  }, env.get('GROUP_PURGE_INTERVAL_MINUTES') * 60 * 1000);
+  groupPurgeTimer.unref();
+
   // Graceful shutdown handlers
   process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully...');
+    clearInterval(groupPurgeTimer);
     server.close(async () => {
       await database.disconnect();
       process.exit(0);
@@ -120,6 +137,7 @@ if (!env.isTest()) {
 
   process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully...');
+    clearInterval(groupPurgeTimer);
     server.close(async () => {
       await database.disconnect();
       process.exit(0);
@@ -10,12 +10,28 @@ const container = require('../container');
 const UserModel = require('../models/User');
 const GroupModel = require('../models/Group');
 const MessageModel = require('../models/Message');
+const RevokedTokenModel = require('../models/RevokedToken');
+const RefreshTokenModel = require('../models/RefreshToken');
+const PasswordResetTokenModel = require('../models/PasswordResetToken');
+const SessionModel = require('../models/Session');
+const PersonalAccessTokenModel = require('../models/PersonalAccessToken');
+const GroupInviteLinkModel = require('../models/GroupInviteLink');
+const GroupInvitationModel = require('../models/GroupInvitation');
+const MembershipModel = require('../models/Membership');
+const ReactionModel = require('../models/Reaction');
 const jwtUtils = require('../utils/jwt');
+const tokenUtils = require('../utils/tokens');
+const totpUtils = require('../utils/totp');
+const scopeUtils = require('../utils/scopes');
+const roleUtils = require('../utils/roles');
+const groupRoleUtils = require('../utils/groupRoles');
+const mentionUtils = require('../utils/mentions');
 const encryptionUtils = require('../utils/encryption');
 const validationUtils = require('../utils/validation');
 const passwordUtils = require('../utils/password');
 const errorUtils = require('../utils/errors');
 const databaseUtils = require('../utils/databaseUtils');
+const { createTransport } = require('../utils/mailTransports');
 const database = require('./database');
 const env = require('./environment');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
@@ -30,9 +46,24 @@ function configureDependencies() {
   container.register('userModel', UserModel);
   container.register('groupModel', GroupModel);
   container.register('messageModel', MessageModel);
+  container.register('revokedTokenModel', RevokedTokenModel);
+  container.register('refreshTokenModel', RefreshTokenModel);
+  container.register('passwordResetTokenModel', PasswordResetTokenModel);
+  container.register('sessionModel', SessionModel);
+  container.register('personalAccessTokenModel', PersonalAccessTokenModel);
+  container.register('groupInviteLinkModel', GroupInviteLinkModel);
+  container.register('groupInvitationModel', GroupInvitationModel);
+  container.register('membershipModel', MembershipModel);
+  container.register('reactionModel', ReactionModel);
 
   // Register utilities
   container.register('jwtUtils', jwtUtils);
+  container.register('tokenUtils', tokenUtils);
+  container.register('totpUtils', totpUtils);
+  container.register('scopeUtils', scopeUtils);
+  container.register('roleUtils', roleUtils);
+  container.register('groupRoleUtils', groupRoleUtils);
+  container.register('mentionUtils', mentionUtils);
   container.register('encryptionUtils', encryptionUtils);
   container.register('validationUtils', validationUtils);
   container.register('passwordUtils', passwordUtils);
@@ -44,6 +75,12 @@ function configureDependencies() {
   container.register('database', database);
   container.register('env', env);
 
+  // Mail transport is created on first use so it can be replaced (e.g. in tests)
+  container.registerFactory('mailTransport', (c) => {
+    const config = c.get('env');
+    return createTransport(config.get('MAIL_TRANSPORT'), { directory: config.get('MAIL_FILE_DIR') });
+  });
+
   // Register services (after we create them)
   registerServices();
 
@@ -55,11 +92,22 @@ function configureDependencies() {
  * Services are registered after other dependencies since they depend on them
  */
 function registerServices() {
-  // These will be created next
+  // Realtime broadcaster is used by services to notify connected sockets
+  container.register('broadcaster', require('../realtime/broadcaster')(container));
+  container.register('mailService', require('../services/mailService')(container));
+  container.register('accountPolicyService', require('../services/accountPolicyService')(container));
+
+  container.register('mfaService', require('../services/mfaService')(container));
+  container.register('sessionService', require('../services/sessionService')(container));
+  container.register('personalAccessTokenService', require('../services/personalAccessTokenService')(container));
   container.register('authService', require('../services/authService')(container));
   container.register('userService', require('../services/userService')(container));
   container.register('groupService', require('../services/groupService')(container));
+  container.register('groupInviteService', require('../services/groupInviteService')(container));
+  container.register('reactionService', require('../services/reactionService')(container));
+  container.register('pinService', require('../services/pinService')(container));
   container.register('messageService', require('../services/messageService')(container));
+  container.register('adminService', require('../services/adminService')(container));
 }
 
 module.exports = configureDependencies;
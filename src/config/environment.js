@@ -27,7 +27,54 @@ class EnvironmentConfig {
 
       // JWT configuration
       JWT_SECRET: process.env.JWT_SECRET || this.generateDefaultJwtSecret(isProduction),
-      JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+      JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+      // HS256 signs access tokens with JWT_SECRET; RS256/ES256 sign with the current key of JWT_KEYRING_FILE
+      JWT_ALGORITHM: process.env.JWT_ALGORITHM || 'HS256',
+      JWT_KEYRING_FILE: process.env.JWT_KEYRING_FILE || null,
+      // How long retired keys (and HS256 tokens after switching) keep being accepted
+      JWT_KEY_GRACE_HOURS: parseInt(process.env.JWT_KEY_GRACE_HOURS) || 24,
+      // When access tokens stopped being signed with JWT_SECRET; HS256 tokens are accepted for the grace period after it
+      JWT_LEGACY_CUTOVER_AT: process.env.JWT_LEGACY_CUTOVER_AT || null,
+
+      // Refresh token configuration
+      REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+      // Account lockout configuration
+      // Failed logins allowed before the account is locked; every further failure doubles the lock
+      LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+      LOGIN_LOCKOUT_BASE_SECONDS: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+      LOGIN_LOCKOUT_MAX_SECONDS: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60,
+
+      // Password reset configuration
+      PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+
+      // Email verification configuration
+      EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+      // When enabled, unverified users cannot create groups or send messages
+      REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+
+      // Two-factor authentication configuration
+      MFA_ISSUER: process.env.MFA_ISSUER || 'Group Messaging',
+      MFA_CHALLENGE_TTL_MINUTES: parseInt(process.env.MFA_CHALLENGE_TTL_MINUTES) || 5,
+
+      // Group archive configuration
+      // 0 keeps archived groups forever
+      GROUP_ARCHIVE_RETENTION_DAYS: parseInt(process.env.GROUP_ARCHIVE_RETENTION_DAYS) || 0,
+      GROUP_PURGE_INTERVAL_MINUTES: parseInt(process.env.GROUP_PURGE_INTERVAL_MINUTES) || 60,
+
+      // Group invitation configuration
+      GROUP_INVITATION_TTL_HOURS: parseInt(process.env.GROUP_INVITATION_TTL_HOURS) || 7 * 24,
+
+      // Mention configuration
+      MENTION_ALL_MEMBER_THRESHOLD: parseInt(process.env.MENTION_ALL_MEMBER_THRESHOLD) || 50,
+
+      // Mail configuration
+      MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+      MAIL_FROM: process.env.MAIL_FROM || 'Group Messaging <no-reply@localhost>',
+      MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || 'logs/mail',
+
+      // Public URL of the client application, used in emailed links
+      APP_URL: process.env.APP_URL || `http://localhost:${parseInt(process.env.PORT) || 3000}`,
 
       // Encryption configuration
       ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || this.generateDefaultEncryptionKey(isProduction),
@@ -118,6 +165,25 @@ class EnvironmentConfig {
       errors.push('PORT must be between 1 and 65535');
     }
 
+    // JWT algorithm validation (always validate)
+    const validJwtAlgorithms = ['HS256', 'RS256', 'ES256'];
+    if (!validJwtAlgorithms.includes(this.config.JWT_ALGORITHM)) {
+      errors.push(`JWT_ALGORITHM must be one of: ${validJwtAlgorithms.join(', ')}`);
+    } else if (this.config.JWT_ALGORITHM !== 'HS256') {
+      if (!this.config.JWT_KEYRING_FILE) {
+        errors.push(`JWT_KEYRING_FILE must be provided when JWT_ALGORITHM is ${this.config.JWT_ALGORITHM}`);
+      }
+      if (Number.isNaN(new Date(this.config.JWT_LEGACY_CUTOVER_AT || '').getTime())) {
+        errors.push(`JWT_LEGACY_CUTOVER_AT must be a valid date when JWT_ALGORITHM is ${this.config.JWT_ALGORITHM}`);
+      }
+    }
+
+    // Mail transport validation (always validate)
+    const validMailTransports = ['console', 'file'];
+    if (!validMailTransports.includes(this.config.MAIL_TRANSPORT)) {
+      errors.push(`MAIL_TRANSPORT must be one of: ${validMailTransports.join(', ')}`);
+    }
+
     // Environment validation (always validate)
     const validEnvironments = ['development', 'test', 'production'];
     if (!validEnvironments.includes(this.config.NODE_ENV)) {
@@ -173,8 +239,12 @@ class EnvironmentConfig {
       PORT: this.config.PORT,
       MONGODB_URI: this.maskConnectionString(this.config.MONGODB_URI),
       JWT_EXPIRES_IN: this.config.JWT_EXPIRES_IN,
+      JWT_ALGORITHM: this.config.JWT_ALGORITHM,
+      REFRESH_TOKEN_TTL_DAYS: this.config.REFRESH_TOKEN_TTL_DAYS,
       BCRYPT_SALT_ROUNDS: this.config.BCRYPT_SALT_ROUNDS,
       CORS_ORIGIN: this.config.CORS_ORIGIN,
+      MAIL_TRANSPORT: this.config.MAIL_TRANSPORT,
+      REQUIRE_EMAIL_VERIFICATION: this.config.REQUIRE_EMAIL_VERIFICATION,
       LOG_LEVEL: this.config.LOG_LEVEL,
     };
 
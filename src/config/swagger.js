@@ -27,6 +27,8 @@ const swaggerDefinition = {
           3. Click the "Authorize" button above
           4. Enter your JWT token directly in the authorization field (do not include "Bearer" prefix)
           5. All subsequent requests will include the authentication header
+          6. Access tokens are short-lived; exchange the refresh token at \`POST /api/v1/auth/refresh\` for a new pair
+          7. If two-factor authentication is enabled, login returns an \`mfaToken\`; exchange it with a code at \`POST /api/v1/auth/mfa/verify\`
           
           ## Rate Limiting
           This API implements rate limiting to prevent abuse:
@@ -60,7 +62,7 @@ const swaggerDefinition = {
         type: 'apiKey',
         in: 'header',
         name: 'Authorization',
-        description: 'Enter your JWT token directly (without Bearer prefix). The system will automatically add the "Bearer" prefix.',
+        description: 'Enter your JWT token or a personal access token (gmpat_...) directly (without Bearer prefix). The system will automatically add the "Bearer" prefix.',
       },
     },
     schemas: {
@@ -79,6 +81,52 @@ const swaggerDefinition = {
             description: 'User email address',
             example: 'john.doe@example.com',
           },
+          role: {
+            type: 'string',
+            enum: ['user', 'moderator', 'admin'],
+            description: 'Platform role',
+            example: 'user',
+          },
+          suspendedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the account was suspended (null if it is not)',
+            example: null,
+          },
+          suspendedReason: {
+            type: 'string',
+            nullable: true,
+            example: null,
+          },
+          emailVerified: {
+            type: 'boolean',
+            description: 'Whether the email address has been verified',
+            example: true,
+          },
+          emailVerifiedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the email address was verified',
+            example: '2024-01-01T12:05:00.000Z',
+          },
+          mfa: {
+            type: 'object',
+            description: 'Two-factor authentication status',
+            properties: {
+              enabled: {
+                type: 'boolean',
+                example: false,
+              },
+              enabledAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+                example: null,
+              },
+            },
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -157,13 +205,205 @@ const swaggerDefinition = {
               tokenExpiry: {
                 type: 'string',
                 description: 'Token expiration time',
-                example: '24h',
+                example: '15m',
+              },
+              refreshToken: {
+                type: 'string',
+                description: 'Single-use opaque token for POST /api/v1/auth/refresh',
+                example: 'q3Jd8xW0c1y9k2Lm...',
+              },
+              refreshTokenExpiresAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'Refresh token expiration timestamp',
+                example: '2024-01-31T12:00:00.000Z',
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Login session the tokens belong to (see GET /api/v1/users/sessions)',
+                example: '65a1f77bcf86cd7994390a1',
+              },
+            },
+          },
+        },
+      },
+
+      RefreshTokenRequest: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: {
+            type: 'string',
+            description: 'Refresh token returned by login, registration or a previous refresh',
+            example: 'q3Jd8xW0c1y9k2Lm...',
+          },
+        },
+      },
+
+      ForgotPasswordRequest: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email address of the account',
+            example: 'john.doe@example.com',
+          },
+        },
+      },
+
+      ResetPasswordRequest: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Token from the password reset email',
+            example: 'Hq2b9sKx0Vf3...',
+          },
+          password: {
+            type: 'string',
+            minLength: 8,
+            description: 'New password (min 8 characters, must contain uppercase, lowercase, and number)',
+            example: 'NewSecurePassword123',
+          },
+        },
+      },
+
+      VerifyEmailRequest: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: {
+            type: 'string',
+            description: 'Signed token from the verification email',
+            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+          },
+        },
+      },
+
+      MfaChallengeResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: true,
+          },
+          message: {
+            type: 'string',
+            example: 'Two-factor authentication required',
+          },
+          data: {
+            type: 'object',
+            properties: {
+              mfaRequired: {
+                type: 'boolean',
+                example: true,
+              },
+              mfaToken: {
+                type: 'string',
+                description: 'Short-lived challenge token for POST /api/v1/auth/mfa/verify',
+                example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+              },
+              mfaTokenExpiresIn: {
+                type: 'string',
+                example: '5m',
               },
             },
           },
         },
       },
 
+      MfaVerifyRequest: {
+        type: 'object',
+        required: ['mfaToken'],
+        description: 'Exactly one of code or recoveryCode is required',
+        properties: {
+          mfaToken: {
+            type: 'string',
+            description: 'Challenge token returned by login',
+            example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+          },
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$',
+            description: 'Current code from the authenticator app',
+            example: '123456',
+          },
+          recoveryCode: {
+            type: 'string',
+            description: 'One of the recovery codes shown when MFA was enabled',
+            example: 'abcde-fghij',
+          },
+        },
+      },
+
+      MfaConfirmRequest: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$',
+            description: 'Current code from the authenticator app',
+            example: '123456',
+          },
+        },
+      },
+
+      MfaDisableRequest: {
+        type: 'object',
+        required: ['password'],
+        description: 'Exactly one of code or recoveryCode is required',
+        properties: {
+          password: {
+            type: 'string',
+            description: 'Current password',
+            example: 'SecurePassword123',
+          },
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$',
+            example: '123456',
+          },
+          recoveryCode: {
+            type: 'string',
+            example: 'abcde-fghij',
+          },
+        },
+      },
+
+      CreatePersonalAccessTokenRequest: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100,
+            description: 'What the token is for; unique among your active tokens',
+            example: 'CI notifier',
+          },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string',
+              enum: ['groups:read', 'groups:write', 'messages:read', 'messages:write'],
+            },
+            example: ['messages:write'],
+          },
+          expiresInDays: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 365,
+            description: 'Lifetime in days; the token never expires if omitted',
+            example: 90,
+          },
+        },
+      },
+
       // Group schemas
       Group: {
         type: 'object',
@@ -188,13 +428,38 @@ const swaggerDefinition = {
             description: 'User ID of group creator',
             example: '507f1f77bcf86cd799439011',
           },
-          members: {
+          memberCount: {
+            type: 'integer',
+            description: 'Number of active members; list them with GET /api/v1/groups/{groupId}/members',
+            example: 2,
+          },
+          memberLimit: {
+            type: 'integer',
+            description: 'Maximum number of active members',
+            example: 100,
+          },
+          tags: {
             type: 'array',
+            maxItems: 10,
             items: {
               type: 'string',
+              maxLength: 30,
+              pattern: '^[a-z0-9][a-z0-9-]*$',
             },
-            description: 'Array of member user IDs',
-            example: ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439013'],
+            description: 'Lowercase tags used for discovery',
+            example: ['engineering', 'remote'],
+          },
+          archivedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the group was archived; archived groups are read-only',
+          },
+          purgeAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the archived group will be deleted for good',
           },
           createdAt: {
             type: 'string',
@@ -226,6 +491,198 @@ const swaggerDefinition = {
             description: 'Optional group description',
             example: 'Discussion group for development team members',
           },
+          tags: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+              type: 'string',
+              maxLength: 30,
+              pattern: '^[a-z0-9][a-z0-9-]*$',
+            },
+            description: 'Optional tags used for discovery; letters, numbers and hyphens',
+            example: ['engineering', 'remote'],
+          },
+        },
+      },
+
+      UpdateGroupRequest: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 50,
+            description: 'New group name',
+            example: 'Platform Team',
+          },
+          description: {
+            type: 'string',
+            maxLength: 500,
+            description: 'New group description',
+            example: 'Discussion group for the platform team',
+          },
+          memberLimit: {
+            type: 'integer',
+            minimum: 2,
+            maximum: 100000,
+            description: 'Maximum number of members; cannot be lower than the current member count',
+            example: 100,
+          },
+          settings: {
+            type: 'object',
+            minProperties: 1,
+            description: 'Settings to change; settings that are left out keep their current value',
+            properties: {
+              requireApproval: {
+                type: 'boolean',
+                description: 'Join requests need approval from an owner, admin or moderator',
+              },
+              allowMemberInvites: {
+                type: 'boolean',
+                description: 'Regular members can create invite links and send invitations',
+              },
+              cooldownPeriod: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 8760,
+                description: 'Hours a banned user must wait before rejoining',
+              },
+              announcementMode: {
+                type: 'boolean',
+                description: 'Only owners and admins can send messages',
+                example: true,
+              },
+              slowModeSeconds: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 21600,
+                description: 'Minimum seconds between messages from the same member; moderators and above are exempt. 0 turns slow mode off',
+                example: 30,
+              },
+              editWindowMinutes: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 1440,
+                description: 'Minutes after sending during which a sender can edit a message. 0 turns editing off',
+                example: 15,
+              },
+              maxPinnedMessages: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100,
+                description: 'How many messages can be pinned at once',
+                example: 25,
+              },
+            },
+          },
+          tags: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+              type: 'string',
+              maxLength: 30,
+              pattern: '^[a-z0-9][a-z0-9-]*$',
+            },
+            description: 'Replaces the group tags',
+            example: ['engineering', 'remote'],
+          },
+        },
+      },
+
+      ArchiveGroupRequest: {
+        type: 'object',
+        properties: {
+          purgeAfterDays: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 3650,
+            description: 'Days until the group and its messages are deleted; 0 keeps it until it is unarchived. Defaults to GROUP_ARCHIVE_RETENTION_DAYS',
+            example: 30,
+          },
+        },
+      },
+
+      TransferOwnershipRequest: {
+        type: 'object',
+        required: ['newOwnerId'],
+        properties: {
+          newOwnerId: {
+            type: 'string',
+            description: 'ID of an active member who becomes the new owner',
+            example: '507f1f77bcf86cd799439013',
+          },
+        },
+      },
+
+      MemberActionRequest: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: {
+            type: 'string',
+            enum: ['approve', 'reject', 'ban', 'unban'],
+            example: 'approve',
+          },
+          reason: {
+            type: 'string',
+            maxLength: 200,
+            description: 'Optional reason shown to the user',
+            example: 'Welcome aboard',
+          },
+          duration: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 8760,
+            description: 'Ban length in hours (ban only). Bans without a duration last until lifted',
+            example: 24,
+          },
+        },
+      },
+
+      UpdateMemberRoleRequest: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: {
+            type: 'string',
+            enum: ['admin', 'moderator', 'member'],
+            description: 'New role. Ownership changes through transfer-ownership',
+            example: 'moderator',
+          },
+        },
+      },
+
+      CreateInviteLinkRequest: {
+        type: 'object',
+        properties: {
+          expiresInHours: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 720,
+            description: 'Lifetime of the link in hours. Omit for a link that never expires',
+            example: 72,
+          },
+          maxUses: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 1000,
+            description: 'How many people can join with the link. Omit for unlimited uses',
+            example: 10,
+          },
+        },
+      },
+
+      GroupInvitationRequest: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Address to invite. It does not need an account yet',
+            example: 'jane.doe@example.com',
+          },
         },
       },
 
@@ -270,6 +727,66 @@ const swaggerDefinition = {
             description: 'Last edit timestamp',
             example: '2024-01-01T12:30:00.000Z',
           },
+          pinnedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the message was pinned, if it is pinned',
+            example: '2024-01-01T12:45:00.000Z',
+          },
+          pinnedBy: {
+            type: 'string',
+            description: 'User ID of the owner or admin who pinned the message',
+            example: '507f1f77bcf86cd799439013',
+          },
+          reactions: {
+            type: 'array',
+            description: 'Reaction counts per emoji, most used first',
+            items: {
+              type: 'object',
+              properties: {
+                emoji: {
+                  type: 'string',
+                  example: '👍',
+                },
+                count: {
+                  type: 'integer',
+                  example: 3,
+                },
+                reacted: {
+                  type: 'boolean',
+                  description: 'Whether you reacted with this emoji',
+                  example: true,
+                },
+              },
+            },
+          },
+          metadata: {
+            type: 'object',
+            properties: {
+              mentions: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'IDs of the members mentioned by name or with @here',
+                example: ['507f1f77bcf86cd799439013'],
+              },
+              mentionsAll: {
+                type: 'boolean',
+                description: 'Whether the message mentions @all',
+                example: false,
+              },
+              systemEvent: {
+                type: 'string',
+                enum: ['message:pinned', 'message:unpinned'],
+                description: 'For system messages, what happened',
+              },
+              relatedMessage: {
+                type: 'string',
+                description: 'For system messages, the message it happened to',
+              },
+            },
+          },
         },
       },
 
@@ -281,9 +798,41 @@ const swaggerDefinition = {
             type: 'string',
             minLength: 1,
             maxLength: 2000,
-            description: 'Message content',
+            description: 'Message content; mention members with @email, @userId, @here or @all',
             example: 'Hello everyone! How is the project going?',
           },
+          replyTo: {
+            type: 'string',
+            description: 'ID of a message in the same group to reply to; replies to a reply join the same thread',
+            example: '507f1f77bcf86cd799439014',
+          },
+        },
+      },
+
+      UpdateMessageRequest: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+          content: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 2000,
+            description: 'New message content',
+            example: 'Hello everyone! How is the release going?',
+          },
+        },
+      },
+
+      ReactionRequest: {
+        type: 'object',
+        required: ['emoji'],
+        properties: {
+          emoji: {
+            type: 'string',
+            maxLength: 32,
+            description: 'An emoji, including skin tone, flag and joined (ZWJ) sequences',
+            example: '👍',
+          },
         },
       },
 
@@ -380,6 +929,34 @@ const swaggerDefinition = {
         },
       },
 
+      AccountLockedError: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: false,
+          },
+          message: {
+            type: 'string',
+            example: 'Account temporarily locked due to too many failed login attempts. Try again later or reset your password',
+          },
+          error: {
+            type: 'string',
+            example: 'ACCOUNT_LOCKED',
+          },
+          retryAfter: {
+            type: 'integer',
+            description: 'Seconds until the lock ends (also sent as the Retry-After header)',
+            example: 120,
+          },
+          lockedUntil: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-01T12:02:00.000Z',
+          },
+        },
+      },
+
       // Health check schemas
       HealthResponse: {
         type: 'object',
@@ -781,6 +1358,16 @@ const swaggerDefinition = {
           },
         },
       },
+      AccountLockedError: {
+        description: 'Account temporarily locked after too many failed login attempts',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/AccountLockedError',
+            },
+          },
+        },
+      },
     },
   },
 
@@ -808,6 +1395,10 @@ const swaggerDefinition = {
       name: 'Messages',
       description: 'Message sending and retrieval endpoints',
     },
+    {
+      name: 'Admin',
+      description: 'Platform moderation endpoints for moderators and admins',
+    },
     {
       name: 'Real-Time',
       description: 'WebSocket-based real-time messaging and presence features',
@@ -849,7 +1440,7 @@ swaggerDefinition.paths = {
         * \`error\` - Application-specific error
         
         ### Message Events
-        * \`message:send\` (client → server) - Send new message
+        * \`message:send\` (client → server) - Send new message. Failures are acknowledged with the REST error code, e.g. \`ANNOUNCEMENT_ONLY\` or \`SLOW_MODE_ACTIVE\` (with \`retryAfter\` in seconds)
         * \`message:sent\` (server → client) - Message sent confirmation
         * \`message:received\` (server → client) - New message received
         * \`message:read\` (client → server) - Mark message as read
@@ -863,11 +1454,22 @@ swaggerDefinition.paths = {
         * \`user:typing\` (server → client) - User typing notification
         
         ### Group Events
-        * \`group:join\` (client → server) - Join a group's room
+        * \`group:join\` (client → server) - Join a group's room (active members only; banned users get \`USER_BANNED\` or \`BAN_COOLDOWN\`)
         * \`room:joined\` (server → client) - Room joined confirmation
         * \`group:leave\` (client → server) - Leave a group's room
         * \`user:joined\` (server → client) - User joined notification
         * \`user:left\` (server → client) - User left notification
+        * \`group:updated\` (server → client) - Group details or owner changed
+        * \`group:deleted\` (server → client) - Group was deleted
+        * \`group:archived\` / \`group:unarchived\` (server → client) - Group became read-only or was restored
+        * \`member:removed\` (server → client) - A member left or was removed (also sent to the removed user)
+        * \`member:joined\` (server → client) - Someone joined the group or had their join request approved
+        * \`member:requested\` (server → client) - Someone asked to join a group whose join requests you manage
+        * \`member:approved\` / \`member:rejected\` (server → client) - Your join request was decided
+        * \`member:banned\` / \`member:unbanned\` (server → client) - You were banned from or unbanned in a group
+        * \`member:role-changed\` (server → client) - A member was promoted or demoted
+        * \`invitation:received\` (server → client) - You were invited to a group by email
+        * \`invitation:accepted\` / \`invitation:declined\` (server → client) - Someone answered an invitation you sent
         
         ## For detailed event formats and examples, see the schemas defined in this documentation.
       `,
@@ -901,6 +1503,39 @@ swaggerDefinition.paths = {
   },
 };
 
+// Public keys for verifying access tokens outside this service
+swaggerDefinition.paths['/.well-known/jwks.json'] = {
+  get: {
+    tags: ['Authentication'],
+    summary: 'JSON Web Key Set',
+    description: `
+      Public keys that verify access tokens signed with RS256 or ES256, matched by the \`kid\` header.
+      Keys retired within the grace window are still listed. The set is empty when tokens
+      are signed with the shared HS256 secret.
+    `,
+    responses: {
+      '200': {
+        description: 'Key set',
+        content: {
+          'application/json': {
+            example: {
+              keys: [{
+                kty: 'EC',
+                crv: 'P-256',
+                x: 'f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU',
+                y: 'x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0',
+                kid: '2024-06',
+                alg: 'ES256',
+                use: 'sig',
+              }],
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
 const options = {
   definition: swaggerDefinition,
   apis: [
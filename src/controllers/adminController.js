@@ -0,0 +1,145 @@
+/**
+ * Admin Controller
+ *
+ * Handles HTTP requests for platform administration endpoints,
+ * delegating business logic to the admin service.
+ */
+
+const container = require('../container');
+const adminService = container.get('adminService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * List and search users
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const listUsers = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.listUsers(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Suspend a user account
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const suspendUser = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.suspendUser(req.user, req.params.userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Lift a user account suspension
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unsuspendUser = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.unsuspendUser(req.user, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unsuspended successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a user's platform role
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateUserRole = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.updateUserRole(req.user, req.params.userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a group regardless of its owner or members
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteGroup = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.deleteGroup(req.user, req.params.groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group deleted successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get platform-wide statistics
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getStats = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await adminService.getStats();
+
+    res.status(200).json({
+      success: true,
+      message: 'Platform statistics retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  deleteGroup,
+  getStats,
+};
@@ -7,8 +7,22 @@
 
 const container = require('../container');
 const authService = container.get('authService');
+const mfaService = container.get('mfaService');
 const asyncErrorHandler = container.get('asyncErrorHandler');
 
+/**
+ * Get the client information recorded on a new session
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP (resolved through `trust proxy`)
+ */
+function getClientContext(req) {
+  return {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  };
+}
+
 /**
  * Register a new user
  *
@@ -18,7 +32,7 @@ const asyncErrorHandler = container.get('asyncErrorHandler');
  */
 const register = asyncErrorHandler(async (req, res, next) => {
   try {
-    const result = await authService.register(req.body);
+    const result = await authService.register(req.body, getClientContext(req));
 
     res.status(201).json({
       success: true,
@@ -40,7 +54,28 @@ const register = asyncErrorHandler(async (req, res, next) => {
  */
 const login = asyncErrorHandler(async (req, res, next) => {
   try {
-    const result = await authService.login(req.body);
+    const result = await authService.login(req.body, getClientContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: result.mfaRequired ? 'Two-factor authentication required' : 'Login successful',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Complete a two-step login with the second factor
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyMfa = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.verifyMfa(req.body, getClientContext(req));
 
     res.status(200).json({
       success: true,
@@ -48,32 +83,154 @@ const login = asyncErrorHandler(async (req, res, next) => {
       data: result,
     });
   } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start two-factor authentication enrollment
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const setupMfa = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await mfaService.setup(req.user.userId);
 
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: result,
+    });
+  } catch (error) {
     next(error);
   }
 });
 
 /**
- * Logout a user (placeholder for future implementation)
+ * Confirm two-factor authentication enrollment
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function logout(req, res, next) {
-  res.status(501).json({
-    success: false,
-    message: 'Logout endpoint not yet implemented',
-    error: 'NOT_IMPLEMENTED',
-  });
-}
+const confirmMfa = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await mfaService.confirm(req.user.userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
- * Refresh an authentication token (placeholder for future implementation)
+ * Disable two-factor authentication
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function refreshToken(req, res, next) {
-  res.status(501).json({
-    success: false,
-    message: 'Token refresh endpoint not yet implemented',
-    error: 'NOT_IMPLEMENTED',
-  });
-}
+const disableMfa = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await mfaService.disable(req.user.userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Logout the current user by revoking their access token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const logout = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.logout(req.user, { refreshToken: req.body.refreshToken });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const refreshToken = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.refreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Verify an email address with a token from a verification email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyEmail = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.verifyEmail(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a new verification email to the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resendVerification = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.resendVerification(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * Get the currently authenticated user (placeholder for future implementation)
@@ -87,33 +244,57 @@ async function getCurrentUser(req, res, next) {
 }
 
 /**
- * Initiate forgot password flow (placeholder for future implementation)
+ * Initiate forgot password flow
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function forgotPassword(req, res, next) {
-  res.status(501).json({
-    success: false,
-    message: 'Forgot password endpoint not yet implemented',
-    error: 'NOT_IMPLEMENTED',
-  });
-}
+const forgotPassword = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.forgotPassword(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
- * Reset a password with token (placeholder for future implementation)
+ * Reset a password with a token from a password reset email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function resetPassword(req, res, next) {
-  res.status(501).json({
-    success: false,
-    message: 'Reset password endpoint not yet implemented',
-    error: 'NOT_IMPLEMENTED',
-  });
-}
+const resetPassword = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await authService.resetPassword(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 module.exports = {
   register,
   login,
+  verifyMfa,
+  setupMfa,
+  confirmMfa,
+  disableMfa,
   logout,
   refreshToken,
   getCurrentUser,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
 };
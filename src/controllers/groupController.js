@@ -54,7 +54,7 @@ const getGroupById = asyncErrorHandler(async (req, res, next) => {
 });
 
 /**
- * Get all groups with pagination and filtering
+ * Discover groups with search, filtering, sorting and pagination
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -62,11 +62,8 @@ const getGroupById = asyncErrorHandler(async (req, res, next) => {
  */
 const getGroups = asyncErrorHandler(async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const type = req.query.type || null;
-
-    const result = await groupService.getGroups({ page, limit, type });
+    // Query parameters are validated and converted by the route
+    const result = await groupService.getGroups(req.user.userId, req.query);
 
     res.status(200).json({
       success: true,
@@ -103,22 +100,47 @@ const updateGroup = asyncErrorHandler(async (req, res, next) => {
 });
 
 /**
- * Delete a group
+ * Archive a group
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const deleteGroup = asyncErrorHandler(async (req, res, next) => {
+const archiveGroup = asyncErrorHandler(async (req, res, next) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.userId;
 
-    const result = await groupService.deleteGroup(userId, groupId);
+    const result = await groupService.archiveGroup(userId, groupId, req.body);
 
     res.status(200).json({
       success: true,
-      message: 'Group deleted successfully',
+      message: 'Group archived successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore an archived group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unarchiveGroup = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await groupService.unarchiveGroup(userId, groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group unarchived successfully',
+      data: group,
     });
   } catch (error) {
     next(error);
@@ -138,12 +160,132 @@ const addMember = asyncErrorHandler(async (req, res, next) => {
     // Use the authenticated user's ID instead of expecting it in the body
     const userId = req.user.userId;
 
-    const updatedGroup = await groupService.addMember(userId, groupId);
+    const result = await groupService.addMember(userId, groupId);
+
+    if (result.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        message: 'Join request submitted and awaiting approval',
+        data: result,
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Member added successfully',
-      data: updatedGroup,
+      data: result.group,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a group's members with pagination
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getMembers = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    // Query parameters are validated and converted by the route
+    const result = await groupService.getMembers(req.user.userId, groupId, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group members retrieved successfully',
+      data: result.members,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List pending join requests for a group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getJoinRequests = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const requests = await groupService.getJoinRequests(req.user.userId, groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Join requests retrieved successfully',
+      data: requests,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List users banned from a group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getBans = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const bans = await groupService.getBans(req.user.userId, groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bans retrieved successfully',
+      data: bans,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Approve, reject, ban or unban a user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const performMemberAction = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId, userId } = req.params;
+    const result = await groupService.performMemberAction(req.user.userId, groupId, userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member action applied successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Promote or demote a member
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateMemberRole = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId, userId } = req.params;
+    const result = await groupService.updateMemberRole(req.user.userId, groupId, userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: result,
     });
   } catch (error) {
     next(error);
@@ -174,6 +316,30 @@ const removeMember = asyncErrorHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Leave a group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const leaveGroup = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const updatedGroup = await groupService.removeMember(userId, groupId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left group successfully',
+      data: updatedGroup,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Transfer group ownership to another member
  *
@@ -204,8 +370,15 @@ module.exports = {
   getGroupById,
   getGroups,
   updateGroup,
-  deleteGroup,
+  archiveGroup,
+  unarchiveGroup,
   addMember,
+  getMembers,
+  getJoinRequests,
+  getBans,
+  performMemberAction,
+  updateMemberRole,
   removeMember,
+  leaveGroup,
   transferOwnership,
 };
@@ -0,0 +1,211 @@
+/**
+ * Group Invite Controller
+ *
+ * Handles HTTP requests for group invite links and email invitations,
+ * delegating business logic to the group invite service.
+ */
+
+const container = require('../container');
+const groupInviteService = container.get('groupInviteService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * Create an invite link for a group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createInviteLink = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await groupInviteService.createInviteLink(req.user.userId, req.params.groupId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created. Copy the code now, it will not be shown again',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a group's active invite links
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getInviteLinks = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const invites = await groupInviteService.listInviteLinks(req.user.userId, req.params.groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite links retrieved successfully',
+      data: invites,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke an invite link
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeInviteLink = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await groupInviteService.revokeInviteLink(req.user.userId, req.params.groupId, req.params.inviteId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link revoked successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Show the group behind an invite code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const previewInviteLink = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const preview = await groupInviteService.previewInviteLink(req.params.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link retrieved successfully',
+      data: preview,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Join a group with an invite code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const acceptInviteLink = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const group = await groupInviteService.acceptInviteLink(req.user.userId, req.params.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully joined the group',
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Invite someone to a group by email
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const inviteByEmail = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await groupInviteService.inviteByEmail(req.user.userId, req.params.groupId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the current user's open group invitations
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getMyInvitations = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const invitations = await groupInviteService.listMyInvitations(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Accept a group invitation
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const acceptInvitation = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await groupInviteService.respondToInvitation(req.user.userId, req.params.invitationId, true);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted, you are now a member of the group',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Decline a group invitation
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const declineInvitation = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await groupInviteService.respondToInvitation(req.user.userId, req.params.invitationId, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  createInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  previewInviteLink,
+  acceptInviteLink,
+  inviteByEmail,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -20,9 +20,9 @@ const sendMessage = asyncErrorHandler(async (req, res, next) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.userId;
-    const { content } = req.body;
+    const { content, replyTo } = req.body;
 
-    const message = await messageService.sendMessage(userId, groupId, content);
+    const message = await messageService.sendMessage(userId, groupId, content, { replyTo });
 
     res.status(201).json({
       success: true,
@@ -109,6 +109,59 @@ const updateMessage = asyncErrorHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Get the edit history of a message
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getMessageHistory = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    const history = await messageService.getMessageHistory(userId, messageId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message history retrieved successfully',
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a message thread
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getThread = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+    const { page, limit } = req.query;
+
+    const result = await messageService.getThread(userId, messageId, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thread retrieved successfully',
+      data: {
+        parent: result.parent,
+        replies: result.replies,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Search messages in a group
  *
@@ -174,6 +227,8 @@ module.exports = {
   getGroupMessages,
   deleteMessage,
   updateMessage,
+  getMessageHistory,
+  getThread,
   searchMessages,
   getMessage,
 };
@@ -0,0 +1,79 @@
+/**
+ * Personal Access Token Controller
+ *
+ * Handles HTTP requests for personal access token endpoints,
+ * delegating business logic to the personal access token service.
+ */
+
+const container = require('../container');
+const personalAccessTokenService = container.get('personalAccessTokenService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * List the current user's personal access tokens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getTokens = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await personalAccessTokenService.listTokens(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Personal access tokens retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a personal access token for the current user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createToken = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const token = await personalAccessTokenService.createToken(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Personal access token created. Copy it now, it will not be shown again',
+      data: { token },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke one of the current user's personal access tokens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeToken = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await personalAccessTokenService.revokeToken(req.user.userId, req.params.tokenId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Personal access token revoked successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  getTokens,
+  createToken,
+  revokeToken,
+};
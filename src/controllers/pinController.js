@@ -0,0 +1,88 @@
+/**
+ * Pin Controller
+ *
+ * Handles HTTP requests for pinned messages,
+ * delegating business logic to the pin service.
+ */
+
+const container = require('../container');
+const pinService = container.get('pinService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * Pin a message to its group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const pinMessage = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    const result = await pinService.pinMessage(userId, messageId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message pinned successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Unpin a message from its group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unpinMessage = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+
+    const result = await pinService.unpinMessage(userId, messageId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message unpinned successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the pinned messages of a group
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPinnedMessages = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const messages = await pinService.getPinnedMessages(userId, groupId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pinned messages retrieved successfully',
+      data: messages,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+};
@@ -0,0 +1,64 @@
+/**
+ * Reaction Controller
+ *
+ * Handles HTTP requests for message reactions,
+ * delegating business logic to the reaction service.
+ */
+
+const container = require('../container');
+const reactionService = container.get('reactionService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * React to a message
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addReaction = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+    const { emoji } = req.body;
+
+    const reaction = await reactionService.addReaction(userId, messageId, emoji);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reaction added successfully',
+      data: reaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a reaction from a message
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const removeReaction = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const { messageId, emoji } = req.params;
+    const userId = req.user.userId;
+
+    const reaction = await reactionService.removeReaction(userId, messageId, emoji);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reaction removed successfully',
+      data: reaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  addReaction,
+  removeReaction,
+};
@@ -0,0 +1,79 @@
+/**
+ * Session Controller
+ *
+ * Handles HTTP requests for session management endpoints,
+ * delegating business logic to the session service.
+ */
+
+const container = require('../container');
+const sessionService = container.get('sessionService');
+const asyncErrorHandler = container.get('asyncErrorHandler');
+
+/**
+ * List the current user's active sessions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getSessions = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await sessionService.listSessions(req.user.userId, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke one of the current user's sessions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeSession = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await sessionService.revokeSession(req.user.userId, req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke every session of the current user except the one making the request
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeOtherSessions = asyncErrorHandler(async (req, res, next) => {
+  try {
+    const result = await sessionService.revokeOtherSessions(req.user.userId, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
@@ -1,14 +1,31 @@
 /**
  * Authentication Middleware
  *
- * Verifies JWT tokens and adds user data to request.
+ * Verifies JWT tokens and personal access tokens and adds user data to request.
  */
 
 const container = require('../container');
-const jwtUtils = container.get('jwtUtils');
-const { AuthenticationError } = container.get('errorUtils');
+const authService = container.get('authService');
+const sessionService = container.get('sessionService');
+const personalAccessTokenService = container.get('personalAccessTokenService');
+const { isPersonalAccessToken, hasScopes } = container.get('scopeUtils');
+const { AuthenticationError, AuthorizationError } = container.get('errorUtils');
 const logger = require('../utils/logger');
 
+/**
+ * Verify a bearer token of either kind
+ *
+ * @param {string} token - Raw bearer token
+ * @returns {Object} The authenticated principal
+ */
+const verifyBearerToken = (token) => {
+  if (isPersonalAccessToken(token)) {
+    return personalAccessTokenService.verifyToken(token);
+  }
+
+  return authService.verifyAccessToken(token);
+};
+
 /**
  * Protect routes that require authentication
  *
@@ -39,20 +56,13 @@ const protect = async (req, res, next) => {
       throw new AuthenticationError('Empty token provided', 'NO_TOKEN_PROVIDED');
     }
 
-    try {
-      // Verify token
-      const decoded = jwtUtils.verifyToken(token);
+    // Verify token, check it has not been revoked and add user data to request
+    req.user = await verifyBearerToken(token);
 
-      // Add user data to request
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-      };
+    // Record session activity in the background
+    sessionService.touchSession(req.user.sessionId, req.ip);
 
-      next();
-    } catch (error) {
-      throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN');
-    }
+    next();
   } catch (error) {
     // Handle authentication errors
     if (error instanceof AuthenticationError) {
@@ -63,6 +73,15 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Valid credentials for an account that may not be used (suspended)
+    if (error instanceof AuthorizationError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+        error: error.errorCode,
+      });
+    }
+
     // Handle unexpected errors
     logger.error('Auth middleware error:', { message: error.message, stack: error.stack });
     return res.status(500).json({
@@ -93,14 +112,8 @@ const optional = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwtUtils.verifyToken(token);
-
-      // Add user data to request
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-      };
+      // Verify token and add user data to request
+      req.user = await verifyBearerToken(token);
     } catch (error) {
       // Invalid token - just continue without setting user
       logger.warn('Invalid token provided for optional auth');
@@ -118,7 +131,71 @@ const optional = async (req, res, next) => {
   }
 };
 
+/**
+ * Require scopes on routes reachable with personal access tokens
+ * Must run after protect; logins (JWTs) are not limited by scopes
+ *
+ * @param {...string} scopes - Scopes the route needs
+ * @returns {Function} Express middleware
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (hasScopes(req.user, scopes)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: `This token is missing the required scope: ${scopes.join(', ')}`,
+    error: 'INSUFFICIENT_SCOPE',
+  });
+};
+
+/**
+ * Require one of the given platform roles
+ * Must run after protect
+ *
+ * @param {...string} roles - Roles allowed on the route
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (req.user && roles.includes(req.user.role)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action',
+    error: 'INSUFFICIENT_ROLE',
+  });
+};
+
+/**
+ * Refuse personal access tokens on routes that manage the account itself
+ * (tokens, sessions, password), so a leaked token can't be used to take over the account
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const rejectPersonalAccessTokens = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (isPersonalAccessToken(token)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this endpoint',
+      error: 'PERSONAL_ACCESS_TOKEN_NOT_ALLOWED',
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   protect,
   optional,
+  requireScope,
+  requireRole,
+  rejectPersonalAccessTokens,
 };
@@ -44,6 +44,13 @@ function globalErrorHandler(err, req, res, next) {
     }
     if (err.retryAfter) {
       errorResponse.retryAfter = err.retryAfter;
+      // Numeric values are in seconds and can be sent as the Retry-After header
+      if (typeof err.retryAfter === 'number') {
+        res.set('Retry-After', String(err.retryAfter));
+      }
+    }
+    if (err.lockedUntil) {
+      errorResponse.lockedUntil = err.lockedUntil.toISOString();
     }
   }
   // Handle Mongoose validation errors
@@ -149,7 +156,8 @@ function globalErrorHandler(err, req, res, next) {
 
   // Standardize response formats for authentication errors
   // Always return 401 for auth errors instead of 500, even for unexpected ones
-  if (req.path.includes('/api/') &&
+  if (!(err instanceof AppError) &&
+      req.path.includes('/api/') &&
       (err.toString().includes('token') ||
        err.toString().includes('Token') ||
        err.toString().includes('auth') ||
@@ -179,9 +187,20 @@ function notFoundHandler(req, res) {
     errors: null,
     availableRoutes: {
       health: 'GET /health',
+      jwks: 'GET /.well-known/jwks.json',
       auth: [
         'POST /api/v1/auth/register',
         'POST /api/v1/auth/login',
+        'POST /api/v1/auth/logout',
+        'POST /api/v1/auth/refresh',
+        'POST /api/v1/auth/forgot-password',
+        'POST /api/v1/auth/reset-password',
+        'POST /api/v1/auth/verify-email',
+        'POST /api/v1/auth/resend-verification',
+        'POST /api/v1/auth/mfa/verify',
+        'POST /api/v1/auth/mfa/setup',
+        'POST /api/v1/auth/mfa/confirm',
+        'POST /api/v1/auth/mfa/disable',
       ],
       users: [
         'GET /api/v1/users/profile',
@@ -189,20 +208,63 @@ function notFoundHandler(req, res) {
         'GET /api/v1/users/stats',
         'PUT /api/v1/users/password',
         'DELETE /api/v1/users/account',
+        'GET /api/v1/users/sessions',
+        'DELETE /api/v1/users/sessions',
+        'DELETE /api/v1/users/sessions/:sessionId',
+        'GET /api/v1/users/tokens',
+        'POST /api/v1/users/tokens',
+        'DELETE /api/v1/users/tokens/:tokenId',
       ],
       groups: [
         'POST /api/v1/groups',
         'GET /api/v1/groups',
         'GET /api/v1/groups/:groupId',
         'POST /api/v1/groups/:groupId/join',
-        'POST /api/v1/groups/:groupId/leave',
+        'DELETE /api/v1/groups/:groupId/leave',
+        'PATCH /api/v1/groups/:groupId',
+        'DELETE /api/v1/groups/:groupId',
+        'POST /api/v1/groups/:groupId/archive',
+        'POST /api/v1/groups/:groupId/unarchive',
+        'GET /api/v1/groups/:groupId/members',
+        'GET /api/v1/groups/:groupId/join-requests',
+        'GET /api/v1/groups/:groupId/bans',
+        'POST /api/v1/groups/:groupId/members/:userId/actions',
+        'PUT /api/v1/groups/:groupId/members/:userId/role',
+        'DELETE /api/v1/groups/:groupId/members/:userId',
+        'POST /api/v1/groups/:groupId/transfer-ownership',
+        'POST /api/v1/groups/:groupId/invites',
+        'GET /api/v1/groups/:groupId/invites',
+        'DELETE /api/v1/groups/:groupId/invites/:inviteId',
+        'POST /api/v1/groups/:groupId/invitations',
+        'GET /api/v1/groups/invites/:code',
+        'POST /api/v1/groups/invites/:code/accept',
+        'GET /api/v1/groups/invitations',
+        'POST /api/v1/groups/invitations/:invitationId/accept',
+        'POST /api/v1/groups/invitations/:invitationId/decline',
       ],
       messages: [
         'POST /api/v1/groups/:groupId/messages',
         'GET /api/v1/groups/:groupId/messages',
         'GET /api/v1/messages/:messageId',
+        'PUT /api/v1/messages/:messageId',
+        'PATCH /api/v1/messages/:messageId',
+        'GET /api/v1/messages/:messageId/history',
+        'GET /api/v1/messages/:messageId/thread',
+        'POST /api/v1/messages/:messageId/reactions',
+        'DELETE /api/v1/messages/:messageId/reactions/:emoji',
+        'GET /api/v1/groups/:groupId/pins',
+        'POST /api/v1/messages/:messageId/pin',
+        'DELETE /api/v1/messages/:messageId/pin',
         'DELETE /api/v1/messages/:messageId',
       ],
+      admin: [
+        'GET /api/v1/admin/users',
+        'POST /api/v1/admin/users/:userId/suspend',
+        'POST /api/v1/admin/users/:userId/unsuspend',
+        'PUT /api/v1/admin/users/:userId/role',
+        'DELETE /api/v1/admin/groups/:groupId',
+        'GET /api/v1/admin/stats',
+      ],
     },
   };
 
@@ -0,0 +1,127 @@
+/**
+ * Migration: move group members into the Membership collection
+ *
+ * Groups used to embed their members in a `members` array, which capped how
+ * large a group could grow. This copies every entry into its own Membership
+ * document, stores the active member count on the group and removes the array.
+ *
+ * The migration is safe to run more than once: existing Membership documents
+ * are left untouched and groups without a `members` array are skipped.
+ *
+ * Usage: npm run migrate:memberships
+ */
+
+const database = require('../config/database');
+const Group = require('../models/Group');
+const Membership = require('../models/Membership');
+const { GROUP_ROLES } = require('../utils/groupRoles');
+const logger = require('../utils/logger');
+
+// Fields copied from each embedded entry, when present
+const MEMBER_FIELDS = [
+  'status',
+  'role',
+  'joinedAt',
+  'lastBannedAt',
+  'banReason',
+  'banExpiresAt',
+  'bannedBy',
+  'lastMessageAt',
+];
+
+/**
+ * Copy one group's embedded members into Membership documents
+ *
+ * @param {Object} group - The raw group document, read without the schema
+ * @returns {number} The number of Membership documents created
+ */
+async function migrateGroup(group) {
+  const ownerId = group.owner.toString();
+  const entries = group.members.filter(member => member && member.user);
+
+  // The owner was always kept as an active member by the old schema
+  if (!entries.some(member => member.user.toString() === ownerId)) {
+    entries.push({ user: group.owner, status: 'active', joinedAt: group.createdAt });
+  }
+
+  const operations = entries.map(member => {
+    const isOwner = member.user.toString() === ownerId;
+    const fields = { group: group._id, user: member.user };
+
+    MEMBER_FIELDS.forEach(field => {
+      if (member[field] !== undefined) {
+        fields[field] = member[field];
+      }
+    });
+
+    // Timed bans are marked by their duration, so they don't get the rejoin cooldown on top
+    if (member.lastBannedAt && member.banExpiresAt) {
+      fields.banDurationHours = (member.banExpiresAt - member.lastBannedAt) / (60 * 60 * 1000);
+    }
+
+    if (isOwner) {
+      fields.status = 'active';
+      fields.role = GROUP_ROLES.OWNER;
+    } else if (fields.role === GROUP_ROLES.OWNER) {
+      fields.role = GROUP_ROLES.ADMIN;
+    }
+
+    return {
+      updateOne: {
+        filter: { group: group._id, user: member.user },
+        update: { $setOnInsert: fields },
+        upsert: true,
+      },
+    };
+  });
+
+  const result = await Membership.bulkWrite(operations, { ordered: false });
+  const memberCount = await Membership.countDocuments({ group: group._id, status: 'active' });
+
+  // Read and written through the driver, as the schema no longer knows the array
+  await Group.collection.updateOne(
+    { _id: group._id },
+    { $set: { memberCount }, $unset: { members: '' } },
+  );
+
+  return result.upsertedCount;
+}
+
+/**
+ * Migrate every group that still embeds its members
+ *
+ * @returns {Object} The number of groups migrated and memberships created
+ */
+async function migrateMemberships() {
+  await Membership.init();
+
+  const cursor = Group.collection.find(
+    { members: { $exists: true } },
+    { projection: { owner: 1, members: 1, createdAt: 1 } },
+  );
+
+  let groups = 0;
+  let memberships = 0;
+
+  for await (const group of cursor) {
+    memberships += await migrateGroup(group);
+    groups += 1;
+  }
+
+  logger.info('Membership migration complete:', { groups, memberships });
+
+  return { groups, memberships };
+}
+
+if (require.main === module) {
+  database.connect()
+    .then(migrateMemberships)
+    .then(() => database.disconnect())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Membership migration failed:', { message: error.message, stack: error.stack });
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateMemberships };
@@ -29,34 +29,39 @@ const groupSchema = new mongoose.Schema({
     required: [true, 'Group owner is required'],
   },
 
-  members: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    status: {
-      type: String,
-      enum: ['active', 'pending', 'banned'],
-      default: 'active',
-    },
-    joinedAt: {
-      type: Date,
-      default: Date.now,
-    },
-    lastBannedAt: {
-      type: Date,
-    },
-    banReason: {
+  // Active members, kept in step with the Membership collection so the
+  // member limit can be enforced with a single conditional update
+  memberCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Member count cannot be negative'],
+  },
+
+  // Pinned messages, kept in step with Message.pinnedAt so the cap in
+  // settings.maxPinnedMessages can be enforced with a single conditional update
+  pinnedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Pinned count cannot be negative'],
+  },
+
+  tags: {
+    type: [{
       type: String,
-      maxlength: [200, 'Ban reason cannot exceed 200 characters'],
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters'],
+    }],
+    validate: {
+      validator: tags => tags.length <= 10,
+      message: 'A group cannot have more than 10 tags',
     },
-  }],
+  },
 
   memberLimit: {
     type: Number,
     min: [2, 'Group must allow at least 2 members'],
-    max: [1000, 'Group cannot exceed 1000 members'],
+    max: [100000, 'Group cannot exceed 100000 members'],
     default: 100,
   },
 
@@ -76,6 +81,43 @@ const groupSchema = new mongoose.Schema({
       default: 48,
       min: [0, 'Cooldown period cannot be negative'],
     },
+    // Only owners and admins can post
+    announcementMode: {
+      type: Boolean,
+      default: false,
+    },
+    slowModeSeconds: {
+      type: Number, // minimum gap between a member's messages, 0 turns slow mode off
+      default: 0,
+      min: [0, 'Slow mode interval cannot be negative'],
+      max: [21600, 'Slow mode interval cannot exceed 6 hours'],
+    },
+    editWindowMinutes: {
+      type: Number, // how long senders can edit a message, 0 turns editing off
+      default: 15,
+      min: [0, 'Edit window cannot be negative'],
+      max: [1440, 'Edit window cannot exceed 24 hours'],
+    },
+    maxPinnedMessages: {
+      type: Number,
+      default: 25,
+      min: [1, 'Group must allow at least 1 pinned message'],
+      max: [100, 'Group cannot pin more than 100 messages'],
+    },
+  },
+
+  // Archived groups are read-only; they are deleted for good at purgeAt, if set
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  purgeAt: {
+    type: Date,
+    default: null,
   },
 
   stats: {
@@ -104,160 +146,77 @@ const groupSchema = new mongoose.Schema({
 groupSchema.index({ name: 1 });
 groupSchema.index({ type: 1 });
 groupSchema.index({ owner: 1 });
-groupSchema.index({ 'members.user': 1 });
 groupSchema.index({ createdAt: -1 });
-
-// Virtual for member count
-groupSchema.virtual('memberCount').get(function() {
-  return this.members.filter(member => member.status === 'active').length;
-});
-
-// Virtual for pending member count
-groupSchema.virtual('pendingMemberCount').get(function() {
-  return this.members.filter(member => member.status === 'pending').length;
-});
-
-// Instance method to check if user is a member
-groupSchema.methods.isMember = function(userId) {
-  return this.members.some(member =>
-    member.user.toString() === userId.toString() &&
-    member.status === 'active',
-  );
-};
-
-// Instance method to check if user is owner
-groupSchema.methods.isOwner = function(userId) {
-  return this.owner.toString() === userId.toString();
-};
-
-// Instance method to check if user is banned
-groupSchema.methods.isBanned = function(userId) {
-  const member = this.members.find(member =>
-    member.user.toString() === userId.toString(),
-  );
-  return member ? member.status === 'banned' : false;
-};
-
-// Instance method to check if user has pending request
-groupSchema.methods.hasPendingRequest = function(userId) {
-  return this.members.some(member =>
-    member.user.toString() === userId.toString() &&
-    member.status === 'pending',
+groupSchema.index({ tags: 1 });
+groupSchema.index({ 'stats.lastActivity': -1 });
+groupSchema.index({ purgeAt: 1 }, { partialFilterExpression: { purgeAt: { $type: 'date' } } });
+groupSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+
+// Static method to take a place in an unarchived group that has fewer active
+// members than its limit, in one conditional update so concurrent joins can't
+// overfill it. Resolves to the updated group, or null if nothing matched.
+groupSchema.statics.reserveMemberSlot = function(groupId) {
+  return this.findOneAndUpdate(
+    {
+      _id: groupId,
+      archivedAt: null,
+      $expr: { $lt: ['$memberCount', '$memberLimit'] },
+    },
+    { $inc: { memberCount: 1 }, $set: { 'stats.lastActivity': new Date() } },
+    { new: true },
   );
 };
 
-// Instance method to check cooldown period for banned user
-groupSchema.methods.isInCooldownPeriod = function(userId) {
-  const member = this.members.find(member =>
-    member.user.toString() === userId.toString() &&
-    member.status === 'banned',
+// Static method to give back places when active members leave
+groupSchema.statics.releaseMemberSlots = function(groupId, count = 1) {
+  return this.findOneAndUpdate(
+    { _id: groupId },
+    { $inc: { memberCount: -count }, $set: { 'stats.lastActivity': new Date() } },
+    { new: true },
   );
-
-  if (!member || !member.lastBannedAt) {
-    return false;
-  }
-
-  const cooldownMs = this.settings.cooldownPeriod * 60 * 60 * 1000; // Convert hours to milliseconds
-  const timeSinceBan = Date.now() - member.lastBannedAt.getTime();
-
-  return timeSinceBan < cooldownMs;
 };
 
-// Instance method to get member details
-groupSchema.methods.getMember = function(userId) {
-  return this.members.find(member =>
-    member.user.toString() === userId.toString(),
+// Static method to take a pin slot in an unarchived group that has fewer pinned
+// messages than its cap. Resolves to the updated group, or null if nothing matched.
+groupSchema.statics.reservePinSlot = function(groupId) {
+  return this.findOneAndUpdate(
+    {
+      _id: groupId,
+      archivedAt: null,
+      $expr: { $lt: ['$pinnedCount', { $ifNull: ['$settings.maxPinnedMessages', 25] }] },
+    },
+    { $inc: { pinnedCount: 1 } },
+    { new: true },
   );
 };
 
-// Instance method to add member
-groupSchema.methods.addMember = function(userId, status = 'active') {
-  // Check if user is already a member
-  const existingMember = this.members.find(member =>
-    member.user.toString() === userId.toString(),
+// Static method to give back a pin slot when a message is unpinned or deleted
+groupSchema.statics.releasePinSlot = function(groupId) {
+  return this.findOneAndUpdate(
+    { _id: groupId, pinnedCount: { $gt: 0 } },
+    { $inc: { pinnedCount: -1 } },
+    { new: true },
   );
-
-  if (existingMember) {
-    // Update existing member status
-    existingMember.status = status;
-    existingMember.joinedAt = new Date();
-    if (status === 'banned') {
-      existingMember.lastBannedAt = new Date();
-    }
-  } else {
-    // Add new member
-    this.members.push({
-      user: userId,
-      status: status,
-      joinedAt: new Date(),
-      lastBannedAt: status === 'banned' ? new Date() : undefined,
-    });
-  }
-
-  return this.save();
 };
 
-// Instance method to remove member
-groupSchema.methods.removeMember = function(userId) {
-  this.members = this.members.filter(member =>
-    member.user.toString() !== userId.toString(),
-  );
-  return this.save();
+// Instance method to check if the group is archived (read-only)
+groupSchema.methods.isArchived = function() {
+  return Boolean(this.archivedAt);
 };
 
-// Instance method to ban member
-groupSchema.methods.banMember = function(userId, reason = '') {
-  const member = this.members.find(member =>
-    member.user.toString() === userId.toString(),
-  );
-
-  if (member) {
-    member.status = 'banned';
-    member.lastBannedAt = new Date();
-    member.banReason = reason;
-  }
-
-  return this.save();
+// Instance method to check if user is owner
+groupSchema.methods.isOwner = function(userId) {
+  return this.owner.toString() === userId.toString();
 };
 
-// Instance method to approve pending member
-groupSchema.methods.approveMember = function(userId) {
-  const member = this.members.find(member =>
-    member.user.toString() === userId.toString() &&
-    member.status === 'pending',
-  );
-
-  if (member) {
-    member.status = 'active';
-    member.joinedAt = new Date();
-  }
-
-  return this.save();
+// Instance method to check if the group has room for another active member
+groupSchema.methods.hasRoom = function() {
+  return this.memberCount < this.memberLimit;
 };
 
-// Pre-save middleware to ensure owner is always an active member
-groupSchema.pre('save', function(next) {
-  // Ensure owner is in members array with active status
-  const ownerMember = this.members.find(member =>
-    member.user.toString() === this.owner.toString(),
-  );
-
-  if (!ownerMember) {
-    this.members.unshift({
-      user: this.owner,
-      status: 'active',
-      joinedAt: this.createdAt || new Date(),
-    });
-  } else if (ownerMember.status !== 'active') {
-    ownerMember.status = 'active';
-  }
-
-  next();
-});
-
 // Pre-save middleware to update last activity
 groupSchema.pre('save', function(next) {
-  if (this.isModified('members') || this.isModified('stats.totalMessages')) {
+  if (this.isModified('stats.totalMessages')) {
     this.stats.lastActivity = new Date();
   }
   next();
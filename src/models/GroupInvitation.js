@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const groupInvitationSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required'],
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required'],
+  },
+
+  // Invitations are addressed by email so people can be invited before they register
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending',
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invitation expiry is required'],
+  },
+
+  respondedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// One open invitation per group and address
+groupInvitationSchema.index(
+  { group: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } },
+);
+groupInvitationSchema.index({ email: 1, status: 1 });
+
+// Instance method to check if the invitation can still be answered
+groupInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt.getTime() > Date.now();
+};
+
+groupInvitationSchema.methods.toJSON = function() {
+  const invitationObject = this.toObject();
+  delete invitationObject.__v;
+  return invitationObject;
+};
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const groupInviteLinkSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required'],
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invite creator is required'],
+  },
+
+  // SHA-256 hash of the invite code; the raw value is only shown once, on creation
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required'],
+    unique: true,
+  },
+
+  // First characters of the code, so members can tell their links apart
+  codePrefix: {
+    type: String,
+    required: true,
+  },
+
+  // Null for links that never expire
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Null for links without a usage limit
+  maxUses: {
+    type: Number,
+    min: [1, 'Invite links must allow at least one use'],
+    default: null,
+  },
+
+  uses: {
+    type: Number,
+    default: 0,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+groupInviteLinkSchema.index({ group: 1, revokedAt: 1 });
+
+// Instance method to check if the link can still be used to join
+groupInviteLinkSchema.methods.isUsable = function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt.getTime() > Date.now()) &&
+    (this.maxUses === null || this.uses < this.maxUses);
+};
+
+// Static method to atomically take one use of a usable link
+groupInviteLinkSchema.statics.consume = function(codeHash) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      codeHash,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true },
+  );
+};
+
+groupInviteLinkSchema.methods.toJSON = function() {
+  const inviteObject = this.toObject();
+  delete inviteObject.codeHash;
+  delete inviteObject.__v;
+  return inviteObject;
+};
+
+module.exports = mongoose.model('GroupInviteLink', groupInviteLinkSchema);
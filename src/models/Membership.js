@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const {
+  GROUP_ROLES,
+  ALL_GROUP_ROLES,
+  outranksInGroup,
+  roleHasPermission,
+} = require('../utils/groupRoles');
+
+// One document per user and group, so membership doesn't grow the group document
+const membershipSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required'],
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'pending', 'banned'],
+    default: 'active',
+  },
+
+  role: {
+    type: String,
+    enum: ALL_GROUP_ROLES,
+    default: GROUP_ROLES.MEMBER,
+  },
+
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  lastBannedAt: {
+    type: Date,
+  },
+
+  banReason: {
+    type: String,
+    maxlength: [200, 'Ban reason cannot exceed 200 characters'],
+  },
+
+  banExpiresAt: {
+    type: Date, // null for bans that last until lifted
+    default: null,
+  },
+
+  // Kept after the ban ends so timed bans can be told apart from lifted ones
+  banDurationHours: {
+    type: Number, // null for bans that last until lifted
+    default: null,
+  },
+
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  lastMessageAt: {
+    type: Date, // used to enforce slow mode
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+membershipSchema.index({ group: 1, user: 1 }, { unique: true });
+// The groups a user belongs to
+membershipSchema.index({ user: 1, status: 1 });
+// Member listings, join requests and bans of a group, in join order
+membershipSchema.index({ group: 1, status: 1, joinedAt: 1 });
+
+// Static method to find a user's membership entry in a group, whatever its status
+membershipSchema.statics.findEntry = function(groupId, userId) {
+  return this.findOne({ group: groupId, user: userId });
+};
+
+// Static method to check if a user is an active member of a group
+membershipSchema.statics.isActiveMember = async function(groupId, userId) {
+  return Boolean(await this.exists({ group: groupId, user: userId, status: 'active' }));
+};
+
+// Instance method to check if the entry is an active membership
+membershipSchema.methods.isActive = function() {
+  return this.status === 'active';
+};
+
+// Instance method to check if the user is banned (timed bans stop counting once they expire)
+membershipSchema.methods.isBanned = function() {
+  if (this.status !== 'banned') {
+    return false;
+  }
+
+  return !this.banExpiresAt || this.banExpiresAt.getTime() > Date.now();
+};
+
+// Instance method to get when a banned user may join again (null if they are not locked out).
+// Timed bans end with the ban; the cooldown only follows bans that lasted until lifted.
+membershipSchema.methods.getBanLockoutEnd = function(cooldownHours) {
+  if (this.status !== 'banned') {
+    return null;
+  }
+
+  if (this.isBanned() && !this.banExpiresAt) {
+    return Infinity;
+  }
+
+  const cooldownEnd = this.lastBannedAt && !this.banDurationHours
+    ? this.lastBannedAt.getTime() + cooldownHours * 60 * 60 * 1000
+    : 0;
+  const banEnd = this.banExpiresAt ? this.banExpiresAt.getTime() : 0;
+  const lockoutEnd = Math.max(cooldownEnd, banEnd);
+
+  return lockoutEnd > Date.now() ? lockoutEnd : null;
+};
+
+// Instance method to check if an active member's role grants a permission
+membershipSchema.methods.hasPermission = function(permission) {
+  return this.isActive() && roleHasPermission(this.role, permission);
+};
+
+// Instance method to check if the member may use a permission on another user's
+// entry (users who are not active members rank as plain members)
+membershipSchema.methods.canModerate = function(target, permission) {
+  if ((target && target.user.toString() === this.user.toString()) || !this.hasPermission(permission)) {
+    return false;
+  }
+
+  const targetRole = target && target.isActive() ? target.role : GROUP_ROLES.MEMBER;
+  return outranksInGroup(this.role, targetRole);
+};
+
+membershipSchema.methods.toJSON = function() {
+  const membershipObject = this.toObject();
+  delete membershipObject.__v;
+  return membershipObject;
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
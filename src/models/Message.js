@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GROUP_PERMISSIONS } = require('../utils/groupRoles');
 
 const messageSchema = new mongoose.Schema({
   content: {
@@ -48,10 +49,47 @@ const messageSchema = new mongoose.Schema({
     editedAt: {
       type: Date,
     },
+    // Replies point at the first message of their thread
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message',
     },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reply count cannot be negative'],
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null,
+    },
+    // Members mentioned by name or with @here; @all is only flagged as it can be the whole group
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    mentionsAll: {
+      type: Boolean,
+      default: false,
+    },
+    // System messages: what happened and the message it happened to
+    systemEvent: {
+      type: String,
+      enum: ['message:pinned', 'message:unpinned'],
+    },
+    relatedMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+  },
+
+  // Set while the message is pinned to its group
+  pinnedAt: {
+    type: Date,
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   },
 
   encryption: {
@@ -68,19 +106,69 @@ const messageSchema = new mongoose.Schema({
       default: 1,
     },
   },
+
+  // Number of reactions per emoji; who reacted is kept in the Reaction collection
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+
+  // Earlier versions of the content, oldest first, encrypted like the current one.
+  // Not loaded unless selected with '+editHistory'
+  editHistory: {
+    type: [{
+      _id: false,
+      encryptedContent: {
+        type: String,
+        required: true,
+      },
+      encryption: {
+        iv: {
+          type: String,
+          required: true,
+        },
+        algorithm: {
+          type: String,
+          default: 'aes-128-cbc',
+        },
+        keyVersion: {
+          type: Number,
+          default: 1,
+        },
+      },
+      // When this version was replaced
+      editedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    select: false,
+  },
 }, {
   timestamps: true,
   toJSON: {
     virtuals: true,
     transform: function(doc, ret) {
-      // Remove encryption details from JSON output
+      // Remove encryption details and earlier versions from JSON output
       delete ret.encryptedContent;
       delete ret.encryption;
+      delete ret.editHistory;
+      delete ret.reactionCounts;
       delete ret.__v;
       return ret;
     },
   },
-  toObject: { virtuals: true },
+  toObject: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      // Earlier versions are only returned through the edit history, and
+      // reactions are summarized per user by the reaction service
+      delete ret.editHistory;
+      delete ret.reactionCounts;
+      return ret;
+    },
+  },
 });
 
 // Indexes for performance
@@ -89,6 +177,8 @@ messageSchema.index({ sender: 1, createdAt: -1 }); // For user's message history
 messageSchema.index({ group: 1, sender: 1 }); // For group member message lookup
 messageSchema.index({ createdAt: -1 }); // For general message sorting
 messageSchema.index({ 'metadata.clientId': 1 }); // For client-side message tracking
+messageSchema.index({ 'metadata.replyTo': 1, createdAt: 1 }); // For listing a thread's replies
+messageSchema.index({ group: 1, pinnedAt: -1 }, { partialFilterExpression: { pinnedAt: { $exists: true } } }); // For listing a group's pins
 
 // Virtual for message age
 messageSchema.virtual('age').get(function() {
@@ -100,7 +190,8 @@ messageSchema.virtual('formattedTime').get(function() {
   return this.createdAt.toISOString();
 });
 
-// Instance method to check if user can edit this message
+// Instance method to check if user can edit this message, timeLimit comes from
+// the group's settings.editWindowMinutes
 messageSchema.methods.canEdit = function(userId, timeLimit = 15 * 60 * 1000) { // 15 minutes default
   // Only sender can edit
   if (this.sender.toString() !== userId.toString()) {
@@ -117,15 +208,16 @@ messageSchema.methods.canEdit = function(userId, timeLimit = 15 * 60 * 1000) { /
   return timeSinceCreation < timeLimit;
 };
 
-// Instance method to check if user can delete this message
-messageSchema.methods.canDelete = function(userId, isGroupOwner = false) {
+// Instance method to check if user can delete this message, given the user's
+// and the sender's membership entries in the group
+messageSchema.methods.canDelete = function(userId, membership = null, senderMembership = null) {
   // Sender can always delete their own messages
   if (this.sender.toString() === userId.toString()) {
     return true;
   }
 
-  // Group owners can delete any message in their group
-  return isGroupOwner;
+  // Group staff can delete messages from members ranked below them
+  return Boolean(membership) && membership.canModerate(senderMembership, GROUP_PERMISSIONS.DELETE_MESSAGES);
 };
 
 // Instance method to mark message as edited
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required'],
+  },
+
+  // SHA-256 hash of the token sent by email; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required'],
+  },
+
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Expired tokens are removed automatically
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ user: 1 });
+
+// Static method to atomically consume a valid token (single use)
+passwordResetTokenSchema.statics.consume = function(tokenHash) {
+  return this.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
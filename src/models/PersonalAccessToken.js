@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { ALL_SCOPES } = require('../utils/scopes');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required'],
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    minlength: [1, 'Token name cannot be empty'],
+    maxlength: [100, 'Token name cannot exceed 100 characters'],
+  },
+
+  // SHA-256 hash of the token; the raw value is only shown once, on creation
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: ALL_SCOPES,
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required',
+    },
+  },
+
+  // Null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Instance method to check if token can still be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt.getTime() > Date.now());
+};
+
+personalAccessTokenSchema.methods.toJSON = function() {
+  const tokenObject = this.toObject();
+  delete tokenObject.tokenHash;
+  delete tokenObject.__v;
+  return tokenObject;
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
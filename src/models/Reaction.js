@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One document per user, message and emoji; the message keeps the counts
+const reactionSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: [true, 'Message is required'],
+  },
+
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required'],
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  emoji: {
+    type: String,
+    required: [true, 'Emoji is required'],
+    maxlength: [32, 'Emoji cannot exceed 32 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+// A user can react with each emoji once per message
+reactionSchema.index({ message: 1, user: 1, emoji: 1 }, { unique: true });
+// Removing the reactions of a deleted group
+reactionSchema.index({ group: 1 });
+
+reactionSchema.methods.toJSON = function() {
+  const reactionObject = this.toObject();
+  delete reactionObject.__v;
+  return reactionObject;
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required'],
+  },
+
+  // SHA-256 hash of the opaque token; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+
+  // All tokens produced by rotating the same login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required'],
+  },
+
+  // Set when the token is exchanged for a new one; using it again is a reuse
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'password_reset', 'session_revoked'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Expired tokens are removed automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Instance method to check if token can still be exchanged
+refreshTokenSchema.methods.isActive = function() {
+  return !this.rotatedAt && !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+// Static method to revoke every token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  // The token's `jti` claim, or a hash of the raw token for tokens issued without one
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true,
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required'],
+  },
+
+  reason: {
+    type: String,
+    enum: ['logout', 'mfa_challenge'],
+    default: 'logout',
+  },
+
+  // When the token itself expires; the entry is useless after that
+  expiresAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB drop entries once the revoked token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+revokedTokenSchema.index({ user: 1 });
+
+// Static method to revoke a token (idempotent)
+revokedTokenSchema.statics.revoke = function({ jti, userId, expiresAt, reason = 'logout' }) {
+  return this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: userId, expiresAt, reason } },
+    { upsert: true },
+  );
+};
+
+// Static method to check if a token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
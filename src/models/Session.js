@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session owner is required'],
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: 512,
+    default: null,
+  },
+
+  // Client IP as resolved by Express (honours `trust proxy`)
+  ip: {
+    type: String,
+    default: null,
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  lastSeenIp: {
+    type: String,
+    default: null,
+  },
+
+  // Live Socket.io connections authenticated with this session's tokens
+  sockets: [{
+    _id: false,
+    socketId: {
+      type: String,
+      required: true,
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+
+  // Follows the refresh token expiry; the session is removed once it can no longer be refreshed
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required'],
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_others', 'password_reset', 'reuse_detected', 'account_deleted', 'suspended'],
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.__v;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
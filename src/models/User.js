@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const validator = require('validator');
+const { ROLES, ALL_ROLES } = require('../utils/roles');
+
+// Value encrypted with utils/encryption.js
+const encryptedValueSchema = new mongoose.Schema({
+  encryptedContent: { type: String, required: true },
+  iv: { type: String, required: true },
+  algorithm: { type: String, required: true },
+  keyVersion: { type: Number, default: 1 },
+}, { _id: false });
+
+// One-time recovery code; only the SHA-256 hash is stored
+const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true },
+  usedAt: { type: Date, default: null },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -28,6 +43,98 @@ const userSchema = new mongoose.Schema({
       message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
     },
   },
+
+  role: {
+    type: String,
+    enum: ALL_ROLES,
+    default: ROLES.USER,
+  },
+
+  // Suspended accounts can't log in and their tokens are refused
+  suspendedAt: {
+    type: Date,
+    default: null,
+  },
+
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+    default: null,
+  },
+
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Access tokens issued before this moment are no longer accepted (set by password reset)
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Consecutive failed logins since the last successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+
+  lastFailedLoginAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Logins are refused until this moment
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+
+  // TOTP two-factor authentication; secrets are never selected unless asked for
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+    secret: {
+      type: encryptedValueSchema,
+      default: null,
+      select: false,
+    },
+    // Secret generated by setup, waiting for the confirm step
+    pendingSecret: {
+      type: encryptedValueSchema,
+      default: null,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [recoveryCodeSchema],
+      default: undefined,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+  },
 }, {
   timestamps: true,
   collection: 'users',
@@ -60,9 +167,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+userSchema.methods.isSuspended = function() {
+  return !!this.suspendedAt;
+};
+
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordChangedAt;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockUntil;
+
+  if (userObject.mfa) {
+    userObject.mfa = {
+      enabled: userObject.mfa.enabled,
+      enabledAt: userObject.mfa.enabledAt,
+    };
+  }
   delete userObject.__v;
   return userObject;
 };
@@ -99,6 +225,8 @@ userSchema.post('save', function(error, doc, next) {
 
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ createdAt: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ suspendedAt: 1 });
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,112 @@
+/**
+ * Realtime Broadcaster
+ *
+ * Lets services push events to connected sockets without holding a
+ * reference to the Socket.io server. The server registers itself in the
+ * container as 'io' when it is initialized; until then every call is a no-op.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the broadcaster with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The broadcaster methods
+ */
+module.exports = function(container) {
+
+  /**
+   * Get the Socket.io server if it has been initialized
+   *
+   * @returns {Object|null} Socket.io server instance
+   */
+  function getServer() {
+    return container.has('io') ? container.get('io') : null;
+  }
+
+  /**
+   * Emit an event to every socket in a room
+   *
+   * @param {string} room - Room name (e.g. `group:<id>`)
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  function emitToRoom(room, event, payload) {
+    const io = getServer();
+    if (!io) {
+      return;
+    }
+
+    try {
+      io.to(room).emit(event, payload);
+    } catch (error) {
+      logger.error('Error broadcasting realtime event:', { message: error.message, room, event });
+    }
+  }
+
+  /**
+   * Forcefully disconnect every socket in a room
+   *
+   * @param {string} room - Room name (e.g. `token:<jti>`)
+   */
+  function disconnectRoom(room) {
+    const io = getServer();
+    if (!io) {
+      return;
+    }
+
+    try {
+      io.in(room).disconnectSockets(true);
+    } catch (error) {
+      logger.error('Error disconnecting sockets:', { message: error.message, room });
+    }
+  }
+
+  /**
+   * Make every socket in one room leave another room
+   *
+   * @param {string} room - Room whose sockets should leave (e.g. `user:<id>`)
+   * @param {string} target - Room to leave (e.g. `group:<id>`)
+   */
+  function leaveRoom(room, target) {
+    const io = getServer();
+    if (!io) {
+      return;
+    }
+
+    try {
+      io.in(room).socketsLeave(target);
+    } catch (error) {
+      logger.error('Error removing sockets from room:', { message: error.message, room, target });
+    }
+  }
+
+  /**
+   * List the users with a socket in a room
+   *
+   * @param {string} room - Room name (e.g. `group:<id>`)
+   * @returns {Promise<Array<string>>} Distinct user IDs, empty if the server isn't running
+   */
+  async function getRoomUserIds(room) {
+    const io = getServer();
+    if (!io) {
+      return [];
+    }
+
+    try {
+      const sockets = await io.in(room).fetchSockets();
+      return [...new Set(sockets.map(socket => socket.user?.userId).filter(Boolean))];
+    } catch (error) {
+      logger.error('Error listing sockets in room:', { message: error.message, room });
+      return [];
+    }
+  }
+
+  return {
+    emitToRoom,
+    getRoomUserIds,
+    disconnectRoom,
+    leaveRoom,
+  };
+};
@@ -18,18 +18,17 @@ const logger = require('../../utils/logger');
 module.exports = function createMessageHandlers(io, socket) {
   // Get services from the container
   const messageService = container.get('messageService');
-  const {
-    NotFoundError,
-    ValidationError,
-    AuthorizationError,
-  } = container.get('errorUtils');
+  const reactionService = container.get('reactionService');
+  const { validateData, reactionValidation } = container.get('validationUtils');
+  const Membership = container.get('membershipModel');
+  const { NotFoundError } = container.get('errorUtils');
 
   /**
    * Handler for sending messages
    */
   const handleSendMessage = async (data, callback) => {
     try {
-      const { groupId, content } = data;
+      const { groupId, content, replyTo } = data;
       const userId = socket.user.userId;
 
       if (!groupId || !content) {
@@ -42,16 +41,10 @@ module.exports = function createMessageHandlers(io, socket) {
 
       // Check group membership before sending message
       try {
-        // First get the group to check membership
-        const group = await container.get('groupService').getGroupById(groupId);
-        
-        // Check if user is a member
-        const isMember = group.members.some(member => 
-          member.user.toString() === userId && 
-          member.status === 'active'
-        );
-        
-        if (!isMember) {
+        // First make sure the group exists
+        await container.get('groupService').getGroupById(groupId);
+
+        if (!(await Membership.isActiveMember(groupId, userId))) {
           return callback({
             success: false,
             message: 'You are not a member of this group',
@@ -60,7 +53,7 @@ module.exports = function createMessageHandlers(io, socket) {
         }
         
         // User is a member, proceed with sending the message
-        const message = await messageService.sendMessage(userId, groupId, content);
+        const message = await messageService.sendMessage(userId, groupId, content, { replyTo });
 
         // Emit the message to the group room
         socket.to(`group:${groupId}`).emit('message:new', {
@@ -89,6 +82,80 @@ module.exports = function createMessageHandlers(io, socket) {
     }
   };
 
+  /**
+   * Handler for editing messages
+   * The message service broadcasts `message:updated` to the group room
+   */
+  const handleEditMessage = async (data, callback) => {
+    try {
+      const { messageId, content } = data || {};
+      const userId = socket.user.userId;
+
+      if (!messageId || !content) {
+        return callback({
+          success: false,
+          message: 'Message ID and message content are required',
+          error: 'INVALID_INPUT',
+        });
+      }
+
+      const message = await messageService.updateMessage(userId, messageId, content);
+
+      callback({
+        success: true,
+        message: 'Message updated successfully',
+        data: message,
+      });
+    } catch (error) {
+      handleError(error, 'Error editing message', callback);
+    }
+  };
+
+  /**
+   * Create a handler for adding or removing reactions
+   * The reaction service broadcasts the change to the group room
+   *
+   * @param {string} action - 'addReaction' or 'removeReaction'
+   * @param {string} successMessage - Message returned to the sender
+   * @returns {Function} Socket event handler
+   */
+  const createReactionHandler = (action, successMessage) => async (data, callback) => {
+    try {
+      const { messageId, emoji } = data || {};
+      const userId = socket.user.userId;
+
+      if (!messageId || !emoji) {
+        return callback({
+          success: false,
+          message: 'Message ID and emoji are required',
+          error: 'INVALID_INPUT',
+        });
+      }
+
+      const { error, value } = validateData({ emoji }, reactionValidation);
+      if (error) {
+        return callback({
+          success: false,
+          message: error.details[0].message,
+          error: 'VALIDATION_ERROR',
+        });
+      }
+
+      const reaction = await reactionService[action](userId, messageId, value.emoji);
+
+      callback({
+        success: true,
+        message: successMessage,
+        data: reaction,
+      });
+    } catch (error) {
+      handleError(error, 'Error updating reaction', callback);
+    }
+  };
+
+  const handleAddReaction = createReactionHandler('addReaction', 'Reaction added successfully');
+  const handleRemoveReaction = createReactionHandler('removeReaction', 'Reaction removed successfully');
+
   /**
    * Handler for typing indicators
    */
@@ -184,32 +251,18 @@ module.exports = function createMessageHandlers(io, socket) {
    * @param {Function} callback - Socket.io callback function
    */
   const handleError = (error, defaultMessage, callback) => {
-    logger.error(`${defaultMessage}:`, { message: error.message, stack: error.stack });
-
-    if (error instanceof NotFoundError) {
+    // Expected errors carry the same code the REST API returns
+    if (error.isOperational) {
       return callback({
         success: false,
         message: error.message,
-        error: error.code,
+        error: error.errorCode,
+        ...(error.errors && { details: error.errors }),
+        ...(error.retryAfter && { retryAfter: error.retryAfter }),
       });
     }
 
-    if (error instanceof ValidationError) {
-      return callback({
-        success: false,
-        message: error.message,
-        error: error.code,
-        details: error.details,
-      });
-    }
-
-    if (error instanceof AuthorizationError) {
-      return callback({
-        success: false,
-        message: error.message,
-        error: error.code,
-      });
-    }
+    logger.error(`${defaultMessage}:`, { message: error.message, stack: error.stack });
 
     callback({
       success: false,
@@ -221,6 +274,9 @@ module.exports = function createMessageHandlers(io, socket) {
   // Return handlers
   return {
     handleSendMessage,
+    handleEditMessage,
+    handleAddReaction,
+    handleRemoveReaction,
     handleTypingStart,
     handleTypingStop,
     handleMessageRead,
@@ -22,6 +22,7 @@ const globalActiveUsers = new Map();
 module.exports = function createPresenceHandlers(io, socket) {
   // Get services from the container
   const groupService = container.get('groupService');
+  const Membership = container.get('membershipModel');
   const {
     NotFoundError,
     AuthorizationError,
@@ -46,22 +47,9 @@ module.exports = function createPresenceHandlers(io, socket) {
         });
       }
 
-        // Check if user is a member of the group
-        try {
-          const group = await groupService.getGroupById(groupId);
-
-          // Check if user is a member by checking the members array that contains objects with user field
-          const isMember = group.members.some(member => 
-            member.user.toString() === userId && 
-            member.status === 'active'
-          );
-
-          if (!isMember) {
-            throw new AuthorizationError(
-              'You are not a member of this group',
-              'NOT_GROUP_MEMBER',
-            );
-          }
+      // Check if user is an active, non-banned member of the group
+      try {
+        await groupService.assertCanJoinRoom(userId, groupId);
 
         // Join the group's socket.io room
         socket.join(`group:${groupId}`);
@@ -98,7 +86,7 @@ module.exports = function createPresenceHandlers(io, socket) {
           return callback({
             success: false,
             message: error.message,
-            error: error.code,
+            error: error.errorCode,
           });
         }
 
@@ -182,15 +170,9 @@ module.exports = function createPresenceHandlers(io, socket) {
 
       // Check if user is a member of the group
       try {
-        const group = await groupService.getGroupById(groupId);
-
-        // Check if user is a member by checking the members array that contains objects with user field
-        const isMember = group.members.some(member => 
-          member.user.toString() === userId && 
-          member.status === 'active'
-        );
+        await groupService.getGroupById(groupId);
 
-        if (!isMember) {
+        if (!(await Membership.isActiveMember(groupId, userId))) {
           throw new AuthorizationError(
             'You are not a member of this group',
             'NOT_GROUP_MEMBER',
@@ -225,7 +207,7 @@ module.exports = function createPresenceHandlers(io, socket) {
           return callback({
             success: false,
             message: error.message,
-            error: error.code,
+            error: error.errorCode,
           });
         }
 
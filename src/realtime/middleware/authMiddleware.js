@@ -14,7 +14,7 @@ const logger = require('../../utils/logger');
  * @returns {Function} Socket.io middleware function
  */
 module.exports = function createAuthMiddleware() {
-  const jwtUtils = container.get('jwtUtils');
+  const authService = container.get('authService');
   const { AuthenticationError } = container.get('errorUtils');
 
   /**
@@ -24,7 +24,7 @@ module.exports = function createAuthMiddleware() {
    * @param {Object} socket - Socket.io socket
    * @param {Function} next - Next middleware function
    */
-  return (socket, next) => {
+  return async (socket, next) => {
     try {
       // Get token from query parameters or auth header
       const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
@@ -34,22 +34,20 @@ module.exports = function createAuthMiddleware() {
       }
 
       try {
-        // Verify the token
-        const decoded = jwtUtils.verifyToken(token);
-
-        // Attach user data to socket
-        socket.user = {
-          userId: decoded.userId,
-          email: decoded.email,
-        };
-
-        // Continue to next middleware
-        next();
+        // Verify the token (including revocation) and attach user data to socket
+        socket.user = await authService.verifyAccessToken(token);
       } catch (error) {
-        // Invalid token
         logger.error('WebSocket auth error:', { message: error.message, stack: error.stack });
-        next(new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN'));
+
+        // Revoked tokens and suspended accounts keep their own message so clients know not to retry
+        if (['TOKEN_REVOKED', 'ACCOUNT_SUSPENDED'].includes(error.errorCode)) {
+          return next(error);
+        }
+        return next(new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN'));
       }
+
+      // Continue to next middleware
+      next();
     } catch (error) {
       // Unexpected error
       logger.error('WebSocket middleware error:', { message: error.message, stack: error.stack });
@@ -6,6 +6,7 @@
  */
 
 const { Server } = require('socket.io');
+const container = require('../container');
 const createAuthMiddleware = require('./middleware/authMiddleware');
 const createMessageHandlers = require('./handlers/messageHandlers');
 const createPresenceHandlers = require('./handlers/presenceHandlers');
@@ -28,6 +29,11 @@ function initializeSocketServer(httpServer) {
     path: '/ws', // Set WebSocket endpoint to /ws
   });
 
+  // Make the server available to services through the broadcaster
+  container.register('io', io);
+
+  const sessionService = container.get('sessionService');
+
   // Apply authentication middleware
   io.use(createAuthMiddleware());
 
@@ -35,6 +41,16 @@ function initializeSocketServer(httpServer) {
   io.on('connection', (socket) => {
     logger.info(`🔌 Socket connected: ${socket.id} (User: ${socket.user.email})`);
 
+    // Track the token and user of this socket so it can be dropped on logout or password reset
+    socket.join(`token:${socket.user.tokenId}`);
+    socket.join(`user:${socket.user.userId}`);
+
+    // Record the connection on the login session so revoking the session drops it
+    if (socket.user.sessionId) {
+      socket.join(`session:${socket.user.sessionId}`);
+      sessionService.attachSocket(socket.user.sessionId, socket.id);
+    }
+
     // Emit connect success event with user data
     socket.emit('connect:success', {
       userId: socket.user.userId,
@@ -49,6 +65,9 @@ function initializeSocketServer(httpServer) {
 
     // Set up message event handlers
     socket.on('message:send', messageHandlers.handleSendMessage);
+    socket.on('message:edit', messageHandlers.handleEditMessage);
+    socket.on('reaction:add', messageHandlers.handleAddReaction);
+    socket.on('reaction:remove', messageHandlers.handleRemoveReaction);
     socket.on('user:typing:start', messageHandlers.handleTypingStart);
     socket.on('user:typing:stop', messageHandlers.handleTypingStop);
     socket.on('message:read', messageHandlers.handleMessageRead);
@@ -62,6 +81,10 @@ function initializeSocketServer(httpServer) {
     socket.on('disconnect', () => {
       logger.info(`🔌 Socket disconnected: ${socket.id}`);
       presenceHandlers.handleDisconnect();
+
+      if (socket.user.sessionId) {
+        sessionService.detachSocket(socket.user.sessionId, socket.id);
+      }
     });
   });
 
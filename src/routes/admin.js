@@ -0,0 +1,379 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { protect: authenticateToken, requireRole } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+const {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  deleteGroup,
+  getStats,
+} = require('../controllers/adminController');
+const {
+  adminUserSearchSchema,
+  suspendUserSchema,
+  updateUserRoleSchema,
+  createValidationMiddleware,
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Rate limiting for admin operations
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // 300 requests per 15 minutes
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many requests. Try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const requireStaff = requireRole(ROLES.MODERATOR, ROLES.ADMIN);
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+const validateUserSearch = createValidationMiddleware(adminUserSearchSchema, 'query');
+const validateSuspendUser = createValidationMiddleware(suspendUserSchema);
+const validateUpdateUserRole = createValidationMiddleware(updateUserRoleSchema);
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     description: |
+ *       List user accounts, newest first. Available to moderators and admins.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search on the email address
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Users retrieved successfully"
+ *               data:
+ *                 users:
+ *                   - _id: "507f1f77bcf86cd799439011"
+ *                     email: "john.doe@example.com"
+ *                     role: "user"
+ *                     suspendedAt: null
+ *                     createdAt: "2024-01-01T12:00:00.000Z"
+ *                 pagination:
+ *                   total: 1
+ *                   page: 1
+ *                   limit: 20
+ *                   pages: 1
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.get('/users', authenticateToken, requireStaff, adminLimiter, validateUserSearch, listUsers);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: |
+ *       Suspend an account. The user is logged out everywhere, their WebSocket connections
+ *       are closed and they can't log in or use any token until unsuspended.
+ *       Moderators can suspend users; admins can suspend users and moderators.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Spam"
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Account is already suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Account is already suspended"
+ *               error: "ALREADY_SUSPENDED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/users/:userId/suspend', authenticateToken, requireStaff, adminLimiter, validateSuspendUser, suspendUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/unsuspend:
+ *   post:
+ *     summary: Unsuspend a user
+ *     description: Lift a suspension so the user can log in again.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unsuspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Account is not suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Account is not suspended"
+ *               error: "NOT_SUSPENDED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/users/:userId/unsuspend', authenticateToken, requireStaff, adminLimiter, unsuspendUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: |
+ *       Admins only. Admins can't change their own role or the role of other admins.
+ *       The first admin has to be promoted directly in the database.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *                 example: "moderator"
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.put('/users/:userId/role', authenticateToken, requireAdmin, adminLimiter, validateUpdateUserRole, updateUserRole);
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/{groupId}:
+ *   delete:
+ *     summary: Force-delete a group
+ *     description: |
+ *       Delete a group with its messages, memberships, invite links and invitations,
+ *       regardless of its owner or members. Connected members receive a `group:deleted`
+ *       event and leave the group's room.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Group deleted successfully"
+ *               data:
+ *                 groupId: "507f1f77bcf86cd799439012"
+ *                 deletedMessages: 42
+ *                 deletedAt: "2024-01-01T12:30:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/groups/:groupId', authenticateToken, requireStaff, adminLimiter, deleteGroup);
+
+/**
+ * @swagger
+ * /api/v1/admin/stats:
+ *   get:
+ *     summary: Platform statistics
+ *     description: User, group, message and session counts. Admins only.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Platform statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Platform statistics retrieved successfully"
+ *               data:
+ *                 users:
+ *                   total: 120
+ *                   suspended: 2
+ *                   verified: 98
+ *                   newToday: 3
+ *                   newThisWeek: 17
+ *                   byRole:
+ *                     user: 115
+ *                     moderator: 4
+ *                     admin: 1
+ *                 groups:
+ *                   total: 35
+ *                   byType:
+ *                     public: 28
+ *                     private: 7
+ *                 messages:
+ *                   total: 5400
+ *                   today: 210
+ *                 sessions:
+ *                   active: 64
+ *                 generatedAt: "2024-01-01T12:30:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.get('/stats', authenticateToken, requireAdmin, adminLimiter, getStats);
+
+// Handle unknown admin endpoints
+router.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'ENDPOINT_NOT_FOUND',
+    message: `Endpoint ${req.method} ${req.originalUrl} not found`,
+    availableEndpoints: [
+      'GET /api/v1/admin/users - List and search users',
+      'POST /api/v1/admin/users/:userId/suspend - Suspend a user',
+      'POST /api/v1/admin/users/:userId/unsuspend - Unsuspend a user',
+      'PUT /api/v1/admin/users/:userId/role - Change a user\'s role',
+      'DELETE /api/v1/admin/groups/:groupId - Force-delete a group',
+      'GET /api/v1/admin/stats - Platform statistics',
+    ],
+  });
+});
+
+module.exports = router;
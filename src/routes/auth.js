@@ -1,7 +1,33 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { register, login } = require('../controllers/authController');
-const { createValidationMiddleware, registerSchema, loginSchema } = require('../utils/validation');
+const {
+  register,
+  login,
+  logout,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyMfa,
+  setupMfa,
+  confirmMfa,
+  disableMfa,
+} = require('../controllers/authController');
+const { protect: authenticateToken } = require('../middleware/auth');
+const {
+  createValidationMiddleware,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  mfaVerifySchema,
+  mfaConfirmSchema,
+  mfaDisableSchema,
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -81,11 +107,63 @@ const authLimiter = rateLimit({
   },
 });
 
+// Password reset rate limiting: 5 requests per hour per IP
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Maximum 5 password reset requests per hour per IP
+  message: {
+    success: false,
+    message: 'Too many password reset requests. Please try again later.',
+    error: 'RATE_LIMIT_EXCEEDED',
+    retryAfter: '1 hour',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many password reset requests from this IP. Please try again later.',
+      error: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: '1 hour',
+    });
+  },
+});
+
+// Verification email rate limiting: 5 emails per hour per IP
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Maximum 5 verification emails per hour per IP
+  message: {
+    success: false,
+    message: 'Too many verification email requests. Please try again later.',
+    error: 'RATE_LIMIT_EXCEEDED',
+    retryAfter: '1 hour',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many verification email requests from this IP. Please try again later.',
+      error: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: '1 hour',
+    });
+  },
+});
+
 /**
  * Validation middleware instances
  */
 const validateRegistration = createValidationMiddleware(registerSchema);
 const validateLogin = createValidationMiddleware(loginSchema);
+const validateRefreshToken = createValidationMiddleware(refreshTokenSchema);
+const validateLogout = createValidationMiddleware(logoutSchema);
+const validateForgotPassword = createValidationMiddleware(forgotPasswordSchema);
+const validateResetPassword = createValidationMiddleware(resetPasswordSchema);
+const validateVerifyEmail = createValidationMiddleware(verifyEmailSchema);
+const validateMfaVerify = createValidationMiddleware(mfaVerifySchema);
+const validateMfaConfirm = createValidationMiddleware(mfaConfirmSchema);
+const validateMfaDisable = createValidationMiddleware(mfaDisableSchema);
 
 /**
  * @swagger
@@ -127,7 +205,9 @@ const validateLogin = createValidationMiddleware(loginSchema);
  *                   createdAt: "2024-01-01T12:00:00.000Z"
  *                   updatedAt: "2024-01-01T12:00:00.000Z"
  *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *                 tokenExpiry: "24h"
+ *                 tokenExpiry: "15m"
+ *                 refreshToken: "q3Jd8xW0c1y9k2Lm..."
+ *                 refreshTokenExpiresAt: "2024-01-31T12:00:00.000Z"
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       409:
@@ -164,6 +244,9 @@ router.post('/register',
  *       Authenticate user with email and password.
  *       Returns user information and JWT token upon successful login.
  *
+ *       After too many consecutive failed attempts the account is locked for a while,
+ *       doubling with every further failure. Resetting the password lifts the lock.
+ *
  *       **Rate Limit:** 10 attempts per 15 minutes per IP address
  *     tags: [Authentication]
  *     requestBody:
@@ -180,11 +263,15 @@ router.post('/register',
  *                 password: "SecurePassword123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. For accounts with two-factor authentication enabled the response
+ *           is an MFA challenge instead (see MfaChallengeResponse) to complete at /api/v1/auth/mfa/verify.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *             example:
  *               success: true
  *               message: "Login successful"
@@ -195,7 +282,9 @@ router.post('/register',
  *                   createdAt: "2024-01-01T12:00:00.000Z"
  *                   updatedAt: "2024-01-01T12:00:00.000Z"
  *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *                 tokenExpiry: "24h"
+ *                 tokenExpiry: "15m"
+ *                 refreshToken: "q3Jd8xW0c1y9k2Lm..."
+ *                 refreshTokenExpiresAt: "2024-01-31T12:00:00.000Z"
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -208,6 +297,8 @@ router.post('/register',
  *               success: false
  *               message: "Invalid email or password"
  *               error: "INVALID_CREDENTIALS"
+ *       423:
+ *         $ref: '#/components/responses/AccountLockedError'
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  *       500:
@@ -223,11 +314,525 @@ router.post('/login',
   login,                 // Handle login logic
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: User logout
+ *     description: |
+ *       Revoke the access token used to make this request.
+ *       The token is rejected by every API endpoint and WebSocket connection
+ *       until it expires, and any open socket using it is disconnected.
+ *       If a refresh token is sent, its whole token family is revoked as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Logout successful"
+ *               data:
+ *                 loggedOutAt: "2024-01-01T12:30:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout',
+  authLimiter,           // Apply general auth rate limiting
+  authenticateToken,     // Require a valid, unrevoked token
+  validateLogout,        // Validate optional refresh token
+  logout,                // Revoke the token
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh token.
+ *       Refresh tokens are single-use: the one sent is rotated out by this call.
+ *       Sending a refresh token that was already used revokes every token
+ *       issued from the same login, and the user has to log in again.
+ *
+ *       **Rate Limit:** 20 requests per 15 minutes per IP address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Token refreshed successfully"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 tokenExpiry: "15m"
+ *                 refreshToken: "Zk81pQ7uVw3nHs0e..."
+ *                 refreshTokenExpiresAt: "2024-01-31T12:00:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               invalid:
+ *                 summary: Unknown or expired refresh token
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid or expired refresh token"
+ *                   error: "INVALID_REFRESH_TOKEN"
+ *               reused:
+ *                 summary: Refresh token reuse detected
+ *                 value:
+ *                   success: false
+ *                   message: "Refresh token has already been used"
+ *                   error: "REFRESH_TOKEN_REUSED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/refresh',
+  authLimiter,           // Apply general auth rate limiting
+  validateRefreshToken,  // Validate request body
+  refreshToken,          // Rotate the refresh token
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Send a single-use password reset link to the email address if an account exists for it.
+ *       The response is identical whether or not the account exists.
+ *       Requesting a new link invalidates any link sent before.
+ *
+ *       **Rate Limit:** 5 requests per hour per IP address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "If an account exists for this email, a password reset link has been sent"
+ *               data:
+ *                 expiresInMinutes: 60
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/forgot-password',
+  passwordResetLimiter,    // Apply password reset rate limiting
+  validateForgotPassword,  // Validate request body
+  forgotPassword,          // Send the reset email
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: |
+ *       Set a new password using the token from a password reset email.
+ *       The token can only be used once. All refresh tokens of the account are revoked,
+ *       access tokens issued before the reset are rejected and open WebSocket
+ *       connections are disconnected, so every device has to log in again.
+ *
+ *       **Rate Limit:** 5 requests per hour per IP address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Password reset successfully"
+ *               data:
+ *                 passwordResetAt: "2024-01-01T12:30:00.000Z"
+ *       400:
+ *         description: Validation failed or invalid reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired password reset token"
+ *               error: "INVALID_RESET_TOKEN"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/reset-password',
+  passwordResetLimiter,    // Apply password reset rate limiting
+  validateResetPassword,   // Validate request body
+  resetPassword,           // Set the new password
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: |
+ *       Confirm the account's email address using the signed token from the verification email.
+ *       Tokens are bound to the address they were sent to and expire after
+ *       `EMAIL_VERIFICATION_TTL_HOURS`. Verifying an already verified address succeeds.
+ *
+ *       **Rate Limit:** 20 requests per 15 minutes per IP address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Email address verified successfully"
+ *               data:
+ *                 user:
+ *                   _id: "507f1f77bcf86cd799439011"
+ *                   email: "john.doe@example.com"
+ *                   emailVerified: true
+ *                   emailVerifiedAt: "2024-01-01T12:05:00.000Z"
+ *       400:
+ *         description: Validation failed or invalid verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired verification token"
+ *               error: "INVALID_VERIFICATION_TOKEN"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/verify-email',
+  authLimiter,             // Apply general auth rate limiting
+  validateVerifyEmail,     // Validate request body
+  verifyEmail,             // Mark the address as verified
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: |
+ *       Send a new verification link to the authenticated user's email address.
+ *
+ *       **Rate Limit:** 5 requests per hour per IP address
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Verification email sent"
+ *               data:
+ *                 email: "john.doe@example.com"
+ *                 expiresInHours: 24
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Email address already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Email address is already verified"
+ *               error: "EMAIL_ALREADY_VERIFIED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/resend-verification',
+  verificationEmailLimiter, // Apply verification email rate limiting
+  authenticateToken,        // Require a valid token
+  resendVerification,       // Send a new link
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: |
+ *       Exchange the MFA challenge token returned by login, together with a code from
+ *       the authenticator app or an unused recovery code, for access and refresh tokens.
+ *       Each code can only be used once, and each challenge token allows a single attempt:
+ *       after a wrong code the client has to log in again.
+ *
+ *       **Rate Limit:** 10 attempts per 15 minutes per IP address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid challenge token or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               invalidToken:
+ *                 summary: Expired, invalid or already used challenge
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid or expired MFA challenge"
+ *                   error: "INVALID_MFA_TOKEN"
+ *               invalidCode:
+ *                 summary: Wrong or already used code
+ *                 value:
+ *                   success: false
+ *                   message: "Invalid verification code"
+ *                   error: "INVALID_MFA_CODE"
+ *       423:
+ *         $ref: '#/components/responses/AccountLockedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/mfa/verify',
+  loginLimiter,          // Same limits as the password step
+  validateMfaVerify,     // Validate request body
+  verifyMfa,             // Check the second factor and issue tokens
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor authentication setup
+ *     description: |
+ *       Generate a new TOTP secret for the authenticated user. Show the `otpauthUri` as a
+ *       QR code (or the secret for manual entry), then confirm with a code at
+ *       /api/v1/auth/mfa/confirm. Two-factor authentication is not active until confirmed.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Scan the QR code with your authenticator app, then confirm with a code"
+ *               data:
+ *                 secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUri: "otpauth://totp/Group%20Messaging%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Group+Messaging&algorithm=SHA1&digits=6&period=30"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Two-factor authentication already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Two-factor authentication is already enabled"
+ *               error: "MFA_ALREADY_ENABLED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/mfa/setup',
+  authLimiter,           // Apply general auth rate limiting
+  authenticateToken,     // Require a valid token
+  setupMfa,              // Generate a pending secret
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm two-factor authentication setup
+ *     description: |
+ *       Enable two-factor authentication with a code generated from the secret returned by setup.
+ *       The response contains one-time recovery codes; they are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaConfirmRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Two-factor authentication enabled. Store the recovery codes somewhere safe"
+ *               data:
+ *                 recoveryCodes: ["abcde-fghij", "klmno-pqrst"]
+ *                 enabledAt: "2024-01-01T12:00:00.000Z"
+ *       400:
+ *         description: Validation failed, setup not started or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid verification code"
+ *               error: "INVALID_MFA_CODE"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Two-factor authentication already enabled
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/mfa/confirm',
+  authLimiter,           // Apply general auth rate limiting
+  authenticateToken,     // Require a valid token
+  validateMfaConfirm,    // Validate request body
+  confirmMfa,            // Activate the pending secret
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and a code or unused recovery code.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MfaDisableRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Two-factor authentication disabled"
+ *               data:
+ *                 disabledAt: "2024-01-01T12:00:00.000Z"
+ *       400:
+ *         description: Validation failed, MFA not enabled, or wrong password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid verification code"
+ *               error: "INVALID_MFA_CODE"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/mfa/disable',
+  authLimiter,           // Apply general auth rate limiting
+  authenticateToken,     // Require a valid token
+  validateMfaDisable,    // Validate request body
+  disableMfa,            // Remove the secret and recovery codes
+);
+
 /**
  * Error handling middleware for auth routes
  * Catches any errors that weren't handled by individual route handlers
  */
 router.use((error, req, res, next) => {
+  // Expected errors (validation, credentials, conflicts) keep their status and code
+  if (error.isOperational) {
+    return next(error);
+  }
+
   console.error('Auth route error:', error);
 
   // Don't send error details in production
@@ -253,6 +858,16 @@ router.use('*', (req, res) => {
     availableEndpoints: [
       'POST /api/v1/auth/register',
       'POST /api/v1/auth/login',
+      'POST /api/v1/auth/logout',
+      'POST /api/v1/auth/refresh',
+      'POST /api/v1/auth/forgot-password',
+      'POST /api/v1/auth/reset-password',
+      'POST /api/v1/auth/verify-email',
+      'POST /api/v1/auth/resend-verification',
+      'POST /api/v1/auth/mfa/verify',
+      'POST /api/v1/auth/mfa/setup',
+      'POST /api/v1/auth/mfa/confirm',
+      'POST /api/v1/auth/mfa/disable',
     ],
   });
 });
@@ -1,13 +1,47 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { protect: authenticateToken } = require('../middleware/auth');
+const { protect: authenticateToken, requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../utils/scopes');
 const {
   createGroup,
   getGroups,
   getGroupById: getGroup,
+  updateGroup,
+  archiveGroup,
+  unarchiveGroup,
   addMember: joinGroup,
-  removeMember: leaveGroup,
+  getMembers,
+  getJoinRequests,
+  getBans,
+  performMemberAction,
+  updateMemberRole,
+  removeMember,
+  leaveGroup,
+  transferOwnership,
 } = require('../controllers/groupController');
+const {
+  createInviteLink,
+  getInviteLinks,
+  revokeInviteLink,
+  previewInviteLink,
+  acceptInviteLink,
+  inviteByEmail,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require('../controllers/groupInviteController');
+const {
+  updateGroupValidation,
+  groupDiscoveryValidation,
+  archiveGroupValidation,
+  transferOwnershipValidation,
+  memberActionValidation,
+  groupMembersValidation,
+  updateMemberRoleValidation,
+  createInviteLinkValidation,
+  groupInvitationValidation,
+  createValidationMiddleware,
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -36,6 +70,28 @@ const groupJoinLimit = rateLimit({
   legacyHeaders: false,
 });
 
+const groupManageLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 management actions per 15 minutes
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many group management requests. Try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const validateGroupUpdate = createValidationMiddleware(updateGroupValidation);
+const validateGroupDiscovery = createValidationMiddleware(groupDiscoveryValidation, 'query');
+const validateArchive = createValidationMiddleware(archiveGroupValidation);
+const validateTransferOwnership = createValidationMiddleware(transferOwnershipValidation);
+const validateMemberAction = createValidationMiddleware(memberActionValidation);
+const validateMemberRole = createValidationMiddleware(updateMemberRoleValidation);
+const validateMemberList = createValidationMiddleware(groupMembersValidation, 'query');
+const validateInviteLink = createValidationMiddleware(createInviteLinkValidation);
+const validateGroupInvitation = createValidationMiddleware(groupInvitationValidation);
+
 /**
  * @swagger
  * /api/v1/groups:
@@ -81,7 +137,6 @@ const groupJoinLimit = rateLimit({
  *                   name: "Development Team"
  *                   description: "Discussion group for development team members"
  *                   creator: "507f1f77bcf86cd799439011"
- *                   members: ["507f1f77bcf86cd799439011"]
  *                   createdAt: "2024-01-01T12:00:00.000Z"
  *                   updatedAt: "2024-01-01T12:00:00.000Z"
  *       400:
@@ -97,16 +152,17 @@ const groupJoinLimit = rateLimit({
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', authenticateToken, groupCreateLimit, createGroup);
+router.post('/', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupCreateLimit, createGroup);
 
 /**
  * @swagger
  * /api/v1/groups:
  *   get:
- *     summary: Get user's groups
+ *     summary: Discover groups
  *     description: |
- *       Retrieve all groups that the authenticated user is a member of.
- *       Returns group information including member count and recent activity.
+ *       Search and browse groups. Public groups are listed for everyone; private groups
+ *       only for their active members. Use `mine=true` to list just the groups you
+ *       belong to.
  *     tags: [Groups]
  *     security:
  *       - BearerAuth: []
@@ -124,13 +180,59 @@ router.post('/', authenticateToken, groupCreateLimit, createGroup);
  *           type: integer
  *           minimum: 1
  *           maximum: 50
- *           default: 20
+ *           default: 10
  *         description: Number of groups per page
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search groups by name or description
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: Full-text search over group names and descriptions
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma separated tags; only groups carrying all of them are listed
+ *         example: "engineering,remote"
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [public, private]
+ *         description: Filter by group type
+ *       - in: query
+ *         name: minMembers
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Minimum number of active members
+ *       - in: query
+ *         name: maxMembers
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Maximum number of active members
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, activity, members]
+ *         description: |
+ *           `relevance` (default when searching), `newest` (default otherwise),
+ *           `activity` (most recent message first) or `members` (largest first)
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only list groups you are an active member of
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list archived groups
  *     responses:
  *       200:
  *         description: Groups retrieved successfully
@@ -147,7 +249,6 @@ router.post('/', authenticateToken, groupCreateLimit, createGroup);
  *                     name: "Development Team"
  *                     description: "Discussion group for development team members"
  *                     creator: "507f1f77bcf86cd799439011"
- *                     members: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439013"]
  *                     memberCount: 2
  *                     createdAt: "2024-01-01T12:00:00.000Z"
  *                     updatedAt: "2024-01-01T12:00:00.000Z"
@@ -165,7 +266,243 @@ router.post('/', authenticateToken, groupCreateLimit, createGroup);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', authenticateToken, getGroups);
+router.get('/', authenticateToken, requireScope(SCOPES.GROUPS_READ), validateGroupDiscovery, getGroups);
+
+// Invite and invitation paths are registered before /:groupId so they aren't read as group IDs
+
+/**
+ * @swagger
+ * /api/v1/groups/invitations:
+ *   get:
+ *     summary: List my group invitations
+ *     description: |
+ *       List the open email invitations addressed to the authenticated user's email,
+ *       newest first. Expired and answered invitations are not listed.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Invitations retrieved successfully"
+ *               data:
+ *                 - _id: "507f1f77bcf86cd799439020"
+ *                   group:
+ *                     _id: "507f1f77bcf86cd799439012"
+ *                     name: "Development Team"
+ *                   invitedBy:
+ *                     _id: "507f1f77bcf86cd799439011"
+ *                     email: "john.doe@example.com"
+ *                   email: "jane.doe@example.com"
+ *                   status: "pending"
+ *                   expiresAt: "2024-01-08T12:00:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/invitations', authenticateToken, requireScope(SCOPES.GROUPS_READ), getMyInvitations);
+
+/**
+ * @swagger
+ * /api/v1/groups/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept a group invitation
+ *     description: |
+ *       Join the group the invitation is for. Invitations skip the group's approval
+ *       step, but the member limit and bans still apply. The inviter receives an
+ *       `invitation:accepted` event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique invitation identifier
+ *         example: "507f1f77bcf86cd799439020"
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The invitation expired or was already answered, or the group is full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "This invitation has expired"
+ *               error: "INVITATION_EXPIRED"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already a member of the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/invitations/:invitationId/accept', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupJoinLimit, acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/groups/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a group invitation
+ *     description: |
+ *       Turn down an invitation. The inviter receives an `invitation:declined` event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique invitation identifier
+ *         example: "507f1f77bcf86cd799439020"
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The invitation expired or was already answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/invitations/:invitationId/decline', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), declineInvitation);
+
+/**
+ * @swagger
+ * /api/v1/groups/invites/{code}:
+ *   get:
+ *     summary: Preview an invite link
+ *     description: |
+ *       Show which group an invite code leads to before joining it.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite code from the link
+ *     responses:
+ *       200:
+ *         description: Invite link retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Invite link retrieved successfully"
+ *               data:
+ *                 group:
+ *                   _id: "507f1f77bcf86cd799439012"
+ *                   name: "Development Team"
+ *                   description: "Discussion group for development team members"
+ *                   type: "private"
+ *                   memberCount: 2
+ *                 expiresAt: "2024-01-04T12:00:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: The code is unknown, revoked, expired or used up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Invalid or expired invite link"
+ *               error: "INVALID_INVITE"
+ */
+router.get('/invites/:code', authenticateToken, requireScope(SCOPES.GROUPS_READ), previewInviteLink);
+
+/**
+ * @swagger
+ * /api/v1/groups/invites/{code}/accept:
+ *   post:
+ *     summary: Join a group with an invite link
+ *     description: |
+ *       Join the group behind an invite code. Invite links skip the group's approval
+ *       step, but the member limit and bans still apply. Each successful join uses
+ *       up one of the link's `maxUses`. A link stops working once its creator is no
+ *       longer an active member or could no longer create it, e.g. after being removed
+ *       or when `allowMemberInvites` is turned off.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite code from the link
+ *     responses:
+ *       200:
+ *         description: Successfully joined the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The group is full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: The code is unknown, revoked, expired or used up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already a member of the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/invites/:code/accept', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupJoinLimit, acceptInviteLink);
 
 /**
  * @swagger
@@ -202,7 +539,6 @@ router.get('/', authenticateToken, getGroups);
  *                   name: "Development Team"
  *                   description: "Discussion group for development team members"
  *                   creator: "507f1f77bcf86cd799439011"
- *                   members: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439013"]
  *                   memberCount: 2
  *                   createdAt: "2024-01-01T12:00:00.000Z"
  *                   updatedAt: "2024-01-01T12:00:00.000Z"
@@ -222,7 +558,7 @@ router.get('/', authenticateToken, getGroups);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:groupId', authenticateToken, getGroup);
+router.get('/:groupId', authenticateToken, requireScope(SCOPES.GROUPS_READ), getGroup);
 
 /**
  * @swagger
@@ -230,8 +566,15 @@ router.get('/:groupId', authenticateToken, getGroup);
  *   post:
  *     summary: Join a group
  *     description: |
- *       Join an existing group as a member. The user must have access to the group
- *       (through invitation or if the group is public).
+ *       Join an existing group as a member. Groups that require approval (private groups
+ *       by default) create a pending join request instead and respond with 202. Owners,
+ *       admins and moderators receive a `member:requested` event, and the user is told about
+ *       the decision with `member:approved` or `member:rejected`. Leaving the group
+ *       withdraws a pending request.
+ *
+ *       Only active members count toward `memberLimit`; pending requests and banned users
+ *       don't. The limit is checked in the same database update that adds the member, so
+ *       simultaneous joins can't push a group past it.
  *
  *       **Rate Limit:** 20 join attempts per 15 minutes per user
  *     tags: [Groups]
@@ -279,6 +622,21 @@ router.get('/:groupId', authenticateToken, getGroup);
  *                   name: "Development Team"
  *                   memberCount: 3
  *                 joinedAt: "2024-01-01T12:30:00.000Z"
+ *       202:
+ *         description: Join request submitted and awaiting approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Join request submitted and awaiting approval"
+ *               data:
+ *                 status: "pending"
+ *                 group:
+ *                   _id: "507f1f77bcf86cd799439012"
+ *                   name: "Development Team"
+ *                   type: "private"
  *       400:
  *         description: Bad request (already a member, invalid invite code, etc.)
  *         content:
@@ -300,6 +658,25 @@ router.get('/:groupId', authenticateToken, getGroup);
  *                   error: "INVALID_INVITE_CODE"
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Banned from the group or still in the cooldown after a ban
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               banned:
+ *                 summary: Banned
+ *                 value:
+ *                   success: false
+ *                   message: "You are banned from this group until 2024-01-02T12:30:00.000Z"
+ *                   error: "USER_BANNED"
+ *               cooldown:
+ *                 summary: Ban cooldown
+ *                 value:
+ *                   success: false
+ *                   message: "You can rejoin this group after 2024-01-03T12:30:00.000Z"
+ *                   error: "BAN_COOLDOWN"
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       429:
@@ -311,7 +688,7 @@ router.get('/:groupId', authenticateToken, getGroup);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/:groupId/join', authenticateToken, groupJoinLimit, joinGroup);
+router.post('/:groupId/join', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupJoinLimit, joinGroup);
 
 /**
  * @swagger
@@ -349,24 +726,15 @@ router.post('/:groupId/join', authenticateToken, groupJoinLimit, joinGroup);
  *                   memberCount: 2
  *                 leftAt: "2024-01-01T12:30:00.000Z"
  *       400:
- *         description: Bad request (not a member, creator trying to leave, etc.)
+ *         description: The owner can't leave while other members exist
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *             examples:
- *               notMember:
- *                 summary: Not a group member
- *                 value:
- *                   success: false
- *                   message: "You are not a member of this group"
- *                   error: "NOT_MEMBER"
- *               creatorLeaving:
- *                 summary: Creator cannot leave
- *                 value:
- *                   success: false
- *                   message: "Group creators cannot leave. Transfer ownership first."
- *                   error: "CREATOR_CANNOT_LEAVE"
+ *             example:
+ *               success: false
+ *               message: "Group owner cannot leave while other members exist. Transfer ownership first."
+ *               error: "OWNER_CANNOT_LEAVE"
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -378,7 +746,883 @@ router.post('/:groupId/join', authenticateToken, groupJoinLimit, joinGroup);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:groupId/leave', authenticateToken, leaveGroup);
+router.delete('/:groupId/leave', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), leaveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}:
+ *   patch:
+ *     summary: Update a group
+ *     description: |
+ *       Change the name, description, member limit, tags or settings of a group. Owners
+ *       and admins can update a group, and the member limit can't be set below the current
+ *       member count. Settings are merged, so only the ones sent are changed; this is
+ *       where announcement mode, slow mode, the message edit window and the pinned message
+ *       limit are set. Connected members receive a `group:updated` event with the changed
+ *       fields.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateGroupRequest'
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or the member limit is below the current member count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Member limit cannot be lower than the current member count (12)"
+ *               error: "MEMBER_LIMIT_TOO_LOW"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Group name already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "A group with this name already exists"
+ *               error: "DUPLICATE_GROUP_NAME"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.patch('/:groupId', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateGroupUpdate, updateGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}:
+ *   delete:
+ *     summary: Archive a group
+ *     description: |
+ *       Groups are no longer deleted outright; this archives the group with the default
+ *       retention period (`GROUP_ARCHIVE_RETENTION_DAYS`), the same as
+ *       `POST /api/v1/groups/{groupId}/archive` without a body.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Group archived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The group is already archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Group is already archived"
+ *               error: "GROUP_ALREADY_ARCHIVED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/:groupId', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateArchive, archiveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/archive:
+ *   post:
+ *     summary: Archive a group
+ *     description: |
+ *       Make a group read-only. Nobody can send messages, join or join the group's
+ *       socket room, but members can still read and search its history. Archived
+ *       groups are left out of discovery unless `includeArchived=true` is passed.
+ *
+ *       The group and its messages are deleted for good after `purgeAfterDays`, or
+ *       after `GROUP_ARCHIVE_RETENTION_DAYS` when it isn't given; 0 keeps the group
+ *       until it is unarchived. Only the owner can archive a group. Connected members
+ *       receive a `group:archived` event, and a `group:deleted` event when it is purged.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ArchiveGroupRequest'
+ *     responses:
+ *       200:
+ *         description: Group archived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Group archived successfully"
+ *               data:
+ *                 groupId: "507f1f77bcf86cd799439012"
+ *                 archivedAt: "2024-01-01T12:00:00.000Z"
+ *                 purgeAt: "2024-01-31T12:00:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The group is already archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Group is already archived"
+ *               error: "GROUP_ALREADY_ARCHIVED"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/:groupId/archive', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateArchive, archiveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/unarchive:
+ *   post:
+ *     summary: Unarchive a group
+ *     description: |
+ *       Restore an archived group and cancel its scheduled purge. Only the owner can
+ *       unarchive a group. Connected members receive a `group:unarchived` event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Group unarchived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The group is not archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Group is not archived"
+ *               error: "GROUP_NOT_ARCHIVED"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/:groupId/unarchive', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, unarchiveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/members:
+ *   get:
+ *     summary: List group members
+ *     description: |
+ *       List a group's active members in the order they joined, with pagination.
+ *       Anyone can list the members of a public group; private groups only list
+ *       them for their own members. Pending join requests and bans have their own endpoints.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [owner, admin, moderator, member]
+ *         description: Only list members with this role
+ *     responses:
+ *       200:
+ *         description: Group members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Group members retrieved successfully"
+ *               data:
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439011"
+ *                     email: "john.doe@example.com"
+ *                   role: "owner"
+ *                   joinedAt: "2024-01-01T12:00:00.000Z"
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439013"
+ *                     email: "jane.doe@example.com"
+ *                   role: "member"
+ *                   joinedAt: "2024-01-01T12:30:00.000Z"
+ *               pagination:
+ *                 total: 2
+ *                 page: 1
+ *                 limit: 50
+ *                 pages: 1
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: The group is private and you are not a member (`NOT_GROUP_MEMBER`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:groupId/members', authenticateToken, requireScope(SCOPES.GROUPS_READ), validateMemberList, getMembers);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/join-requests:
+ *   get:
+ *     summary: List pending join requests
+ *     description: |
+ *       List users waiting for approval to join a group, oldest first. Available to
+ *       owners, admins and moderators.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Join requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Join requests retrieved successfully"
+ *               data:
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439013"
+ *                     email: "jane.doe@example.com"
+ *                   requestedAt: "2024-01-01T12:30:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:groupId/join-requests', authenticateToken, requireScope(SCOPES.GROUPS_READ), getJoinRequests);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/bans:
+ *   get:
+ *     summary: List banned users
+ *     description: |
+ *       List users currently banned from a group, most recent first. Expired timed bans
+ *       and lifted bans are not listed. Available to owners and admins.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Bans retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Bans retrieved successfully"
+ *               data:
+ *                 - user:
+ *                     _id: "507f1f77bcf86cd799439013"
+ *                     email: "jane.doe@example.com"
+ *                   reason: "Spam"
+ *                   bannedAt: "2024-01-01T12:30:00.000Z"
+ *                   bannedBy: "507f1f77bcf86cd799439011"
+ *                   expiresAt: "2024-01-02T12:30:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:groupId/bans', authenticateToken, requireScope(SCOPES.GROUPS_READ), getBans);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/members/{userId}/actions:
+ *   post:
+ *     summary: Approve, reject, ban or unban a user
+ *     description: |
+ *       Act on a user's membership. Owners, admins and moderators can approve or reject
+ *       join requests; owners and admins can ban and unban users ranked below them.
+ *
+ *       - `approve` / `reject` resolve a pending join request
+ *       - `ban` blocks the user from the group, removing them if they are a member. Bans
+ *         last until lifted unless a `duration` in hours is given
+ *       - `unban` lifts a ban
+ *
+ *       Timed bans end when their `duration` runs out or they are lifted. After a ban
+ *       without a duration is lifted, the user can't rejoin until the group's cooldown
+ *       period (`settings.cooldownPeriod`, 48 hours by default) has passed since they were
+ *       banned. Joining while locked out fails with `USER_BANNED` or `BAN_COOLDOWN`.
+ *
+ *       The user receives `member:approved`, `member:rejected`, `member:banned` or
+ *       `member:unbanned` on their own connections. Approvals are announced to the group
+ *       as `member:joined`, and banning an active member sends `member:removed`.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the affected user
+ *         example: "507f1f77bcf86cd799439013"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MemberActionRequest'
+ *     responses:
+ *       200:
+ *         description: Member action applied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Member action applied successfully"
+ *               data:
+ *                 action: "approve"
+ *                 userId: "507f1f77bcf86cd799439013"
+ *                 status: "active"
+ *       400:
+ *         description: Validation failed or the action doesn't apply to the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               groupFull:
+ *                 summary: Group is full
+ *                 value:
+ *                   success: false
+ *                   message: "Group has reached maximum member capacity"
+ *                   error: "GROUP_FULL"
+ *               notBanned:
+ *                 summary: User is not banned
+ *                 value:
+ *                   success: false
+ *                   message: "User is not banned from this group"
+ *                   error: "NOT_BANNED"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/:groupId/members/:userId/actions', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateMemberAction, performMemberAction);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/members/{userId}/role:
+ *   put:
+ *     summary: Promote or demote a member
+ *     description: |
+ *       Change an active member's role. Roles grant these permissions:
+ *
+ *       | Permission | owner | admin | moderator | member |
+ *       |---|---|---|---|---|
+ *       | Delete others' messages | ✓ | ✓ | ✓ | |
+ *       | Kick members | ✓ | ✓ | ✓ | |
+ *       | Approve join requests | ✓ | ✓ | ✓ | |
+ *       | Ban members | ✓ | ✓ | | |
+ *       | Edit group settings | ✓ | ✓ | | |
+ *       | Change roles | ✓ | ✓ | | |
+ *       | Create invites | ✓ | ✓ | ✓ | if `allowMemberInvites` |
+ *       | Revoke others' invite links | ✓ | ✓ | | |
+ *       | Post in announcement mode | ✓ | ✓ | | |
+ *       | Skip slow mode | ✓ | ✓ | ✓ | |
+ *       | Mention `@all` in large groups | ✓ | ✓ | | |
+ *       | Pin and unpin messages | ✓ | ✓ | | |
+ *       | View message edit history | ✓ | | | |
+ *       | Delete the group, transfer ownership | ✓ | | | |
+ *
+ *       Members can only act on members ranked below them, so admins can promote members
+ *       to moderator and demote moderators, while only the owner can appoint or demote admins.
+ *       The group and the member receive a `member:role-changed` event.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member
+ *         example: "507f1f77bcf86cd799439013"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMemberRoleRequest'
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Member role updated successfully"
+ *               data:
+ *                 userId: "507f1f77bcf86cd799439013"
+ *                 role: "moderator"
+ *                 previousRole: "member"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.put('/:groupId/members/:userId/role', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateMemberRole, updateMemberRole);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: |
+ *       Remove a member from a group. Owners, admins and moderators can remove members
+ *       ranked below them, and members can remove themselves. The group room and the removed user receive a
+ *       `member:removed` event, and the removed user's sockets leave the group room.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member to remove
+ *         example: "507f1f77bcf86cd799439013"
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The owner can't be removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "The group owner cannot be removed"
+ *               error: "CANNOT_REMOVE_OWNER"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/:groupId/members/:userId', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, removeMember);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/transfer-ownership:
+ *   post:
+ *     summary: Transfer group ownership
+ *     description: |
+ *       Hand the group over to another active member. Only the current owner can do this;
+ *       they stay in the group as an admin. Connected members receive a
+ *       `group:updated` event with the new owner.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferOwnershipRequest'
+ *     responses:
+ *       200:
+ *         description: Group ownership transferred successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or the new owner is not an active member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "New owner must be a current active member of the group"
+ *               error: "NEW_OWNER_NOT_MEMBER"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/:groupId/transfer-ownership', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateTransferOwnership, transferOwnership);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/invites:
+ *   post:
+ *     summary: Create an invite link
+ *     description: |
+ *       Create a link that lets anyone holding its code join the group without
+ *       approval. Owners, admins and moderators can always create links; other members
+ *       only when the group's `allowMemberInvites` setting is on. The code is only
+ *       returned in this response.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateInviteLinkRequest'
+ *     responses:
+ *       201:
+ *         description: Invite link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Invite link created. Copy the code now, it will not be shown again"
+ *               data:
+ *                 invite:
+ *                   _id: "507f1f77bcf86cd799439021"
+ *                   group: "507f1f77bcf86cd799439012"
+ *                   createdBy: "507f1f77bcf86cd799439011"
+ *                   codePrefix: "Xk3v9A"
+ *                   expiresAt: "2024-01-04T12:00:00.000Z"
+ *                   maxUses: 10
+ *                   uses: 0
+ *                   revokedAt: null
+ *                 code: "Xk3v9A2bQeL1mZ7pR4tW"
+ *                 url: "http://localhost:3000/invite/Xk3v9A2bQeL1mZ7pR4tW"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *   get:
+ *     summary: List invite links
+ *     description: |
+ *       List the group's invite links that haven't been revoked, newest first. Owners
+ *       and admins see every link; other members see the links they created. `usable`
+ *       is false once a link has expired or run out of uses.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Invite links retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:groupId/invites', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateInviteLink, createInviteLink);
+router.get('/:groupId/invites', authenticateToken, requireScope(SCOPES.GROUPS_READ), getInviteLinks);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revoke an invite link
+ *     description: |
+ *       Stop an invite link from being used. Members can revoke the links they
+ *       created; owners and admins can revoke any link.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique invite link identifier
+ *         example: "507f1f77bcf86cd799439021"
+ *     responses:
+ *       200:
+ *         description: Invite link revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/:groupId/invites/:inviteId', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, revokeInviteLink);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/invitations:
+ *   post:
+ *     summary: Invite someone by email
+ *     description: |
+ *       Email an invitation to join the group. The address doesn't need an account
+ *       yet; the invitation is listed once someone signs up with it. Registered
+ *       invitees also receive an `invitation:received` event. Invitations expire
+ *       after `GROUP_INVITATION_TTL_HOURS` (7 days by default). The same rules as
+ *       invite links decide who can send them.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed or the invitee is banned from the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The invitee is already a member or already has an open invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "This address has already been invited"
+ *               error: "INVITATION_PENDING"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/:groupId/invitations', authenticateToken, requireScope(SCOPES.GROUPS_WRITE), groupManageLimit, validateGroupInvitation, inviteByEmail);
 
 // Handle unknown group endpoints - this runs BEFORE auth for 404s
 router.use((req, res) => {
@@ -388,10 +1632,30 @@ router.use((req, res) => {
     message: `Endpoint ${req.method} ${req.originalUrl} not found`,
     availableEndpoints: [
       'POST /api/v1/groups - Create a new group',
-      'GET /api/v1/groups - List groups',
+      'GET /api/v1/groups - Discover groups',
       'GET /api/v1/groups/:id - Get group details',
       'POST /api/v1/groups/:id/join - Join a group',
       'DELETE /api/v1/groups/:id/leave - Leave a group',
+      'PATCH /api/v1/groups/:id - Update a group',
+      'DELETE /api/v1/groups/:id - Archive a group',
+      'POST /api/v1/groups/:id/archive - Archive a group',
+      'POST /api/v1/groups/:id/unarchive - Unarchive a group',
+      'GET /api/v1/groups/:id/members - List group members',
+      'GET /api/v1/groups/:id/join-requests - List pending join requests',
+      'GET /api/v1/groups/:id/bans - List banned users',
+      'POST /api/v1/groups/:id/members/:userId/actions - Approve, reject, ban or unban a user',
+      'PUT /api/v1/groups/:id/members/:userId/role - Promote or demote a member',
+      'DELETE /api/v1/groups/:id/members/:userId - Remove a member',
+      'POST /api/v1/groups/:id/transfer-ownership - Transfer group ownership',
+      'POST /api/v1/groups/:id/invites - Create an invite link',
+      'GET /api/v1/groups/:id/invites - List invite links',
+      'DELETE /api/v1/groups/:id/invites/:inviteId - Revoke an invite link',
+      'POST /api/v1/groups/:id/invitations - Invite someone by email',
+      'GET /api/v1/groups/invites/:code - Preview an invite link',
+      'POST /api/v1/groups/invites/:code/accept - Join a group with an invite link',
+      'GET /api/v1/groups/invitations - List my invitations',
+      'POST /api/v1/groups/invitations/:invitationId/accept - Accept an invitation',
+      'POST /api/v1/groups/invitations/:invitationId/decline - Decline an invitation',
     ],
   });
 });
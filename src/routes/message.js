@@ -1,16 +1,34 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { protect: authenticateToken } = require('../middleware/auth');
+const { protect: authenticateToken, requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../utils/scopes');
 const {
   sendMessage,
   getGroupMessages: getMessages, // Alias for compatibility
   searchMessages,
   deleteMessage,
+  updateMessage,
+  getMessageHistory,
+  getThread,
   getMessage,
 } = require('../controllers/messageController');
+const { addReaction, removeReaction } = require('../controllers/reactionController');
+const { pinMessage, unpinMessage, getPinnedMessages } = require('../controllers/pinController');
+const {
+  createValidationMiddleware,
+  updateMessageValidation,
+  reactionValidation,
+  reactionParamsValidation,
+  threadValidation,
+} = require('../utils/validation');
 
 const router = express.Router();
 
+const validateMessageUpdate = createValidationMiddleware(updateMessageValidation);
+const validateReaction = createValidationMiddleware(reactionValidation);
+const validateReactionParams = createValidationMiddleware(reactionParamsValidation, 'params');
+const validateThreadQuery = createValidationMiddleware(threadValidation, 'query');
+
 // Rate limiting for message operations
 const sendMessageLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -26,6 +44,20 @@ const sendMessageLimiter = rateLimit({
   keyGenerator: (req) => req.user?.id || req.ip,
 });
 
+const reactionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 reactions per minute per user
+  message: {
+    success: false,
+    error: 'RATE_LIMIT_EXCEEDED',
+    message: 'Too many reactions. Please wait before reacting again.',
+    retryAfter: 60,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user?.id || req.ip,
+});
+
 const searchMessageLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 20, // 20 searches per 5 minutes per user
@@ -49,6 +81,21 @@ const searchMessageLimiter = rateLimit({
  *       Send a new message to a specific group. The user must be a member of the group.
  *       Messages are encrypted before storage for security.
  *
+ *       Groups in announcement mode only accept messages from owners and admins. Groups
+ *       with slow mode on accept one message per member every `slowModeSeconds`;
+ *       moderators and above are exempt. The same rules apply to the `message:send`
+ *       socket event, which reports the same error codes.
+ *
+ *       Send `replyTo` with the ID of a message in the same group to reply in its thread.
+ *
+ *       Mention members with `@` and their email or user ID, `@here` for the members
+ *       who have the group open, or `@all` for everyone. Mentions of non-members are
+ *       left as text; the members mentioned are stored in `metadata.mentions` and
+ *       `metadata.mentionsAll`, and each receives a `mention:new` event in their own
+ *       room even if they haven't joined the group's room. These events are sent after
+ *       the response, so a failure to deliver them doesn't fail the send. In groups with
+ *       more than `MENTION_ALL_MEMBER_THRESHOLD` members only owners and admins can use `@all`.
+ *
  *       **Rate Limit:** 30 messages per minute per user
  *     tags: [Messages]
  *     security:
@@ -76,6 +123,10 @@ const searchMessageLimiter = rateLimit({
  *               summary: Send a quick message
  *               value:
  *                 content: "👍"
+ *             mentions:
+ *               summary: Mention a member and everyone online
+ *               value:
+ *                 content: "@jane.doe@example.com can you take this one? cc @here"
  *     responses:
  *       201:
  *         description: Message sent successfully
@@ -99,19 +150,43 @@ const searchMessageLimiter = rateLimit({
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Not a group member
+ *         description: Not a group member, the group is in announcement mode, or `@all` isn't allowed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               success: false
- *               message: "You are not a member of this group"
- *               error: "NOT_GROUP_MEMBER"
+ *             examples:
+ *               notMember:
+ *                 value:
+ *                   success: false
+ *                   message: "You are not a member of this group"
+ *                   error: "NOT_GROUP_MEMBER"
+ *               announcementOnly:
+ *                 value:
+ *                   success: false
+ *                   message: "Only owners and admins can post in this group"
+ *                   error: "ANNOUNCEMENT_ONLY"
+ *               mentionAllRestricted:
+ *                 value:
+ *                   success: false
+ *                   message: "Only owners and admins can mention @all in groups with more than 50 members"
+ *                   error: "MENTION_ALL_RESTRICTED"
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: |
+ *           Too many messages (`RATE_LIMIT_EXCEEDED`), or the group's slow mode interval
+ *           hasn't passed (`SLOW_MODE_ACTIVE`, with `retryAfter` in seconds and a
+ *           `Retry-After` header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Slow mode is on, you can send another message in 12 seconds"
+ *               error: "SLOW_MODE_ACTIVE"
+ *               retryAfter: 12
  *       500:
  *         description: Internal server error
  *         content:
@@ -119,7 +194,7 @@ const searchMessageLimiter = rateLimit({
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/groups/:groupId/messages', authenticateToken, sendMessageLimiter, sendMessage);
+router.post('/groups/:groupId/messages', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), sendMessageLimiter, sendMessage);
 
 /**
  * @swagger
@@ -214,7 +289,7 @@ router.post('/groups/:groupId/messages', authenticateToken, sendMessageLimiter,
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/groups/:groupId/messages', authenticateToken, getMessages);
+router.get('/groups/:groupId/messages', authenticateToken, requireScope(SCOPES.MESSAGES_READ), getMessages);
 
 /**
  * @swagger
@@ -319,7 +394,7 @@ router.get('/groups/:groupId/messages', authenticateToken, getMessages);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/groups/:groupId/messages/search', authenticateToken, searchMessageLimiter, searchMessages);
+router.get('/groups/:groupId/messages/search', authenticateToken, requireScope(SCOPES.MESSAGES_READ), searchMessageLimiter, searchMessages);
 
 /**
  * @swagger
@@ -377,7 +452,555 @@ router.get('/groups/:groupId/messages/search', authenticateToken, searchMessageL
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/messages/:messageId', authenticateToken, getMessage);
+router.get('/messages/:messageId', authenticateToken, requireScope(SCOPES.MESSAGES_READ), getMessage);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}:
+ *   put:
+ *     summary: Edit a message
+ *     description: |
+ *       Replace the content of one of your own messages. Messages can be edited for
+ *       `settings.editWindowMinutes` after they are sent (15 minutes unless the group
+ *       changes it; 0 turns editing off). The previous content is kept, encrypted, in the
+ *       message's edit history, which the group owner can view.
+ *
+ *       The group room receives a `message:updated` event with the updated message. The
+ *       `message:edit` socket event does the same and reports the same error codes.
+ *       `PATCH` is accepted as an alias.
+ *
+ *       **Rate Limit:** edits count towards the 30 messages per minute per user
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMessageRequest'
+ *     responses:
+ *       200:
+ *         description: Message updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Message updated successfully"
+ *               data:
+ *                 _id: "507f1f77bcf86cd799439014"
+ *                 content: "Hello everyone! How is the release going?"
+ *                 sender: "507f1f77bcf86cd799439011"
+ *                 group: "507f1f77bcf86cd799439012"
+ *                 metadata:
+ *                   edited: true
+ *                   editedAt: "2024-01-01T12:05:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the sender, no longer a member, the edit window has passed or the group is archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "This message can no longer be edited"
+ *               error: "EDIT_WINDOW_EXPIRED"
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The message was edited by another request at the same time (`EDIT_CONFLICT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/messages/:messageId', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), sendMessageLimiter, validateMessageUpdate, updateMessage);
+router.patch('/messages/:messageId', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), sendMessageLimiter, validateMessageUpdate, updateMessage);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}/history:
+ *   get:
+ *     summary: Get the edit history of a message
+ *     description: |
+ *       Return the current content of a message and every earlier version, oldest first.
+ *       Only the owner of the message's group can view edit history.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *     responses:
+ *       200:
+ *         description: Message history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Message history retrieved successfully"
+ *               data:
+ *                 messageId: "507f1f77bcf86cd799439014"
+ *                 content: "Hello everyone! How is the release going?"
+ *                 edited: true
+ *                 editedAt: "2024-01-01T12:05:00.000Z"
+ *                 revisions:
+ *                   - content: "Hello everyone! How is the project going?"
+ *                     editedAt: "2024-01-01T12:05:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the group owner (`HISTORY_UNAUTHORIZED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/messages/:messageId/history', authenticateToken, requireScope(SCOPES.MESSAGES_READ), getMessageHistory);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}/thread:
+ *   get:
+ *     summary: Get a message thread
+ *     description: |
+ *       Return the first message of a thread and a page of its replies, oldest first.
+ *       Reply to a message by sending `replyTo` with a new message; replies to a reply
+ *       join the same thread. Asking for the thread of a reply returns the thread it
+ *       belongs to. The first message carries `metadata.replyCount` and
+ *       `metadata.lastReplyAt`.
+ *
+ *       Everyone who wrote the first message or replied to it receives a `thread:reply`
+ *       event for each new reply, sent after the reply is posted.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of replies per page
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Thread retrieved successfully"
+ *               data:
+ *                 parent:
+ *                   _id: "507f1f77bcf86cd799439014"
+ *                   content: "Who is joining the offsite?"
+ *                   metadata:
+ *                     replyCount: 1
+ *                     lastReplyAt: "2024-01-01T12:10:00.000Z"
+ *                 replies:
+ *                   - _id: "507f1f77bcf86cd799439015"
+ *                     content: "Count me in"
+ *                     metadata:
+ *                       replyTo: "507f1f77bcf86cd799439014"
+ *               pagination:
+ *                 total: 1
+ *                 page: 1
+ *                 limit: 50
+ *                 pages: 1
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/messages/:messageId/thread', authenticateToken, requireScope(SCOPES.MESSAGES_READ), validateThreadQuery, getThread);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message
+ *     description: |
+ *       Add an emoji reaction to a message. Each member can react with an emoji once per
+ *       message, and a message can collect up to 20 different emojis. Only active members
+ *       of the message's group can react, and archived groups can't be reacted in.
+ *
+ *       The group room receives a `reaction:added` event with the new count for the emoji.
+ *       The `reaction:add` socket event does the same and reports the same error codes.
+ *
+ *       **Rate Limit:** 60 reactions per minute per user
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReactionRequest'
+ *     responses:
+ *       201:
+ *         description: Reaction added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Reaction added successfully"
+ *               data:
+ *                 messageId: "507f1f77bcf86cd799439014"
+ *                 groupId: "507f1f77bcf86cd799439012"
+ *                 userId: "507f1f77bcf86cd799439011"
+ *                 emoji: "👍"
+ *                 count: 3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an active member of the group, or the group is archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already reacted with this emoji (`ALREADY_REACTED`), or the message has 20 different reactions (`TOO_MANY_REACTIONS`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/messages/:messageId/reactions', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), reactionLimiter, validateReaction, addReaction);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove a reaction from a message
+ *     description: |
+ *       Remove one of your reactions from a message. The group room receives a
+ *       `reaction:removed` event with the new count for the emoji. The
+ *       `reaction:remove` socket event does the same.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The emoji to remove, URL-encoded
+ *         example: "%F0%9F%91%8D"
+ *     responses:
+ *       200:
+ *         description: Reaction removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Reaction removed successfully"
+ *               data:
+ *                 messageId: "507f1f77bcf86cd799439014"
+ *                 groupId: "507f1f77bcf86cd799439012"
+ *                 userId: "507f1f77bcf86cd799439011"
+ *                 emoji: "👍"
+ *                 count: 2
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Message not found, or you haven't reacted with this emoji (`REACTION_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/messages/:messageId/reactions/:emoji', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), reactionLimiter, validateReactionParams, removeReaction);
+
+/**
+ * @swagger
+ * /api/v1/messages/groups/{groupId}/pins:
+ *   get:
+ *     summary: Get the pinned messages of a group
+ *     description: |
+ *       Return the messages pinned to a group, most recently pinned first, with
+ *       decrypted content, `pinnedAt` and `pinnedBy`. The list is bounded by the
+ *       group's `settings.maxPinnedMessages`, so it isn't paginated. Only active
+ *       members can view pins.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique group identifier
+ *         example: "507f1f77bcf86cd799439012"
+ *     responses:
+ *       200:
+ *         description: Pinned messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Pinned messages retrieved successfully"
+ *               data:
+ *                 - _id: "507f1f77bcf86cd799439014"
+ *                   content: "Release checklist: https://example.com/checklist"
+ *                   sender:
+ *                     _id: "507f1f77bcf86cd799439011"
+ *                     email: "john.doe@example.com"
+ *                   pinnedAt: "2024-01-01T12:30:00.000Z"
+ *                   pinnedBy:
+ *                     _id: "507f1f77bcf86cd799439013"
+ *                     email: "jane.doe@example.com"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/groups/:groupId/pins', authenticateToken, requireScope(SCOPES.MESSAGES_READ), getPinnedMessages);
+
+/**
+ * @swagger
+ * /api/v1/messages/messages/{messageId}/pin:
+ *   post:
+ *     summary: Pin a message
+ *     description: |
+ *       Pin a message to its group. Only owners and admins can pin messages, and a
+ *       group can have at most `settings.maxPinnedMessages` pinned messages (25 by
+ *       default). Archived groups can't be changed.
+ *
+ *       A system message recording who pinned the message is added to the group, and
+ *       the group room receives a `message:pinned` event with the pinned message and
+ *       the system message.
+ *
+ *       **Rate Limit:** 30 messages per minute per user
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *     responses:
+ *       200:
+ *         description: Message pinned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Message pinned successfully"
+ *               data:
+ *                 message:
+ *                   _id: "507f1f77bcf86cd799439014"
+ *                   content: "Release checklist: https://example.com/checklist"
+ *                   pinnedAt: "2024-01-01T12:30:00.000Z"
+ *                   pinnedBy: "507f1f77bcf86cd799439013"
+ *                 systemMessage:
+ *                   _id: "507f1f77bcf86cd799439015"
+ *                   content: "jane.doe@example.com pinned a message"
+ *                   messageType: "system"
+ *                   metadata:
+ *                     systemEvent: "message:pinned"
+ *                     relatedMessage: "507f1f77bcf86cd799439014"
+ *       400:
+ *         description: System messages can't be pinned (`CANNOT_PIN_SYSTEM_MESSAGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an owner or admin of the group (`PIN_UNAUTHORIZED`), or the group is archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The message is already pinned (`ALREADY_PINNED`), or the group has reached its pin limit (`PIN_LIMIT_REACHED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Unpin a message
+ *     description: |
+ *       Unpin a message from its group. Only owners and admins can unpin messages. A
+ *       system message recording who unpinned it is added to the group, and the group
+ *       room receives a `message:unpinned` event.
+ *     tags: [Messages]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique message identifier
+ *         example: "507f1f77bcf86cd799439014"
+ *     responses:
+ *       200:
+ *         description: Message unpinned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Message not found, or it isn't pinned (`MESSAGE_NOT_PINNED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/messages/:messageId/pin', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), sendMessageLimiter, pinMessage);
+router.delete('/messages/:messageId/pin', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), sendMessageLimiter, unpinMessage);
 
 /**
  * @swagger
@@ -433,7 +1056,7 @@ router.get('/messages/:messageId', authenticateToken, getMessage);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/messages/:messageId', authenticateToken, deleteMessage);
+router.delete('/messages/:messageId', authenticateToken, requireScope(SCOPES.MESSAGES_WRITE), deleteMessage);
 
 // 404 handler for message routes - this runs BEFORE auth for 404s
 router.use('*', (req, res) => {
@@ -446,6 +1069,15 @@ router.use('*', (req, res) => {
       'GET /api/v1/messages/groups/:groupId/messages - Get messages from a group',
       'GET /api/v1/messages/groups/:groupId/messages/search - Search messages in a group',
       'GET /api/v1/messages/messages/:messageId - Get a specific message',
+      'PUT /api/v1/messages/messages/:messageId - Edit a message',
+      'PATCH /api/v1/messages/messages/:messageId - Edit a message',
+      'GET /api/v1/messages/messages/:messageId/history - Get the edit history of a message',
+      'GET /api/v1/messages/messages/:messageId/thread - Get a message thread',
+      'POST /api/v1/messages/messages/:messageId/reactions - React to a message',
+      'DELETE /api/v1/messages/messages/:messageId/reactions/:emoji - Remove a reaction from a message',
+      'GET /api/v1/messages/groups/:groupId/pins - Get the pinned messages of a group',
+      'POST /api/v1/messages/messages/:messageId/pin - Pin a message',
+      'DELETE /api/v1/messages/messages/:messageId/pin - Unpin a message',
       'DELETE /api/v1/messages/messages/:messageId - Delete a message',
     ],
   });
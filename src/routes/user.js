@@ -8,6 +8,20 @@ const {
   changePassword,
   deleteUser,
 } = require('../controllers/userController');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../controllers/sessionController');
+const {
+  getTokens,
+  createToken,
+  revokeToken,
+} = require('../controllers/personalAccessTokenController');
+const {
+  createPersonalAccessTokenSchema,
+  createValidationMiddleware,
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -343,6 +357,272 @@ router.put('/password', authenticateToken, userLimiter, changePassword);
  */
 router.delete('/account', authenticateToken, userLimiter, deleteUser);
 
+/**
+ * @swagger
+ * /api/v1/users/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: |
+ *       List the devices the current user is logged in on. Each login creates a session
+ *       that lives as long as its refresh token keeps being rotated.
+ *       The session of the request is flagged with `current: true`.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Sessions retrieved successfully"
+ *               data:
+ *                 sessions:
+ *                   - _id: "65a1f77bcf86cd7994390a1"
+ *                     userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)"
+ *                     ip: "203.0.113.7"
+ *                     lastSeenIp: "203.0.113.7"
+ *                     createdAt: "2024-01-01T12:00:00.000Z"
+ *                     lastSeenAt: "2024-01-01T12:30:00.000Z"
+ *                     expiresAt: "2024-01-31T12:00:00.000Z"
+ *                     activeConnections: 1
+ *                     current: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *   delete:
+ *     summary: Log out everywhere else
+ *     description: |
+ *       Revoke every session of the current user except the one making the request.
+ *       Their tokens stop working immediately and their WebSocket connections are closed.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Logged out of all other sessions"
+ *               data:
+ *                 revokedCount: 2
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.get('/sessions', authenticateToken, userLimiter, getSessions);
+router.delete('/sessions', authenticateToken, userLimiter, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/v1/users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: |
+ *       Log a device out. The session's tokens stop working immediately and its
+ *       WebSocket connections are closed. Revoking the current session is the same as logging out.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Session revoked successfully"
+ *               data:
+ *                 sessionId: "65a1f77bcf86cd7994390a1"
+ *                 revokedAt: "2024-01-01T12:30:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Session not found"
+ *               error: "SESSION_NOT_FOUND"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/sessions/:sessionId', authenticateToken, userLimiter, revokeSession);
+
+const validateCreateToken = createValidationMiddleware(createPersonalAccessTokenSchema);
+
+/**
+ * @swagger
+ * /api/v1/users/tokens:
+ *   get:
+ *     summary: List personal access tokens
+ *     description: |
+ *       List the current user's personal access tokens that have not been revoked.
+ *       The token values themselves are never returned; `tokenPrefix` helps tell them apart.
+ *       Expired tokens are included with `expired: true`.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Personal access tokens retrieved successfully"
+ *               data:
+ *                 tokens:
+ *                   - _id: "65a1f77bcf86cd7994390b2"
+ *                     name: "CI notifier"
+ *                     tokenPrefix: "gmpat_Xk3v9Q"
+ *                     scopes: ["messages:write"]
+ *                     expiresAt: "2024-04-01T12:00:00.000Z"
+ *                     lastUsedAt: "2024-01-02T08:15:00.000Z"
+ *                     revokedAt: null
+ *                     createdAt: "2024-01-01T12:00:00.000Z"
+ *                     expired: false
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *   post:
+ *     summary: Create a personal access token
+ *     description: |
+ *       Create a token for scripts and integrations. Send it as `Authorization: Bearer <token>`.
+ *       It only works on group and message endpoints allowed by its scopes, never on
+ *       `/auth` or `/users` endpoints, and not for WebSocket connections.
+ *
+ *       The token is only returned in this response, so store it right away.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreatePersonalAccessTokenRequest'
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Personal access token created. Copy it now, it will not be shown again"
+ *               data:
+ *                 token:
+ *                   _id: "65a1f77bcf86cd7994390b2"
+ *                   name: "CI notifier"
+ *                   tokenPrefix: "gmpat_Xk3v9Q"
+ *                   scopes: ["messages:write"]
+ *                   expiresAt: "2024-04-01T12:00:00.000Z"
+ *                   lastUsedAt: null
+ *                   revokedAt: null
+ *                   createdAt: "2024-01-01T12:00:00.000Z"
+ *                   token: "gmpat_Xk3v9QnV2l..."
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Name already used or too many tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "A token with this name already exists"
+ *               error: "DUPLICATE_TOKEN_NAME"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.get('/tokens', authenticateToken, userLimiter, getTokens);
+router.post('/tokens', authenticateToken, userLimiter, validateCreateToken, createToken);
+
+/**
+ * @swagger
+ * /api/v1/users/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     description: The token stops working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: "Personal access token revoked successfully"
+ *               data:
+ *                 tokenId: "65a1f77bcf86cd7994390b2"
+ *                 revokedAt: "2024-01-01T12:30:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Token not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Token not found"
+ *               error: "TOKEN_NOT_FOUND"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.delete('/tokens/:tokenId', authenticateToken, userLimiter, revokeToken);
+
 // Handle unknown user endpoints - this runs BEFORE auth for 404s
 router.use('*', (req, res) => {
   res.status(404).json({
@@ -355,6 +635,12 @@ router.use('*', (req, res) => {
       'GET /api/v1/users/stats - Get user statistics',
       'PUT /api/v1/users/password - Change password',
       'DELETE /api/v1/users/account - Delete account',
+      'GET /api/v1/users/sessions - List active sessions',
+      'DELETE /api/v1/users/sessions - Log out everywhere else',
+      'DELETE /api/v1/users/sessions/:sessionId - Revoke a session',
+      'GET /api/v1/users/tokens - List personal access tokens',
+      'POST /api/v1/users/tokens - Create a personal access token',
+      'DELETE /api/v1/users/tokens/:tokenId - Revoke a personal access token',
     ],
   });
 });
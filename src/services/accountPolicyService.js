@@ -0,0 +1,53 @@
+/**
+ * Account Policy Service
+ *
+ * Checks account-level conditions that gate what a user may do,
+ * independently of their permissions inside a particular group.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the account policy service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The account policy service methods
+ */
+module.exports = function(container) {
+  const User = container.get('userModel');
+  const env = container.get('env');
+  const { AuthorizationError, InternalError } = container.get('errorUtils');
+
+  /**
+   * Make sure a user has verified their email address when the policy requires it
+   *
+   * @param {string} userId - ID of the acting user
+   * @param {string} action - Description of the blocked action, used in the error message
+   * @throws {AuthorizationError} If the email address is not verified
+   * @throws {InternalError} If there's a database error
+   */
+  async function assertEmailVerified(userId, action) {
+    if (!env.get('REQUIRE_EMAIL_VERIFICATION')) {
+      return;
+    }
+
+    let user;
+    try {
+      user = await User.findById(userId).select('emailVerified').lean();
+    } catch (dbError) {
+      logger.error('Database error during email verification check:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Account policy check failed', 'DATABASE_ERROR');
+    }
+
+    if (!user || !user.emailVerified) {
+      throw new AuthorizationError(
+        `Please verify your email address before ${action}`,
+        'EMAIL_NOT_VERIFIED',
+      );
+    }
+  }
+
+  return {
+    assertEmailVerified,
+  };
+};
@@ -0,0 +1,362 @@
+/**
+ * Admin Service
+ *
+ * Platform moderation for moderators and admins: finding and suspending
+ * accounts, changing roles, removing groups and platform statistics.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Create the admin service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The admin service methods
+ */
+module.exports = function(container) {
+  const User = container.get('userModel');
+  const Group = container.get('groupModel');
+  const Message = container.get('messageModel');
+  const Session = container.get('sessionModel');
+  const sessionService = container.get('sessionService');
+  const groupService = container.get('groupService');
+  const broadcaster = container.get('broadcaster');
+  const { ALL_ROLES, outranks } = container.get('roleUtils');
+  const {
+    NotFoundError,
+    ValidationError,
+    AuthorizationError,
+    ConflictError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Rethrow expected errors and wrap anything else
+   *
+   * @param {Error} error - The caught error
+   * @param {string} action - What was being done, for the log
+   * @throws {AppError} Always
+   */
+  function handleError(error, action) {
+    if (error.isOperational) {
+      throw error;
+    }
+
+    logger.error(`Error ${action}:`, { message: error.message, stack: error.stack });
+    throw new InternalError('Admin service error', 'DATABASE_ERROR');
+  }
+
+  /**
+   * Validate an ObjectId route parameter
+   *
+   * @param {string} id - The value to check
+   * @param {string} field - Parameter name for the error
+   * @throws {ValidationError} If the value is not an ObjectId
+   */
+  function assertObjectId(id, field) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new ValidationError(`Invalid ${field} format`, [{ field, message: `Invalid ${field} format` }]);
+    }
+  }
+
+  /**
+   * Load the target of a moderation action and check the actor may act on it
+   *
+   * Staff can only act on accounts ranked below their own role, and never on themselves.
+   *
+   * @param {Object} actor - The authenticated principal (userId, role)
+   * @param {string} userId - ID of the target user
+   * @returns {Object} The target user document
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {AuthorizationError} If the actor doesn't outrank the target
+   */
+  async function loadManageableUser(actor, userId) {
+    assertObjectId(userId, 'userId');
+
+    if (userId === actor.userId) {
+      throw new AuthorizationError('You cannot perform this action on your own account', 'CANNOT_MODERATE_SELF');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (!outranks(actor.role, user.role)) {
+      throw new AuthorizationError('You cannot perform this action on this account', 'INSUFFICIENT_ROLE');
+    }
+
+    return user;
+  }
+
+  /**
+   * List and search users
+   *
+   * @param {Object} options - Query options
+   * @param {string} [options.q] - Case-insensitive search on the email address
+   * @param {string} [options.role] - Only users with this role
+   * @param {string} [options.status] - 'active' or 'suspended'
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Number of items per page
+   * @returns {Object} Paginated users
+   * @throws {InternalError} If there's a database error
+   */
+  async function listUsers({ q, role, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (q) {
+      query.email = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (status === 'suspended') {
+      query.suspendedAt = { $ne: null };
+    } else if (status === 'active') {
+      query.suspendedAt = null;
+    }
+
+    try {
+      const [users, total] = await Promise.all([
+        User.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        User.countDocuments(query),
+      ]);
+
+      return {
+        users: users.map(user => user.toJSON()),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      handleError(error, 'listing users');
+    }
+  }
+
+  /**
+   * Suspend an account
+   *
+   * The user is logged out everywhere: sessions and refresh tokens are revoked,
+   * sockets are disconnected and access tokens or personal access tokens are
+   * refused until the account is unsuspended.
+   *
+   * @param {Object} actor - The authenticated principal (userId, role)
+   * @param {string} userId - ID of the user to suspend
+   * @param {Object} data - The request data
+   * @param {string} [data.reason] - Why the account is suspended
+   * @returns {Object} The suspended user
+   * @throws {ValidationError} If the user ID is malformed
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {AuthorizationError} If the actor doesn't outrank the user
+   * @throws {ConflictError} If the account is already suspended
+   * @throws {InternalError} If there's a database error
+   */
+  async function suspendUser(actor, userId, { reason } = {}) {
+    try {
+      const user = await loadManageableUser(actor, userId);
+
+      if (user.isSuspended()) {
+        throw new ConflictError('Account is already suspended', 'ALREADY_SUSPENDED');
+      }
+
+      user.suspendedAt = new Date();
+      user.suspendedReason = reason || null;
+      user.suspendedBy = actor.userId;
+      await user.save();
+
+      await sessionService.revokeAllSessions(userId, 'suspended');
+      broadcaster.disconnectRoom(`user:${userId}`);
+
+      logger.info('Account suspended:', { userId, suspendedBy: actor.userId });
+
+      return { user: user.toJSON() };
+    } catch (error) {
+      handleError(error, 'suspending user');
+    }
+  }
+
+  /**
+   * Lift an account suspension
+   *
+   * @param {Object} actor - The authenticated principal (userId, role)
+   * @param {string} userId - ID of the user to unsuspend
+   * @returns {Object} The unsuspended user
+   * @throws {ValidationError} If the user ID is malformed
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {AuthorizationError} If the actor doesn't outrank the user
+   * @throws {ConflictError} If the account is not suspended
+   * @throws {InternalError} If there's a database error
+   */
+  async function unsuspendUser(actor, userId) {
+    try {
+      const user = await loadManageableUser(actor, userId);
+
+      if (!user.isSuspended()) {
+        throw new ConflictError('Account is not suspended', 'NOT_SUSPENDED');
+      }
+
+      user.suspendedAt = null;
+      user.suspendedReason = null;
+      user.suspendedBy = null;
+      await user.save();
+
+      logger.info('Account unsuspended:', { userId, unsuspendedBy: actor.userId });
+
+      return { user: user.toJSON() };
+    } catch (error) {
+      handleError(error, 'unsuspending user');
+    }
+  }
+
+  /**
+   * Change a user's platform role
+   *
+   * @param {Object} actor - The authenticated principal (userId, role)
+   * @param {string} userId - ID of the user
+   * @param {Object} data - The request data
+   * @param {string} data.role - New role
+   * @returns {Object} The updated user
+   * @throws {ValidationError} If the user ID is malformed
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {AuthorizationError} If the actor doesn't outrank the user
+   * @throws {InternalError} If there's a database error
+   */
+  async function updateUserRole(actor, userId, { role }) {
+    try {
+      const user = await loadManageableUser(actor, userId);
+
+      user.role = role;
+      await user.save();
+
+      logger.info('User role changed:', { userId, role, changedBy: actor.userId });
+
+      return { user: user.toJSON() };
+    } catch (error) {
+      handleError(error, 'changing user role');
+    }
+  }
+
+  /**
+   * Delete a group regardless of its owner or members
+   *
+   * Its messages, reactions, memberships, invite links and invitations are deleted with it. Connected
+   * members are told the group is gone and their sockets leave its room.
+   *
+   * @param {Object} actor - The authenticated principal (userId, role)
+   * @param {string} groupId - ID of the group
+   * @returns {Object} Deletion confirmation
+   * @throws {ValidationError} If the group ID is malformed
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {InternalError} If there's a database error
+   */
+  async function deleteGroup(actor, groupId) {
+    assertObjectId(groupId, 'groupId');
+
+    try {
+      const group = await Group.findByIdAndDelete(groupId);
+
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      const { deletedMessages } = await groupService.destroyGroupData(groupId, { deletedBy: 'platform' });
+
+      logger.info('Group force-deleted:', { groupId, deletedBy: actor.userId, deletedMessages });
+
+      return {
+        groupId,
+        deletedMessages,
+        deletedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      handleError(error, 'deleting group');
+    }
+  }
+
+  /**
+   * Platform-wide statistics
+   *
+   * @returns {Object} User, group, message and session counts
+   * @throws {InternalError} If there's a database error
+   */
+  async function getStats() {
+    const now = Date.now();
+    const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+    const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+
+    try {
+      const [
+        totalUsers,
+        suspendedUsers,
+        verifiedUsers,
+        newUsersToday,
+        newUsersThisWeek,
+        usersByRole,
+        totalGroups,
+        groupsByType,
+        totalMessages,
+        messagesToday,
+        activeSessions,
+      ] = await Promise.all([
+        User.countDocuments({}),
+        User.countDocuments({ suspendedAt: { $ne: null } }),
+        User.countDocuments({ emailVerified: true }),
+        User.countDocuments({ createdAt: { $gte: dayAgo } }),
+        User.countDocuments({ createdAt: { $gte: weekAgo } }),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+        Group.countDocuments({}),
+        Group.aggregate([{ $group: { _id: '$type', count: { $sum: 1 } } }]),
+        Message.countDocuments({}),
+        Message.countDocuments({ createdAt: { $gte: dayAgo } }),
+        Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+      ]);
+
+      // Documents without the field count towards the first key (e.g. users created before roles)
+      const toCounts = (rows, keys) => {
+        const counts = Object.fromEntries(keys.map(key => [key, 0]));
+        rows.forEach(row => {
+          const key = row._id || keys[0];
+          counts[key] = (counts[key] || 0) + row.count;
+        });
+        return counts;
+      };
+
+      return {
+        users: {
+          total: totalUsers,
+          suspended: suspendedUsers,
+          verified: verifiedUsers,
+          newToday: newUsersToday,
+          newThisWeek: newUsersThisWeek,
+          byRole: toCounts(usersByRole, ALL_ROLES),
+        },
+        groups: {
+          total: totalGroups,
+          byType: toCounts(groupsByType, ['public', 'private']),
+        },
+        messages: {
+          total: totalMessages,
+          today: messagesToday,
+        },
+        sessions: {
+          active: activeSessions,
+        },
+        generatedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      handleError(error, 'computing platform stats');
+    }
+  }
+
+  return {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole,
+    deleteGroup,
+    getStats,
+  };
+};
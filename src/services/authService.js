@@ -16,25 +16,264 @@ const logger = require('../utils/logger');
 module.exports = function(container) {
 
   const User = container.get('userModel');
-  const { generateToken } = container.get('jwtUtils');
-  const { validateRegistration, validateLogin } = container.get('validationUtils');
+  const RevokedToken = container.get('revokedTokenModel');
+  const RefreshToken = container.get('refreshTokenModel');
+  const PasswordResetToken = container.get('passwordResetTokenModel');
+  const mailService = container.get('mailService');
+  const mfaService = container.get('mfaService');
+  const sessionService = container.get('sessionService');
+  const broadcaster = container.get('broadcaster');
+  const env = container.get('env');
+  const {
+    generateToken,
+    verifyToken,
+    getTokenId,
+    generatePurposeToken,
+    verifyPurposeToken,
+  } = container.get('jwtUtils');
+  const { generateOpaqueToken, hashToken } = container.get('tokenUtils');
+  const { ROLES } = container.get('roleUtils');
+  const {
+    validateRegistration,
+    validateLogin,
+    validateData,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    mfaVerifySchema,
+  } = container.get('validationUtils');
   const {
     ValidationError,
     ConflictError,
     AuthenticationError,
+    AuthorizationError,
+    BadRequestError,
+    NotFoundError,
+    AccountLockedError,
     InternalError,
   } = container.get('errorUtils');
 
+  const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+  const MFA_CHALLENGE_PURPOSE = 'mfa_challenge';
+
+  /**
+   * Throw a ValidationError built from a failed Joi validation
+   *
+   * @param {Object} error - The Joi validation error
+   * @throws {ValidationError} Always
+   */
+  function throwValidationError(error) {
+    throw new ValidationError(
+      'Validation failed',
+      error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      })),
+    );
+  }
+
+  /**
+   * Get the expiry for a refresh token issued now
+   *
+   * @returns {Date} Refresh token expiry
+   */
+  function getRefreshTokenExpiry() {
+    const ttlDays = env.get('REFRESH_TOKEN_TTL_DAYS');
+    return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Issue an access token and a refresh token within a session
+   *
+   * The session ID is the refresh token family and the `sid` claim of the access token.
+   *
+   * @param {Object} user - The user document
+   * @param {Object} session - The session the tokens belong to
+   * @param {Date} refreshTokenExpiresAt - Expiry of the refresh token
+   * @returns {Object} Token data for the response
+   */
+  async function issueTokens(user, session, refreshTokenExpiresAt) {
+    const sessionId = session._id.toString();
+    const token = generateToken({
+      userId: user._id.toString(),
+      email: user.email,
+      sessionId,
+    });
+
+    const refreshToken = generateOpaqueToken();
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      family: sessionId,
+      expiresAt: refreshTokenExpiresAt,
+    });
+
+    return {
+      token,
+      tokenExpiry: env.get('JWT_EXPIRES_IN'),
+      refreshToken,
+      refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString(),
+      sessionId,
+    };
+  }
+
+  /**
+   * Start a new session for a user and issue its first tokens
+   *
+   * @param {Object} user - The user document
+   * @param {Object} context - Client information (userAgent, ip)
+   * @returns {Object} Token data for the response
+   */
+  async function startSession(user, context) {
+    const expiresAt = getRefreshTokenExpiry();
+    const session = await sessionService.createSession(user._id, context, expiresAt);
+    return issueTokens(user, session, expiresAt);
+  }
+
+  /**
+   * Refuse to authenticate an account that is locked after failed logins
+   *
+   * @param {Object} user - The user document
+   * @throws {AccountLockedError} If the account is locked
+   */
+  function assertNotLocked(user) {
+    if (user.isLocked()) {
+      throw new AccountLockedError(
+        'Account temporarily locked due to too many failed login attempts. Try again later or reset your password',
+        user.lockUntil,
+      );
+    }
+  }
+
+  /**
+   * Refuse to authenticate an account suspended by a moderator or admin
+   *
+   * @param {Object} user - The user document (or a lean object with suspendedAt)
+   * @throws {AuthorizationError} If the account is suspended
+   */
+  function assertNotSuspended(user) {
+    if (user.suspendedAt) {
+      throw new AuthorizationError('This account has been suspended', 'ACCOUNT_SUSPENDED');
+    }
+  }
+
+  /**
+   * Record a failed login attempt and lock the account once the limit is reached
+   *
+   * Every failure past the limit doubles the lock duration, up to the configured maximum.
+   *
+   * @param {Object} user - The user document
+   * @returns {Date|null} When the lock ends, or null if the account is not locked
+   */
+  async function recordFailedLogin(user) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true, projection: { failedLoginAttempts: 1 } },
+      );
+
+      const excessAttempts = updated.failedLoginAttempts - env.get('LOGIN_MAX_FAILED_ATTEMPTS');
+      if (excessAttempts < 0) {
+        return null;
+      }
+
+      const lockSeconds = Math.min(
+        env.get('LOGIN_LOCKOUT_BASE_SECONDS') * 2 ** excessAttempts,
+        env.get('LOGIN_LOCKOUT_MAX_SECONDS'),
+      );
+      const lockUntil = new Date(Date.now() + lockSeconds * 1000);
+
+      await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+
+      logger.warn('Account locked after failed login attempts:', {
+        userId: user._id.toString(),
+        failedLoginAttempts: updated.failedLoginAttempts,
+        lockSeconds,
+      });
+
+      return lockUntil;
+    } catch (dbError) {
+      // Tracking failures must not turn a wrong password into a server error
+      logger.error('Database error recording failed login:', { message: dbError.message, stack: dbError.stack });
+      return null;
+    }
+  }
+
+  /**
+   * Clear failed login tracking after a successful login
+   *
+   * @param {Object} user - The user document
+   */
+  async function resetFailedLogins(user) {
+    if (!user.failedLoginAttempts && !user.lockUntil) {
+      return;
+    }
+
+    try {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } },
+      );
+    } catch (dbError) {
+      logger.error('Database error resetting failed logins:', { message: dbError.message, stack: dbError.stack });
+    }
+  }
+
+  /**
+   * Handle a wrong password or second factor
+   *
+   * @param {Object} user - The user document
+   * @param {AuthenticationError} error - Error to throw if the account is not locked by this failure
+   * @throws {AccountLockedError} If this failure locked the account
+   * @throws {AuthenticationError} Otherwise
+   */
+  async function failLogin(user, error) {
+    const lockUntil = await recordFailedLogin(user);
+
+    if (lockUntil) {
+      throw new AccountLockedError(
+        'Account temporarily locked due to too many failed login attempts. Try again later or reset your password',
+        lockUntil,
+      );
+    }
+
+    throw error;
+  }
+
+  /**
+   * Email a verification link for the user's current address
+   *
+   * The link carries a signed token bound to the address, so it stops working
+   * if the address changes. Delivery failures are logged, not thrown.
+   *
+   * @param {Object} user - The user document
+   */
+  function sendVerificationEmail(user) {
+    const ttlHours = env.get('EMAIL_VERIFICATION_TTL_HOURS');
+    const token = generatePurposeToken(
+      { userId: user._id.toString(), email: user.email },
+      EMAIL_VERIFICATION_PURPOSE,
+      `${ttlHours}h`,
+    );
+
+    mailService.sendVerificationEmail(user.email, token, ttlHours).catch((mailError) => {
+      logger.error('Error sending verification email:', { message: mailError.message, stack: mailError.stack });
+    });
+  }
+
   /**
    * Register a new user
    *
    * @param {Object} userData - The user registration data
+   * @param {Object} [context] - Client information (userAgent, ip) recorded on the session
    * @returns {Object} Object containing user data and authentication token
    * @throws {ValidationError} If validation fails
    * @throws {ConflictError} If email is already registered
    * @throws {InternalError} If there's a database error
    */
-  async function register(userData) {
+  async function register(userData, context = {}) {
 
     const { error, value, isValid } = validateRegistration(userData);
 
@@ -84,31 +323,38 @@ module.exports = function(container) {
       }
     }
 
+    let tokens;
+    try {
+      tokens = await startSession(savedUser, context);
+    } catch (tokenError) {
+      logger.error('Error issuing tokens during registration:', { message: tokenError.message, stack: tokenError.stack });
+      throw new InternalError('Registration service temporarily unavailable', 'DATABASE_ERROR');
+    }
 
-    const tokenPayload = {
-      userId: savedUser._id.toString(),
-      email: savedUser.email,
-    };
-
-    const token = generateToken(tokenPayload);
+    sendVerificationEmail(savedUser);
 
     return {
       user: savedUser.toJSON(),
-      token,
-      tokenExpiry: '24h',
+      ...tokens,
     };
   }
 
   /**
    * Log in an existing user
    *
+   * Users with two-factor authentication enabled get a short-lived MFA
+   * challenge token instead of tokens; it is exchanged by verifyMfa().
+   *
    * @param {Object} credentials - The login credentials
-   * @returns {Object} Object containing user data and authentication token
+   * @param {Object} [context] - Client information (userAgent, ip) recorded on the session
+   * @returns {Object} Object containing user data and authentication token, or an MFA challenge
    * @throws {ValidationError} If validation fails
    * @throws {AuthenticationError} If credentials are invalid
+   * @throws {AccountLockedError} If the account is locked after too many failed attempts
+   * @throws {AuthorizationError} If the account is suspended
    * @throws {InternalError} If there's a database error
    */
-  async function login(credentials) {
+  async function login(credentials, context = {}) {
 
     const { error, value, isValid } = validateLogin(credentials);
 
@@ -137,6 +383,9 @@ module.exports = function(container) {
       throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
     }
 
+    // Checked before the password so a locked account can't be used to test guesses
+    assertNotLocked(user);
+
     // Attempt to compare password with timeout protection
     let isPasswordValid = false;
     try {
@@ -152,38 +401,426 @@ module.exports = function(container) {
     }
 
     if (!isPasswordValid) {
-      throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
+      await failLogin(user, new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS'));
     }
 
+    // Only revealed to someone who knows the password
+    assertNotSuspended(user);
 
-    const tokenPayload = {
-      userId: user._id.toString(),
-      email: user.email,
+    // With two-factor authentication the counters are reset once the second factor is verified
+    if (user.mfa && user.mfa.enabled) {
+      const ttlMinutes = env.get('MFA_CHALLENGE_TTL_MINUTES');
+
+      return {
+        mfaRequired: true,
+        mfaToken: generatePurposeToken(
+          { userId: user._id.toString(), jti: generateOpaqueToken(16) },
+          MFA_CHALLENGE_PURPOSE,
+          `${ttlMinutes}m`,
+        ),
+        mfaTokenExpiresIn: `${ttlMinutes}m`,
+      };
+    }
+
+    let tokens;
+    try {
+      tokens = await startSession(user, context);
+    } catch (tokenError) {
+      logger.error('Error issuing tokens during login:', { message: tokenError.message, stack: tokenError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    await resetFailedLogins(user);
+
+    return {
+      user: user.toJSON(),
+      ...tokens,
     };
+  }
 
-    const token = generateToken(tokenPayload);
+  /**
+   * Complete a two-step login with the second factor
+   *
+   * @param {Object} data - The request data
+   * @param {string} data.mfaToken - Challenge token returned by login()
+   * @param {string} [data.code] - Current 6-digit code from the authenticator app
+   * @param {string} [data.recoveryCode] - Unused recovery code
+   * @param {Object} [context] - Client information (userAgent, ip) recorded on the session
+   * @returns {Object} Object containing user data and authentication token
+   * @throws {ValidationError} If validation fails
+   * @throws {AuthenticationError} If the challenge token is invalid or already used, or the code is invalid
+   * @throws {AccountLockedError} If the account is locked after too many failed attempts
+   * @throws {AuthorizationError} If the account is suspended
+   * @throws {InternalError} If there's a database error
+   */
+  async function verifyMfa(data, context = {}) {
+    const { error, value, isValid } = validateData(data, mfaVerifySchema);
+
+    if (!isValid) {
+      throwValidationError(error);
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(value.mfaToken, MFA_CHALLENGE_PURPOSE);
+    } catch (tokenError) {
+      throw new AuthenticationError('Invalid or expired MFA challenge', 'INVALID_MFA_TOKEN');
+    }
+
+    const challengeId = getTokenId(value.mfaToken, decoded);
+
+    let user;
+    let isRedeemed;
+    try {
+      [user, isRedeemed] = await Promise.all([
+        User.findById(decoded.userId),
+        RevokedToken.isRevoked(challengeId),
+      ]);
+    } catch (dbError) {
+      logger.error('Database error during MFA verification:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (!user || !user.mfa.enabled || isRedeemed) {
+      throw new AuthenticationError('Invalid or expired MFA challenge', 'INVALID_MFA_TOKEN');
+    }
+
+    // Wrong codes count as failed logins, so guessing codes locks the account too
+    assertNotLocked(user);
+
+    // Redeem the challenge before checking the factor, so a request that loses a
+    // race for the same challenge can't use up a code or recovery code
+    let redemption;
+    try {
+      redemption = await RevokedToken.revoke({
+        jti: challengeId,
+        userId: user._id,
+        expiresAt: new Date(decoded.exp * 1000),
+        reason: 'mfa_challenge',
+      });
+    } catch (dbError) {
+      // Two upserts racing on the unique jti index: the other one redeemed it
+      if (dbError.code === 11000) {
+        throw new AuthenticationError('Invalid or expired MFA challenge', 'INVALID_MFA_TOKEN');
+      }
+      logger.error('Database error during MFA verification:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (!redemption.upsertedCount) {
+      throw new AuthenticationError('Invalid or expired MFA challenge', 'INVALID_MFA_TOKEN');
+    }
+
+    // A wrong code ends the challenge too; the user logs in again
+    const isFactorValid = await mfaService.verifySecondFactor(user._id, {
+      code: value.code,
+      recoveryCode: value.recoveryCode,
+    });
+
+    if (!isFactorValid) {
+      await failLogin(user, new AuthenticationError('Invalid verification code', 'INVALID_MFA_CODE'));
+    }
+
+    assertNotSuspended(user);
+
+    let tokens;
+    try {
+      tokens = await startSession(user, context);
+    } catch (tokenError) {
+      logger.error('Error issuing tokens during MFA verification:', { message: tokenError.message, stack: tokenError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    await resetFailedLogins(user);
 
     return {
       user: user.toJSON(),
-      token,
-      tokenExpiry: '24h',
+      ...tokens,
     };
   }
 
   /**
-   * Logout a user (placeholder for future implementation)
+   * Verify an access token and make sure it has not been revoked
+   *
+   * @param {string} token - The raw JWT access token
+   * @returns {Object} The authenticated principal (userId, email, role, tokenId, sessionId, iat, exp)
+   * @throws {AuthenticationError} If the token is invalid, expired or revoked (directly or through its session)
+   * @throws {AuthorizationError} If the account is suspended
+   * @throws {InternalError} If there's a database error
    */
-  async function logout() {
-    // To be implemented (token invalidation strategy)
-    throw new Error('Not implemented');
+  async function verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN');
+    }
+
+    const tokenId = getTokenId(token, decoded);
+
+    let isRevoked;
+    let user;
+    let session;
+    try {
+      [isRevoked, user, session] = await Promise.all([
+        RevokedToken.isRevoked(tokenId),
+        User.findById(decoded.userId).select('passwordChangedAt role suspendedAt').lean(),
+        decoded.sid ? sessionService.getActiveSession(decoded.sid) : null,
+      ]);
+    } catch (dbError) {
+      logger.error('Database error during token revocation check:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (isRevoked || (decoded.sid && !session)) {
+      throw new AuthenticationError('Token has been revoked', 'TOKEN_REVOKED');
+    }
+
+    // A password reset invalidates every access token issued before it
+    if (user && user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+      throw new AuthenticationError('Token has been revoked', 'TOKEN_REVOKED');
+    }
+
+    if (user) {
+      assertNotSuspended(user);
+    }
+
+    return {
+      userId: decoded.userId,
+      email: decoded.email,
+      role: user?.role || ROLES.USER,
+      tokenId,
+      sessionId: decoded.sid || null,
+      iat: decoded.iat,
+      exp: decoded.exp,
+    };
   }
 
   /**
-   * Refresh an authentication token (placeholder for future implementation)
+   * Logout a user by revoking the access token they authenticated with
+   *
+   * The session the token belongs to is ended, which revokes its refresh tokens
+   * and disconnects its sockets. Any socket connection opened with the same token
+   * is disconnected. When the client also sends its refresh token, the whole
+   * refresh token family is revoked.
+   *
+   * @param {Object} principal - The authenticated principal from verifyAccessToken
+   * @param {Object} [options] - Logout options
+   * @param {string} [options.refreshToken] - Refresh token to revoke along with the access token
+   * @returns {Object} Logout confirmation
+   * @throws {InternalError} If there's a database error
    */
-  async function refreshToken() {
-    // To be implemented (refresh token strategy)
-    throw new Error('Not implemented');
+  async function logout(principal, { refreshToken } = {}) {
+    const { userId, tokenId, sessionId, exp } = principal;
+
+    try {
+      await RevokedToken.revoke({
+        jti: tokenId,
+        userId,
+        // Tokens without an expiry never expire, so their revocation is kept forever
+        expiresAt: exp ? new Date(exp * 1000) : undefined,
+        reason: 'logout',
+      });
+
+      if (sessionId) {
+        await sessionService.endSession(sessionId, 'logout');
+      }
+
+      if (refreshToken) {
+        const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: userId });
+        if (storedToken) {
+          await RefreshToken.revokeFamily(storedToken.family, 'logout');
+        }
+      }
+    } catch (dbError) {
+      logger.error('Database error during logout:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    broadcaster.disconnectRoom(`token:${tokenId}`);
+
+    return {
+      loggedOutAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   *
+   * Refresh tokens are single-use. Presenting one that was already rotated
+   * means it was copied, so the whole family is revoked and every session
+   * descending from that login has to authenticate again.
+   *
+   * @param {string} rawRefreshToken - The opaque refresh token from the client
+   * @returns {Object} New token data
+   * @throws {AuthenticationError} If the token is unknown, expired, revoked or reused
+   * @throws {InternalError} If there's a database error
+   */
+  async function refreshToken(rawRefreshToken) {
+    let storedToken;
+    try {
+      storedToken = await RefreshToken.findOne({ tokenHash: hashToken(rawRefreshToken) });
+    } catch (dbError) {
+      logger.error('Database error during token refresh:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (!storedToken || storedToken.revokedAt || storedToken.expiresAt.getTime() <= Date.now()) {
+      throw new AuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (storedToken.rotatedAt) {
+      await revokeReusedFamily(storedToken);
+    }
+
+    try {
+      // Mark as rotated only if nobody else did in the meantime
+      const rotated = await RefreshToken.findOneAndUpdate(
+        { _id: storedToken._id, rotatedAt: null, revokedAt: null },
+        { $set: { rotatedAt: new Date() } },
+        { new: true },
+      );
+
+      if (!rotated) {
+        await revokeReusedFamily(storedToken);
+      }
+
+      const [user, session] = await Promise.all([
+        User.findById(storedToken.user),
+        sessionService.getActiveSession(storedToken.family),
+      ]);
+
+      // Families without an active session were ended (or predate sessions)
+      if (!user || !session || user.isSuspended()) {
+        await RefreshToken.revokeFamily(storedToken.family, 'logout');
+        throw new AuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+      }
+
+      const refreshTokenExpiresAt = getRefreshTokenExpiry();
+      await sessionService.extendSession(session._id, refreshTokenExpiresAt);
+
+      return await issueTokens(user, session, refreshTokenExpiresAt);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+
+      logger.error('Error rotating refresh token:', { message: error.message, stack: error.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Revoke a refresh token family after one of its rotated tokens was reused
+   *
+   * @param {Object} storedToken - The reused refresh token document
+   * @throws {AuthenticationError} Always, after revoking the family
+   */
+  async function revokeReusedFamily(storedToken) {
+    logger.warn('Refresh token reuse detected, revoking token family:', {
+      userId: storedToken.user.toString(),
+      family: storedToken.family,
+    });
+
+    try {
+      await RefreshToken.revokeFamily(storedToken.family, 'reuse_detected');
+      await sessionService.endSession(storedToken.family, 'reuse_detected');
+    } catch (dbError) {
+      logger.error('Database error revoking refresh token family:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    throw new AuthenticationError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  /**
+   * Verify an email address with a token from a verification email
+   *
+   * Verifying an already verified address succeeds without changes.
+   *
+   * @param {Object} data - The request data
+   * @param {string} data.token - The signed verification token
+   * @returns {Object} The verified user
+   * @throws {ValidationError} If validation fails
+   * @throws {BadRequestError} If the token is invalid, expired or for a different address
+   * @throws {InternalError} If there's a database error
+   */
+  async function verifyEmail(data) {
+    const { error, value, isValid } = validateData(data, verifyEmailSchema);
+
+    if (!isValid) {
+      throwValidationError(error);
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(value.token, EMAIL_VERIFICATION_PURPOSE);
+    } catch (tokenError) {
+      throw new BadRequestError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    let user;
+    try {
+      user = await User.findById(decoded.userId);
+    } catch (dbError) {
+      logger.error('Database error during email verification:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    // The address changed since the link was sent
+    if (!user || user.email !== decoded.email) {
+      throw new BadRequestError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+
+      try {
+        await user.save();
+      } catch (dbError) {
+        logger.error('Error saving email verification:', { message: dbError.message, stack: dbError.stack });
+        throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+      }
+    }
+
+    return {
+      user: user.toJSON(),
+    };
+  }
+
+  /**
+   * Send a new verification email to the authenticated user
+   *
+   * @param {string} userId - ID of the authenticated user
+   * @returns {Object} Information about the sent link
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {ConflictError} If the email address is already verified
+   * @throws {InternalError} If there's a database error
+   */
+  async function resendVerification(userId) {
+    let user;
+    try {
+      user = await User.findById(userId);
+    } catch (dbError) {
+      logger.error('Database error during resend verification:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (user.emailVerified) {
+      throw new ConflictError('Email address is already verified', 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    sendVerificationEmail(user);
+
+    return {
+      email: user.email,
+      expiresInHours: env.get('EMAIL_VERIFICATION_TTL_HOURS'),
+    };
   }
 
   /**
@@ -195,29 +832,128 @@ module.exports = function(container) {
   }
 
   /**
-   * Initiate forgot password flow (placeholder for future implementation)
+   * Initiate the forgot password flow
+   *
+   * Emails a single-use reset link when the account exists. The response is
+   * the same either way so the endpoint cannot be used to discover accounts.
+   *
+   * @param {Object} data - The request data
+   * @param {string} data.email - Email address of the account
+   * @returns {Object} Confirmation that a reset email was sent if the account exists
+   * @throws {ValidationError} If validation fails
+   * @throws {InternalError} If there's a database error
    */
-  async function forgotPassword(email) {
-    // To be implemented
-    throw new Error('Not implemented');
+  async function forgotPassword(data) {
+    const { error, value, isValid } = validateData(data, forgotPasswordSchema);
+
+    if (!isValid) {
+      throwValidationError(error);
+    }
+
+    const ttlMinutes = env.get('PASSWORD_RESET_TTL_MINUTES');
+
+    try {
+      const user = await User.findByEmail(value.email);
+
+      if (user) {
+        const token = generateOpaqueToken();
+
+        // Only the most recently requested link is valid
+        await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+        await PasswordResetToken.create({
+          user: user._id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        });
+
+        // Not awaited so response time does not reveal whether the account exists
+        mailService.sendPasswordResetEmail(user.email, token, ttlMinutes).catch((mailError) => {
+          logger.error('Error sending password reset email:', { message: mailError.message, stack: mailError.stack });
+        });
+      }
+    } catch (dbError) {
+      logger.error('Database error during forgot password:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    return {
+      expiresInMinutes: ttlMinutes,
+    };
   }
 
   /**
-   * Reset a password with token (placeholder for future implementation)
+   * Reset a password with a token from a password reset email
+   *
+   * The token can only be used once. Every refresh token of the account is
+   * revoked, access tokens issued before the reset stop being accepted and
+   * open socket connections of the user are disconnected. A lockout from
+   * failed logins is lifted.
+   *
+   * @param {Object} data - The request data
+   * @param {string} data.token - The reset token from the email
+   * @param {string} data.password - The new password
+   * @returns {Object} Reset confirmation
+   * @throws {ValidationError} If validation fails
+   * @throws {BadRequestError} If the token is unknown, expired or already used
+   * @throws {InternalError} If there's a database error
    */
-  async function resetPassword(token, newPassword) {
-    // To be implemented
-    throw new Error('Not implemented');
+  async function resetPassword(data) {
+    const { error, value, isValid } = validateData(data, resetPasswordSchema);
+
+    if (!isValid) {
+      throwValidationError(error);
+    }
+
+    let userId;
+    try {
+      const resetToken = await PasswordResetToken.consume(hashToken(value.token));
+      const user = resetToken && await User.findById(resetToken.user);
+
+      if (!user) {
+        throw new BadRequestError('Invalid or expired password reset token', 'INVALID_RESET_TOKEN');
+      }
+
+      user.password = value.password;
+      // Backdated by a second: JWT iat has second precision, so a token issued right after stays valid
+      user.passwordChangedAt = new Date(Date.now() - 1000);
+      // Proving control of the email address unlocks the account
+      user.failedLoginAttempts = 0;
+      user.lastFailedLoginAt = null;
+      user.lockUntil = null;
+      await user.save();
+
+      await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+      await sessionService.revokeAllSessions(user._id, 'password_reset');
+      userId = user._id.toString();
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw error;
+      }
+
+      logger.error('Error resetting password:', { message: error.message, stack: error.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    broadcaster.disconnectRoom(`user:${userId}`);
+    logger.info('Password reset completed:', { userId });
+
+    return {
+      passwordResetAt: new Date().toISOString(),
+    };
   }
 
 
   return {
     register,
     login,
+    verifyMfa,
+    verifyAccessToken,
     logout,
     refreshToken,
     getCurrentUser,
     forgotPassword,
     resetPassword,
+    verifyEmail,
+    resendVerification,
   };
 };
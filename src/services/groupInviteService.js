@@ -0,0 +1,488 @@
+/**
+ * Group Invite Service
+ *
+ * Invite links that anyone holding the code can use to join a group, and
+ * invitations sent to a specific email address that the invitee accepts or
+ * declines. Both skip the group's approval step but not its member limit or bans.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the group invite service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The group invite service methods
+ */
+module.exports = function(container) {
+  const Group = container.get('groupModel');
+  const User = container.get('userModel');
+  const GroupInviteLink = container.get('groupInviteLinkModel');
+  const GroupInvitation = container.get('groupInvitationModel');
+  const Membership = container.get('membershipModel');
+  const groupService = container.get('groupService');
+  const mailService = container.get('mailService');
+  const broadcaster = container.get('broadcaster');
+  const env = container.get('env');
+  const { generateOpaqueToken, hashToken } = container.get('tokenUtils');
+  const { GROUP_PERMISSIONS } = container.get('groupRoleUtils');
+  const {
+    NotFoundError,
+    ValidationError,
+    AuthorizationError,
+    BadRequestError,
+    ConflictError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Rethrow expected errors and wrap anything else
+   *
+   * @param {Error} error - The caught error
+   * @param {string} action - What was being done, for the log
+   * @throws {AppError} Always
+   */
+  function handleError(error, action) {
+    if (error.isOperational) {
+      throw error;
+    }
+
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid ID format', [{ field: error.path, message: 'Invalid ID format' }]);
+    }
+
+    logger.error(`Error ${action}:`, { message: error.message, stack: error.stack });
+    throw new InternalError('Group invite service error', 'DATABASE_ERROR');
+  }
+
+  /**
+   * Load a group and check the user may invite people to it
+   *
+   * Owners, admins and moderators can always invite; other members only when
+   * the group's `allowMemberInvites` setting is on.
+   *
+   * @param {string} userId - ID of the inviting user
+   * @param {string} groupId - The ID of the group
+   * @returns {Object} The group document and the user's membership entry
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {AuthorizationError} If the user can't invite to the group
+   */
+  async function loadGroupForInviter(userId, groupId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+    }
+
+    const membership = await Membership.findEntry(groupId, userId);
+    if (!membership || !membership.isActive()) {
+      throw new AuthorizationError('You are not a member of this group', 'NOT_GROUP_MEMBER');
+    }
+
+    if (group.isArchived()) {
+      throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+    }
+
+    if (!membership.hasPermission(GROUP_PERMISSIONS.INVITE_MEMBERS) && !group.settings.allowMemberInvites) {
+      throw new AuthorizationError('Members cannot invite people to this group', 'INVITES_DISABLED');
+    }
+
+    return { group, membership };
+  }
+
+  /**
+   * Check that the creator of an invite link could still create it
+   *
+   * Links stop working once their creator leaves, is removed or banned, or loses
+   * the right to invite, e.g. when `allowMemberInvites` is turned off.
+   *
+   * @param {Object} invite - The invite link document
+   * @param {Object} group - The link's group document
+   * @returns {boolean} True if the creator is an active member who can invite
+   */
+  async function creatorCanInvite(invite, group) {
+    const membership = await Membership.findEntry(group._id, invite.createdBy);
+
+    return Boolean(membership && membership.isActive() &&
+      (membership.hasPermission(GROUP_PERMISSIONS.INVITE_MEMBERS) || group.settings.allowMemberInvites));
+  }
+
+  /**
+   * Create an invite link
+   *
+   * @param {string} userId - ID of the inviting user
+   * @param {string} groupId - The ID of the group
+   * @param {Object} data - The link options
+   * @param {number} [data.expiresInHours] - Lifetime of the link (never expires if omitted)
+   * @param {number} [data.maxUses] - How many people can join with the link (unlimited if omitted)
+   * @returns {Object} The invite link and its code (only returned here)
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {AuthorizationError} If the user can't invite to the group
+   * @throws {InternalError} If there's a database error
+   */
+  async function createInviteLink(userId, groupId, { expiresInHours, maxUses } = {}) {
+    try {
+      await loadGroupForInviter(userId, groupId);
+
+      const code = generateOpaqueToken(12);
+      const invite = await GroupInviteLink.create({
+        group: groupId,
+        createdBy: userId,
+        codeHash: hashToken(code),
+        codePrefix: code.slice(0, 6),
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+        maxUses: maxUses || null,
+      });
+
+      logger.info('Group invite link created:', { groupId, inviteId: invite._id, createdBy: userId });
+
+      return {
+        invite: invite.toJSON(),
+        code,
+        url: `${env.get('APP_URL')}/invite/${code}`,
+      };
+    } catch (error) {
+      handleError(error, 'creating invite link');
+    }
+  }
+
+  /**
+   * List a group's invite links that haven't been revoked
+   *
+   * Owners and admins see every link; other members see the links they created.
+   *
+   * @param {string} userId - ID of the requesting user
+   * @param {string} groupId - The ID of the group
+   * @returns {Array} Invite links, newest first, flagged with whether they can still be used
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {AuthorizationError} If the user can't invite to the group
+   * @throws {InternalError} If there's a database error
+   */
+  async function listInviteLinks(userId, groupId) {
+    try {
+      const { membership } = await loadGroupForInviter(userId, groupId);
+
+      const query = { group: groupId, revokedAt: null };
+      if (!membership.hasPermission(GROUP_PERMISSIONS.MANAGE_INVITES)) {
+        query.createdBy = userId;
+      }
+
+      const invites = await GroupInviteLink.find(query).sort({ createdAt: -1 });
+
+      return invites.map(invite => ({
+        ...invite.toJSON(),
+        usable: invite.isUsable(),
+      }));
+    } catch (error) {
+      handleError(error, 'listing invite links');
+    }
+  }
+
+  /**
+   * Revoke an invite link
+   *
+   * @param {string} userId - ID of the requesting user (the link's creator, an owner or an admin)
+   * @param {string} groupId - The ID of the group
+   * @param {string} inviteId - ID of the invite link
+   * @returns {Object} Revocation confirmation
+   * @throws {NotFoundError} If the group or link doesn't exist
+   * @throws {AuthorizationError} If the user can't revoke the link
+   * @throws {InternalError} If there's a database error
+   */
+  async function revokeInviteLink(userId, groupId, inviteId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      const invite = await GroupInviteLink.findOne({ _id: inviteId, group: groupId, revokedAt: null });
+      if (!invite) {
+        throw new NotFoundError('Invite link not found', 'INVITE_NOT_FOUND');
+      }
+
+      const isCreator = invite.createdBy.toString() === userId;
+      const membership = isCreator ? null : await Membership.findEntry(groupId, userId);
+      if (!isCreator && !(membership && membership.hasPermission(GROUP_PERMISSIONS.MANAGE_INVITES))) {
+        throw new AuthorizationError('You cannot revoke this invite link', 'INSUFFICIENT_GROUP_PERMISSION');
+      }
+
+      invite.revokedAt = new Date();
+      await invite.save();
+
+      logger.info('Group invite link revoked:', { groupId, inviteId, revokedBy: userId });
+
+      return { inviteId, revokedAt: invite.revokedAt };
+    } catch (error) {
+      handleError(error, 'revoking invite link');
+    }
+  }
+
+  /**
+   * Look up the group behind an invite code
+   *
+   * @param {string} code - The invite code
+   * @returns {Object} A summary of the group and the link's expiry
+   * @throws {NotFoundError} If the code is unknown, revoked, expired or used up, or its creator can no longer invite
+   * @throws {InternalError} If there's a database error
+   */
+  async function previewInviteLink(code) {
+    try {
+      const invite = await GroupInviteLink.findOne({ codeHash: hashToken(code) });
+      const group = invite && invite.isUsable() ? await Group.findById(invite.group) : null;
+
+      if (!group || group.isArchived() || !(await creatorCanInvite(invite, group))) {
+        throw new NotFoundError('Invalid or expired invite link', 'INVALID_INVITE');
+      }
+
+      return {
+        group: {
+          _id: group._id,
+          name: group.name,
+          description: group.description,
+          type: group.type,
+          memberCount: group.memberCount,
+        },
+        expiresAt: invite.expiresAt,
+      };
+    } catch (error) {
+      handleError(error, 'previewing invite link');
+    }
+  }
+
+  /**
+   * Join a group with an invite link
+   *
+   * @param {string} userId - ID of the joining user
+   * @param {string} code - The invite code
+   * @returns {Object} The group the user joined
+   * @throws {NotFoundError} If the code is unknown, revoked, expired or used up, or its creator can no longer invite
+   * @throws {ConflictError} If the user is already a member
+   * @throws {AuthorizationError} If the user is banned from the group
+   * @throws {BadRequestError} If the group is full
+   * @throws {InternalError} If there's a database error
+   */
+  async function acceptInviteLink(userId, code) {
+    try {
+      const codeHash = hashToken(code);
+      const link = await GroupInviteLink.findOne({ codeHash, revokedAt: null });
+      const group = link ? await Group.findById(link.group) : null;
+
+      if (!group || !(await creatorCanInvite(link, group))) {
+        throw new NotFoundError('Invalid or expired invite link', 'INVALID_INVITE');
+      }
+
+      // Take a use up front so concurrent joins can't exceed maxUses
+      const invite = await GroupInviteLink.consume(codeHash);
+      if (!invite) {
+        throw new NotFoundError('Invalid or expired invite link', 'INVALID_INVITE');
+      }
+
+      try {
+        const result = await groupService.addMember(userId, invite.group.toString(), { bypassApproval: true });
+        return result.group;
+      } catch (error) {
+        await GroupInviteLink.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+        throw error;
+      }
+    } catch (error) {
+      handleError(error, 'accepting invite link');
+    }
+  }
+
+  /**
+   * Invite someone to a group by email
+   *
+   * The address doesn't need an account yet; the invitation shows up once
+   * someone registers with it. Registered invitees also receive an
+   * `invitation:received` event.
+   *
+   * @param {string} userId - ID of the inviting user
+   * @param {string} groupId - The ID of the group
+   * @param {Object} data - The request data
+   * @param {string} data.email - Address of the invitee
+   * @returns {Object} The invitation
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {AuthorizationError} If the user can't invite to the group
+   * @throws {ConflictError} If the invitee is already a member or already invited
+   * @throws {BadRequestError} If the invitee is banned from the group
+   * @throws {InternalError} If there's a database error
+   */
+  async function inviteByEmail(userId, groupId, { email }) {
+    try {
+      const { group } = await loadGroupForInviter(userId, groupId);
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const [inviter, invitee] = await Promise.all([
+        User.findById(userId).select('email'),
+        User.findOne({ email: normalizedEmail }).select('email'),
+      ]);
+
+      const inviteeMembership = invitee ? await Membership.findEntry(groupId, invitee._id) : null;
+      if (inviteeMembership && inviteeMembership.isActive()) {
+        throw new ConflictError('This user is already a member of the group', 'ALREADY_MEMBER');
+      }
+      if (inviteeMembership && inviteeMembership.isBanned()) {
+        throw new BadRequestError('This user is banned from the group', 'USER_BANNED');
+      }
+
+      const existing = await GroupInvitation.findOne({ group: groupId, email: normalizedEmail, status: 'pending' });
+      if (existing && existing.isOpen()) {
+        throw new ConflictError('This address has already been invited', 'INVITATION_PENDING', 'email');
+      }
+
+      const ttlHours = env.get('GROUP_INVITATION_TTL_HOURS');
+      const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+      // An expired invitation is renewed rather than duplicated
+      const invitation = existing || new GroupInvitation({ group: groupId, email: normalizedEmail });
+      invitation.invitedBy = userId;
+      invitation.expiresAt = expiresAt;
+      await invitation.save();
+
+      mailService.sendGroupInvitationEmail(normalizedEmail, group.name, inviter.email, ttlHours).catch((mailError) => {
+        logger.error('Failed to send group invitation email:', { message: mailError.message, invitationId: invitation._id });
+      });
+
+      if (invitee) {
+        broadcaster.emitToRoom(`user:${invitee._id}`, 'invitation:received', {
+          invitationId: invitation._id.toString(),
+          groupId,
+          groupName: group.name,
+          invitedBy: userId,
+          expiresAt: expiresAt.toISOString(),
+        });
+      }
+
+      logger.info('Group invitation sent:', { groupId, invitationId: invitation._id, invitedBy: userId });
+
+      return { invitation: invitation.toJSON() };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('This address has already been invited', 'INVITATION_PENDING', 'email');
+      }
+
+      handleError(error, 'inviting user by email');
+    }
+  }
+
+  /**
+   * List the open invitations addressed to a user
+   *
+   * @param {string} userId - ID of the user
+   * @returns {Array} Pending, unexpired invitations, newest first
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {InternalError} If there's a database error
+   */
+  async function listMyInvitations(userId) {
+    try {
+      const user = await User.findById(userId).select('email');
+      if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+      }
+
+      const invitations = await GroupInvitation.find({
+        email: user.email,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+      })
+        .populate('group', 'name description type')
+        .populate('invitedBy', 'email')
+        .sort({ createdAt: -1 });
+
+      return invitations
+        .filter(invitation => invitation.group)
+        .map(invitation => invitation.toJSON());
+    } catch (error) {
+      handleError(error, 'listing invitations');
+    }
+  }
+
+  /**
+   * Accept or decline an invitation
+   *
+   * Accepting adds the user to the group without approval. The inviter receives
+   * an `invitation:accepted` or `invitation:declined` event.
+   *
+   * @param {string} userId - ID of the invitee
+   * @param {string} invitationId - ID of the invitation
+   * @param {boolean} accept - True to accept, false to decline
+   * @returns {Object} The invitation status, and the group when accepted
+   * @throws {NotFoundError} If the invitation doesn't exist or isn't addressed to the user
+   * @throws {BadRequestError} If the invitation has expired or was already answered, or the group is full
+   * @throws {AuthorizationError} If the user is banned from the group
+   * @throws {ConflictError} If the user is already a member
+   * @throws {InternalError} If there's a database error
+   */
+  async function respondToInvitation(userId, invitationId, accept) {
+    try {
+      const [user, invitation] = await Promise.all([
+        User.findById(userId).select('email'),
+        GroupInvitation.findById(invitationId),
+      ]);
+
+      if (!user || !invitation || invitation.email !== user.email) {
+        throw new NotFoundError('Invitation not found', 'INVITATION_NOT_FOUND');
+      }
+
+      if (!invitation.isOpen()) {
+        throw new BadRequestError(
+          invitation.status === 'pending' ? 'This invitation has expired' : 'This invitation has already been answered',
+          invitation.status === 'pending' ? 'INVITATION_EXPIRED' : 'INVITATION_ALREADY_ANSWERED',
+        );
+      }
+
+      // Answer the invitation up front so concurrent responses can't both go through
+      const now = new Date();
+      const answered = await GroupInvitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending', expiresAt: { $gt: now } },
+        { $set: { status: accept ? 'accepted' : 'declined', respondedAt: now } },
+        { new: true },
+      );
+
+      if (!answered) {
+        throw new BadRequestError('This invitation has already been answered', 'INVITATION_ALREADY_ANSWERED');
+      }
+
+      const groupId = invitation.group.toString();
+      let group = null;
+      if (accept) {
+        try {
+          group = (await groupService.addMember(userId, groupId, { bypassApproval: true })).group;
+        } catch (error) {
+          await GroupInvitation.updateOne(
+            { _id: invitation._id, status: 'accepted' },
+            { $set: { status: 'pending', respondedAt: null } },
+          ).catch((revertError) => {
+            logger.error('Error reopening invitation:', { message: revertError.message, invitationId });
+          });
+          throw error;
+        }
+      }
+
+      broadcaster.emitToRoom(`user:${answered.invitedBy}`, accept ? 'invitation:accepted' : 'invitation:declined', {
+        invitationId,
+        groupId,
+        userId,
+        timestamp: answered.respondedAt.toISOString(),
+      });
+
+      return {
+        status: answered.status,
+        ...(group && { group }),
+      };
+    } catch (error) {
+      handleError(error, 'responding to invitation');
+    }
+  }
+
+  return {
+    createInviteLink,
+    listInviteLinks,
+    revokeInviteLink,
+    previewInviteLink,
+    acceptInviteLink,
+    inviteByEmail,
+    listMyInvitations,
+    respondToInvitation,
+  };
+};
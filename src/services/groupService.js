@@ -7,6 +7,14 @@
 
 const logger = require('../utils/logger');
 
+// Sort orders for group discovery, each with _id as a stable tie-breaker
+const GROUP_SORTS = Object.freeze({
+  relevance: { score: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  activity: { 'stats.lastActivity': -1, _id: 1 },
+  members: { memberCount: -1, _id: 1 },
+});
+
 /**
  * Create the group service with injected dependencies
  *
@@ -17,11 +25,27 @@ module.exports = function(container) {
   // Get dependencies from the container
   const Group = container.get('groupModel');
   const User = container.get('userModel');
+  const Message = container.get('messageModel');
+  const GroupInviteLink = container.get('groupInviteLinkModel');
+  const GroupInvitation = container.get('groupInvitationModel');
+  const Membership = container.get('membershipModel');
+  const Reaction = container.get('reactionModel');
+  const accountPolicy = container.get('accountPolicyService');
+  const broadcaster = container.get('broadcaster');
+  const env = container.get('env');
+  const {
+    GROUP_ROLES,
+    ALL_GROUP_ROLES,
+    GROUP_PERMISSIONS,
+    outranksInGroup,
+    roleHasPermission,
+  } = container.get('groupRoleUtils');
   const {
     NotFoundError,
     ValidationError,
     AuthorizationError,
     ConflictError,
+    BadRequestError,
     InternalError,
   } = container.get('errorUtils');
 
@@ -31,19 +55,30 @@ module.exports = function(container) {
    * @param {string} userId - ID of the user creating the group (will be set as owner)
    * @param {Object} groupData - The group data
    * @returns {Object} The created group
+   * @throws {AuthorizationError} If the user's email address must be verified first
    * @throws {ValidationError} If validation fails
    * @throws {InternalError} If there's a database error
    */
   async function createGroup(userId, groupData) {
+    await accountPolicy.assertEmailVerified(userId, 'creating groups');
+
     try {
       // Create group with the user as owner
       const group = new Group({
         ...groupData,
         owner: userId,
-        members: [{ user: userId }], // Owner is automatically a member with default status 'active'
+        memberCount: 1, // Owner is automatically an active member
       });
 
       const savedGroup = await group.save();
+
+      try {
+        await Membership.create({ group: savedGroup._id, user: userId, role: GROUP_ROLES.OWNER });
+      } catch (error) {
+        await Group.deleteOne({ _id: savedGroup._id });
+        throw error;
+      }
+
       return savedGroup.toJSON();
     } catch (error) {
       if (error.name === 'ValidationError') {
@@ -93,33 +128,91 @@ module.exports = function(container) {
   }
 
   /**
-   * Get all groups (with pagination)
+   * Discover groups (with pagination)
    *
+   * Private groups are only listed for their active members.
+   *
+   * @param {string} userId - ID of the requesting user
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-based)
    * @param {number} options.limit - Number of items per page
    * @param {string} options.type - Filter by group type (public, private)
+   * @param {string} options.search - Full-text search over name and description
+   * @param {Array} options.tags - Only groups carrying all of these tags
+   * @param {number} options.minMembers - Minimum active member count
+   * @param {number} options.maxMembers - Maximum active member count
+   * @param {string} options.sort - relevance (default when searching), newest (default otherwise), activity or members
+   * @param {boolean} options.mine - Only groups the user is an active member of
+   * @param {boolean} options.includeArchived - Also list archived groups
    * @returns {Object} Paginated groups data
    */
-  async function getGroups({ page = 1, limit = 10, type = null } = {}) {
+  async function getGroups(userId, {
+    page = 1,
+    limit = 10,
+    type = null,
+    search = null,
+    tags = [],
+    minMembers = null,
+    maxMembers = null,
+    sort = null,
+    mine = false,
+    includeArchived = false,
+  } = {}) {
     try {
       const skip = (page - 1) * limit;
 
+      const myGroupIds = await Membership.find({ user: userId, status: 'active' }).distinct('group');
+      const isActiveMember = { _id: { $in: myGroupIds } };
+
       // Build query object
-      const query = {};
+      const query = mine ? isActiveMember : { $or: [{ type: 'public' }, isActiveMember] };
       if (type) {
         query.type = type;
       }
+      if (!includeArchived) {
+        query.archivedAt = null;
+      }
+      if (search) {
+        query.$text = { $search: search };
+      }
+      if (tags.length > 0) {
+        query.tags = { $all: tags };
+      }
+      if (minMembers !== null || maxMembers !== null) {
+        query.memberCount = {
+          ...(minMembers !== null && { $gte: minMembers }),
+          ...(maxMembers !== null && { $lte: maxMembers }),
+        };
+      }
 
-      const groups = await Group.find(query)
-        .populate('owner', 'email')
-        .skip(skip)
-        .limit(limit);
+      const pipeline = [{ $match: query }];
+      if (search) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+      }
+
+      // Relevance only means something for text searches
+      const sortKey = sort === 'relevance' && !search ? 'newest' : sort || (search ? 'relevance' : 'newest');
 
-      const total = await Group.countDocuments(query);
+      pipeline.push({
+        $facet: {
+          ids: [{ $sort: GROUP_SORTS[sortKey] }, { $skip: skip }, { $limit: limit }, { $project: { _id: 1 } }],
+          total: [{ $count: 'count' }],
+        },
+      });
+
+      const [{ ids, total: [counted] }] = await Group.aggregate(pipeline);
+
+      // Load the page as documents so the response matches the rest of the API
+      const groups = await Group.find({ _id: { $in: ids.map(({ _id }) => _id) } })
+        .populate('owner', 'email');
+      const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+      const total = counted ? counted.count : 0;
 
       return {
-        groups: groups.map(group => group.toJSON()),
+        groups: ids
+          .map(({ _id }) => groupsById.get(_id.toString()))
+          .filter(Boolean)
+          .map(group => group.toJSON()),
         pagination: {
           total,
           page,
@@ -133,15 +226,66 @@ module.exports = function(container) {
     }
   }
 
+  /**
+   * Translate errors from loading a group by a malformed ID
+   *
+   * @param {Error} error - The caught error
+   * @throws {ValidationError} If the error is a cast error on the group ID
+   */
+  function rethrowInvalidId(error) {
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid ID format', [{ field: error.path === '_id' ? 'groupId' : error.path, message: 'Invalid ID format' }]);
+    }
+  }
+
+  /**
+   * Require the user's group role to grant a permission
+   *
+   * @param {Object|null} membership - The acting user's membership entry
+   * @param {string} permission - One of GROUP_PERMISSIONS
+   * @throws {AuthorizationError} If the user's role doesn't grant the permission
+   */
+  function assertPermission(membership, permission) {
+    if (!membership || !membership.hasPermission(permission)) {
+      throw new AuthorizationError(
+        'You do not have permission to perform this action in this group',
+        'INSUFFICIENT_GROUP_PERMISSION',
+      );
+    }
+  }
+
+  /**
+   * Require the user to hold a permission and outrank the member they act on
+   *
+   * @param {Object|null} membership - The acting user's membership entry
+   * @param {Object|null} target - The membership entry of the user being acted on, if any
+   * @param {string} permission - One of GROUP_PERMISSIONS
+   * @throws {AuthorizationError} If the user lacks the permission or doesn't outrank the target
+   */
+  function assertCanModerate(membership, target, permission) {
+    assertPermission(membership, permission);
+
+    if (!membership.canModerate(target, permission)) {
+      throw new AuthorizationError(
+        'You cannot perform this action on a member with an equal or higher role',
+        'INSUFFICIENT_GROUP_ROLE',
+      );
+    }
+  }
+
   /**
    * Update a group
    *
-   * @param {string} userId - ID of the user requesting the update (must be owner)
+   * Members connected to the group room receive a `group:updated` event.
+   *
+   * @param {string} userId - ID of the user requesting the update (owner or admin)
    * @param {string} groupId - The ID of the group to update
-   * @param {Object} updateData - The data to update
+   * @param {Object} updateData - The data to update (name, description, memberLimit)
    * @returns {Object} The updated group data
    * @throws {NotFoundError} If group doesn't exist
-   * @throws {AuthorizationError} If user is not the owner
+   * @throws {AuthorizationError} If user's role can't edit settings or the group is archived
+   * @throws {BadRequestError} If the member limit is below the current member count
+   * @throws {ConflictError} If the new name is already taken
    * @throws {ValidationError} If validation fails
    * @throws {InternalError} If there's a database error
    */
@@ -154,31 +298,56 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      // Check if user is the owner
-      if (group.owner.toString() !== userId) {
-        throw new AuthorizationError(
-          'Only the group owner can update the group',
-          'NOT_GROUP_OWNER',
+      assertPermission(await Membership.findEntry(groupId, userId), GROUP_PERMISSIONS.EDIT_SETTINGS);
+      assertNotArchived(group);
+
+      if (updateData.memberLimit !== undefined && updateData.memberLimit < group.memberCount) {
+        throw new BadRequestError(
+          `Member limit cannot be lower than the current member count (${group.memberCount})`,
+          'MEMBER_LIMIT_TOO_LOW',
         );
       }
 
       // Apply updates (prevent updating critical fields)
-      const allowedUpdates = ['name', 'description', 'maxMembers'];
+      const allowedUpdates = ['name', 'description', 'memberLimit', 'tags'];
+      const changes = {};
       allowedUpdates.forEach(field => {
         if (updateData[field] !== undefined) {
           group[field] = updateData[field];
+          changes[field] = updateData[field];
         }
       });
 
+      // Settings are merged so clients can change one at a time
+      if (updateData.settings) {
+        Object.entries(updateData.settings).forEach(([setting, value]) => {
+          group.settings[setting] = value;
+        });
+        changes.settings = updateData.settings;
+      }
+
       // Save the updated group
       const updatedGroup = await group.save();
 
+      broadcaster.emitToRoom(`group:${groupId}`, 'group:updated', {
+        groupId,
+        changes,
+        updatedBy: userId,
+        timestamp: new Date().toISOString(),
+      });
+
       return updatedGroup.toJSON();
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+      if (error.isOperational) {
         throw error;
       }
 
+      rethrowInvalidId(error);
+
+      if (error.code === 11000) {
+        throw new ConflictError('A group with this name already exists', 'DUPLICATE_GROUP_NAME', 'name');
+      }
+
       if (error.name === 'ValidationError') {
         throw new ValidationError(
           'Validation failed',
@@ -195,72 +364,355 @@ module.exports = function(container) {
   }
 
   /**
-   * Delete a group
+   * Archive a group
    *
-   * @param {string} userId - ID of the user requesting deletion (must be owner)
-   * @param {string} groupId - The ID of the group to delete
-   * @returns {Object} Confirmation of deletion
+   * Archived groups are read-only: nobody can send messages, join or join the
+   * group's socket room, but members can still read and search the history.
+   * The group and its messages are purged after the retention period, if any.
+   * Connected members receive a `group:archived` event.
+   *
+   * @param {string} userId - ID of the user archiving the group (must be owner)
+   * @param {string} groupId - The ID of the group to archive
+   * @param {Object} options - Archive options
+   * @param {number} options.purgeAfterDays - Days until the group is purged, overrides
+   *   GROUP_ARCHIVE_RETENTION_DAYS (0 keeps it forever)
+   * @returns {Object} The archive state of the group
    * @throws {NotFoundError} If group doesn't exist
    * @throws {AuthorizationError} If user is not the owner
-   * @throws {ValidationError} If group still has members
+   * @throws {ConflictError} If the group is already archived
    * @throws {InternalError} If there's a database error
    */
-  async function deleteGroup(userId, groupId) {
+  async function archiveGroup(userId, groupId, { purgeAfterDays } = {}) {
     try {
-      // Find the group first
       const group = await Group.findById(groupId);
 
       if (!group) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      // Check if user is the owner
-      if (group.owner.toString() !== userId) {
-        throw new AuthorizationError(
-          'Only the group owner can delete the group',
-          'NOT_GROUP_OWNER',
-        );
+      if (!group.isOwner(userId)) {
+        throw new AuthorizationError('Only the group owner can archive the group', 'NOT_GROUP_OWNER');
       }
 
-      // Check if group has members other than the owner
-      const memberCount = group.members.length;
-      if (memberCount > 1) {
-        throw new ValidationError(
-          'Group still has members and cannot be deleted',
-          'GROUP_HAS_MEMBERS',
-        );
+      if (group.isArchived()) {
+        throw new ConflictError('Group is already archived', 'GROUP_ALREADY_ARCHIVED');
       }
 
-      // Delete the group
-      await Group.findByIdAndDelete(groupId);
+      const retentionDays = purgeAfterDays !== undefined ? purgeAfterDays : env.get('GROUP_ARCHIVE_RETENTION_DAYS');
+      const now = new Date();
 
-      return { success: true, message: 'Group deleted successfully' };
+      group.archivedAt = now;
+      group.archivedBy = userId;
+      group.purgeAt = retentionDays > 0 ? new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000) : null;
+      await group.save();
+
+      broadcaster.emitToRoom(`group:${groupId}`, 'group:archived', {
+        groupId,
+        archivedBy: userId,
+        purgeAt: group.purgeAt ? group.purgeAt.toISOString() : null,
+        timestamp: now.toISOString(),
+      });
+
+      logger.info('Group archived:', { groupId, archivedBy: userId, purgeAt: group.purgeAt });
+
+      return { groupId, archivedAt: group.archivedAt, purgeAt: group.purgeAt };
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof AuthorizationError ||
-        error instanceof ValidationError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
-      logger.error('Error deleting group:', { message: error.message, stack: error.stack });
+      rethrowInvalidId(error);
+
+      logger.error('Error archiving group:', { message: error.message, stack: error.stack });
       throw new InternalError('Group service error', 'DATABASE_ERROR');
     }
   }
 
+  /**
+   * Restore an archived group
+   *
+   * Cancels any scheduled purge. Connected members receive a `group:unarchived` event.
+   *
+   * @param {string} userId - ID of the user restoring the group (must be owner)
+   * @param {string} groupId - The ID of the group to restore
+   * @returns {Object} The restored group
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If user is not the owner
+   * @throws {BadRequestError} If the group isn't archived
+   * @throws {InternalError} If there's a database error
+   */
+  async function unarchiveGroup(userId, groupId) {
+    try {
+      const group = await Group.findById(groupId);
+
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      if (!group.isOwner(userId)) {
+        throw new AuthorizationError('Only the group owner can unarchive the group', 'NOT_GROUP_OWNER');
+      }
+
+      if (!group.isArchived()) {
+        throw new BadRequestError('Group is not archived', 'GROUP_NOT_ARCHIVED');
+      }
+
+      group.archivedAt = null;
+      group.archivedBy = undefined;
+      group.purgeAt = null;
+      const restoredGroup = await group.save();
+
+      broadcaster.emitToRoom(`group:${groupId}`, 'group:unarchived', {
+        groupId,
+        unarchivedBy: userId,
+        timestamp: new Date().toISOString(),
+      });
+
+      logger.info('Group unarchived:', { groupId, unarchivedBy: userId });
+
+      return restoredGroup.toJSON();
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error unarchiving group:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Delete everything that belongs to a group whose document was just deleted
+   *
+   * Removes its messages, reactions, memberships, invite links and invitations, sends
+   * a `group:deleted` event to its room and makes the connected sockets leave it.
+   *
+   * @param {string|Object} groupId - ID of the deleted group
+   * @param {Object} [event] - Extra fields for the `group:deleted` event
+   * @returns {Object} deletedMessages: the number of messages deleted
+   */
+  async function destroyGroupData(groupId, event = {}) {
+    const [{ deletedCount }] = await Promise.all([
+      Message.deleteMany({ group: groupId }),
+      GroupInviteLink.deleteMany({ group: groupId }),
+      GroupInvitation.deleteMany({ group: groupId }),
+      Membership.deleteMany({ group: groupId }),
+      Reaction.deleteMany({ group: groupId }),
+    ]);
+
+    broadcaster.emitToRoom(`group:${groupId}`, 'group:deleted', {
+      groupId: groupId.toString(),
+      ...event,
+      timestamp: new Date().toISOString(),
+    });
+    broadcaster.leaveRoom(`group:${groupId}`, `group:${groupId}`);
+
+    return { deletedMessages: deletedCount };
+  }
+
+  /**
+   * Delete archived groups whose retention period has ended
+   *
+   * Removes each group together with its messages, reactions, memberships, invite links and invitations.
+   * Connected members receive a `group:deleted` event. Run on a schedule.
+   *
+   * @param {Date} now - Purge groups due at or before this time
+   * @returns {number} The number of groups purged
+   */
+  async function purgeArchivedGroups(now = new Date()) {
+    const dueGroups = await Group.find({ archivedAt: { $ne: null }, purgeAt: { $lte: now } }).select('_id');
+    let purged = 0;
+
+    for (const { _id: groupId } of dueGroups) {
+      try {
+        // Re-check in the delete so a group restored in the meantime is kept
+        const deleted = await Group.findOneAndDelete({ _id: groupId, archivedAt: { $ne: null }, purgeAt: { $lte: now } });
+        if (!deleted) {
+          continue;
+        }
+
+        await destroyGroupData(groupId);
+
+        purged += 1;
+      } catch (error) {
+        logger.error('Error purging archived group:', { message: error.message, stack: error.stack, groupId });
+      }
+    }
+
+    if (purged > 0) {
+      logger.info('Archived groups purged:', { count: purged });
+    }
+
+    return purged;
+  }
+
+  /**
+   * Explain why an atomic join didn't apply
+   *
+   * Reloads the group and the user's entry to find out what changed since they
+   * were checked, most often another request filling the last place.
+   *
+   * @param {string} groupId - The ID of the group
+   * @param {string} userId - ID of the joining user
+   * @throws {NotFoundError} If the group no longer exists
+   * @throws {AuthorizationError} If the group was archived
+   * @throws {ConflictError} If the user joined or requested to join in the meantime
+   * @throws {BadRequestError} If the group is full
+   */
+  async function throwJoinFailure(groupId, userId) {
+    const [group, membership] = await Promise.all([
+      Group.findById(groupId),
+      Membership.findEntry(groupId, userId),
+    ]);
+    if (!group) {
+      throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+    }
+
+    assertNotArchived(group);
+
+    if (membership && membership.isActive()) {
+      throw new ConflictError('User is already a member of this group', 'ALREADY_MEMBER');
+    }
+    if (!group.hasRoom()) {
+      throw new BadRequestError('Group has reached maximum member capacity', 'GROUP_FULL');
+    }
+    if (membership && membership.status === 'pending') {
+      throw new ConflictError('You have already requested to join this group', 'JOIN_REQUEST_PENDING');
+    }
+
+    throw new ConflictError('Membership changed during the request, please try again', 'MEMBERSHIP_CONFLICT');
+  }
+
+  /**
+   * Create or replace a user's membership entry while the group has room
+   *
+   * Active entries take a place with `Group.reserveMemberSlot` first and give it
+   * back if the entry can't be written, so concurrent joins never overfill the
+   * group. Pending requests don't take a place but are refused by full groups.
+   *
+   * @param {string} groupId - The ID of the group
+   * @param {string} userId - ID of the joining user
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.status='active'] - Status of the new entry ('active' or 'pending')
+   * @param {string} [options.replacing=null] - Status of the user's existing entry to replace
+   * @returns {Object|null} The group and the new entry, or null if the group was full,
+   *   archived or gone, or the user's entry changed in the meantime
+   */
+  async function createMembership(groupId, userId, { status = 'active', replacing = null } = {}) {
+    const group = status === 'active'
+      ? await Group.reserveMemberSlot(groupId)
+      : await Group.findOne({ _id: groupId, archivedAt: null, $expr: { $lt: ['$memberCount', '$memberLimit'] } });
+    if (!group) {
+      return null;
+    }
+
+    const entry = { status, role: GROUP_ROLES.MEMBER, joinedAt: new Date() };
+    let membership = null;
+    try {
+      membership = replacing
+        ? await Membership.findOneAndUpdate(
+          { group: groupId, user: userId, status: replacing },
+          {
+            $set: entry,
+            $unset: { lastBannedAt: '', banReason: '', banExpiresAt: '', banDurationHours: '', bannedBy: '', lastMessageAt: '' },
+          },
+          { new: true },
+        )
+        : await Membership.create({ ...entry, group: groupId, user: userId });
+    } catch (error) {
+      // Another request created an entry for the user first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    if (!membership) {
+      if (status === 'active') {
+        await Group.releaseMemberSlots(groupId);
+      }
+      return null;
+    }
+
+    return { group, membership };
+  }
+
+  /**
+   * Reject changes to an archived group
+   *
+   * @param {Object} group - The group document
+   * @throws {AuthorizationError} If the group is archived
+   */
+  function assertNotArchived(group) {
+    if (group.isArchived()) {
+      throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+    }
+  }
+
+  /**
+   * Notify the people who manage a group's membership
+   *
+   * @param {Object} group - The group document
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  async function notifyGroupManagers(group, event, payload) {
+    const managers = await Membership.find({
+      group: group._id,
+      status: 'active',
+      role: { $in: ALL_GROUP_ROLES.filter(role => roleHasPermission(role, GROUP_PERMISSIONS.APPROVE_JOINS)) },
+    }).select('user');
+
+    managers.forEach(manager => broadcaster.emitToRoom(`user:${manager.user.toString()}`, event, payload));
+  }
+
+  /**
+   * Refuse users who are banned from a group or still in the cooldown after a ban
+   *
+   * @param {Object} group - The group document
+   * @param {Object|null} membership - The user's membership entry
+   * @throws {AuthorizationError} If the user is locked out
+   */
+  function assertNotBanned(group, membership) {
+    const lockoutEnd = membership ? membership.getBanLockoutEnd(group.settings.cooldownPeriod) : null;
+    if (lockoutEnd === null) {
+      return;
+    }
+
+    if (lockoutEnd === Infinity) {
+      throw new AuthorizationError('You are banned from this group', 'USER_BANNED');
+    }
+
+    const until = new Date(lockoutEnd).toISOString();
+    if (membership.isBanned()) {
+      throw new AuthorizationError(`You are banned from this group until ${until}`, 'USER_BANNED');
+    }
+
+    throw new AuthorizationError(`You can rejoin this group after ${until}`, 'BAN_COOLDOWN');
+  }
+
   /**
    * Add a member to a group
    *
+   * Users join groups that don't require approval straight away and the group
+   * receives a `member:joined` event. Other groups get a pending join request
+   * instead, and members who can approve joins receive a `member:requested` event.
+   * Invitations skip the approval step (and admit users with a pending request),
+   * but the member limit and bans still apply.
+   *
    * @param {string} userId - ID of the user to be added
    * @param {string} groupId - The ID of the group
-   * @returns {Object} Updated group data
+   * @param {Object} [options] - Join options
+   * @param {boolean} [options.bypassApproval=false] - Admit the user even if the group requires approval
+   * @returns {Object} The membership status ('active' or 'pending') and the group data
    * @throws {NotFoundError} If group or user doesn't exist
-   * @throws {ValidationError} If validation fails
-   * @throws {ConflictError} If user is already a member
+   * @throws {AuthorizationError} If the group is archived, or the user is banned from it or in the cooldown after a ban
+   * @throws {BadRequestError} If the group is full
+   * @throws {ConflictError} If user is already a member or has a pending request
    * @throws {InternalError} If there's a database error
    */
-  async function addMember(userId, groupId) {
+  async function addMember(userId, groupId, { bypassApproval = false } = {}) {
     try {
       // Check if user exists
       const user = await User.findById(userId);
@@ -274,45 +726,500 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      // Check if user is already a member
-      const isMember = group.members.some(member => member.user.toString() === userId);
-      if (isMember) {
+      assertNotArchived(group);
+
+      // Check if user already has a membership entry
+      const existing = await Membership.findEntry(groupId, userId);
+      if (existing && existing.status === 'active') {
         throw new ConflictError('User is already a member of this group', 'ALREADY_MEMBER');
       }
+      if (existing && existing.status === 'pending' && !bypassApproval) {
+        throw new ConflictError('You have already requested to join this group', 'JOIN_REQUEST_PENDING');
+      }
+      if (existing && existing.status === 'banned') {
+        assertNotBanned(group, existing);
+      }
 
-      // Check if group is at max capacity
-      if (group.memberLimit && group.members.length >= group.memberLimit) {
-        throw new ValidationError('Group has reached maximum member capacity', 'GROUP_FULL');
+      // A pending request (admitted by an invitation) or a finished ban is replaced
+      const status = group.settings.requireApproval && !bypassApproval ? 'pending' : 'active';
+      const joined = await createMembership(groupId, userId, {
+        status,
+        replacing: existing ? existing.status : null,
+      });
+      if (!joined) {
+        await throwJoinFailure(groupId, userId);
       }
 
-      // Add user to the group
-      group.members.push({ user: userId });
-      const updatedGroup = await group.save();
+      const updatedGroup = joined.group;
 
-      return updatedGroup.toJSON();
+      if (status === 'pending') {
+        await notifyGroupManagers(updatedGroup, 'member:requested', {
+          groupId,
+          groupName: updatedGroup.name,
+          userId,
+          email: user.email,
+          requestedAt: joined.membership.joinedAt.toISOString(),
+        });
+
+        return {
+          status: 'pending',
+          group: { _id: updatedGroup._id, name: updatedGroup.name, type: updatedGroup.type },
+        };
+      }
+
+      broadcaster.emitToRoom(`group:${groupId}`, 'member:joined', {
+        groupId,
+        userId,
+        timestamp: new Date().toISOString(),
+      });
+
+      return { status: 'active', group: updatedGroup.toJSON() };
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof ValidationError ||
-        error instanceof ConflictError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
+      rethrowInvalidId(error);
+
       logger.error('Error adding member to group:', { message: error.message, stack: error.stack });
       throw new InternalError('Group service error', 'DATABASE_ERROR');
     }
   }
 
+  /**
+   * List a group's active members (with pagination)
+   *
+   * Anyone can list the members of a public group; private groups only list
+   * them for their own active members.
+   *
+   * @param {string} requesterId - ID of the requesting user
+   * @param {string} groupId - The ID of the group
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Number of items per page
+   * @param {string} options.role - Only members with this role
+   * @returns {Object} Paginated members, in the order they joined
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If the group is private and the requester is not a member
+   * @throws {InternalError} If there's a database error
+   */
+  async function getMembers(requesterId, groupId, { page = 1, limit = 50, role = null } = {}) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      if (group.type === 'private' && !(await Membership.isActiveMember(groupId, requesterId))) {
+        throw new AuthorizationError('Only group members can view the member list', 'NOT_GROUP_MEMBER');
+      }
+
+      const query = { group: groupId, status: 'active' };
+      if (role) {
+        query.role = role;
+      }
+
+      const [members, total] = await Promise.all([
+        Membership.find(query)
+          .sort({ joinedAt: 1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'email'),
+        Membership.countDocuments(query),
+      ]);
+
+      return {
+        members: members
+          .filter(member => member.user)
+          .map(member => ({
+            user: { _id: member.user._id, email: member.user.email },
+            role: member.role,
+            joinedAt: member.joinedAt,
+          })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error retrieving group members:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * List pending join requests for a group
+   *
+   * @param {string} requesterId - ID of the user asking (needs permission to approve joins)
+   * @param {string} groupId - The ID of the group
+   * @returns {Array} Pending requests, oldest first
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If the requester can't manage members
+   * @throws {InternalError} If there's a database error
+   */
+  async function getJoinRequests(requesterId, groupId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      assertPermission(await Membership.findEntry(groupId, requesterId), GROUP_PERMISSIONS.APPROVE_JOINS);
+
+      const requests = await Membership.find({ group: groupId, status: 'pending' })
+        .sort({ joinedAt: 1 })
+        .populate('user', 'email');
+
+      return requests
+        .filter(member => member.user)
+        .map(member => ({
+          user: { _id: member.user._id, email: member.user.email },
+          requestedAt: member.joinedAt,
+        }));
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error retrieving join requests:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * List users currently banned from a group
+   *
+   * Expired timed bans and lifted bans are not included.
+   *
+   * @param {string} requesterId - ID of the user asking (needs permission to ban)
+   * @param {string} groupId - The ID of the group
+   * @returns {Array} Active bans, most recent first
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If the requester can't manage members
+   * @throws {InternalError} If there's a database error
+   */
+  async function getBans(requesterId, groupId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      assertPermission(await Membership.findEntry(groupId, requesterId), GROUP_PERMISSIONS.BAN_MEMBERS);
+
+      const bans = await Membership.find({
+        group: groupId,
+        status: 'banned',
+        $or: [{ banExpiresAt: null }, { banExpiresAt: { $gt: new Date() } }],
+      })
+        .sort({ lastBannedAt: -1 })
+        .populate('user', 'email');
+
+      return bans
+        .filter(member => member.user)
+        .map(member => ({
+          user: { _id: member.user._id, email: member.user.email },
+          reason: member.banReason || null,
+          bannedAt: member.lastBannedAt,
+          bannedBy: member.bannedBy || null,
+          expiresAt: member.banExpiresAt,
+        }));
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error retrieving group bans:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Approve, reject, ban or unban a user
+   *
+   * The affected user is notified on their own room (`member:approved`,
+   * `member:rejected`, `member:banned`, `member:unbanned`). Approvals are
+   * announced to the group as `member:joined`; banning an active member
+   * removes them from the group like `removeMember` does. Lifting a ban keeps
+   * the user out until the group's cooldown period after the ban has passed.
+   *
+   * @param {string} requesterId - ID of the user acting (approving joins or banning, depending on the action)
+   * @param {string} groupId - The ID of the group
+   * @param {string} userId - ID of the affected user
+   * @param {Object} data - The action data
+   * @param {string} data.action - 'approve', 'reject', 'ban' or 'unban'
+   * @param {string} [data.reason] - Reason given to the user
+   * @param {number} [data.duration] - Ban length in hours (bans without one last until lifted)
+   * @returns {Object} The action and the user's resulting membership status
+   * @throws {NotFoundError} If the group or the user's request doesn't exist
+   * @throws {AuthorizationError} If the requester lacks the permission or doesn't outrank the user
+   * @throws {BadRequestError} If the action doesn't apply to the user
+   * @throws {InternalError} If there's a database error
+   */
+  async function performMemberAction(requesterId, groupId, userId, { action, reason, duration }) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      const [requester, member] = await Promise.all([
+        Membership.findEntry(groupId, requesterId),
+        Membership.findEntry(groupId, userId),
+      ]);
+
+      if (action === 'approve' || action === 'reject') {
+        assertPermission(requester, GROUP_PERMISSIONS.APPROVE_JOINS);
+      } else {
+        assertCanModerate(requester, member, GROUP_PERMISSIONS.BAN_MEMBERS);
+      }
+
+      const previousStatus = member ? member.status : null;
+      const event = {
+        groupId,
+        groupName: group.name,
+        userId,
+        actionBy: requesterId,
+        reason: reason || null,
+        timestamp: new Date().toISOString(),
+      };
+      const result = { action, userId, status: null };
+
+      switch (action) {
+      case 'approve':
+        if (previousStatus !== 'pending') {
+          throw new NotFoundError('No pending join request for this user', 'JOIN_REQUEST_NOT_FOUND');
+        }
+        if (!(await createMembership(groupId, userId, { replacing: 'pending' }))) {
+          await throwJoinFailure(groupId, userId);
+        }
+        result.status = 'active';
+
+        broadcaster.emitToRoom(`user:${userId}`, 'member:approved', event);
+        broadcaster.emitToRoom(`group:${groupId}`, 'member:joined', { groupId, userId, timestamp: event.timestamp });
+        break;
+
+      case 'reject':
+        if (previousStatus !== 'pending') {
+          throw new NotFoundError('No pending join request for this user', 'JOIN_REQUEST_NOT_FOUND');
+        }
+        await Membership.deleteOne({ _id: member._id, status: 'pending' });
+
+        broadcaster.emitToRoom(`user:${userId}`, 'member:rejected', event);
+        break;
+
+      case 'ban': {
+        if (member && member.isBanned()) {
+          throw new BadRequestError('User is already banned from this group', 'ALREADY_BANNED');
+        }
+        if (!(await User.exists({ _id: userId }))) {
+          throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+        }
+        const expiresAt = duration ? new Date(Date.now() + duration * 60 * 60 * 1000) : null;
+
+        // Users who aren't members yet get an entry, so the ban also stops them joining
+        const replaced = await Membership.findOneAndUpdate(
+          { group: groupId, user: userId },
+          {
+            $set: {
+              status: 'banned',
+              lastBannedAt: new Date(),
+              banReason: reason || null,
+              banExpiresAt: expiresAt,
+              banDurationHours: duration || null,
+              bannedBy: requesterId,
+            },
+          },
+          { upsert: true },
+        );
+        result.status = 'banned';
+        result.banExpiresAt = expiresAt;
+
+        broadcaster.emitToRoom(`user:${userId}`, 'member:banned', {
+          ...event,
+          expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        });
+        if (replaced && replaced.status === 'active') {
+          await Group.releaseMemberSlots(groupId);
+
+          broadcaster.emitToRoom(`group:${groupId}`, 'member:removed', {
+            groupId,
+            userId,
+            removedBy: requesterId,
+            reason: 'banned',
+            timestamp: event.timestamp,
+          });
+          broadcaster.leaveRoom(`user:${userId}`, `group:${groupId}`);
+        }
+        break;
+      }
+
+      case 'unban':
+        if (!member || !member.isBanned()) {
+          throw new BadRequestError('User is not banned from this group', 'NOT_BANNED');
+        }
+        // Keep the entry so the cooldown after a ban that lasted until lifted still applies
+        member.banExpiresAt = new Date();
+        await member.save();
+
+        broadcaster.emitToRoom(`user:${userId}`, 'member:unbanned', event);
+        break;
+
+      default:
+        throw new BadRequestError(`Unknown member action: ${action}`, 'INVALID_ACTION');
+      }
+
+      logger.info('Group member action:', { groupId, userId, action, actionBy: requesterId });
+
+      return result;
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error performing member action:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Promote or demote a member
+   *
+   * Owners can assign any role below owner; admins can move members between
+   * moderator and member. Ownership itself only changes through `transferOwnership`.
+   * The group room and the member receive a `member:role-changed` event.
+   *
+   * @param {string} requesterId - ID of the user changing the role
+   * @param {string} groupId - The ID of the group
+   * @param {string} userId - ID of the member
+   * @param {Object} data - The request data
+   * @param {string} data.role - New role ('admin', 'moderator' or 'member')
+   * @returns {Object} The member's new and previous role
+   * @throws {NotFoundError} If the group doesn't exist or the user is not an active member
+   * @throws {AuthorizationError} If the requester can't manage roles or doesn't outrank the member or the role
+   * @throws {InternalError} If there's a database error
+   */
+  async function updateMemberRole(requesterId, groupId, userId, { role }) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      const [requester, member] = await Promise.all([
+        Membership.findEntry(groupId, requesterId),
+        Membership.findEntry(groupId, userId),
+      ]);
+
+      assertCanModerate(requester, member, GROUP_PERMISSIONS.MANAGE_ROLES);
+
+      if (!outranksInGroup(requester.role, role)) {
+        throw new AuthorizationError(
+          'You can only assign roles below your own',
+          'INSUFFICIENT_GROUP_ROLE',
+        );
+      }
+
+      if (!member || !member.isActive()) {
+        throw new NotFoundError('User is not a member of this group', 'NOT_A_MEMBER');
+      }
+
+      const previousRole = member.role;
+      if (previousRole !== role) {
+        member.role = role;
+        await member.save();
+
+        const event = {
+          groupId,
+          userId,
+          role,
+          previousRole,
+          changedBy: requesterId,
+          timestamp: new Date().toISOString(),
+        };
+        broadcaster.emitToRoom(`group:${groupId}`, 'member:role-changed', event);
+        broadcaster.emitToRoom(`user:${userId}`, 'member:role-changed', event);
+
+        logger.info('Group member role changed:', { groupId, userId, role, previousRole, changedBy: requesterId });
+      }
+
+      return { userId, role, previousRole };
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error changing member role:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Check that a user may subscribe to a group's realtime room
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} groupId - The ID of the group
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If the user is banned or not an active member, or the group is archived
+   * @throws {InternalError} If there's a database error
+   */
+  async function assertCanJoinRoom(userId, groupId) {
+    try {
+      const group = await Group.findById(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      const membership = await Membership.findEntry(groupId, userId);
+      assertNotBanned(group, membership);
+
+      if (!membership || !membership.isActive()) {
+        throw new AuthorizationError('You are not a member of this group', 'NOT_GROUP_MEMBER');
+      }
+
+      assertNotArchived(group);
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      rethrowInvalidId(error);
+
+      logger.error('Error checking group room access:', { message: error.message, stack: error.stack });
+      throw new InternalError('Group service error', 'DATABASE_ERROR');
+    }
+  }
+
   /**
    * Remove a member from a group
    *
+   * Members can remove themselves (leave); owners, admins and moderators can
+   * remove members ranked below them.
+   * The group room and the removed user receive a `member:removed` event, and the
+   * removed user's sockets leave the group room.
+   *
    * @param {string} userId - ID of the user to be removed
    * @param {string} groupId - The ID of the group
    * @param {string} requesterId - ID of the user requesting the removal
    * @returns {Object} Updated group data
-   * @throws {NotFoundError} If group doesn't exist
-   * @throws {ValidationError} If validation fails
+   * @throws {NotFoundError} If group doesn't exist or the user is not a member
+   * @throws {BadRequestError} If the owner tries to leave while other members exist
    * @throws {AuthorizationError} If requester doesn't have permission
    * @throws {InternalError} If there's a database error
    */
@@ -324,50 +1231,64 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      // Check authorization: user can remove self or owner can remove anyone
-      const isOwner = group.owner.toString() === requesterId;
       const isSelfRemoval = userId === requesterId;
 
-      if (!isOwner && !isSelfRemoval) {
-        throw new AuthorizationError(
-          'You do not have permission to remove this member',
-          'REMOVE_MEMBER_UNAUTHORIZED',
-        );
+      // Cannot remove the owner
+      if (userId === group.owner.toString()) {
+        if (!isSelfRemoval) {
+          throw new BadRequestError('The group owner cannot be removed', 'CANNOT_REMOVE_OWNER');
+        }
+        if (group.memberCount > 1) {
+          throw new BadRequestError(
+            'Group owner cannot leave while other members exist. Transfer ownership first.',
+            'OWNER_CANNOT_LEAVE',
+          );
+        }
       }
 
-      // Cannot remove the owner
-      if (userId === group.owner.toString() && group.members.length > 1) {
-        throw new ValidationError(
-          'Group owner cannot leave while other members exist. Transfer ownership first.',
-          'OWNER_CANNOT_LEAVE',
-        );
+      // Check if user is a member (leaving also withdraws a pending join request)
+      const member = await Membership.findEntry(groupId, userId);
+
+      // Users can remove themselves; kicking others needs a higher role
+      if (!isSelfRemoval) {
+        assertCanModerate(await Membership.findEntry(groupId, requesterId), member, GROUP_PERMISSIONS.KICK_MEMBERS);
       }
 
-      // Check if user is a member
-      const memberIndex = group.members.findIndex(member =>
-        member.user.toString() === userId
-      );
-      
-      if (memberIndex === -1) {
+      if (!member || member.status === 'banned') {
         throw new NotFoundError('User is not a member of this group', 'NOT_A_MEMBER');
       }
 
-      // Remove the member
-      group.members = group.members.filter(member =>
-        member.user.toString() !== userId,
-      );
+      // Remove the member, unless a concurrent request already changed their entry
+      const removed = await Membership.findOneAndDelete({ _id: member._id, status: member.status });
+      if (!removed) {
+        throw new NotFoundError('User is not a member of this group', 'NOT_A_MEMBER');
+      }
+
+      const updatedGroup = member.status === 'active'
+        ? await Group.releaseMemberSlots(groupId)
+        : group;
+
+      const event = {
+        groupId,
+        userId,
+        removedBy: requesterId,
+        reason: isSelfRemoval ? 'left' : 'removed',
+        timestamp: new Date().toISOString(),
+      };
+      if (member.status === 'active') {
+        broadcaster.emitToRoom(`group:${groupId}`, 'member:removed', event);
+      }
+      broadcaster.emitToRoom(`user:${userId}`, 'member:removed', event);
+      broadcaster.leaveRoom(`user:${userId}`, `group:${groupId}`);
 
-      const updatedGroup = await group.save();
       return updatedGroup.toJSON();
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof ValidationError ||
-        error instanceof AuthorizationError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
+      rethrowInvalidId(error);
+
       logger.error('Error removing member from group:', { message: error.message, stack: error.stack });
       throw new InternalError('Group service error', 'DATABASE_ERROR');
     }
@@ -376,10 +1297,17 @@ module.exports = function(container) {
   /**
    * Transfer group ownership to another member
    *
+   * The previous owner stays in the group as an admin. Members connected to
+   * the group room receive a `group:updated` event.
+   *
    * @param {string} currentOwnerId - ID of the current owner
    * @param {string} newOwnerId - ID of the new owner
    * @param {string} groupId - The ID of the group
    * @returns {Object} Updated group data
+   * @throws {NotFoundError} If group doesn't exist
+   * @throws {AuthorizationError} If the requester is not the owner
+   * @throws {BadRequestError} If the new owner is not an active member or already owns the group
+   * @throws {InternalError} If there's a database error
    */
   async function transferOwnership(currentOwnerId, newOwnerId, groupId) {
     try {
@@ -397,32 +1325,41 @@ module.exports = function(container) {
         );
       }
 
+      if (newOwnerId === currentOwnerId) {
+        throw new BadRequestError('You already own this group', 'ALREADY_OWNER');
+      }
+
       // Check if new owner is a member
-      const isNewOwnerMember = group.members.some(member => 
-        member.user.toString() === newOwnerId && member.status === 'active'
-      );
-      
-      if (!isNewOwnerMember) {
-        throw new ValidationError(
+      if (!(await Membership.isActiveMember(groupId, newOwnerId))) {
+        throw new BadRequestError(
           'New owner must be a current active member of the group',
           'NEW_OWNER_NOT_MEMBER',
         );
       }
 
-      // Transfer ownership
+      // Transfer ownership; the previous owner stays on as an admin
       group.owner = newOwnerId;
       const updatedGroup = await group.save();
+      await Promise.all([
+        Membership.updateOne({ group: groupId, user: newOwnerId }, { $set: { role: GROUP_ROLES.OWNER } }),
+        Membership.updateOne({ group: groupId, user: currentOwnerId }, { $set: { role: GROUP_ROLES.ADMIN } }),
+      ]);
+
+      broadcaster.emitToRoom(`group:${groupId}`, 'group:updated', {
+        groupId,
+        changes: { owner: newOwnerId },
+        updatedBy: currentOwnerId,
+        timestamp: new Date().toISOString(),
+      });
 
       return updatedGroup.toJSON();
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof ValidationError ||
-        error instanceof AuthorizationError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
+      rethrowInvalidId(error);
+
       logger.error('Error transferring group ownership:', { message: error.message, stack: error.stack });
       throw new InternalError('Group service error', 'DATABASE_ERROR');
     }
@@ -434,8 +1371,17 @@ module.exports = function(container) {
     getGroupById,
     getGroups,
     updateGroup,
-    deleteGroup,
+    archiveGroup,
+    unarchiveGroup,
+    purgeArchivedGroups,
+    destroyGroupData,
     addMember,
+    getMembers,
+    getJoinRequests,
+    getBans,
+    performMemberAction,
+    updateMemberRole,
+    assertCanJoinRoom,
     removeMember,
     transferOwnership,
   };
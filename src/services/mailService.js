@@ -0,0 +1,126 @@
+/**
+ * Mail Service
+ *
+ * Builds and sends transactional emails. Delivery is delegated to the
+ * 'mailTransport' registered in the container, so tests and deployments
+ * can swap the transport without touching callers.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the mail service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The mail service methods
+ */
+module.exports = function(container) {
+  const env = container.get('env');
+
+  /**
+   * Send an email through the configured transport
+   *
+   * @param {Object} message - The message to send
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain text body
+   * @returns {Object} Delivery result containing the messageId
+   */
+  async function send({ to, subject, text }) {
+    // Resolved on each send so a transport registered later (e.g. in tests) is used
+    const transport = container.get('mailTransport');
+
+    const result = await transport.send({
+      from: env.get('MAIL_FROM'),
+      to,
+      subject,
+      text,
+    });
+
+    logger.debug('Mail sent:', { to, subject, messageId: result.messageId, transport: transport.name });
+    return result;
+  }
+
+  /**
+   * Send a password reset link
+   *
+   * @param {string} to - Recipient address
+   * @param {string} token - The raw reset token
+   * @param {number} expiresInMinutes - How long the link stays valid
+   * @returns {Object} Delivery result
+   */
+  async function sendPasswordResetEmail(to, token, expiresInMinutes) {
+    const resetUrl = `${env.get('APP_URL')}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return send({
+      to,
+      subject: 'Reset your password',
+      text: [
+        'We received a request to reset the password for your account.',
+        '',
+        `Reset your password: ${resetUrl}`,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   *
+   * @param {string} to - Recipient address
+   * @param {string} token - The signed verification token
+   * @param {number} expiresInHours - How long the link stays valid
+   * @returns {Object} Delivery result
+   */
+  async function sendVerificationEmail(to, token, expiresInHours) {
+    const verifyUrl = `${env.get('APP_URL')}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return send({
+      to,
+      subject: 'Verify your email address',
+      text: [
+        'Please confirm that this is your email address.',
+        '',
+        `Verify your email: ${verifyUrl}`,
+        '',
+        `This link expires in ${expiresInHours} hours.`,
+        'If you did not create an account, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Send an invitation to join a group
+   *
+   * @param {string} to - Recipient address
+   * @param {string} groupName - Name of the group
+   * @param {string} inviterEmail - Address of the member who sent the invitation
+   * @param {number} expiresInHours - How long the invitation stays open
+   * @returns {Object} Delivery result
+   */
+  async function sendGroupInvitationEmail(to, groupName, inviterEmail, expiresInHours) {
+    const invitationsUrl = `${env.get('APP_URL')}/invitations`;
+
+    return send({
+      to,
+      subject: `You've been invited to join ${groupName}`,
+      text: [
+        `${inviterEmail} invited you to join the group "${groupName}".`,
+        '',
+        `Accept or decline the invitation: ${invitationsUrl}`,
+        '',
+        `This invitation expires in ${expiresInHours} hours.`,
+        'If you do not have an account yet, sign up with this email address to see it.',
+      ].join('\n'),
+    });
+  }
+
+  return {
+    send,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    sendGroupInvitationEmail,
+  };
+};
@@ -16,28 +16,254 @@ const logger = require('../utils/logger');
 module.exports = function(container) {
 
   const Message = container.get('messageModel');
+  const User = container.get('userModel');
   const Group = container.get('groupModel');
+  const Membership = container.get('membershipModel');
+  const Reaction = container.get('reactionModel');
   const encryptionUtils = container.get('encryptionUtils');
+  const accountPolicy = container.get('accountPolicyService');
+  const broadcaster = container.get('broadcaster');
+  const reactionService = container.get('reactionService');
+  const env = container.get('env');
+  const mentionUtils = container.get('mentionUtils');
+  const { GROUP_PERMISSIONS } = container.get('groupRoleUtils');
   const {
     NotFoundError,
     ValidationError,
     AuthorizationError,
+    RateLimitError,
+    ConflictError,
+    BadRequestError,
     InternalError,
   } = container.get('errorUtils');
 
+  // Same limit as the Message model's content field
+  const MAX_CONTENT_LENGTH = 2000;
+
+  /**
+   * Decrypt a stored version of a message's content
+   *
+   * @param {Object} version - The message, or one of its edit history entries
+   * @param {string} messageId - ID of the message, for logging
+   * @returns {string} The decrypted content, or a placeholder if it can't be decrypted
+   */
+  function decryptVersion(version, messageId) {
+    try {
+      return encryptionUtils.decryptMessage(version.encryptedContent, version.encryption.iv, version.encryption.algorithm);
+    } catch (error) {
+      logger.error(`Error decrypting message ${messageId}:`, { message: error.message, messageId });
+      return '[Encryption error: Unable to decrypt message]';
+    }
+  }
+
+  /**
+   * Enforce a group's announcement mode and slow mode for a sender
+   *
+   * @param {Object} group - The group document
+   * @param {Object} membership - The sender's membership entry
+   * @returns {Function|null} Gives the slow mode slot back if the message isn't saved, null if none was taken
+   * @throws {AuthorizationError} If the group is announcement-only and the sender can't post announcements
+   * @throws {RateLimitError} If the sender's slow mode interval hasn't passed yet
+   */
+  async function assertCanPost(group, membership) {
+    const { announcementMode, slowModeSeconds } = group.settings;
+
+    if (announcementMode && !membership.hasPermission(GROUP_PERMISSIONS.POST_ANNOUNCEMENTS)) {
+      throw new AuthorizationError('Only owners and admins can post in this group', 'ANNOUNCEMENT_ONLY');
+    }
+
+    if (!slowModeSeconds || membership.hasPermission(GROUP_PERMISSIONS.BYPASS_SLOW_MODE)) {
+      return null;
+    }
+
+    // Claim the slot in a single update so parallel sends can't both get through
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - slowModeSeconds * 1000);
+    const result = await Membership.updateOne(
+      {
+        _id: membership._id,
+        status: 'active',
+        $or: [{ lastMessageAt: null }, { lastMessageAt: { $lte: windowStart } }],
+      },
+      { $set: { lastMessageAt: now } },
+    );
+
+    if (result.modifiedCount === 0) {
+      const { lastMessageAt } = membership;
+      const retryAfter = lastMessageAt
+        ? Math.max(1, Math.ceil((lastMessageAt.getTime() - windowStart.getTime()) / 1000))
+        : slowModeSeconds;
+
+      throw new RateLimitError(
+        `Slow mode is on, you can send another message in ${retryAfter} seconds`,
+        retryAfter,
+        'SLOW_MODE_ACTIVE',
+      );
+    }
+
+    // Only restore the previous time if no other message has claimed the slot since
+    return () => Membership.updateOne(
+      { _id: membership._id, lastMessageAt: now },
+      { $set: { lastMessageAt: membership.lastMessageAt || null } },
+    );
+  }
+
+  /**
+   * Find the message a reply belongs under
+   *
+   * Replies to a reply join the thread of the message it answered, so threads
+   * stay one level deep.
+   *
+   * @param {string} groupId - ID of the group the reply is sent to
+   * @param {string} replyTo - ID of the message being replied to
+   * @returns {Object} The first message of the thread
+   * @throws {BadRequestError} If the message doesn't exist or is in another group
+   */
+  async function findThreadParent(groupId, replyTo) {
+    const parent = /^[0-9a-fA-F]{24}$/.test(String(replyTo)) ? await Message.findById(replyTo) : null;
+
+    if (!parent || parent.group.toString() !== groupId.toString()) {
+      throw new BadRequestError('Replies must be to a message in the same group', 'INVALID_REPLY_TO');
+    }
+
+    if (parent.metadata.replyTo) {
+      const root = await Message.findById(parent.metadata.replyTo);
+      if (root) {
+        return root;
+      }
+    }
+
+    return parent;
+  }
+
+  /**
+   * Send a `thread:reply` event to everyone taking part in a thread
+   *
+   * Participants are the author of the first message and everyone who replied,
+   * as long as they are still active members. The author of the reply is skipped.
+   *
+   * @param {Object} parent - The first message of the thread
+   * @param {Object} reply - The new reply, with decrypted content
+   */
+  async function notifyThreadParticipants(parent, reply) {
+    const repliers = await Message.distinct('sender', { 'metadata.replyTo': parent._id });
+    const candidates = [parent.sender, ...repliers]
+      .filter(userId => userId.toString() !== reply.sender.toString());
+
+    const participants = await Membership.find({
+      group: parent.group,
+      user: { $in: candidates },
+      status: 'active',
+    }).distinct('user');
+
+    const payload = {
+      threadId: parent._id.toString(),
+      groupId: parent.group.toString(),
+      replyCount: parent.metadata.replyCount,
+      data: reply,
+    };
+
+    participants.forEach(userId => broadcaster.emitToRoom(`user:${userId}`, 'thread:reply', payload));
+  }
+
+  /**
+   * Resolve the mentions in a message to the members they refer to
+   *
+   * Mentions of people who aren't active members are ignored, as is the sender.
+   * `@here` covers the members with the group open; `@all` is kept as a flag.
+   *
+   * @param {Object} group - The group document
+   * @param {Object} membership - The sender's membership entry
+   * @param {string} content - Message content
+   * @returns {Object} users: IDs of the members mentioned, all: whether `@all` was used
+   * @throws {AuthorizationError} If the sender can't mention `@all` in a group this large
+   */
+  async function resolveMentions(group, membership, content) {
+    const mentions = mentionUtils.parseMentions(content);
+
+    if (!mentionUtils.hasMentions(mentions)) {
+      return { users: [], all: false };
+    }
+
+    const threshold = env.get('MENTION_ALL_MEMBER_THRESHOLD');
+    if (mentions.all && group.memberCount > threshold && !membership.hasPermission(GROUP_PERMISSIONS.MENTION_ALL)) {
+      throw new AuthorizationError(
+        `Only owners and admins can mention @all in groups with more than ${threshold} members`,
+        'MENTION_ALL_RESTRICTED',
+      );
+    }
+
+    const candidates = [...mentions.userIds];
+
+    if (mentions.emails.length > 0) {
+      candidates.push(...await User.find({ email: { $in: mentions.emails } }).distinct('_id'));
+    }
+
+    if (mentions.here) {
+      candidates.push(...await broadcaster.getRoomUserIds(`group:${group._id}`));
+    }
+
+    const users = candidates.length > 0
+      ? await Membership.find({
+        group: group._id,
+        user: { $in: candidates, $ne: membership.user },
+        status: 'active',
+      }).distinct('user')
+      : [];
+
+    return { users, all: mentions.all };
+  }
+
+  /**
+   * Send a `mention:new` event to every member a message mentions
+   *
+   * Events go to the members' own rooms so they arrive even when the group
+   * isn't open. For `@all` every active member except the sender is notified.
+   *
+   * @param {Object} message - The new message, with decrypted content
+   */
+  async function notifyMentions(message) {
+    const { mentions = [], mentionsAll } = message.metadata;
+    const payload = {
+      messageId: message._id.toString(),
+      groupId: message.group.toString(),
+      data: message,
+    };
+
+    mentions.forEach(userId => broadcaster.emitToRoom(`user:${userId}`, 'mention:new', payload));
+
+    if (!mentionsAll) {
+      return;
+    }
+
+    const notified = new Set([message.sender.toString(), ...mentions.map(userId => userId.toString())]);
+    const members = Membership.find({ group: message.group, status: 'active' }).select('user').lean().cursor();
+
+    for await (const { user } of members) {
+      if (!notified.has(user.toString())) {
+        broadcaster.emitToRoom(`user:${user}`, 'mention:new', payload);
+      }
+    }
+  }
+
   /**
    * Send a message to a group
    *
    * @param {string} userId - ID of the sender
    * @param {string} groupId - ID of the group to send to
    * @param {string} content - Message content (plain text)
+   * @param {Object} options - Message options
+   * @param {string} options.replyTo - ID of a message in the same group to reply to
    * @returns {Object} The sent message
    * @throws {NotFoundError} If group doesn't exist
-   * @throws {AuthorizationError} If user is not a member of the group
+   * @throws {AuthorizationError} If user is not a member of the group, must verify their email first, the group is archived or announcement-only,
+   *   or the user can't mention `@all` in it
    * @throws {ValidationError} If validation fails
+   * @throws {BadRequestError} If the message replied to isn't in the group
+   * @throws {RateLimitError} If the group's slow mode interval hasn't passed yet
    * @throws {InternalError} If there's a database error
    */
-  async function sendMessage(userId, groupId, content) {
+  async function sendMessage(userId, groupId, content, { replyTo = null } = {}) {
     try {
 
       const group = await Group.findById(groupId);
@@ -46,48 +272,95 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      if (!group.isMember(userId)) {
+      const membership = await Membership.findEntry(groupId, userId);
+      if (!membership || !membership.isActive()) {
         throw new AuthorizationError(
           'Only group members can send messages to the group',
           'NOT_GROUP_MEMBER',
         );
       }
 
+      if (group.isArchived()) {
+        throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+      }
+
+      await accountPolicy.assertEmailVerified(userId, 'sending messages');
+
 
       if (!content || content.trim().length === 0) {
         throw new ValidationError('Message content cannot be empty', 'EMPTY_MESSAGE');
       }
 
+      if (content.length > MAX_CONTENT_LENGTH) {
+        throw new ValidationError(`Message content cannot exceed ${MAX_CONTENT_LENGTH} characters`, 'MESSAGE_TOO_LONG');
+      }
 
-      const encryptionResult = encryptionUtils.encryptMessage(content);
+      const parent = replyTo ? await findThreadParent(groupId, replyTo) : null;
+      const mentions = await resolveMentions(group, membership, content);
 
-      // Create and save the message
-      const message = new Message({
-        group: groupId,
-        sender: userId,
-        content: content,
-        encryptedContent: encryptionResult.encryptedContent,
-        encryption: {
-          iv: encryptionResult.iv,
-          algorithm: encryptionResult.algorithm,
-          keyVersion: encryptionResult.keyVersion
-        },
-        timestamp: new Date(),
-      });
+      const releaseSlowModeSlot = await assertCanPost(group, membership);
 
-      const savedMessage = await message.save();
+      let savedMessage;
+      try {
+        const encryptionResult = encryptionUtils.encryptMessage(content);
+
+        // Create and save the message
+        const message = new Message({
+          group: groupId,
+          sender: userId,
+          content: content,
+          encryptedContent: encryptionResult.encryptedContent,
+          encryption: {
+            iv: encryptionResult.iv,
+            algorithm: encryptionResult.algorithm,
+            keyVersion: encryptionResult.keyVersion
+          },
+          metadata: {
+            replyTo: parent ? parent._id : undefined,
+            mentions: mentions.users,
+            mentionsAll: mentions.all,
+          },
+          timestamp: new Date(),
+        });
+
+        savedMessage = await message.save();
+      } catch (saveError) {
+        // Nothing was posted, so don't leave the sender waiting out slow mode
+        if (releaseSlowModeSlot) {
+          await releaseSlowModeSlot().catch((releaseError) => {
+            logger.error('Error releasing slow mode slot:', { message: releaseError.message, userId, groupId });
+          });
+        }
+        throw saveError;
+      }
 
       // Return the message with decrypted content
       const messageObj = savedMessage.toObject();
       messageObj.content = content; // Add the decrypted content for the response
 
+      if (parent) {
+        const updatedParent = await Message.findByIdAndUpdate(
+          parent._id,
+          {
+            $inc: { 'metadata.replyCount': 1 },
+            $max: { 'metadata.lastReplyAt': savedMessage.createdAt },
+          },
+          { new: true },
+        );
+
+        notifyThreadParticipants(updatedParent || parent, messageObj).catch((notifyError) => {
+          logger.error('Failed to notify thread participants:', { message: notifyError.message, messageId: messageObj._id });
+        });
+      }
+
+      // Notifications go out in the background; the message is already posted
+      notifyMentions(messageObj).catch((notifyError) => {
+        logger.error('Failed to notify mentioned members:', { message: notifyError.message, messageId: messageObj._id });
+      });
+
       return messageObj;
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof AuthorizationError ||
-        error instanceof ValidationError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
@@ -120,7 +393,7 @@ module.exports = function(container) {
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-based)
    * @param {number} options.limit - Number of items per page
-   * @returns {Object} Paginated messages with decrypted content
+   * @returns {Object} Paginated messages with decrypted content and reaction counts
    * @throws {NotFoundError} If group doesn't exist
    * @throws {AuthorizationError} If user is not a member of the group
    * @throws {InternalError} If there's a database error
@@ -134,7 +407,7 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      if (!group.isMember(userId)) {
+      if (!(await Membership.isActiveMember(groupId, userId))) {
         throw new AuthorizationError(
           'Only group members can view messages',
           'NOT_GROUP_MEMBER',
@@ -151,11 +424,15 @@ module.exports = function(container) {
         .limit(limit)
         .populate('sender', 'email'); // Include sender info
 
-      const total = await Message.countDocuments({ group: groupId });
+      const [total, reactions] = await Promise.all([
+        Message.countDocuments({ group: groupId }),
+        reactionService.summarizeReactions(messages, userId),
+      ]);
 
       // Decrypt the messages
       const decryptedMessages = messages.map(message => {
         const messageObj = message.toObject();
+        messageObj.reactions = reactions.get(message._id.toString());
         try {
           messageObj.content = encryptionUtils.decryptMessage(messageObj.encryptedContent, messageObj.encryption.iv, messageObj.encryption.algorithm);
           delete messageObj.encryptedContent; // Remove encrypted version from response
@@ -211,7 +488,7 @@ module.exports = function(container) {
    * @param {string} messageId - ID of the message to delete
    * @returns {Object} Confirmation of deletion
    * @throws {NotFoundError} If message doesn't exist
-   * @throws {AuthorizationError} If user is not the sender or group owner
+   * @throws {AuthorizationError} If user is not the sender or a group moderator ranked above them, or the group is archived
    * @throws {InternalError} If there's a database error
    */
   async function deleteMessage(userId, messageId) {
@@ -223,22 +500,44 @@ module.exports = function(container) {
         throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
       }
 
-      // Check authorization (must be sender or group owner)
-      const isSender = message.sender.toString() === userId;
+      // Check authorization (must be sender or group staff ranked above the sender)
+      const group = await Group.findById(message.group);
 
-      if (!isSender) {
-        // Check if user is group owner
-        const group = await Group.findById(message.group);
-        if (!group || group.ownerId.toString() !== userId) {
-          throw new AuthorizationError(
-            'Only the message sender or group owner can delete a message',
-            'DELETE_UNAUTHORIZED',
-          );
-        }
+      if (group && group.isArchived()) {
+        throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+      }
+
+      const [membership, senderMembership] = group
+        ? await Promise.all([
+          Membership.findEntry(group._id, userId),
+          Membership.findEntry(group._id, message.sender),
+        ])
+        : [null, null];
+
+      if (!message.canDelete(userId, membership, senderMembership)) {
+        throw new AuthorizationError(
+          'Only the message sender or a group moderator can delete a message',
+          'DELETE_UNAUTHORIZED',
+        );
       }
 
-      // Delete the message
-      await Message.findByIdAndDelete(messageId);
+      // Delete the message and its reactions
+      const [deleted] = await Promise.all([
+        Message.findByIdAndDelete(messageId),
+        Reaction.deleteMany({ message: messageId }),
+      ]);
+
+      if (message.metadata.replyTo) {
+        await Message.updateOne(
+          { _id: message.metadata.replyTo, 'metadata.replyCount': { $gt: 0 } },
+          { $inc: { 'metadata.replyCount': -1 } },
+        );
+      }
+
+      // Check the deleted copy so an unpin in the meantime isn't counted twice
+      if (deleted && deleted.pinnedAt) {
+        await Group.releasePinSlot(message.group);
+      }
 
       return { success: true, message: 'Message deleted successfully' };
     } catch (error) {
@@ -269,15 +568,19 @@ module.exports = function(container) {
   }
 
   /**
-   * Update a message
+   * Edit a message
+   *
+   * The previous content is kept, encrypted, in the message's edit history, and
+   * the group room receives a `message:updated` event.
    *
    * @param {string} userId - ID of the requesting user
    * @param {string} messageId - ID of the message to update
    * @param {string} content - New message content
    * @returns {Object} The updated message
-   * @throws {NotFoundError} If message doesn't exist
-   * @throws {AuthorizationError} If user is not the sender
+   * @throws {NotFoundError} If message or its group doesn't exist
+   * @throws {AuthorizationError} If user is not the sender or no longer a member, the group's edit window has passed or the group is archived
    * @throws {ValidationError} If validation fails
+   * @throws {ConflictError} If the message was edited by another request at the same time
    * @throws {InternalError} If there's a database error
    */
   async function updateMessage(userId, messageId, content) {
@@ -290,7 +593,7 @@ module.exports = function(container) {
       }
 
       // Check authorization (must be sender)
-      if (message.sender.toString() !== userId) {
+      if (message.sender.toString() !== userId.toString()) {
         throw new AuthorizationError(
           'Only the message sender can update a message',
           'UPDATE_UNAUTHORIZED',
@@ -302,31 +605,85 @@ module.exports = function(container) {
         throw new ValidationError('Message content cannot be empty', 'EMPTY_MESSAGE');
       }
 
+      if (content.length > MAX_CONTENT_LENGTH) {
+        throw new ValidationError(`Message content cannot exceed ${MAX_CONTENT_LENGTH} characters`, 'MESSAGE_TOO_LONG');
+      }
+
+      const group = await Group.findById(message.group);
+
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      if (group.isArchived()) {
+        throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+      }
+
+      if (!(await Membership.isActiveMember(group._id, userId))) {
+        throw new AuthorizationError(
+          'Only group members can edit their messages',
+          'NOT_GROUP_MEMBER',
+        );
+      }
+
+      if (!message.canEdit(userId, group.settings.editWindowMinutes * 60 * 1000)) {
+        throw new AuthorizationError(
+          'This message can no longer be edited',
+          'EDIT_WINDOW_EXPIRED',
+        );
+      }
+
       // Encrypt the message content
       const encryptionResult = encryptionUtils.encryptMessage(content);
+      const editedAt = new Date();
 
-      // Update the message
-      message.encryptedContent = encryptionResult.encryptedContent;
-      message.encryption = {
-        iv: encryptionResult.iv,
-        algorithm: encryptionResult.algorithm,
-        keyVersion: encryptionResult.keyVersion
-      };
-      message.updatedAt = new Date();
+      // Only replace the version that was read, so parallel edits can't drop a revision
+      const updatedMessage = await Message.findOneAndUpdate(
+        { _id: message._id, encryptedContent: message.encryptedContent },
+        {
+          $set: {
+            content,
+            encryptedContent: encryptionResult.encryptedContent,
+            encryption: {
+              iv: encryptionResult.iv,
+              algorithm: encryptionResult.algorithm,
+              keyVersion: encryptionResult.keyVersion,
+            },
+            'metadata.edited': true,
+            'metadata.editedAt': editedAt,
+          },
+          $push: {
+            editHistory: {
+              encryptedContent: message.encryptedContent,
+              encryption: {
+                iv: message.encryption.iv,
+                algorithm: message.encryption.algorithm,
+                keyVersion: message.encryption.keyVersion,
+              },
+              editedAt,
+            },
+          },
+        },
+        { new: true },
+      );
 
-      const updatedMessage = await message.save();
+      if (!updatedMessage) {
+        throw new ConflictError('The message was edited at the same time, please try again', 'EDIT_CONFLICT');
+      }
 
       // Return the message with decrypted content
       const messageObj = updatedMessage.toObject();
       messageObj.content = content; // Add the decrypted content for the response
+      delete messageObj.encryptedContent;
+
+      broadcaster.emitToRoom(`group:${group._id}`, 'message:updated', {
+        success: true,
+        data: messageObj,
+      });
 
       return messageObj;
     } catch (error) {
-      if (
-        error instanceof NotFoundError ||
-        error instanceof AuthorizationError ||
-        error instanceof ValidationError
-      ) {
+      if (error.isOperational) {
         throw error;
       }
 
@@ -351,6 +708,142 @@ module.exports = function(container) {
     }
   }
 
+  /**
+   * Get the edit history of a message
+   *
+   * @param {string} userId - ID of the requesting user
+   * @param {string} messageId - ID of the message
+   * @returns {Object} The current content and earlier versions, oldest first, decrypted
+   * @throws {NotFoundError} If message doesn't exist
+   * @throws {AuthorizationError} If user is not the owner of the message's group
+   * @throws {InternalError} If there's a database error
+   */
+  async function getMessageHistory(userId, messageId) {
+    try {
+      const message = await Message.findById(messageId).select('+editHistory');
+
+      if (!message) {
+        throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+      }
+
+      const membership = await Membership.findEntry(message.group, userId);
+
+      if (!membership || !membership.hasPermission(GROUP_PERMISSIONS.VIEW_EDIT_HISTORY)) {
+        throw new AuthorizationError(
+          'Only the group owner can view the edit history of a message',
+          'HISTORY_UNAUTHORIZED',
+        );
+      }
+
+      return {
+        messageId: message._id,
+        content: decryptVersion(message, message._id),
+        edited: message.metadata.edited,
+        editedAt: message.metadata.editedAt || null,
+        revisions: message.editHistory.map(revision => ({
+          content: decryptVersion(revision, message._id),
+          editedAt: revision.editedAt,
+        })),
+      };
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      logger.error('Error retrieving message history:', {
+        message: error.message,
+        stack: error.stack,
+        userId,
+        messageId,
+      });
+
+      throw new InternalError(`Message service error: ${error.message}`, 'INTERNAL_ERROR', { originalError: error });
+    }
+  }
+
+  /**
+   * Get a thread: its first message and a page of replies, oldest first
+   *
+   * Asking for the thread of a reply returns the thread the reply belongs to.
+   *
+   * @param {string} userId - ID of the requesting user
+   * @param {string} messageId - ID of a message in the thread
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Number of replies per page
+   * @returns {Object} The first message, paginated replies, with decrypted content and reaction counts
+   * @throws {NotFoundError} If message doesn't exist
+   * @throws {AuthorizationError} If user is not a member of the group
+   * @throws {InternalError} If there's a database error
+   */
+  async function getThread(userId, messageId, { page = 1, limit = 50 } = {}) {
+    try {
+      let parent = await Message.findById(messageId).populate('sender', 'email');
+
+      if (!parent) {
+        throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+      }
+
+      if (!(await Membership.isActiveMember(parent.group, userId))) {
+        throw new AuthorizationError(
+          'Only group members can view messages',
+          'NOT_GROUP_MEMBER',
+        );
+      }
+
+      if (parent.metadata.replyTo) {
+        parent = await Message.findById(parent.metadata.replyTo).populate('sender', 'email');
+
+        if (!parent) {
+          throw new NotFoundError('Thread not found', 'THREAD_NOT_FOUND');
+        }
+      }
+
+      const filter = { 'metadata.replyTo': parent._id };
+      const [replies, total] = await Promise.all([
+        Message.find(filter)
+          .sort({ createdAt: 1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('sender', 'email'),
+        Message.countDocuments(filter),
+      ]);
+
+      const reactions = await reactionService.summarizeReactions([parent, ...replies], userId);
+      const present = (message) => {
+        const messageObj = message.toObject();
+        messageObj.content = decryptVersion(message, message._id);
+        messageObj.reactions = reactions.get(message._id.toString());
+        delete messageObj.encryptedContent;
+        return messageObj;
+      };
+
+      return {
+        parent: present(parent),
+        replies: replies.map(present),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      logger.error('Error retrieving thread:', {
+        message: error.message,
+        stack: error.stack,
+        userId,
+        messageId,
+      });
+
+      throw new InternalError(`Message service error: ${error.message}`, 'INTERNAL_ERROR', { originalError: error });
+    }
+  }
+
   /**
    * Search for messages in a group
    *
@@ -369,7 +862,7 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      if (!group.isMember(userId)) {
+      if (!(await Membership.isActiveMember(groupId, userId))) {
         throw new AuthorizationError(
           'Only group members can search messages',
           'NOT_GROUP_MEMBER',
@@ -459,7 +952,7 @@ module.exports = function(container) {
    *
    * @param {string} userId - ID of the requesting user
    * @param {string} messageId - ID of the message to retrieve
-   * @returns {Object} The message with decrypted content
+   * @returns {Object} The message with decrypted content and reaction counts
    * @throws {NotFoundError} If message doesn't exist
    * @throws {AuthorizationError} If user is not a member of the group
    * @throws {InternalError} If there's a database error
@@ -480,15 +973,18 @@ module.exports = function(container) {
         throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
       }
 
-      if (!group.isMember(userId)) {
+      if (!(await Membership.isActiveMember(message.group, userId))) {
         throw new AuthorizationError(
           'Only group members can view messages',
           'NOT_GROUP_MEMBER',
         );
       }
 
+      const reactions = await reactionService.summarizeReactions([message], userId);
+
       // Decrypt the message content
       const messageObj = message.toObject();
+      messageObj.reactions = reactions.get(message._id.toString());
       try {
         messageObj.content = encryptionUtils.decryptMessage(
           messageObj.encryptedContent,
@@ -537,6 +1033,8 @@ module.exports = function(container) {
     getGroupMessages,
     deleteMessage,
     updateMessage,
+    getMessageHistory,
+    getThread,
     searchMessages,
     getMessage,
   };
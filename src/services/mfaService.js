@@ -0,0 +1,297 @@
+/**
+ * MFA Service
+ *
+ * Handles TOTP two-factor authentication: enrollment, second factor
+ * verification with one-time codes or recovery codes, and disabling.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Create the MFA service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The MFA service methods
+ */
+module.exports = function(container) {
+  const User = container.get('userModel');
+  const env = container.get('env');
+  const totp = container.get('totpUtils');
+  const { encryptMessage, decryptMessage } = container.get('encryptionUtils');
+  const { hashToken } = container.get('tokenUtils');
+  const {
+    NotFoundError,
+    ConflictError,
+    BadRequestError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Encrypt a TOTP secret for storage
+   *
+   * @param {string} secret - Base32 encoded secret
+   * @returns {Object} Encrypted value (encryptedContent, iv, algorithm, keyVersion)
+   */
+  function encryptSecret(secret) {
+    return encryptMessage(secret);
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   *
+   * @param {Object} encrypted - Encrypted value from the user document
+   * @returns {string} Base32 encoded secret
+   */
+  function decryptSecret(encrypted) {
+    return decryptMessage(encrypted.encryptedContent, encrypted.iv, encrypted.algorithm);
+  }
+
+  /**
+   * Normalize a recovery code so formatting and case don't matter
+   *
+   * @param {string} code - Recovery code as entered
+   * @returns {string} Normalized code
+   */
+  function normalizeRecoveryCode(code) {
+    return code.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   *
+   * @returns {Object} Plain codes for the user and hashed codes for storage
+   */
+  function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = totp.base32Encode(crypto.randomBytes(8)).slice(0, 10).toLowerCase();
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      hashed: codes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)) })),
+    };
+  }
+
+  /**
+   * Rethrow expected errors and wrap anything else
+   *
+   * @param {Error} error - The caught error
+   * @param {string} action - What was being done, for the log
+   * @throws {AppError} Always
+   */
+  function handleError(error, action) {
+    if (error.isOperational) {
+      throw error;
+    }
+
+    logger.error(`Error ${action}:`, { message: error.message, stack: error.stack });
+    throw new InternalError('Two-factor authentication service error', 'DATABASE_ERROR');
+  }
+
+  /**
+   * Start enrollment by generating a new secret
+   *
+   * The secret only becomes active after confirm() receives a valid code for it,
+   * so a setup that is never finished doesn't lock the user out.
+   *
+   * @param {string} userId - ID of the authenticated user
+   * @returns {Object} The base32 secret and an otpauth URI for QR codes
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {ConflictError} If two-factor authentication is already enabled
+   * @throws {InternalError} If there's a database error
+   */
+  async function setup(userId) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+      }
+
+      if (user.mfa.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED');
+      }
+
+      const secret = totp.generateSecret();
+      const issuer = env.get('MFA_ISSUER');
+
+      user.mfa.pendingSecret = encryptSecret(secret);
+      await user.save();
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer }),
+      };
+    } catch (error) {
+      handleError(error, 'starting MFA setup');
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   *
+   * @param {string} userId - ID of the authenticated user
+   * @param {Object} data - The request data
+   * @param {string} data.code - Current 6-digit code
+   * @returns {Object} One-time recovery codes (only ever shown here) and the enable date
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {ConflictError} If two-factor authentication is already enabled
+   * @throws {BadRequestError} If setup wasn't started or the code is wrong
+   * @throws {InternalError} If there's a database error
+   */
+  async function confirm(userId, { code }) {
+    try {
+      const user = await User.findById(userId).select('+mfa.pendingSecret');
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+      }
+
+      if (user.mfa.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED');
+      }
+
+      if (!user.mfa.pendingSecret) {
+        throw new BadRequestError('Start two-factor authentication setup first', 'MFA_SETUP_REQUIRED');
+      }
+
+      const step = totp.verifyTotp(decryptSecret(user.mfa.pendingSecret), code);
+      if (step === null) {
+        throw new BadRequestError('Invalid verification code', 'INVALID_MFA_CODE');
+      }
+
+      const { codes, hashed } = generateRecoveryCodes();
+
+      user.mfa.secret = user.mfa.pendingSecret;
+      user.mfa.pendingSecret = null;
+      user.mfa.enabled = true;
+      user.mfa.enabledAt = new Date();
+      user.mfa.lastUsedStep = step;
+      user.mfa.recoveryCodes = hashed;
+      await user.save();
+
+      logger.info('Two-factor authentication enabled:', { userId: user._id.toString() });
+
+      return {
+        recoveryCodes: codes,
+        enabledAt: user.mfa.enabledAt.toISOString(),
+      };
+    } catch (error) {
+      handleError(error, 'confirming MFA setup');
+    }
+  }
+
+  /**
+   * Check a second factor for a user with two-factor authentication enabled
+   *
+   * Each TOTP code and each recovery code is accepted only once; the checks
+   * are atomic so concurrent requests can't use the same code twice.
+   *
+   * @param {string} userId - ID of the user
+   * @param {Object} factor - The second factor
+   * @param {string} [factor.code] - Current 6-digit code
+   * @param {string} [factor.recoveryCode] - Unused recovery code
+   * @returns {boolean} Whether the factor was valid
+   * @throws {InternalError} If there's a database error
+   */
+  async function verifySecondFactor(userId, { code, recoveryCode }) {
+    try {
+      if (recoveryCode) {
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const result = await User.updateOne(
+          { _id: userId, 'mfa.enabled': true, 'mfa.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+          { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } },
+        );
+        return result.modifiedCount === 1;
+      }
+
+      const user = await User.findById(userId).select('+mfa.secret');
+      if (!user || !user.mfa.enabled || !user.mfa.secret) {
+        return false;
+      }
+
+      const step = totp.verifyTotp(decryptSecret(user.mfa.secret), code);
+      if (step === null) {
+        return false;
+      }
+
+      // Only accept time steps newer than the last one used
+      const result = await User.updateOne(
+        { _id: userId, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+        { $set: { 'mfa.lastUsedStep': step } },
+      );
+      return result.modifiedCount === 1;
+    } catch (error) {
+      handleError(error, 'verifying second factor');
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   *
+   * @param {string} userId - ID of the authenticated user
+   * @param {Object} data - The request data
+   * @param {string} data.password - Current password
+   * @param {string} [data.code] - Current 6-digit code
+   * @param {string} [data.recoveryCode] - Unused recovery code
+   * @returns {Object} Confirmation
+   * @throws {NotFoundError} If the user doesn't exist
+   * @throws {BadRequestError} If MFA isn't enabled, or the password or code is wrong
+   * @throws {InternalError} If there's a database error
+   */
+  async function disable(userId, { password, code, recoveryCode }) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+      }
+
+      if (!user.mfa.enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED');
+      }
+
+      if (!await user.comparePassword(password)) {
+        throw new BadRequestError('Password is incorrect', 'INVALID_PASSWORD');
+      }
+
+      if (!await verifySecondFactor(userId, { code, recoveryCode })) {
+        throw new BadRequestError('Invalid verification code', 'INVALID_MFA_CODE');
+      }
+
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: {
+            'mfa.enabled': false,
+            'mfa.enabledAt': null,
+            'mfa.secret': null,
+            'mfa.pendingSecret': null,
+            'mfa.lastUsedStep': null,
+          },
+          $unset: { 'mfa.recoveryCodes': '' },
+        },
+      );
+
+      logger.info('Two-factor authentication disabled:', { userId });
+
+      return {
+        disabledAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      handleError(error, 'disabling MFA');
+    }
+  }
+
+  return {
+    setup,
+    confirm,
+    verifySecondFactor,
+    disable,
+  };
+};
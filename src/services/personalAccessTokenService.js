@@ -0,0 +1,238 @@
+/**
+ * Personal Access Token Service
+ *
+ * Handles named, scoped tokens that scripts and integrations use
+ * instead of logging in with a user's password.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { PERSONAL_ACCESS_TOKEN_PREFIX } = require('../utils/scopes');
+
+// Active tokens a single user may hold
+const MAX_TOKENS_PER_USER = 50;
+
+// How often the last-used time is written for a token in use
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create the personal access token service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The personal access token service methods
+ */
+module.exports = function(container) {
+  const PersonalAccessToken = container.get('personalAccessTokenModel');
+  const User = container.get('userModel');
+  const { generateOpaqueToken, hashToken } = container.get('tokenUtils');
+  const { ROLES } = container.get('roleUtils');
+  const {
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    AuthenticationError,
+    AuthorizationError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Create a personal access token
+   *
+   * @param {string} userId - ID of the token owner
+   * @param {Object} data - Token settings
+   * @param {string} data.name - Name describing what the token is for
+   * @param {string[]} data.scopes - Granted scopes
+   * @param {number} [data.expiresInDays] - Lifetime in days (never expires if omitted)
+   * @returns {Object} The token metadata plus the raw token, which is not retrievable later
+   * @throws {ConflictError} If the name is taken or the user has too many tokens
+   * @throws {InternalError} If there's a database error
+   */
+  async function createToken(userId, { name, scopes, expiresInDays }) {
+    try {
+      const activeTokens = await PersonalAccessToken.find({ user: userId, revokedAt: null }).select('name').lean();
+
+      if (activeTokens.some(existing => existing.name === name)) {
+        throw new ConflictError('A token with this name already exists', 'DUPLICATE_TOKEN_NAME', 'name');
+      }
+
+      if (activeTokens.length >= MAX_TOKENS_PER_USER) {
+        throw new ConflictError(
+          `You can have at most ${MAX_TOKENS_PER_USER} personal access tokens`,
+          'TOKEN_LIMIT_REACHED',
+        );
+      }
+
+      const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateOpaqueToken(32)}`;
+
+      const personalAccessToken = await PersonalAccessToken.create({
+        user: userId,
+        name,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      });
+
+      return {
+        ...personalAccessToken.toJSON(),
+        token,
+      };
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        throw new ValidationError(
+          'Validation failed',
+          Object.keys(error.errors).map(field => ({
+            field,
+            message: error.errors[field].message,
+          })),
+        );
+      }
+
+      logger.error('Error creating personal access token:', { message: error.message, stack: error.stack });
+      throw new InternalError('Token service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * List a user's tokens that have not been revoked
+   *
+   * @param {string} userId - ID of the token owner
+   * @returns {Object} The tokens, newest first (expired tokens are included and flagged)
+   * @throws {InternalError} If there's a database error
+   */
+  async function listTokens(userId) {
+    try {
+      const tokens = await PersonalAccessToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+
+      return {
+        tokens: tokens.map(token => ({
+          ...token.toJSON(),
+          expired: !token.isActive(),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error listing personal access tokens:', { message: error.message, stack: error.stack });
+      throw new InternalError('Token service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Revoke one of the user's tokens
+   *
+   * @param {string} userId - ID of the token owner
+   * @param {string} tokenId - ID of the token
+   * @returns {Object} Revocation confirmation
+   * @throws {ValidationError} If the token ID is malformed
+   * @throws {NotFoundError} If the user has no such token
+   * @throws {InternalError} If there's a database error
+   */
+  async function revokeToken(userId, tokenId) {
+    if (!mongoose.isValidObjectId(tokenId)) {
+      throw new ValidationError('Invalid token ID format', [{ field: 'tokenId', message: 'Invalid token ID format' }]);
+    }
+
+    let revoked;
+    try {
+      revoked = await PersonalAccessToken.findOneAndUpdate(
+        { _id: tokenId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true },
+      );
+    } catch (error) {
+      logger.error('Error revoking personal access token:', { message: error.message, stack: error.stack });
+      throw new InternalError('Token service error', 'DATABASE_ERROR');
+    }
+
+    if (!revoked) {
+      throw new NotFoundError('Token not found', 'TOKEN_NOT_FOUND');
+    }
+
+    return {
+      tokenId,
+      revokedAt: revoked.revokedAt.toISOString(),
+    };
+  }
+
+  /**
+   * Revoke every token of a user (account deletion)
+   *
+   * @param {string} userId - ID of the token owner
+   * @returns {number} Number of tokens revoked
+   */
+  async function revokeAllTokens(userId) {
+    const result = await PersonalAccessToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Authenticate a request made with a personal access token
+   *
+   * @param {string} rawToken - The token from the Authorization header
+   * @returns {Object} The authenticated principal, limited to the token's scopes
+   * @throws {AuthenticationError} If the token is unknown, expired or revoked
+   * @throws {AuthorizationError} If the account is suspended
+   * @throws {InternalError} If there's a database error
+   */
+  async function verifyToken(rawToken) {
+    let personalAccessToken;
+    let user;
+    try {
+      personalAccessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(rawToken) });
+      user = personalAccessToken && await User.findById(personalAccessToken.user).select('email role suspendedAt').lean();
+    } catch (dbError) {
+      logger.error('Database error during personal access token check:', { message: dbError.message, stack: dbError.stack });
+      throw new InternalError('Authentication service temporarily unavailable', 'DATABASE_ERROR');
+    }
+
+    if (!personalAccessToken || !user) {
+      throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN');
+    }
+
+    if (personalAccessToken.revokedAt) {
+      throw new AuthenticationError('Token has been revoked', 'TOKEN_REVOKED');
+    }
+
+    if (!personalAccessToken.isActive()) {
+      throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN');
+    }
+
+    if (user.suspendedAt) {
+      throw new AuthorizationError('This account has been suspended', 'ACCOUNT_SUSPENDED');
+    }
+
+    // Bookkeeping only, so it runs in the background
+    const now = new Date();
+    if (!personalAccessToken.lastUsedAt || now - personalAccessToken.lastUsedAt > LAST_USED_INTERVAL_MS) {
+      PersonalAccessToken.updateOne({ _id: personalAccessToken._id }, { $set: { lastUsedAt: now } })
+        .catch(error => logger.warn('Could not update token usage:', { message: error.message }));
+    }
+
+    return {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role || ROLES.USER,
+      tokenId: personalAccessToken._id.toString(),
+      sessionId: null,
+      authType: 'personal_access_token',
+      scopes: personalAccessToken.scopes,
+      iat: Math.floor(personalAccessToken.createdAt.getTime() / 1000),
+      exp: personalAccessToken.expiresAt ? Math.floor(personalAccessToken.expiresAt.getTime() / 1000) : null,
+    };
+  }
+
+  return {
+    createToken,
+    listTokens,
+    revokeToken,
+    revokeAllTokens,
+    verifyToken,
+  };
+};
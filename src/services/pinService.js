@@ -0,0 +1,295 @@
+/**
+ * Pin Service
+ *
+ * Pinned messages keep important messages visible in a group. Owners and
+ * admins pin and unpin them, up to the group's settings.maxPinnedMessages;
+ * each change is recorded as a system message and broadcast to the group room.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the pin service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The pin service methods
+ */
+module.exports = function(container) {
+  const Message = container.get('messageModel');
+  const Group = container.get('groupModel');
+  const User = container.get('userModel');
+  const Membership = container.get('membershipModel');
+  const encryptionUtils = container.get('encryptionUtils');
+  const broadcaster = container.get('broadcaster');
+  const reactionService = container.get('reactionService');
+  const { GROUP_PERMISSIONS } = container.get('groupRoleUtils');
+  const {
+    NotFoundError,
+    ValidationError,
+    AuthorizationError,
+    ConflictError,
+    BadRequestError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Rethrow expected errors and wrap anything else
+   *
+   * @param {Error} error - The caught error
+   * @param {string} action - What was being done, for the log
+   * @throws {AppError} Always
+   */
+  function handleError(error, action) {
+    if (error.isOperational) {
+      throw error;
+    }
+
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid ID format', [{ field: error.path, message: 'Invalid ID format' }]);
+    }
+
+    logger.error(`Error ${action}:`, { message: error.message, stack: error.stack });
+    throw new InternalError('Pin service error', 'DATABASE_ERROR');
+  }
+
+  /**
+   * Decrypt a message for a response
+   *
+   * @param {Object} message - The message document
+   * @returns {Object} The message with decrypted content
+   */
+  function present(message) {
+    const messageObj = message.toObject();
+
+    try {
+      messageObj.content = encryptionUtils.decryptMessage(message.encryptedContent, message.encryption.iv, message.encryption.algorithm);
+    } catch (error) {
+      logger.error(`Error decrypting message ${message._id}:`, { message: error.message, messageId: message._id });
+      messageObj.content = '[Encryption error: Unable to decrypt message]';
+    }
+
+    delete messageObj.encryptedContent;
+    return messageObj;
+  }
+
+  /**
+   * Load a message and check the user may pin or unpin it
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} messageId - ID of the message
+   * @returns {Object} The message document
+   * @throws {NotFoundError} If the message doesn't exist
+   * @throws {AuthorizationError} If the user can't pin messages or the group is archived
+   * @throws {BadRequestError} If the message is a system message
+   */
+  async function loadMessageForPin(userId, messageId) {
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+      throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+    }
+
+    const [group, membership] = await Promise.all([
+      Group.findById(message.group),
+      Membership.findEntry(message.group, userId),
+    ]);
+
+    if (!group || !membership || !membership.isActive()) {
+      throw new AuthorizationError('Only group members can pin messages', 'NOT_GROUP_MEMBER');
+    }
+
+    if (!membership.hasPermission(GROUP_PERMISSIONS.PIN_MESSAGES)) {
+      throw new AuthorizationError('Only owners and admins can pin messages', 'PIN_UNAUTHORIZED');
+    }
+
+    if (group.isArchived()) {
+      throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+    }
+
+    if (message.messageType === 'system') {
+      throw new BadRequestError('System messages cannot be pinned', 'CANNOT_PIN_SYSTEM_MESSAGE');
+    }
+
+    return message;
+  }
+
+  /**
+   * Record a pin change as a system message from the user who made it
+   *
+   * @param {string} userId - ID of the user who pinned or unpinned
+   * @param {Object} message - The message pinned or unpinned
+   * @param {string} event - 'message:pinned' or 'message:unpinned'
+   * @returns {Object} The system message, with decrypted content
+   */
+  async function recordSystemMessage(userId, message, event) {
+    const user = await User.findById(userId).select('email');
+    const action = event === 'message:pinned' ? 'pinned' : 'unpinned';
+    const content = `${user ? user.email : 'A member'} ${action} a message`;
+    const encryptionResult = encryptionUtils.encryptMessage(content);
+
+    const systemMessage = await Message.create({
+      group: message.group,
+      sender: userId,
+      content,
+      encryptedContent: encryptionResult.encryptedContent,
+      encryption: {
+        iv: encryptionResult.iv,
+        algorithm: encryptionResult.algorithm,
+        keyVersion: encryptionResult.keyVersion,
+      },
+      messageType: 'system',
+      metadata: {
+        systemEvent: event,
+        relatedMessage: message._id,
+      },
+      timestamp: new Date(),
+    });
+
+    const messageObj = systemMessage.toObject();
+    messageObj.content = content;
+    delete messageObj.encryptedContent;
+    return messageObj;
+  }
+
+  /**
+   * Pin a message to its group
+   *
+   * @param {string} userId - ID of the user pinning
+   * @param {string} messageId - ID of the message
+   * @returns {Object} The pinned message and the system message recording it
+   * @throws {NotFoundError} If the message doesn't exist
+   * @throws {AuthorizationError} If the user can't pin messages or the group is archived
+   * @throws {BadRequestError} If the message is a system message
+   * @throws {ConflictError} If the message is already pinned or the group has reached its pin limit
+   * @throws {InternalError} If there's a database error
+   */
+  async function pinMessage(userId, messageId) {
+    try {
+      const message = await loadMessageForPin(userId, messageId);
+
+      const pinned = await Message.findOneAndUpdate(
+        { _id: message._id, pinnedAt: { $exists: false } },
+        { $set: { pinnedAt: new Date(), pinnedBy: userId } },
+        { new: true },
+      );
+
+      if (!pinned) {
+        throw new ConflictError('Message is already pinned', 'ALREADY_PINNED');
+      }
+
+      if (!(await Group.reservePinSlot(message.group))) {
+        await Message.updateOne({ _id: message._id }, { $unset: { pinnedAt: '', pinnedBy: '' } });
+        const group = await Group.findById(message.group);
+        throw new ConflictError(
+          `This group can have at most ${group.settings.maxPinnedMessages} pinned messages`,
+          'PIN_LIMIT_REACHED',
+        );
+      }
+
+      const systemMessage = await recordSystemMessage(userId, message, 'message:pinned');
+      const data = present(pinned);
+
+      broadcaster.emitToRoom(`group:${message.group}`, 'message:pinned', {
+        messageId: message._id.toString(),
+        groupId: message.group.toString(),
+        pinnedBy: userId.toString(),
+        data,
+        systemMessage,
+      });
+
+      return { message: data, systemMessage };
+    } catch (error) {
+      handleError(error, 'pinning message');
+    }
+  }
+
+  /**
+   * Unpin a message from its group
+   *
+   * @param {string} userId - ID of the user unpinning
+   * @param {string} messageId - ID of the message
+   * @returns {Object} The unpinned message and the system message recording it
+   * @throws {NotFoundError} If the message doesn't exist or isn't pinned
+   * @throws {AuthorizationError} If the user can't pin messages or the group is archived
+   * @throws {InternalError} If there's a database error
+   */
+  async function unpinMessage(userId, messageId) {
+    try {
+      const message = await loadMessageForPin(userId, messageId);
+
+      const unpinned = await Message.findOneAndUpdate(
+        { _id: message._id, pinnedAt: { $exists: true } },
+        { $unset: { pinnedAt: '', pinnedBy: '' } },
+        { new: true },
+      );
+
+      if (!unpinned) {
+        throw new NotFoundError('Message is not pinned', 'MESSAGE_NOT_PINNED');
+      }
+
+      await Group.releasePinSlot(message.group);
+
+      const systemMessage = await recordSystemMessage(userId, message, 'message:unpinned');
+      const data = present(unpinned);
+
+      broadcaster.emitToRoom(`group:${message.group}`, 'message:unpinned', {
+        messageId: message._id.toString(),
+        groupId: message.group.toString(),
+        unpinnedBy: userId.toString(),
+        data,
+        systemMessage,
+      });
+
+      return { message: data, systemMessage };
+    } catch (error) {
+      handleError(error, 'unpinning message');
+    }
+  }
+
+  /**
+   * Get the pinned messages of a group, most recently pinned first
+   *
+   * The list is bounded by the group's pin limit, so it isn't paginated.
+   *
+   * @param {string} userId - ID of the requesting user
+   * @param {string} groupId - ID of the group
+   * @returns {Array<Object>} Pinned messages with decrypted content and reaction counts
+   * @throws {NotFoundError} If the group doesn't exist
+   * @throws {AuthorizationError} If the user isn't an active member
+   * @throws {InternalError} If there's a database error
+   */
+  async function getPinnedMessages(userId, groupId) {
+    try {
+      const group = await Group.findById(groupId);
+
+      if (!group) {
+        throw new NotFoundError('Group not found', 'GROUP_NOT_FOUND');
+      }
+
+      if (!(await Membership.isActiveMember(groupId, userId))) {
+        throw new AuthorizationError('Only group members can view messages', 'NOT_GROUP_MEMBER');
+      }
+
+      const messages = await Message.find({ group: group._id, pinnedAt: { $exists: true } })
+        .sort({ pinnedAt: -1 })
+        .populate('sender', 'email')
+        .populate('pinnedBy', 'email');
+
+      const reactions = await reactionService.summarizeReactions(messages, userId);
+
+      return messages.map((message) => {
+        const messageObj = present(message);
+        messageObj.reactions = reactions.get(message._id.toString());
+        return messageObj;
+      });
+    } catch (error) {
+      handleError(error, 'listing pinned messages');
+    }
+  }
+
+  return {
+    pinMessage,
+    unpinMessage,
+    getPinnedMessages,
+  };
+};
@@ -0,0 +1,253 @@
+/**
+ * Reaction Service
+ *
+ * Emoji reactions on messages. Each user can react with an emoji once per
+ * message; the message keeps a count per emoji so listings don't have to
+ * load every reaction. Changes are broadcast to the group room as deltas.
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Create the reaction service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The reaction service methods
+ */
+module.exports = function(container) {
+  const Message = container.get('messageModel');
+  const Group = container.get('groupModel');
+  const Membership = container.get('membershipModel');
+  const Reaction = container.get('reactionModel');
+  const broadcaster = container.get('broadcaster');
+  const {
+    NotFoundError,
+    ValidationError,
+    AuthorizationError,
+    ConflictError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  // Different emojis a single message can collect
+  const MAX_EMOJIS_PER_MESSAGE = 20;
+
+  /**
+   * Rethrow expected errors and wrap anything else
+   *
+   * @param {Error} error - The caught error
+   * @param {string} action - What was being done, for the log
+   * @throws {AppError} Always
+   */
+  function handleError(error, action) {
+    if (error.isOperational) {
+      throw error;
+    }
+
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid ID format', [{ field: error.path, message: 'Invalid ID format' }]);
+    }
+
+    logger.error(`Error ${action}:`, { message: error.message, stack: error.stack });
+    throw new InternalError('Reaction service error', 'DATABASE_ERROR');
+  }
+
+  /**
+   * Load a message and check the user may react to it
+   *
+   * @param {string} userId - ID of the reacting user
+   * @param {string} messageId - ID of the message
+   * @returns {Object} The message document
+   * @throws {NotFoundError} If the message doesn't exist
+   * @throws {AuthorizationError} If the user isn't an active member or the group is archived
+   */
+  async function loadMessageForReaction(userId, messageId) {
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+      throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+    }
+
+    const [group, isMember] = await Promise.all([
+      Group.findById(message.group),
+      Membership.isActiveMember(message.group, userId),
+    ]);
+
+    if (!group || !isMember) {
+      throw new AuthorizationError('Only group members can react to messages', 'NOT_GROUP_MEMBER');
+    }
+
+    if (group.isArchived()) {
+      throw new AuthorizationError('This group is archived and read-only', 'GROUP_ARCHIVED');
+    }
+
+    return message;
+  }
+
+  /**
+   * Broadcast a reaction change to the message's group
+   *
+   * @param {string} event - 'reaction:added' or 'reaction:removed'
+   * @param {Object} delta - The change, as returned to the caller
+   */
+  function broadcastDelta(event, delta) {
+    broadcaster.emitToRoom(`group:${delta.groupId}`, event, delta);
+  }
+
+  /**
+   * React to a message
+   *
+   * @param {string} userId - ID of the reacting user
+   * @param {string} messageId - ID of the message
+   * @param {string} emoji - The emoji to react with
+   * @returns {Object} The change: message, group, user, emoji and the emoji's new count
+   * @throws {NotFoundError} If the message doesn't exist
+   * @throws {AuthorizationError} If the user isn't an active member or the group is archived
+   * @throws {ConflictError} If the user already reacted with this emoji or the message has too many different reactions
+   * @throws {InternalError} If there's a database error
+   */
+  async function addReaction(userId, messageId, emoji) {
+    try {
+      const message = await loadMessageForReaction(userId, messageId);
+      const countPath = `reactionCounts.${emoji}`;
+
+      try {
+        await Reaction.create({ message: message._id, group: message.group, user: userId, emoji });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError('You already reacted with this emoji', 'ALREADY_REACTED');
+        }
+        throw error;
+      }
+
+      // New emojis only fit while the message is below the cap
+      const updated = await Message.findOneAndUpdate(
+        {
+          _id: message._id,
+          $or: [
+            { [countPath]: { $gt: 0 } },
+            {
+              $expr: {
+                $lt: [{ $size: { $objectToArray: { $ifNull: ['$reactionCounts', {}] } } }, MAX_EMOJIS_PER_MESSAGE],
+              },
+            },
+          ],
+        },
+        { $inc: { [countPath]: 1 } },
+        { new: true },
+      );
+
+      if (!updated) {
+        await Reaction.deleteOne({ message: message._id, user: userId, emoji });
+        throw new ConflictError(
+          `A message can have at most ${MAX_EMOJIS_PER_MESSAGE} different reactions`,
+          'TOO_MANY_REACTIONS',
+        );
+      }
+
+      const delta = {
+        messageId: message._id.toString(),
+        groupId: message.group.toString(),
+        userId: userId.toString(),
+        emoji,
+        count: updated.reactionCounts.get(emoji),
+      };
+
+      broadcastDelta('reaction:added', delta);
+
+      return delta;
+    } catch (error) {
+      handleError(error, 'adding reaction');
+    }
+  }
+
+  /**
+   * Remove a reaction from a message
+   *
+   * @param {string} userId - ID of the user who reacted
+   * @param {string} messageId - ID of the message
+   * @param {string} emoji - The emoji to remove
+   * @returns {Object} The change: message, group, user, emoji and the emoji's new count
+   * @throws {NotFoundError} If the message or the reaction doesn't exist
+   * @throws {AuthorizationError} If the user isn't an active member or the group is archived
+   * @throws {InternalError} If there's a database error
+   */
+  async function removeReaction(userId, messageId, emoji) {
+    try {
+      const message = await loadMessageForReaction(userId, messageId);
+      const countPath = `reactionCounts.${emoji}`;
+
+      const reaction = await Reaction.findOneAndDelete({ message: message._id, user: userId, emoji });
+
+      if (!reaction) {
+        throw new NotFoundError('Reaction not found', 'REACTION_NOT_FOUND');
+      }
+
+      const updated = await Message.findOneAndUpdate(
+        { _id: message._id },
+        { $inc: { [countPath]: -1 } },
+        { new: true },
+      );
+
+      let count = updated ? updated.reactionCounts.get(emoji) || 0 : 0;
+
+      // Drop emojis nobody uses any more, unless someone reacted in the meantime
+      if (updated && count <= 0) {
+        await Message.updateOne({ _id: message._id, [countPath]: { $lte: 0 } }, { $unset: { [countPath]: '' } });
+        count = 0;
+      }
+
+      const delta = {
+        messageId: message._id.toString(),
+        groupId: message.group.toString(),
+        userId: userId.toString(),
+        emoji,
+        count,
+      };
+
+      broadcastDelta('reaction:removed', delta);
+
+      return delta;
+    } catch (error) {
+      handleError(error, 'removing reaction');
+    }
+  }
+
+  /**
+   * Summarize the reactions of messages for a user
+   *
+   * @param {Array<Object>} messages - Message documents
+   * @param {string} userId - ID of the user the summary is for
+   * @returns {Map<string, Array<Object>>} Reactions by message ID, each with emoji, count
+   *   and whether the user reacted with it, most used first
+   */
+  async function summarizeReactions(messages, userId) {
+    const reacted = await Reaction.find({
+      message: { $in: messages.map(message => message._id) },
+      user: userId,
+    }).select('message emoji').lean();
+
+    const reactedKeys = new Set(reacted.map(reaction => `${reaction.message}:${reaction.emoji}`));
+    const summaries = new Map();
+
+    messages.forEach((message) => {
+      const counts = message.reactionCounts ? [...message.reactionCounts.entries()] : [];
+
+      summaries.set(message._id.toString(), counts
+        .filter(([, count]) => count > 0)
+        .sort(([, a], [, b]) => b - a)
+        .map(([emoji, count]) => ({
+          emoji,
+          count,
+          reacted: reactedKeys.has(`${message._id}:${emoji}`),
+        })));
+    });
+
+    return summaries;
+  }
+
+  return {
+    addReaction,
+    removeReaction,
+    summarizeReactions,
+  };
+};
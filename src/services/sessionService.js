@@ -0,0 +1,311 @@
+/**
+ * Session Service
+ *
+ * Tracks login sessions (one per login, shared by every token rotated from
+ * it) so users can see where they are logged in and end those sessions.
+ * A session's id is also the family of its refresh tokens and the `sid`
+ * claim of its access tokens.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// How often last-seen information is written for an active session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create the session service with injected dependencies
+ *
+ * @param {Object} container - The dependency injection container
+ * @returns {Object} The session service methods
+ */
+module.exports = function(container) {
+  const Session = container.get('sessionModel');
+  const RefreshToken = container.get('refreshTokenModel');
+  const broadcaster = container.get('broadcaster');
+  const {
+    NotFoundError,
+    ValidationError,
+    InternalError,
+  } = container.get('errorUtils');
+
+  /**
+   * Create a session for a new login
+   *
+   * @param {string} userId - ID of the user logging in
+   * @param {Object} context - Client information
+   * @param {string} [context.userAgent] - User-Agent header
+   * @param {string} [context.ip] - Client IP address
+   * @param {Date} expiresAt - When the session stops being refreshable
+   * @returns {Object} The created session document
+   */
+  async function createSession(userId, { userAgent, ip } = {}, expiresAt) {
+    return Session.create({
+      user: userId,
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      ip: ip || null,
+      lastSeenIp: ip || null,
+      expiresAt,
+    });
+  }
+
+  /**
+   * Get a session if it is still active
+   *
+   * @param {string} sessionId - ID of the session
+   * @returns {Object|null} The session, or null if unknown, expired or revoked
+   */
+  async function getActiveSession(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return null;
+    }
+
+    return Session.findOne({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+  }
+
+  /**
+   * Push a session's expiry forward after its refresh token was rotated
+   *
+   * @param {string} sessionId - ID of the session
+   * @param {Date} expiresAt - New expiry
+   */
+  async function extendSession(sessionId, expiresAt) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { expiresAt, lastSeenAt: new Date() } },
+    );
+  }
+
+  /**
+   * Record activity on a session, at most once per interval
+   *
+   * Failures are logged and ignored since this is bookkeeping only.
+   *
+   * @param {string} sessionId - ID of the session
+   * @param {string} [ip] - Client IP address of the request
+   */
+  async function touchSession(sessionId, ip) {
+    if (!sessionId) {
+      return;
+    }
+
+    try {
+      const now = new Date();
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null, lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_INTERVAL_MS) } },
+        { $set: { lastSeenAt: now, ...(ip && { lastSeenIp: ip }) } },
+      );
+    } catch (error) {
+      logger.warn('Could not update session activity:', { sessionId, message: error.message });
+    }
+  }
+
+  /**
+   * Record a socket connection authenticated with a session's token
+   *
+   * @param {string} sessionId - ID of the session
+   * @param {string} socketId - Socket.io socket ID
+   */
+  async function attachSocket(sessionId, socketId) {
+    try {
+      await Session.updateOne(
+        { _id: sessionId },
+        {
+          $push: { sockets: { socketId, connectedAt: new Date() } },
+          $set: { lastSeenAt: new Date() },
+        },
+      );
+    } catch (error) {
+      logger.warn('Could not attach socket to session:', { sessionId, socketId, message: error.message });
+    }
+  }
+
+  /**
+   * Remove a closed socket connection from a session
+   *
+   * @param {string} sessionId - ID of the session
+   * @param {string} socketId - Socket.io socket ID
+   */
+  async function detachSocket(sessionId, socketId) {
+    try {
+      await Session.updateOne(
+        { _id: sessionId },
+        {
+          $pull: { sockets: { socketId } },
+          $set: { lastSeenAt: new Date() },
+        },
+      );
+    } catch (error) {
+      logger.warn('Could not detach socket from session:', { sessionId, socketId, message: error.message });
+    }
+  }
+
+  /**
+   * Revoke every active session matching a filter
+   *
+   * Refresh tokens of the sessions are revoked, access tokens carrying their
+   * `sid` stop being accepted and their live sockets are disconnected.
+   *
+   * @param {Object} filter - Session query
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of sessions revoked
+   */
+  async function revokeMatching(filter, reason) {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    const sessionIds = sessions.map(session => session._id);
+    const families = sessionIds.map(id => id.toString());
+    const now = new Date();
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason, sockets: [] } },
+    );
+    await RefreshToken.updateMany(
+      { family: { $in: families }, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'session_revoked' } },
+    );
+
+    families.forEach(sessionId => broadcaster.disconnectRoom(`session:${sessionId}`));
+
+    return sessionIds.length;
+  }
+
+  /**
+   * End a single session without an ownership check (logout, token reuse)
+   *
+   * @param {string} sessionId - ID of the session
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of sessions revoked (0 or 1)
+   */
+  async function endSession(sessionId, reason) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return 0;
+    }
+
+    return revokeMatching({ _id: sessionId }, reason);
+  }
+
+  /**
+   * Revoke all sessions of a user (password reset, account deletion)
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of sessions revoked
+   */
+  async function revokeAllSessions(userId, reason) {
+    return revokeMatching({ user: userId }, reason);
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} [currentSessionId] - Session of the request, flagged as `current`
+   * @returns {Object} The sessions
+   * @throws {InternalError} If there's a database error
+   */
+  async function listSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastSeenAt: -1 }).lean();
+
+      return {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastSeenIp: session.lastSeenIp,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          activeConnections: session.sockets.length,
+          current: session._id.toString() === currentSessionId,
+        })),
+      };
+    } catch (error) {
+      logger.error('Error listing sessions:', { message: error.message, stack: error.stack });
+      throw new InternalError('Session service error', 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Revoke one of the user's sessions
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} sessionId - ID of the session to revoke
+   * @returns {Object} Revocation confirmation
+   * @throws {ValidationError} If the session ID is malformed
+   * @throws {NotFoundError} If the user has no such active session
+   * @throws {InternalError} If there's a database error
+   */
+  async function revokeSession(userId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      throw new ValidationError('Invalid session ID format', [{ field: 'sessionId', message: 'Invalid session ID format' }]);
+    }
+
+    let revokedCount;
+    try {
+      revokedCount = await revokeMatching({ _id: sessionId, user: userId }, 'revoked');
+    } catch (error) {
+      logger.error('Error revoking session:', { message: error.message, stack: error.stack });
+      throw new InternalError('Session service error', 'DATABASE_ERROR');
+    }
+
+    if (revokedCount === 0) {
+      throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    return {
+      sessionId,
+      revokedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Revoke every session of the user except the one making the request
+   *
+   * @param {string} userId - ID of the user
+   * @param {string} [currentSessionId] - Session to keep
+   * @returns {Object} Number of sessions revoked
+   * @throws {InternalError} If there's a database error
+   */
+  async function revokeOtherSessions(userId, currentSessionId) {
+    const filter = { user: userId };
+    if (mongoose.isValidObjectId(currentSessionId)) {
+      filter._id = { $ne: currentSessionId };
+    }
+
+    try {
+      const revokedCount = await revokeMatching(filter, 'logout_others');
+      return { revokedCount };
+    } catch (error) {
+      logger.error('Error revoking other sessions:', { message: error.message, stack: error.stack });
+      throw new InternalError('Session service error', 'DATABASE_ERROR');
+    }
+  }
+
+  return {
+    createSession,
+    getActiveSession,
+    extendSession,
+    touchSession,
+    attachSocket,
+    detachSocket,
+    endSession,
+    revokeAllSessions,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+  };
+};
@@ -14,6 +14,8 @@
 module.exports = function(container) {
   // Get dependencies from the container
   const User = container.get('userModel');
+  const sessionService = container.get('sessionService');
+  const personalAccessTokenService = container.get('personalAccessTokenService');
   const {
     NotFoundError,
     ValidationError,
@@ -104,10 +106,18 @@ module.exports = function(container) {
         throw new NotFoundError('User not found', 'USER_NOT_FOUND');
       }
 
+      // Fields that can only change through their dedicated flows
+      const protectedFields = [
+        'password', '_id', 'email',
+        'emailVerified', 'emailVerifiedAt', 'passwordChangedAt', 'mfa',
+        'failedLoginAttempts', 'lastFailedLoginAt', 'lockUntil',
+        'role', 'suspendedAt', 'suspendedReason', 'suspendedBy',
+      ];
+
       // Apply updates
       Object.keys(updateData).forEach(key => {
         // Prevent updating critical fields
-        if (key !== 'password' && key !== '_id' && key !== 'email') {
+        if (!protectedFields.includes(key)) {
           user[key] = updateData[key];
         }
       });
@@ -152,6 +162,10 @@ module.exports = function(container) {
         throw new NotFoundError('User not found', 'USER_NOT_FOUND');
       }
 
+      // Log the deleted account out everywhere
+      await sessionService.revokeAllSessions(userId, 'account_deleted');
+      await personalAccessTokenService.revokeAllTokens(userId);
+
       return { success: true, message: 'User deleted successfully' };
     } catch (error) {
       if (error instanceof NotFoundError) {
@@ -67,12 +67,23 @@ class NotFoundError extends AppError {
  * Rate limit error
  */
 class RateLimitError extends AppError {
-  constructor(message, retryAfter = '15 minutes') {
-    super(message, 429, 'RATE_LIMIT_EXCEEDED');
+  constructor(message, retryAfter = '15 minutes', errorCode = 'RATE_LIMIT_EXCEEDED') {
+    super(message, 429, errorCode);
     this.retryAfter = retryAfter;
   }
 }
 
+/**
+ * Account locked error after too many failed login attempts
+ */
+class AccountLockedError extends AppError {
+  constructor(message, lockedUntil) {
+    super(message, 423, 'ACCOUNT_LOCKED');
+    this.lockedUntil = lockedUntil;
+    this.retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  }
+}
+
 /**
  * Bad request error
  */
@@ -99,6 +110,7 @@ module.exports = {
   ConflictError,
   NotFoundError,
   RateLimitError,
+  AccountLockedError,
   BadRequestError,
   InternalError,
 };
@@ -0,0 +1,104 @@
+/**
+ * Group member roles
+ * Roles are ranked within a group and each grants a fixed set of permissions.
+ * Members can only act on members ranked below them.
+ */
+
+const GROUP_ROLES = Object.freeze({
+  MEMBER: 'member',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+  OWNER: 'owner',
+});
+
+// Lowest to highest
+const ALL_GROUP_ROLES = Object.freeze([
+  GROUP_ROLES.MEMBER,
+  GROUP_ROLES.MODERATOR,
+  GROUP_ROLES.ADMIN,
+  GROUP_ROLES.OWNER,
+]);
+
+const GROUP_PERMISSIONS = Object.freeze({
+  DELETE_MESSAGES: 'messages:delete',
+  KICK_MEMBERS: 'members:kick',
+  BAN_MEMBERS: 'members:ban',
+  APPROVE_JOINS: 'members:approve',
+  EDIT_SETTINGS: 'settings:edit',
+  MANAGE_ROLES: 'roles:manage',
+  // Members can also invite when the group's settings.allowMemberInvites is on
+  INVITE_MEMBERS: 'members:invite',
+  MANAGE_INVITES: 'invites:manage',
+  POST_ANNOUNCEMENTS: 'messages:announce',
+  BYPASS_SLOW_MODE: 'messages:bypass-slow-mode',
+  // Only owners, as revisions can hold content the sender meant to take back
+  VIEW_EDIT_HISTORY: 'messages:view-history',
+  // Only needed in groups above MENTION_ALL_MEMBER_THRESHOLD
+  MENTION_ALL: 'messages:mention-all',
+  PIN_MESSAGES: 'messages:pin',
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [GROUP_ROLES.MEMBER]: Object.freeze([]),
+  [GROUP_ROLES.MODERATOR]: Object.freeze([
+    GROUP_PERMISSIONS.DELETE_MESSAGES,
+    GROUP_PERMISSIONS.KICK_MEMBERS,
+    GROUP_PERMISSIONS.APPROVE_JOINS,
+    GROUP_PERMISSIONS.INVITE_MEMBERS,
+    GROUP_PERMISSIONS.BYPASS_SLOW_MODE,
+  ]),
+  [GROUP_ROLES.ADMIN]: Object.freeze([
+    GROUP_PERMISSIONS.DELETE_MESSAGES,
+    GROUP_PERMISSIONS.KICK_MEMBERS,
+    GROUP_PERMISSIONS.BAN_MEMBERS,
+    GROUP_PERMISSIONS.APPROVE_JOINS,
+    GROUP_PERMISSIONS.EDIT_SETTINGS,
+    GROUP_PERMISSIONS.MANAGE_ROLES,
+    GROUP_PERMISSIONS.INVITE_MEMBERS,
+    GROUP_PERMISSIONS.MANAGE_INVITES,
+    GROUP_PERMISSIONS.POST_ANNOUNCEMENTS,
+    GROUP_PERMISSIONS.BYPASS_SLOW_MODE,
+    GROUP_PERMISSIONS.MENTION_ALL,
+    GROUP_PERMISSIONS.PIN_MESSAGES,
+  ]),
+  [GROUP_ROLES.OWNER]: Object.freeze(Object.values(GROUP_PERMISSIONS)),
+});
+
+/**
+ * Get the rank of a group role, unknown roles rank as a plain member
+ * @param {string} role - Role name
+ * @returns {number} - Rank, higher is more privileged
+ */
+function getGroupRoleRank(role) {
+  return Math.max(ALL_GROUP_ROLES.indexOf(role), 0);
+}
+
+/**
+ * Check if a group role outranks another one
+ * @param {string} role - Role of the acting member
+ * @param {string} otherRole - Role of the member being acted on
+ * @returns {boolean} - True if role is strictly higher than otherRole
+ */
+function outranksInGroup(role, otherRole) {
+  return getGroupRoleRank(role) > getGroupRoleRank(otherRole);
+}
+
+/**
+ * Check if a group role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ * @returns {boolean} - True if the role grants the permission
+ */
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  GROUP_ROLES,
+  ALL_GROUP_ROLES,
+  GROUP_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getGroupRoleRank,
+  outranksInGroup,
+  roleHasPermission,
+};
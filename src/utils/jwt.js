@@ -1,8 +1,55 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const env = require('../config/environment');
+const { loadKeyring } = require('./keyring');
 
-// In-memory token blacklist (would be replaced with Redis or database in production)
-const tokenBlacklist = new Set();
+/**
+ * Load the signing keyring when access tokens use an asymmetric algorithm
+ * Loaded once at startup so a broken keyring fails fast
+ * @returns {Object|null} - The keyring, or null for HS256
+ */
+function loadConfiguredKeyring() {
+  if (env.get('JWT_ALGORITHM') === 'HS256') {
+    return null;
+  }
+
+  return loadKeyring(env.get('JWT_KEYRING_FILE'), {
+    defaultAlgorithm: env.get('JWT_ALGORITHM'),
+    graceHours: env.get('JWT_KEY_GRACE_HOURS'),
+    legacyCutoverAt: env.get('JWT_LEGACY_CUTOVER_AT'),
+  });
+}
+
+const keyring = loadConfiguredKeyring();
+
+/**
+ * Find the key and algorithm that verify an access token
+ * Tokens without a kid were signed with JWT_SECRET (HS256)
+ * @param {string} token - The raw JWT
+ * @returns {Object} - { key, algorithm }
+ */
+function getVerificationKey(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+
+  if (!kid) {
+    if (keyring && !keyring.acceptsLegacyTokens()) {
+      throw new jwt.JsonWebTokenError('token without key id');
+    }
+    return { key: env.get('JWT_SECRET'), algorithm: 'HS256' };
+  }
+
+  const verificationKey = keyring && keyring.getVerificationKey(kid);
+  if (!verificationKey) {
+    throw new jwt.JsonWebTokenError('unknown or retired key id');
+  }
+
+  return { key: verificationKey.publicKey, algorithm: verificationKey.algorithm };
+}
 
 function generateToken(payload) {
   if (!payload || !payload.userId || !payload.email) {
@@ -10,16 +57,30 @@ function generateToken(payload) {
   }
 
   try {
-    const secret = env.get('JWT_SECRET');
     const expiresIn = env.get('JWT_EXPIRES_IN');
 
     const tokenPayload = {
       userId: payload.userId,
       email: payload.email,
+      jti: crypto.randomBytes(16).toString('hex'),
       iat: Math.floor(Date.now() / 1000),
     };
 
-    return jwt.sign(tokenPayload, secret, {
+    // Ties the token to a login session so revoking the session revokes the token
+    if (payload.sessionId) {
+      tokenPayload.sid = payload.sessionId;
+    }
+
+    if (keyring) {
+      const { kid, algorithm, privateKey } = keyring.getSigningKey();
+      return jwt.sign(tokenPayload, privateKey, {
+        expiresIn: expiresIn,
+        algorithm,
+        keyid: kid,
+      });
+    }
+
+    return jwt.sign(tokenPayload, env.get('JWT_SECRET'), {
       expiresIn: expiresIn,
       algorithm: 'HS256',
     });
@@ -34,8 +95,9 @@ function verifyToken(token) {
   }
 
   try {
-    const secret = env.get('JWT_SECRET');
-    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+    // The algorithm is pinned to the key so a token can't pick a weaker one
+    const { key, algorithm } = getVerificationKey(token);
+    return jwt.verify(token, key, { algorithms: [algorithm] });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token has expired');
@@ -64,30 +126,92 @@ function extractTokenFromHeader(authHeader) {
 }
 
 /**
- * Check if a token has been blacklisted
- * @param {string} token - The JWT token to check
- * @returns {boolean} - true if token is blacklisted, false otherwise
+ * Get the identifier used to revoke a token
+ * Tokens issued before `jti` was added are identified by a hash of the token itself
+ * @param {string} token - The raw JWT token
+ * @param {Object} decoded - The verified token payload
+ * @returns {string} - The token identifier
+ */
+function getTokenId(token, decoded) {
+  if (decoded && decoded.jti) {
+    return decoded.jti;
+  }
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public keys that verify access tokens, as a JSON Web Key Set
+ * Empty when tokens are signed with the shared HS256 secret
+ * @returns {Object} - { keys: [...] }
  */
-function isTokenBlacklisted(token) {
-  return tokenBlacklist.has(token);
+function getJwks() {
+  return keyring ? keyring.getJwks() : { keys: [] };
 }
 
 /**
- * Add a token to the blacklist (used for logout functionality)
- * @param {string} token - The JWT token to blacklist
+ * Derive the signing key for a single-purpose token
+ * Purpose tokens use their own key so they can never pass as access tokens.
+ * They are only ever verified by this service, so they stay symmetric.
+ * @param {string} purpose - Token purpose (e.g. 'email_verification')
+ * @returns {Buffer} - The derived signing key
  */
-function blacklistToken(token) {
-  if (token && typeof token === 'string') {
-    tokenBlacklist.add(token);
-    return true;
+function getPurposeSecret(purpose) {
+  return crypto.createHmac('sha256', env.get('JWT_SECRET')).update(`purpose:${purpose}`).digest();
+}
+
+/**
+ * Generate a signed token that is only valid for one purpose
+ * @param {Object} payload - Claims to include in the token
+ * @param {string} purpose - Token purpose, checked on verification
+ * @param {string|number} expiresIn - Token lifetime (jsonwebtoken format)
+ * @returns {string} - The signed token
+ */
+function generatePurposeToken(payload, purpose, expiresIn) {
+  if (!purpose) {
+    throw new Error('Token purpose is required');
+  }
+
+  try {
+    return jwt.sign({ ...payload }, getPurposeSecret(purpose), {
+      expiresIn,
+      audience: purpose,
+      algorithm: 'HS256',
+    });
+  } catch (error) {
+    throw new Error(`Token generation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a token generated by generatePurposeToken
+ * @param {string} token - The signed token
+ * @param {string} purpose - The purpose the token must have been issued for
+ * @returns {Object} - The verified token payload
+ */
+function verifyPurposeToken(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token must be a non-empty string');
+  }
+
+  try {
+    return jwt.verify(token, getPurposeSecret(purpose), {
+      audience: purpose,
+      algorithms: ['HS256'],
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token has expired');
+    }
+    throw new Error('Invalid token');
   }
-  return false;
 }
 
 module.exports = {
   generateToken,
   verifyToken,
   extractTokenFromHeader,
-  isTokenBlacklisted,
-  blacklistToken,
+  getTokenId,
+  getJwks,
+  generatePurposeToken,
+  verifyPurposeToken,
 };
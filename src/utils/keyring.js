@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Signing keyring for asymmetric access tokens (RS256 / ES256)
+ *
+ * The keyring file lists `kid`-tagged keys. Exactly one is marked `current` and
+ * signs new tokens; the others are previous keys that only verify tokens, and
+ * stop being accepted once their grace window has passed:
+ *
+ *   {
+ *     "keys": [
+ *       { "kid": "2024-06", "current": true, "privateKeyFile": "keys/2024-06.pem" },
+ *       { "kid": "2024-01", "publicKeyFile": "keys/2024-01.pub.pem", "retiredAt": "2024-06-01T00:00:00Z" }
+ *     ]
+ *   }
+ *
+ * Keys can be given inline (`privateKey`, `publicKey`) or as files relative to the
+ * keyring file. Every previous key must say when it was retired, so its grace
+ * window doesn't restart whenever the process does.
+ */
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * Check that a key can be used with an algorithm
+ * @param {KeyObject} publicKey - Public key
+ * @param {string} algorithm - JWT algorithm
+ * @returns {boolean} - True if the key type matches the algorithm
+ */
+function keyMatchesAlgorithm(publicKey, algorithm) {
+  if (algorithm === 'RS256') {
+    return publicKey.asymmetricKeyType === 'rsa';
+  }
+
+  return publicKey.asymmetricKeyType === 'ec' &&
+    publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1';
+}
+
+/**
+ * Read a PEM key given inline or as a file
+ * @param {string} inline - PEM string
+ * @param {string} file - Path to a PEM file
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string|null} - PEM string, or null if neither is set
+ */
+function readPem(inline, file, baseDir) {
+  if (inline) {
+    return inline;
+  }
+
+  if (file) {
+    return fs.readFileSync(path.resolve(baseDir, file), 'utf8');
+  }
+
+  return null;
+}
+
+/**
+ * Parse a timestamp from the keyring configuration
+ * @param {string|number|Date} value - ISO date string, Date or milliseconds since epoch
+ * @returns {number} - Milliseconds since epoch, or NaN if missing or invalid
+ */
+function parseTimestamp(value) {
+  return value === undefined || value === null || value === '' ? NaN : new Date(value).getTime();
+}
+
+/**
+ * Build a keyring from its parsed configuration
+ * @param {Object} config - Parsed keyring file ({ keys: [...] })
+ * @param {Object} options - Keyring options
+ * @param {string} options.defaultAlgorithm - Algorithm of keys that don't set one
+ * @param {number} options.graceHours - How long previous keys keep verifying tokens after retirement
+ * @param {string|number|Date} options.legacyCutoverAt - When access tokens stopped being signed with
+ *   JWT_SECRET (HS256); such tokens are accepted for graceHours after it
+ * @param {string} options.baseDir - Directory key files are resolved against
+ * @returns {Object} - The keyring
+ */
+function createKeyring(config, { defaultAlgorithm, graceHours, legacyCutoverAt, baseDir = process.cwd() }) {
+  if (!config || !Array.isArray(config.keys) || config.keys.length === 0) {
+    throw new Error('Keyring must contain a non-empty "keys" array');
+  }
+
+  const legacyCutover = parseTimestamp(legacyCutoverAt);
+  if (Number.isNaN(legacyCutover)) {
+    throw new Error('Keyring needs a valid legacy HS256 cutover time');
+  }
+
+  const keys = config.keys.map((entry) => {
+    if (!entry.kid || typeof entry.kid !== 'string') {
+      throw new Error('Every keyring entry needs a string "kid"');
+    }
+
+    const algorithm = entry.algorithm || defaultAlgorithm;
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Key "${entry.kid}" uses unsupported algorithm ${algorithm}`);
+    }
+
+    const privatePem = readPem(entry.privateKey, entry.privateKeyFile, baseDir);
+    const publicPem = readPem(entry.publicKey, entry.publicKeyFile, baseDir);
+
+    const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const publicKey = publicPem ? crypto.createPublicKey(publicPem) : privateKey && crypto.createPublicKey(privateKey);
+
+    if (!publicKey) {
+      throw new Error(`Key "${entry.kid}" needs a private or public key`);
+    }
+
+    if (!keyMatchesAlgorithm(publicKey, algorithm)) {
+      throw new Error(`Key "${entry.kid}" cannot be used with ${algorithm}`);
+    }
+
+    const current = entry.current === true;
+    const retiredAt = current ? null : parseTimestamp(entry.retiredAt);
+    if (Number.isNaN(retiredAt)) {
+      throw new Error(`Previous key "${entry.kid}" needs a valid "retiredAt" date`);
+    }
+
+    return {
+      kid: entry.kid,
+      algorithm,
+      current,
+      privateKey,
+      publicKey,
+      retiredAt,
+    };
+  });
+
+  const kids = new Set(keys.map(key => key.kid));
+  if (kids.size !== keys.length) {
+    throw new Error('Keyring contains duplicate "kid" values');
+  }
+
+  const currentKeys = keys.filter(key => key.current);
+  if (currentKeys.length !== 1) {
+    throw new Error('Keyring must mark exactly one key as "current"');
+  }
+
+  const signingKey = currentKeys[0];
+  if (!signingKey.privateKey) {
+    throw new Error(`Current key "${signingKey.kid}" needs a private key`);
+  }
+
+  const graceMs = graceHours * 60 * 60 * 1000;
+
+  /**
+   * Check if a key may still verify tokens
+   * @param {Object} key - Keyring entry
+   * @param {number} now - Milliseconds since epoch
+   * @returns {boolean} - True for the current key and previous keys within the grace window
+   */
+  function isAccepted(key, now) {
+    return key.current || now < key.retiredAt + graceMs;
+  }
+
+  return {
+    /**
+     * Get the key that signs new tokens
+     * @returns {Object} - { kid, algorithm, privateKey }
+     */
+    getSigningKey() {
+      return {
+        kid: signingKey.kid,
+        algorithm: signingKey.algorithm,
+        privateKey: signingKey.privateKey,
+      };
+    },
+
+    /**
+     * Find the key that verifies a token
+     * @param {string} kid - Key ID from the token header
+     * @param {number} now - Milliseconds since epoch
+     * @returns {Object|null} - { kid, algorithm, publicKey }, or null if unknown or past its grace window
+     */
+    getVerificationKey(kid, now = Date.now()) {
+      const key = keys.find(entry => entry.kid === kid);
+      if (!key || !isAccepted(key, now)) {
+        return null;
+      }
+
+      return {
+        kid: key.kid,
+        algorithm: key.algorithm,
+        publicKey: key.publicKey,
+      };
+    },
+
+    /**
+     * Check if tokens signed before the keyring was introduced (HS256, no kid) are still accepted
+     * @param {number} now - Milliseconds since epoch
+     * @returns {boolean} - True during the grace window after the legacy cutover
+     */
+    acceptsLegacyTokens(now = Date.now()) {
+      return now < legacyCutover + graceMs;
+    },
+
+    /**
+     * Public keys as a JSON Web Key Set
+     * @param {number} now - Milliseconds since epoch
+     * @returns {Object} - { keys: [...] } with the current key first
+     */
+    getJwks(now = Date.now()) {
+      return {
+        keys: keys
+          .filter(key => isAccepted(key, now))
+          .sort((a, b) => Number(b.current) - Number(a.current))
+          .map(key => ({
+            ...key.publicKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.algorithm,
+            use: 'sig',
+          })),
+      };
+    },
+  };
+}
+
+/**
+ * Load a keyring file
+ * @param {string} file - Path to the keyring JSON file
+ * @param {Object} options - Keyring options (see createKeyring)
+ * @returns {Object} - The keyring
+ */
+function loadKeyring(file, options) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read JWT keyring ${file}: ${error.message}`);
+  }
+
+  return createKeyring(config, { ...options, baseDir: path.dirname(path.resolve(file)) });
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createKeyring,
+  loadKeyring,
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Mail transports
+ * A transport delivers a fully built message ({ from, to, subject, text }).
+ * Only development transports live here; a production transport (SMTP, SES, ...)
+ * just needs to expose the same `send(message)` method.
+ */
+
+/**
+ * Create a transport that writes messages to the application log
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      const messageId = crypto.randomBytes(8).toString('hex');
+      logger.info(`📧 Mail to ${message.to}: ${message.subject}`, { messageId, text: message.text });
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Create a transport that writes each message to a JSON file
+ * Useful for tests and local development where the mail has to be read back
+ * @param {string} directory - Directory the messages are written to
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createFileTransport(directory) {
+  return {
+    name: 'file',
+    directory,
+
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2),
+      );
+
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Create the transport named in configuration
+ * @param {string} name - Transport name (console, file)
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Output directory for the file transport
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createTransport(name, { directory } = {}) {
+  switch (name) {
+  case 'console':
+    return createConsoleTransport();
+  case 'file':
+    return createFileTransport(directory);
+  default:
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createTransport,
+};
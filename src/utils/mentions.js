@@ -0,0 +1,72 @@
+const validator = require('validator');
+
+/**
+ * Message mention utilities
+ * Members are mentioned by email or user ID (`@jane@example.com`, `@<id>`);
+ * `@here` and `@all` mention the members in the group room and the whole group
+ */
+
+// Distinct members a single message can mention by name
+const MAX_MENTIONS = 50;
+
+// An @ at the start of the text or after whitespace or an opening bracket
+const MENTION_PATTERN = /(^|[\s([{])@(\S+)/g;
+
+// Punctuation that ends a sentence rather than the mention
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Find the mentions in a message
+ * Tokens that aren't an email, a user ID, `here` or `all` are left as text
+ * @param {string} content - Message content
+ * @returns {Object} - userIds and emails mentioned (at most MAX_MENTIONS together),
+ *   and whether `@here` and `@all` were used
+ */
+function parseMentions(content) {
+  const userIds = new Set();
+  const emails = new Set();
+  const mentions = { userIds: [], emails: [], here: false, all: false };
+
+  if (!content || typeof content !== 'string') {
+    return mentions;
+  }
+
+  for (const [, , raw] of content.matchAll(MENTION_PATTERN)) {
+    const token = raw.replace(TRAILING_PUNCTUATION, '');
+    const lowered = token.toLowerCase();
+
+    if (lowered === 'here') {
+      mentions.here = true;
+    } else if (lowered === 'all') {
+      mentions.all = true;
+    } else if (userIds.size + emails.size >= MAX_MENTIONS) {
+      continue;
+    } else if (OBJECT_ID_PATTERN.test(token)) {
+      userIds.add(lowered);
+    } else if (validator.isEmail(token)) {
+      emails.add(lowered);
+    }
+  }
+
+  mentions.userIds = [...userIds];
+  mentions.emails = [...emails];
+
+  return mentions;
+}
+
+/**
+ * Check whether a message mentions anyone
+ * @param {Object} mentions - Result of parseMentions
+ * @returns {boolean} - True if there is anything to resolve
+ */
+function hasMentions(mentions) {
+  return mentions.here || mentions.all || mentions.userIds.length > 0 || mentions.emails.length > 0;
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  hasMentions,
+};
@@ -0,0 +1,39 @@
+/**
+ * Platform roles
+ * Roles are ranked: each role can do everything the roles below it can.
+ */
+
+const ROLES = Object.freeze({
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+});
+
+// Lowest to highest
+const ALL_ROLES = Object.freeze([ROLES.USER, ROLES.MODERATOR, ROLES.ADMIN]);
+
+/**
+ * Get the rank of a role, unknown roles rank as a plain user
+ * @param {string} role - Role name
+ * @returns {number} - Rank, higher is more privileged
+ */
+function getRoleRank(role) {
+  return Math.max(ALL_ROLES.indexOf(role), 0);
+}
+
+/**
+ * Check if a role outranks another one
+ * @param {string} role - Role of the acting user
+ * @param {string} otherRole - Role of the user being acted on
+ * @returns {boolean} - True if role is strictly higher than otherRole
+ */
+function outranks(role, otherRole) {
+  return getRoleRank(role) > getRoleRank(otherRole);
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  getRoleRank,
+  outranks,
+};
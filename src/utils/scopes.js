@@ -0,0 +1,47 @@
+/**
+ * Personal access token scopes
+ * A scope grants one kind of access (read or write) to one resource type.
+ */
+
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'gmpat_';
+
+const SCOPES = Object.freeze({
+  GROUPS_READ: 'groups:read',
+  GROUPS_WRITE: 'groups:write',
+  MESSAGES_READ: 'messages:read',
+  MESSAGES_WRITE: 'messages:write',
+});
+
+const ALL_SCOPES = Object.freeze(Object.values(SCOPES));
+
+/**
+ * Check if a token looks like a personal access token (rather than a JWT)
+ * @param {string} token - Raw bearer token
+ * @returns {boolean} - True if the token has the personal access token prefix
+ */
+function isPersonalAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+}
+
+/**
+ * Check if an authenticated principal has every required scope
+ * Principals authenticated with a login (JWT) carry no scopes and have full access
+ * @param {Object} principal - The authenticated principal (req.user)
+ * @param {string[]} requiredScopes - Scopes the operation needs
+ * @returns {boolean} - True if all scopes are granted
+ */
+function hasScopes(principal, requiredScopes) {
+  if (!principal || !Array.isArray(principal.scopes)) {
+    return true;
+  }
+
+  return requiredScopes.every(scope => principal.scopes.includes(scope));
+}
+
+module.exports = {
+  PERSONAL_ACCESS_TOKEN_PREFIX,
+  SCOPES,
+  ALL_SCOPES,
+  isPersonalAccessToken,
+  hasScopes,
+};
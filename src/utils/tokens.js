@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+/**
+ * Opaque token utilities
+ * Random tokens handed to clients are only ever stored as hashes
+ */
+
+/**
+ * Generate a random, URL-safe opaque token
+ * @param {number} bytes - Number of random bytes (default: 48)
+ * @returns {string} - Base64url encoded token
+ */
+function generateOpaqueToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash an opaque token for storage and lookup
+ * A fast hash is enough because the tokens are long and random
+ * @param {string} token - The raw token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token must be a non-empty string');
+  }
+
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken,
+};
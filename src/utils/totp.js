@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238)
+ * Secrets are exchanged in base32 (RFC 4648) as expected by authenticator apps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+/**
+ * Encode a buffer as base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter value
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Counter value
+ * @returns {string} - Zero-padded numeric code
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Get the time step for a moment in time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step counter
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a moment in time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - Zero-padded numeric code
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code, tolerating clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Number of steps accepted before and after the current one
+ * @param {number} options.timestamp - Milliseconds since epoch to verify against
+ * @returns {number|null} - The matching time step (to prevent replays), or null if invalid
+ */
+function verifyTotp(secret, code, { window = 1, timestamp = Date.now() } = {}) {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label (usually the email address)
+ * @param {string} params.issuer - Name of the service
+ * @returns {string} - The otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
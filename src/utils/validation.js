@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { ALL_SCOPES } = require('./scopes');
+const { ALL_ROLES } = require('./roles');
 
 const passwordPattern = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
 
@@ -25,6 +27,41 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().max(512).required(),
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().max(512).optional(),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().max(2048).required(),
+});
+
+const mfaCodeValidation = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({ 'string.pattern.base': 'Code must be 6 digits' });
+
+const recoveryCodeValidation = Joi.string().trim().max(32);
+
+const mfaConfirmSchema = Joi.object({
+  code: mfaCodeValidation.required(),
+});
+
+const mfaVerifySchema = Joi.object({
+  mfaToken: Joi.string().max(2048).required(),
+  code: mfaCodeValidation,
+  recoveryCode: recoveryCodeValidation,
+}).xor('code', 'recoveryCode');
+
+const mfaDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: mfaCodeValidation,
+  recoveryCode: recoveryCodeValidation,
+}).xor('code', 'recoveryCode');
+
 const changePasswordSchema = Joi.object({
   currentPassword: Joi.string().required(),
   newPassword: basePasswordValidation,
@@ -44,22 +81,129 @@ const resetPasswordSchema = Joi.object({
   password: basePasswordValidation,
 });
 
+const createPersonalAccessTokenSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required().trim(),
+  scopes: Joi.array().items(Joi.string().valid(...ALL_SCOPES)).min(1).unique().required(),
+  expiresInDays: Joi.number().integer().min(1).max(365).optional(),
+});
+
+const adminUserSearchSchema = Joi.object({
+  q: Joi.string().max(254).optional().trim(),
+  role: Joi.string().valid(...ALL_ROLES).optional(),
+  status: Joi.string().valid('active', 'suspended').optional(),
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(100).optional().default(20),
+});
+
+const suspendUserSchema = Joi.object({
+  reason: Joi.string().max(500).optional().allow('').trim(),
+});
+
+const updateUserRoleSchema = Joi.object({
+  role: Joi.string().valid(...ALL_ROLES).required(),
+});
+
+const groupTagValidation = Joi.string()
+  .trim()
+  .lowercase()
+  .max(30)
+  .pattern(/^[a-z0-9][a-z0-9-]*$/)
+  .messages({
+    'string.pattern.base': 'Tags may only contain letters, numbers and hyphens',
+  });
+
+const groupTagsValidation = Joi.array().items(groupTagValidation).max(10).unique();
+
 const createGroupValidation = Joi.object({
   name: Joi.string().min(2).max(50).required().trim(),
   description: Joi.string().max(500).optional().allow('').trim(),
   type: Joi.string().valid('public', 'private').optional().default('public'),
-  memberLimit: Joi.number().integer().min(2).max(1000).optional().default(100),
+  memberLimit: Joi.number().integer().min(2).max(100000).optional().default(100),
+  tags: groupTagsValidation.optional(),
 });
 
 const updateGroupValidation = Joi.object({
   name: Joi.string().min(2).max(50).optional().trim(),
   description: Joi.string().max(500).optional().allow('').trim(),
-  memberLimit: Joi.number().integer().min(2).max(1000).optional(),
+  memberLimit: Joi.number().integer().min(2).max(100000).optional(),
+  tags: groupTagsValidation.optional(),
+  settings: Joi.object({
+    requireApproval: Joi.boolean(),
+    allowMemberInvites: Joi.boolean(),
+    cooldownPeriod: Joi.number().integer().min(0).max(8760),
+    announcementMode: Joi.boolean(),
+    slowModeSeconds: Joi.number().integer().min(0).max(21600),
+    editWindowMinutes: Joi.number().integer().min(0).max(1440),
+    maxPinnedMessages: Joi.number().integer().min(1).max(100),
+  }).min(1).optional(),
+}).min(1).messages({
+  'object.min': 'Provide at least one of name, description, memberLimit, tags or settings',
+});
+
+const groupDiscoveryValidation = Joi.object({
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(50).optional().default(10),
+  type: Joi.string().valid('public', 'private').optional(),
+  search: Joi.string().min(2).max(100).optional().trim(),
+  // Comma separated, e.g. ?tags=javascript,remote
+  tags: Joi.string().max(400).optional().custom((value, helpers) => {
+    const tags = [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    const { error } = groupTagsValidation.validate(tags);
+    return error ? helpers.message(`Invalid tags: ${error.message}`) : tags;
+  }),
+  minMembers: Joi.number().integer().min(0).max(100000).optional(),
+  maxMembers: Joi.number().integer().min(0).max(100000).optional()
+    .when('minMembers', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minMembers')) }),
+  sort: Joi.string().valid('relevance', 'newest', 'activity', 'members').optional(),
+  mine: Joi.boolean().optional().default(false),
+  includeArchived: Joi.boolean().optional().default(false),
+});
+
+const archiveGroupValidation = Joi.object({
+  purgeAfterDays: Joi.number().integer().min(0).max(3650).optional(),
+});
+
+const transferOwnershipValidation = Joi.object({
+  newOwnerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'New owner ID must be a valid user ID',
+    'any.required': 'New owner ID is required',
+  }),
 });
 
 const memberActionValidation = Joi.object({
   action: Joi.string().valid('approve', 'reject', 'ban', 'unban').required(),
   reason: Joi.string().max(200).optional().allow('').trim(),
+  duration: Joi.number().integer().min(1).max(8760).when('action', {
+    is: 'ban',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    'number.min': 'Ban duration must be at least 1 hour',
+    'number.max': 'Ban duration cannot exceed 8760 hours (one year)',
+    'any.unknown': 'Duration can only be set when banning',
+  }),
+});
+
+const groupMembersValidation = Joi.object({
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+  role: Joi.string().valid('owner', 'admin', 'moderator', 'member').optional(),
+});
+
+const updateMemberRoleValidation = Joi.object({
+  role: Joi.string().valid('admin', 'moderator', 'member').required().messages({
+    'any.only': 'Role must be one of admin, moderator or member',
+    'any.required': 'Role is required',
+  }),
+});
+
+const createInviteLinkValidation = Joi.object({
+  expiresInHours: Joi.number().integer().min(1).max(720).optional(),
+  maxUses: Joi.number().integer().min(1).max(1000).optional(),
+});
+
+const groupInvitationValidation = Joi.object({
+  email: baseEmailValidation,
 });
 
 const sendMessageValidation = Joi.object({
@@ -68,6 +212,34 @@ const sendMessageValidation = Joi.object({
   replyTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
 });
 
+const updateMessageValidation = Joi.object({
+  content: Joi.string().min(1).max(2000).required().trim(),
+});
+
+// Emoji reactions, including skin tones, flags and joined (ZWJ) sequences
+const emojiValidation = Joi.string()
+  .trim()
+  .max(32)
+  .pattern(/^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}]+$/u)
+  .required()
+  .messages({
+    'string.pattern.base': 'Reactions must be an emoji',
+  });
+
+const reactionValidation = Joi.object({
+  emoji: emojiValidation,
+});
+
+const reactionParamsValidation = Joi.object({
+  messageId: Joi.string().required(),
+  emoji: emojiValidation,
+});
+
+const threadValidation = Joi.object({
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+});
+
 const messageSearchValidation = Joi.object({
   q: Joi.string().min(2).max(100).required().trim(),
   limit: Joi.number().integer().min(1).max(100).optional().default(20),
@@ -139,14 +311,35 @@ function validateMessageSearch(data) {
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
   changePasswordSchema,
   updateEmailSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  verifyEmailSchema,
+  mfaConfirmSchema,
+  mfaVerifySchema,
+  mfaDisableSchema,
+  createPersonalAccessTokenSchema,
+  adminUserSearchSchema,
+  suspendUserSchema,
+  updateUserRoleSchema,
   createGroupValidation,
   updateGroupValidation,
+  groupDiscoveryValidation,
+  archiveGroupValidation,
+  transferOwnershipValidation,
   memberActionValidation,
+  groupMembersValidation,
+  updateMemberRoleValidation,
+  createInviteLinkValidation,
+  groupInvitationValidation,
   sendMessageValidation,
+  updateMessageValidation,
+  reactionValidation,
+  reactionParamsValidation,
+  threadValidation,
   messageSearchValidation,
   validateData,
   createValidationMiddleware,
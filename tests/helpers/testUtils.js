@@ -94,6 +94,32 @@ const dbHelpers = {
   }
 };
 
+/**
+ * Group helpers
+ */
+const groupHelpers = {
+  /**
+   * Create a group together with membership entries for its members.
+   * The owner is always added as an active member with the owner role.
+   */
+  async createGroupWithMembers(groupData, members = []) {
+    const Group = require('../../src/models/Group');
+    const Membership = require('../../src/models/Membership');
+
+    const ownerId = groupData.owner.toString();
+    const entries = [
+      { user: groupData.owner, role: 'owner' },
+      ...members.filter(member => member.user.toString() !== ownerId)
+    ];
+    const activeCount = entries.filter(entry => !entry.status || entry.status === 'active').length;
+
+    const group = await Group.create({ ...groupData, memberCount: activeCount });
+    await Membership.insertMany(entries.map(entry => ({ ...entry, group: group._id })));
+
+    return group;
+  }
+};
+
 /**
  * Request helpers for API testing
  */
@@ -235,6 +261,10 @@ module.exports = {
   // Database helpers
   dbHelpers,
   
+  // Group helpers
+  groupHelpers,
+  createGroupWithMembers: groupHelpers.createGroupWithMembers,
+
   // Request helpers
   requestHelpers,
   
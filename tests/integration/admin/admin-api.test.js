@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Session = require('../../../src/models/Session');
+const Membership = require('../../../src/models/Membership');
+const GroupInvitation = require('../../../src/models/GroupInvitation');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Admin API', () => {
+  const authService = container.get('authService');
+  let admin;
+  let member;
+  let adminLogin;
+  let memberLogin;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    admin = await User.create({ ...testUsers.adminUser, role: 'admin' });
+    member = await User.create(testUsers.validUser);
+    adminLogin = await authService.login(testUsers.adminUser);
+    memberLogin = await authService.login(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should refuse regular users', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${memberLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'INSUFFICIENT_ROLE');
+  });
+
+  it('should search users by email', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/users')
+      .query({ q: 'testuser' })
+      .set('Authorization', `Bearer ${adminLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.users).toHaveLength(1);
+    expect(response.body.data.users[0].email).toBe(testUsers.validUser.email);
+    expect(response.body.data.users[0]).not.toHaveProperty('password');
+  });
+
+  it('should suspend a user and refuse their tokens and logins', async () => {
+    const response = await request(app)
+      .post(`/api/v1/admin/users/${member._id}/suspend`)
+      .set('Authorization', `Bearer ${adminLogin.token}`)
+      .send({ reason: 'Spam' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.suspendedReason).toBe('Spam');
+
+    const sessions = await Session.find({ user: member._id, revokedAt: null });
+    expect(sessions).toHaveLength(0);
+
+    const groupsResponse = await request(app)
+      .get('/api/v1/groups')
+      .set('Authorization', `Bearer ${memberLogin.token}`);
+    expect([401, 403]).toContain(groupsResponse.status);
+
+    await expect(authService.login(testUsers.validUser))
+      .rejects.toMatchObject({ errorCode: 'ACCOUNT_SUSPENDED' });
+  });
+
+  it('should let a suspended user log in again once unsuspended', async () => {
+    await User.updateOne({ _id: member._id }, { $set: { suspendedAt: new Date() } });
+
+    const response = await request(app)
+      .post(`/api/v1/admin/users/${member._id}/unsuspend`)
+      .set('Authorization', `Bearer ${adminLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+
+    const result = await authService.login(testUsers.validUser);
+    expect(result).toHaveProperty('token');
+  });
+
+  it('should not let moderators act on admins', async () => {
+    await User.updateOne({ _id: member._id }, { $set: { role: 'moderator' } });
+    const moderatorLogin = await authService.login(testUsers.validUser);
+
+    const response = await request(app)
+      .post(`/api/v1/admin/users/${admin._id}/suspend`)
+      .set('Authorization', `Bearer ${moderatorLogin.token}`)
+      .send({});
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should change roles (admins only)', async () => {
+    const response = await request(app)
+      .put(`/api/v1/admin/users/${member._id}/role`)
+      .set('Authorization', `Bearer ${adminLogin.token}`)
+      .send({ role: 'moderator' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect((await User.findById(member._id)).role).toBe('moderator');
+  });
+
+  it('should force-delete a group with members', async () => {
+    const group = await createGroupWithMembers(
+      { name: 'Busy Group', owner: member._id },
+      [{ user: admin._id }]
+    );
+    await GroupInvitation.create({
+      group: group._id,
+      email: 'invitee@example.com',
+      invitedBy: member._id,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const response = await request(app)
+      .delete(`/api/v1/admin/groups/${group._id}`)
+      .set('Authorization', `Bearer ${adminLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(await Group.findById(group._id)).toBeNull();
+    expect(await Membership.countDocuments({ group: group._id })).toBe(0);
+    expect(await GroupInvitation.countDocuments({ group: group._id })).toBe(0);
+  });
+
+  it('should return platform statistics', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/stats')
+      .set('Authorization', `Bearer ${adminLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.users.total).toBe(2);
+    expect(response.body.data.users.byRole).toMatchObject({ admin: 1, user: 1 });
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const env = require('../../../src/config/environment');
+const User = require('../../../src/models/User');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Account lockout', () => {
+  const authService = container.get('authService');
+  const maxAttempts = env.get('LOGIN_MAX_FAILED_ATTEMPTS');
+  const baseSeconds = env.get('LOGIN_LOCKOUT_BASE_SECONDS');
+  const wrongCredentials = { email: testUsers.validUser.email, password: 'WrongPassword123' };
+  let user;
+
+  const failLogins = async (count) => {
+    const errors = [];
+    for (let i = 0; i < count; i++) {
+      errors.push(await authService.login(wrongCredentials).catch(error => error));
+    }
+    return errors;
+  };
+
+  // Lets the current lock run out without waiting
+  const expireLock = () => User.updateOne({ _id: user._id }, { $set: { lockUntil: new Date(Date.now() - 1000) } });
+
+  beforeEach(async () => {
+    await setupTest();
+    user = await User.create(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should lock the account once the failed attempt limit is reached', async () => {
+    const errors = await failLogins(maxAttempts);
+
+    errors.slice(0, -1).forEach(error => expect(error.errorCode).toBe('INVALID_CREDENTIALS'));
+    expect(errors[errors.length - 1]).toMatchObject({ statusCode: 423, errorCode: 'ACCOUNT_LOCKED' });
+
+    // The correct password is refused while locked
+    await expect(authService.login(testUsers.validUser))
+      .rejects.toMatchObject({ errorCode: 'ACCOUNT_LOCKED' });
+  });
+
+  it('should return ACCOUNT_LOCKED with a retry hint over HTTP', async () => {
+    await failLogins(maxAttempts);
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send(testUsers.validUser);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(423);
+    expect(response.body).toHaveProperty('error', 'ACCOUNT_LOCKED');
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+    expect(response.headers).toHaveProperty('retry-after');
+  });
+
+  it('should double the lock with every further failure', async () => {
+    await failLogins(maxAttempts);
+    const first = await User.findById(user._id);
+
+    await expireLock();
+    await failLogins(1);
+    const second = await User.findById(user._id);
+
+    const firstSeconds = (first.lockUntil - first.lastFailedLoginAt) / 1000;
+    const secondSeconds = (second.lockUntil - second.lastFailedLoginAt) / 1000;
+
+    expect(firstSeconds).toBeCloseTo(baseSeconds, 0);
+    expect(secondSeconds).toBeCloseTo(baseSeconds * 2, 0);
+  });
+
+  it('should reset the counters on a successful login', async () => {
+    await failLogins(maxAttempts - 1);
+
+    await authService.login(testUsers.validUser);
+
+    const stored = await User.findById(user._id);
+    expect(stored.failedLoginAttempts).toBe(0);
+    expect(stored.lockUntil).toBeNull();
+  });
+
+  it('should unlock the account through a password reset', async () => {
+    const originalTransport = container.get('mailTransport');
+    const sentMail = [];
+    container.register('mailTransport', {
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: 'test' };
+      }
+    });
+
+    try {
+      await failLogins(maxAttempts);
+
+      await authService.forgotPassword({ email: testUsers.validUser.email });
+      for (let i = 0; i < 20 && sentMail.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+      const token = decodeURIComponent(sentMail[0].text.match(/token=([^\s]+)/)[1]);
+
+      await authService.resetPassword({ token, password: 'NewPassword123' });
+
+      const result = await authService.login({ email: testUsers.validUser.email, password: 'NewPassword123' });
+      expect(result).toHaveProperty('token');
+    } finally {
+      container.register('mailTransport', originalTransport);
+    }
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const createAccountPolicyService = require('../../../src/services/accountPolicyService');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Email verification', () => {
+  const authService = container.get('authService');
+  const originalTransport = container.get('mailTransport');
+  let sentMail;
+
+  // Reads the verification token out of the link in the captured email
+  const extractToken = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  const waitForMail = async (count = 1) => {
+    for (let i = 0; i < 20 && sentMail.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return sentMail[count - 1];
+  };
+
+  beforeEach(async () => {
+    await setupTest();
+
+    sentMail = [];
+    container.register('mailTransport', {
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: `test-${sentMail.length}` };
+      }
+    });
+  });
+
+  afterEach(async () => {
+    container.register('mailTransport', originalTransport);
+    await teardownTest();
+  });
+
+  it('should register accounts as unverified and send a verification email', async () => {
+    const session = await authService.register(testUsers.validUser);
+
+    expect(session.user).toHaveProperty('emailVerified', false);
+
+    const mail = await waitForMail();
+    expect(mail.to).toBe(testUsers.validUser.email);
+    expect(mail.text).toContain('/verify-email?token=');
+  });
+
+  it('should verify the email address with the emailed token', async () => {
+    await authService.register(testUsers.validUser);
+    const token = extractToken(await waitForMail());
+
+    const response = await request(app)
+      .post('/api/v1/auth/verify-email')
+      .send({ token });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user).toHaveProperty('emailVerified', true);
+
+    const user = await User.findByEmail(testUsers.validUser.email);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+
+  it('should reject an invalid token', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/verify-email')
+      .send({ token: 'not-a-real-token' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error', 'INVALID_VERIFICATION_TOKEN');
+  });
+
+  it('should not accept a verification token as an access token', async () => {
+    await authService.register(testUsers.validUser);
+    const token = extractToken(await waitForMail());
+
+    const response = await request(app)
+      .get('/api/v1/users/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should resend the verification email to unverified users only', async () => {
+    const session = await authService.register(testUsers.validUser);
+    await waitForMail();
+
+    const response = await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    await authService.verifyEmail({ token: extractToken(await waitForMail(2)) });
+
+    const secondResponse = await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.token}`);
+
+    if (secondResponse.status === 429) {
+      return;
+    }
+
+    expect(secondResponse.status).toBe(409);
+    expect(secondResponse.body).toHaveProperty('error', 'EMAIL_ALREADY_VERIFIED');
+  });
+
+  describe('verification policy', () => {
+    // Same service wired to a configuration with the policy switched on
+    const createPolicy = (requireVerification) => createAccountPolicyService({
+      get: (name) => (name === 'env'
+        ? { get: (key) => (key === 'REQUIRE_EMAIL_VERIFICATION' ? requireVerification : undefined) }
+        : container.get(name))
+    });
+
+    it('should block unverified users when enabled', async () => {
+      const user = await User.create(testUsers.validUser);
+
+      await expect(createPolicy(true).assertEmailVerified(user._id, 'creating groups'))
+        .rejects.toMatchObject({ statusCode: 403, errorCode: 'EMAIL_NOT_VERIFIED' });
+
+      await expect(createPolicy(false).assertEmailVerified(user._id, 'creating groups'))
+        .resolves.toBeUndefined();
+    });
+
+    it('should allow verified users when enabled', async () => {
+      const user = await User.create({ ...testUsers.validUser, emailVerified: true });
+
+      await expect(createPolicy(true).assertEmailVerified(user._id, 'sending messages'))
+        .resolves.toBeUndefined();
+    });
+  });
+});
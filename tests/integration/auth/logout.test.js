@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const User = require('../../../src/models/User');
+const RevokedToken = require('../../../src/models/RevokedToken');
+const { generateToken } = require('../../../src/utils/jwt');
+const { setupTest, teardownTest, testUsers, requestHelpers } = require('../../helpers/testUtils');
+
+describe('POST /api/v1/auth/logout', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    user = await User.create(testUsers.validUser);
+    token = generateToken({ userId: user._id.toString(), email: user.email });
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/logout');
+
+    expect([401, 429]).toContain(response.status);
+    expect(response.body).toHaveProperty('success', false);
+  });
+
+  it('should revoke the token used to log out', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/logout')
+      .set(requestHelpers.createAuthHeader(token));
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('success', true);
+    expect(response.body).toHaveProperty('data.loggedOutAt');
+
+    const entries = await RevokedToken.find({ user: user._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should reject the revoked token on protected routes', async () => {
+    const logoutResponse = await request(app)
+      .post('/api/v1/auth/logout')
+      .set(requestHelpers.createAuthHeader(token));
+
+    if (logoutResponse.status === 429) {
+      return;
+    }
+
+    const response = await request(app)
+      .get('/api/v1/users/profile')
+      .set(requestHelpers.createAuthHeader(token));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body).toHaveProperty('error', 'TOKEN_REVOKED');
+  });
+
+  it('should not affect other tokens of the same user', async () => {
+    const otherToken = generateToken({ userId: user._id.toString(), email: user.email });
+
+    const logoutResponse = await request(app)
+      .post('/api/v1/auth/logout')
+      .set(requestHelpers.createAuthHeader(token));
+
+    if (logoutResponse.status === 429) {
+      return;
+    }
+
+    const response = await request(app)
+      .get('/api/v1/users/profile')
+      .set(requestHelpers.createAuthHeader(otherToken));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('success', true);
+  });
+});
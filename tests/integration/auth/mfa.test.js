@@ -0,0 +1,186 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const totp = require('../../../src/utils/totp');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Two-factor authentication', () => {
+  const authService = container.get('authService');
+  const mfaService = container.get('mfaService');
+  let user;
+
+  // Codes for the next time step are still inside the accepted window
+  const nextCode = (secret) => totp.generateTotp(secret, Date.now() + 30 * 1000);
+
+  const enableMfa = async () => {
+    const { secret } = await mfaService.setup(user._id);
+    const { recoveryCodes } = await mfaService.confirm(user._id, { code: totp.generateTotp(secret) });
+    return { secret, recoveryCodes };
+  };
+
+  beforeEach(async () => {
+    await setupTest();
+    user = await User.create(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  describe('enrollment', () => {
+    it('should return a secret and otpauth URI on setup', async () => {
+      const session = await authService.login(testUsers.validUser);
+
+      const response = await request(app)
+        .post('/api/v1/auth/mfa/setup')
+        .set('Authorization', `Bearer ${session.token}`);
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+      // Not active until confirmed
+      const stored = await User.findById(user._id);
+      expect(stored.mfa.enabled).toBe(false);
+    });
+
+    it('should store the secret encrypted and recovery codes hashed', async () => {
+      const { secret, recoveryCodes } = await enableMfa();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const stored = await User.findById(user._id).select('+mfa.secret +mfa.recoveryCodes');
+      expect(stored.mfa.enabled).toBe(true);
+      expect(stored.mfa.secret.encryptedContent).not.toContain(secret);
+      expect(stored.mfa.recoveryCodes.map(entry => entry.codeHash)).not.toContain(recoveryCodes[0]);
+
+      // Secrets never leave the server
+      expect(stored.toJSON().mfa).toEqual({ enabled: true, enabledAt: expect.any(Date) });
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await mfaService.setup(user._id);
+
+      await expect(mfaService.confirm(user._id, { code: '000000' }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_MFA_CODE' });
+    });
+  });
+
+  describe('two-step login', () => {
+    it('should return an MFA challenge instead of tokens', async () => {
+      await enableMfa();
+
+      const result = await authService.login(testUsers.validUser);
+
+      expect(result).toHaveProperty('mfaRequired', true);
+      expect(result).toHaveProperty('mfaToken');
+      expect(result).not.toHaveProperty('token');
+    });
+
+    it('should exchange the challenge and a code for tokens', async () => {
+      const { secret } = await enableMfa();
+      const { mfaToken } = await authService.login(testUsers.validUser);
+
+      const response = await request(app)
+        .post('/api/v1/auth/mfa/verify')
+        .send({ mfaToken, code: nextCode(secret) });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enableMfa();
+      const code = nextCode(secret);
+
+      const first = await authService.login(testUsers.validUser);
+      await authService.verifyMfa({ mfaToken: first.mfaToken, code });
+
+      const second = await authService.login(testUsers.validUser);
+      await expect(authService.verifyMfa({ mfaToken: second.mfaToken, code }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_MFA_CODE' });
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enableMfa();
+      const first = await authService.login(testUsers.validUser);
+
+      const result = await authService.verifyMfa({ mfaToken: first.mfaToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+      expect(result).toHaveProperty('token');
+
+      const second = await authService.login(testUsers.validUser);
+      await expect(authService.verifyMfa({ mfaToken: second.mfaToken, recoveryCode: recoveryCodes[0] }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_MFA_CODE' });
+    });
+
+    it('should accept each challenge token once', async () => {
+      const { recoveryCodes } = await enableMfa();
+      const { mfaToken } = await authService.login(testUsers.validUser);
+
+      await authService.verifyMfa({ mfaToken, recoveryCode: recoveryCodes[0] });
+
+      await expect(authService.verifyMfa({ mfaToken, recoveryCode: recoveryCodes[1] }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_MFA_TOKEN' });
+
+      // The rejected replay didn't use up the recovery code
+      const { mfaToken: nextToken } = await authService.login(testUsers.validUser);
+      await expect(authService.verifyMfa({ mfaToken: nextToken, recoveryCode: recoveryCodes[1] }))
+        .resolves.toHaveProperty('token');
+    });
+
+    it('should not use up the recovery code of a request that loses the challenge', async () => {
+      const { recoveryCodes } = await enableMfa();
+      const { mfaToken } = await authService.login(testUsers.validUser);
+
+      const results = await Promise.allSettled([
+        authService.verifyMfa({ mfaToken, recoveryCode: recoveryCodes[0] }),
+        authService.verifyMfa({ mfaToken, recoveryCode: recoveryCodes[1] }),
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      const loser = results.findIndex(result => result.status === 'rejected');
+      expect(results[loser].reason).toMatchObject({ errorCode: 'INVALID_MFA_TOKEN' });
+
+      const { mfaToken: nextToken } = await authService.login(testUsers.validUser);
+      await expect(authService.verifyMfa({ mfaToken: nextToken, recoveryCode: recoveryCodes[loser] }))
+        .resolves.toHaveProperty('token');
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/mfa/verify')
+        .send({ mfaToken: 'not-a-real-token', code: '123456' });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'INVALID_MFA_TOKEN');
+    });
+  });
+
+  describe('disable', () => {
+    it('should require the password and a second factor', async () => {
+      const { recoveryCodes } = await enableMfa();
+
+      await expect(mfaService.disable(user._id, { password: 'WrongPassword123', recoveryCode: recoveryCodes[0] }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_PASSWORD' });
+
+      await mfaService.disable(user._id, { password: testUsers.validUser.password, recoveryCode: recoveryCodes[0] });
+
+      const result = await authService.login(testUsers.validUser);
+      expect(result).toHaveProperty('token');
+    });
+  });
+});
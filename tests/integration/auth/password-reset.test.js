@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const PasswordResetToken = require('../../../src/models/PasswordResetToken');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Password reset', () => {
+  const authService = container.get('authService');
+  const originalTransport = container.get('mailTransport');
+  let sentMail;
+
+  // Reads the reset token out of the link in the captured email
+  const extractToken = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+  const waitForMail = async () => {
+    for (let i = 0; i < 20 && sentMail.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return sentMail[0];
+  };
+
+  beforeEach(async () => {
+    await setupTest();
+
+    sentMail = [];
+    container.register('mailTransport', {
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: `test-${sentMail.length}` };
+      }
+    });
+
+    await User.create(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    container.register('mailTransport', originalTransport);
+    await teardownTest();
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should send a reset email for an existing account', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testUsers.validUser.email });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+
+      const mail = await waitForMail();
+      expect(mail.to).toBe(testUsers.validUser.email);
+      expect(mail.text).toContain('/reset-password?token=');
+
+      // Only the hash of the token is stored
+      const stored = await PasswordResetToken.findOne({});
+      expect(stored.tokenHash).not.toBe(extractToken(mail));
+    });
+
+    it('should respond the same way for an unknown email', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+      expect(sentMail).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    it('should reject an unknown token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'NewPassword123' });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'INVALID_RESET_TOKEN');
+    });
+
+    it('should reset the password and end existing sessions', async () => {
+      const session = await authService.login(testUsers.validUser);
+
+      await authService.forgotPassword({ email: testUsers.validUser.email });
+      const token = extractToken(await waitForMail());
+
+      // Make sure the existing access token was issued in an earlier second
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, password: 'NewPassword123' });
+
+      if (response.status === 429) {
+        return;
+      }
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+
+      // The token is single-use
+      await expect(authService.resetPassword({ token, password: 'OtherPassword123' }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_RESET_TOKEN' });
+
+      // Old credentials and tokens no longer work
+      await expect(authService.login(testUsers.validUser))
+        .rejects.toMatchObject({ errorCode: 'INVALID_CREDENTIALS' });
+
+      const profileResponse = await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${session.token}`);
+      expect(profileResponse.status).toBe(401);
+
+      const activeTokens = await RefreshToken.countDocuments({ revokedAt: null });
+      expect(activeTokens).toBe(0);
+
+      const newSession = await authService.login({
+        email: testUsers.validUser.email,
+        password: 'NewPassword123'
+      });
+      expect(newSession).toHaveProperty('token');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const PersonalAccessToken = require('../../../src/models/PersonalAccessToken');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Personal access tokens', () => {
+  const authService = container.get('authService');
+  const personalAccessTokenService = container.get('personalAccessTokenService');
+  let user;
+  let login;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    user = await User.create(testUsers.validUser);
+    login = await authService.login(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should create a token and only store its hash', async () => {
+    const response = await request(app)
+      .post('/api/v1/users/tokens')
+      .set('Authorization', `Bearer ${login.token}`)
+      .send({ name: 'CI notifier', scopes: ['messages:write'], expiresInDays: 30 });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(201);
+    const { token } = response.body.data;
+    expect(token.token).toMatch(/^gmpat_/);
+    expect(token.scopes).toEqual(['messages:write']);
+    expect(token).not.toHaveProperty('tokenHash');
+
+    const stored = await PersonalAccessToken.findById(token._id);
+    expect(stored.tokenHash).not.toBe(token.token);
+    expect(token.token.startsWith(stored.tokenPrefix)).toBe(true);
+  });
+
+  it('should reject unknown scopes', async () => {
+    const response = await request(app)
+      .post('/api/v1/users/tokens')
+      .set('Authorization', `Bearer ${login.token}`)
+      .send({ name: 'Admin', scopes: ['users:write'] });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject duplicate names among active tokens', async () => {
+    await personalAccessTokenService.createToken(user._id, { name: 'Bot', scopes: ['groups:read'] });
+
+    await expect(personalAccessTokenService.createToken(user._id, { name: 'Bot', scopes: ['groups:read'] }))
+      .rejects.toMatchObject({ errorCode: 'DUPLICATE_TOKEN_NAME' });
+  });
+
+  it('should authenticate group and message endpoints within its scopes', async () => {
+    const { token } = await personalAccessTokenService.createToken(user._id, { name: 'Reader', scopes: ['groups:read'] });
+
+    const allowed = await request(app)
+      .get('/api/v1/groups')
+      .set('Authorization', `Bearer ${token}`);
+    expect(allowed.status).toBe(200);
+
+    const denied = await request(app)
+      .post('/api/v1/groups')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Scripted group' });
+
+    if (denied.status === 429) {
+      return;
+    }
+
+    expect(denied.status).toBe(403);
+    expect(denied.body).toHaveProperty('error', 'INSUFFICIENT_SCOPE');
+  });
+
+  it('should not be accepted for account endpoints', async () => {
+    const { token } = await personalAccessTokenService.createToken(user._id, { name: 'Everything', scopes: ['groups:read', 'groups:write'] });
+
+    const profileResponse = await request(app)
+      .get('/api/v1/users/profile')
+      .set('Authorization', `Bearer ${token}`);
+    expect(profileResponse.status).toBe(403);
+    expect(profileResponse.body).toHaveProperty('error', 'PERSONAL_ACCESS_TOKEN_NOT_ALLOWED');
+
+    const tokenResponse = await request(app)
+      .post('/api/v1/users/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Another', scopes: ['groups:read'] });
+    expect(tokenResponse.status).toBe(403);
+  });
+
+  it('should stop working once revoked', async () => {
+    const created = await personalAccessTokenService.createToken(user._id, { name: 'Temporary', scopes: ['groups:read'] });
+
+    const response = await request(app)
+      .delete(`/api/v1/users/tokens/${created._id}`)
+      .set('Authorization', `Bearer ${login.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+
+    const groupsResponse = await request(app)
+      .get('/api/v1/groups')
+      .set('Authorization', `Bearer ${created.token}`);
+    expect(groupsResponse.status).toBe(401);
+    expect(groupsResponse.body).toHaveProperty('error', 'TOKEN_REVOKED');
+  });
+
+  it('should reject expired tokens', async () => {
+    const created = await personalAccessTokenService.createToken(user._id, { name: 'Short lived', scopes: ['groups:read'], expiresInDays: 1 });
+    await PersonalAccessToken.updateOne({ _id: created._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const response = await request(app)
+      .get('/api/v1/groups')
+      .set('Authorization', `Bearer ${created.token}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty('error', 'INVALID_TOKEN');
+  });
+
+  it('should not revoke tokens of other users', async () => {
+    const created = await personalAccessTokenService.createToken(user._id, { name: 'Mine', scopes: ['groups:read'] });
+    await User.create(testUsers.secondUser);
+    const other = await authService.login(testUsers.secondUser);
+
+    const response = await request(app)
+      .delete(`/api/v1/users/tokens/${created._id}`)
+      .set('Authorization', `Bearer ${other.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error', 'TOKEN_NOT_FOUND');
+  });
+});
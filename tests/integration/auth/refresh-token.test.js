@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('POST /api/v1/auth/refresh', () => {
+  const authService = container.get('authService');
+  let session;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    await User.create(testUsers.validUser);
+    session = await authService.login(testUsers.validUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should return a refresh token on login', () => {
+    expect(session).toHaveProperty('token');
+    expect(session).toHaveProperty('refreshToken');
+    expect(session).toHaveProperty('refreshTokenExpiresAt');
+  });
+
+  it('should validate the request body', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({});
+
+    expect([400, 429]).toContain(response.status);
+    expect(response.body).toHaveProperty('success', false);
+  });
+
+  it('should reject an unknown refresh token', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: 'not-a-real-refresh-token' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty('error', 'INVALID_REFRESH_TOKEN');
+  });
+
+  it('should rotate the refresh token', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('success', true);
+    expect(response.body.data).toHaveProperty('token');
+    expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+
+    const profileResponse = await request(app)
+      .get('/api/v1/users/profile')
+      .set('Authorization', `Bearer ${response.body.data.token}`);
+
+    expect(profileResponse.status).toBe(200);
+  });
+
+  it('should revoke the whole family when a rotated token is reused', async () => {
+    const rotated = await authService.refreshToken(session.refreshToken);
+
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty('error', 'REFRESH_TOKEN_REUSED');
+
+    // The token issued by the legitimate rotation is now unusable too
+    await expect(authService.refreshToken(rotated.refreshToken))
+      .rejects.toMatchObject({ errorCode: 'INVALID_REFRESH_TOKEN' });
+
+    const activeTokens = await RefreshToken.countDocuments({ revokedAt: null });
+    expect(activeTokens).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Session = require('../../../src/models/Session');
+const { setupTest, teardownTest, testUsers } = require('../../helpers/testUtils');
+
+describe('Session management', () => {
+  const authService = container.get('authService');
+  let laptop;
+  let phone;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    await User.create(testUsers.validUser);
+    laptop = await authService.login(testUsers.validUser, { userAgent: 'Laptop Browser', ip: '203.0.113.1' });
+    phone = await authService.login(testUsers.validUser, { userAgent: 'Phone App', ip: '203.0.113.2' });
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should create a session per login', async () => {
+    const sessions = await Session.find({}).sort({ createdAt: 1 });
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions[0].userAgent).toBe('Laptop Browser');
+    expect(sessions[0].ip).toBe('203.0.113.1');
+    expect(laptop.sessionId).toBe(sessions[0]._id.toString());
+  });
+
+  it('should list active sessions and flag the current one', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sessions).toHaveLength(2);
+
+    const current = response.body.data.sessions.find(session => session.current);
+    expect(current._id).toBe(laptop.sessionId);
+    expect(current.userAgent).toBe('Laptop Browser');
+  });
+
+  it('should revoke a session and reject its tokens', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/users/sessions/${phone.sessionId}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+
+    const profileResponse = await request(app)
+      .get('/api/v1/users/profile')
+      .set('Authorization', `Bearer ${phone.token}`);
+    expect(profileResponse.status).toBe(401);
+    expect(profileResponse.body).toHaveProperty('error', 'TOKEN_REVOKED');
+
+    await expect(authService.refreshToken(phone.refreshToken))
+      .rejects.toMatchObject({ errorCode: 'INVALID_REFRESH_TOKEN' });
+
+    // The laptop session is untouched
+    const laptopResponse = await request(app)
+      .get('/api/v1/users/profile')
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(laptopResponse.status).toBe(200);
+  });
+
+  it('should not revoke sessions of other users', async () => {
+    await User.create(testUsers.secondUser);
+    const other = await authService.login(testUsers.secondUser);
+
+    const response = await request(app)
+      .delete(`/api/v1/users/sessions/${phone.sessionId}`)
+      .set('Authorization', `Bearer ${other.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error', 'SESSION_NOT_FOUND');
+  });
+
+  it('should log out everywhere else', async () => {
+    const response = await request(app)
+      .delete('/api/v1/users/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty('revokedCount', 1);
+
+    const active = await Session.find({ revokedAt: null });
+    expect(active).toHaveLength(1);
+    expect(active[0]._id.toString()).toBe(laptop.sessionId);
+  });
+
+  it('should keep the session across refresh token rotation', async () => {
+    const rotated = await authService.refreshToken(laptop.refreshToken);
+
+    expect(rotated.sessionId).toBe(laptop.sessionId);
+    expect(await Session.countDocuments({})).toBe(2);
+  });
+});
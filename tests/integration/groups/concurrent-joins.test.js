@@ -0,0 +1,134 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const mongoose = require('mongoose');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const { createGroupWithMembers } = require('../../helpers/testUtils');
+
+// Fires bursts of parallel joins at a throwaway in-memory MongoDB to check the
+// member limit holds under contention
+describe('Concurrent Group Joins', () => {
+  jest.setTimeout(120000);
+
+  const groupService = container.get('groupService');
+  let mongoServer;
+  let owner;
+  let users;
+
+  const createUsers = (count, prefix) => User.insertMany(
+    Array.from({ length: count }, (_, i) => ({
+      email: `${prefix}${i}@example.com`,
+      password: 'LoadTestPassword1'
+    }))
+  );
+
+  const settle = (promises) => Promise.allSettled(promises).then(results => ({
+    joined: results.filter(result => result.status === 'fulfilled'),
+    failed: results.filter(result => result.status === 'rejected').map(result => result.reason.errorCode)
+  }));
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+    }
+    await mongoose.connect(mongoServer.getUri());
+    // Duplicate joins are caught by the unique index, so it has to exist first
+    await Membership.init();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Group.deleteMany({}), Membership.deleteMany({})]);
+    [owner] = await createUsers(1, 'owner');
+    users = await createUsers(40, 'joiner');
+  });
+
+  it('should never admit more active members than the limit', async () => {
+    const [pendingUser, bannedUser] = await createUsers(2, 'inactive');
+    const group = await createGroupWithMembers({
+      name: 'Limited Group',
+      owner: owner._id,
+      memberLimit: 10
+    }, [
+      // Neither counts toward the limit
+      { user: pendingUser._id, status: 'pending' },
+      { user: bannedUser._id, status: 'banned', lastBannedAt: new Date() }
+    ]);
+
+    const { joined, failed } = await settle(
+      users.map(user => groupService.addMember(user._id.toString(), group._id.toString()))
+    );
+
+    expect(joined).toHaveLength(9);
+    expect(failed).toHaveLength(31);
+    expect(new Set(failed)).toEqual(new Set(['GROUP_FULL']));
+
+    expect((await Group.findById(group._id)).memberCount).toBe(10);
+    expect(await Membership.countDocuments({ group: group._id, status: 'active' })).toBe(10);
+    expect(await Membership.countDocuments({ group: group._id })).toBe(12);
+  });
+
+  it('should admit a user only once when they join in parallel', async () => {
+    const group = await createGroupWithMembers({ name: 'Open Group', owner: owner._id });
+    const userId = users[0]._id.toString();
+
+    const { joined, failed } = await settle(
+      Array.from({ length: 10 }, () => groupService.addMember(userId, group._id.toString()))
+    );
+
+    expect(joined).toHaveLength(1);
+    expect(new Set(failed)).toEqual(new Set(['ALREADY_MEMBER']));
+
+    expect(await Membership.countDocuments({ group: group._id, user: userId })).toBe(1);
+    expect((await Group.findById(group._id)).memberCount).toBe(2);
+  });
+
+  it('should not approve join requests past the limit', async () => {
+    const group = await createGroupWithMembers({
+      name: 'Approval Group',
+      type: 'private',
+      owner: owner._id,
+      memberLimit: 5
+    }, users.slice(0, 20).map(user => ({ user: user._id, status: 'pending' })));
+
+    const { joined, failed } = await settle(
+      users.slice(0, 20).map(user => groupService.performMemberAction(
+        owner._id.toString(),
+        group._id.toString(),
+        user._id.toString(),
+        { action: 'approve' }
+      ))
+    );
+
+    expect(joined).toHaveLength(4);
+    expect(new Set(failed)).toEqual(new Set(['GROUP_FULL']));
+    expect((await Group.findById(group._id)).memberCount).toBe(5);
+    expect(await Membership.countDocuments({ group: group._id, status: 'active' })).toBe(5);
+  });
+
+  it('should keep the member count in step when members leave and rejoin in parallel', async () => {
+    const group = await createGroupWithMembers(
+      { name: 'Busy Group', owner: owner._id, memberLimit: 20 },
+      users.slice(0, 10).map(user => ({ user: user._id }))
+    );
+
+    await settle([
+      ...users.slice(0, 10).map(user => groupService.removeMember(
+        user._id.toString(),
+        group._id.toString(),
+        user._id.toString()
+      )),
+      ...users.slice(10, 30).map(user => groupService.addMember(user._id.toString(), group._id.toString()))
+    ]);
+
+    const active = await Membership.countDocuments({ group: group._id, status: 'active' });
+    expect((await Group.findById(group._id)).memberCount).toBe(active);
+    expect(active).toBeLessThanOrEqual(20);
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Message = require('../../../src/models/Message');
+const Membership = require('../../../src/models/Membership');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Archiving', () => {
+  const authService = container.get('authService');
+  const groupService = container.get('groupService');
+  const messageService = container.get('messageService');
+  let owner;
+  let member;
+  let outsider;
+  let ownerLogin;
+  let memberLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    outsider = await User.create(testUsers.adminUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Old Project', owner: owner._id },
+      [{ user: member._id }]
+    );
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const archive = (body = {}, login = ownerLogin) => request(app)
+    .post(`/api/v1/groups/${group._id}/archive`)
+    .set('Authorization', `Bearer ${login.token}`)
+    .send(body);
+
+  it('should only let the owner archive a group', async () => {
+    const response = await archive({}, memberLogin);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'NOT_GROUP_OWNER');
+  });
+
+  it('should make an archived group read-only but keep its history searchable', async () => {
+    await messageService.sendMessage(member._id.toString(), group._id.toString(), 'Release notes for v1');
+
+    const response = await archive();
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.purgeAt).toBeNull();
+
+    await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'Anyone here?'))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+    await expect(groupService.addMember(outsider._id.toString(), group._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+    await expect(groupService.assertCanJoinRoom(member._id.toString(), group._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+
+    const results = await messageService.searchMessages(member._id.toString(), group._id.toString(), 'release');
+    expect(JSON.stringify(results)).toContain('Release notes for v1');
+  });
+
+  it('should leave archived groups out of discovery unless asked for', async () => {
+    await groupService.archiveGroup(owner._id.toString(), group._id.toString());
+
+    const hidden = await groupService.getGroups(member._id.toString());
+    expect(hidden.groups).toHaveLength(0);
+
+    const included = await groupService.getGroups(member._id.toString(), { includeArchived: true });
+    expect(included.groups).toHaveLength(1);
+  });
+
+  it('should let the owner unarchive a group', async () => {
+    await groupService.archiveGroup(owner._id.toString(), group._id.toString(), { purgeAfterDays: 30 });
+
+    const response = await request(app)
+      .post(`/api/v1/groups/${group._id}/unarchive`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    const restored = await Group.findById(group._id);
+    expect(restored.isArchived()).toBe(false);
+    expect(restored.purgeAt).toBeNull();
+  });
+
+  it('should purge archived groups once their retention period ends', async () => {
+    await messageService.sendMessage(member._id.toString(), group._id.toString(), 'Goodbye');
+    const { purgeAt } = await groupService.archiveGroup(owner._id.toString(), group._id.toString(), { purgeAfterDays: 1 });
+
+    expect(await groupService.purgeArchivedGroups()).toBe(0);
+    expect(await groupService.purgeArchivedGroups(new Date(purgeAt.getTime() + 1000))).toBe(1);
+
+    expect(await Group.findById(group._id)).toBeNull();
+    expect(await Message.countDocuments({ group: group._id })).toBe(0);
+    expect(await Membership.countDocuments({ group: group._id })).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Discovery', () => {
+  const authService = container.get('authService');
+  let owner;
+  let outsider;
+  let ownerLogin;
+  let outsiderLogin;
+
+  beforeEach(async () => {
+    await setupTest();
+    // The text index has to exist before searching
+    await Group.init();
+
+    owner = await User.create(testUsers.validUser);
+    outsider = await User.create(testUsers.secondUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    outsiderLogin = await authService.login(testUsers.secondUser);
+
+    await createGroupWithMembers({
+      name: 'Rust Learners',
+      description: 'Systems programming study group',
+      tags: ['rust', 'learning'],
+      owner: owner._id,
+      stats: { lastActivity: new Date('2024-01-01') }
+    });
+    await createGroupWithMembers({
+      name: 'Remote Workers',
+      description: 'Tips for working remotely',
+      tags: ['remote', 'learning'],
+      owner: owner._id,
+      stats: { lastActivity: new Date('2024-03-01') }
+    }, [{ user: outsider._id }]);
+    await createGroupWithMembers({
+      name: 'Secret Rust Club',
+      description: 'Private rust discussions',
+      type: 'private',
+      tags: ['rust'],
+      owner: owner._id
+    });
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const discover = (query, login = outsiderLogin) => request(app)
+    .get('/api/v1/groups')
+    .query(query)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  const names = (response) => response.body.data.map(group => group.name);
+
+  it('should hide private groups from non-members', async () => {
+    const outsiderResponse = await discover({ search: 'rust' });
+    const ownerResponse = await discover({ search: 'rust' }, ownerLogin);
+
+    expect(outsiderResponse.status).toBe(200);
+    expect(names(outsiderResponse)).toEqual(['Rust Learners']);
+    expect(names(ownerResponse)).toEqual(expect.arrayContaining(['Rust Learners', 'Secret Rust Club']));
+  });
+
+  it('should filter by tags and member count', async () => {
+    const tagged = await discover({ tags: 'learning,rust' });
+    expect(names(tagged)).toEqual(['Rust Learners']);
+
+    const larger = await discover({ minMembers: 2 });
+    expect(names(larger)).toEqual(['Remote Workers']);
+    expect(larger.body.pagination.total).toBe(1);
+  });
+
+  it('should sort by activity or size', async () => {
+    const byActivity = await discover({ tags: 'learning', sort: 'activity' });
+    expect(names(byActivity)).toEqual(['Remote Workers', 'Rust Learners']);
+
+    const bySize = await discover({ sort: 'members' });
+    expect(names(bySize)[0]).toBe('Remote Workers');
+  });
+
+  it('should list only the groups the user belongs to', async () => {
+    const response = await discover({ mine: true });
+
+    expect(names(response)).toEqual(['Remote Workers']);
+  });
+
+  it('should reject an inverted member count range', async () => {
+    const response = await discover({ minMembers: 5, maxMembers: 2 });
+
+    expect(response.status).toBe(400);
+  });
+});
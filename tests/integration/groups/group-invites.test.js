@@ -0,0 +1,304 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const GroupInvitation = require('../../../src/models/GroupInvitation');
+const Membership = require('../../../src/models/Membership');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Invites', () => {
+  const authService = container.get('authService');
+  const originalTransport = container.get('mailTransport');
+  let owner;
+  let member;
+  let invitee;
+  let ownerLogin;
+  let memberLogin;
+  let inviteeLogin;
+  let group;
+  let sentMail;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    sentMail = [];
+    container.register('mailTransport', {
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: `test-${sentMail.length}` };
+      }
+    });
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    invitee = await User.create(testUsers.adminUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+    inviteeLogin = await authService.login(testUsers.adminUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Invite Only', type: 'private', owner: owner._id },
+      [{ user: member._id }]
+    );
+  });
+
+  afterEach(async () => {
+    container.register('mailTransport', originalTransport);
+    await teardownTest();
+  });
+
+  const createLink = (body = {}, login = ownerLogin) => request(app)
+    .post(`/api/v1/groups/${group._id}/invites`)
+    .set('Authorization', `Bearer ${login.token}`)
+    .send(body);
+
+  const acceptLink = (code, login = inviteeLogin) => request(app)
+    .post(`/api/v1/groups/invites/${code}/accept`)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should join a group that requires approval straight away with a link', async () => {
+    const created = await createLink({ expiresInHours: 24 });
+
+    if (created.status === 429) {
+      return;
+    }
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.code).toBeDefined();
+    expect(created.body.data.invite).not.toHaveProperty('codeHash');
+
+    const response = await acceptLink(created.body.data.code);
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(await Membership.isActiveMember(group._id, invitee._id)).toBe(true);
+  });
+
+  it('should stop accepting a link once it runs out of uses', async () => {
+    await Membership.deleteOne({ group: group._id, user: member._id });
+    await Group.updateOne({ _id: group._id }, { $inc: { memberCount: -1 } });
+    const created = await createLink({ maxUses: 1 });
+
+    if (created.status === 429) {
+      return;
+    }
+
+    const first = await acceptLink(created.body.data.code);
+    const second = await acceptLink(created.body.data.code, memberLogin);
+    if (first.status === 429 || second.status === 429) {
+      return;
+    }
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(404);
+    expect(second.body).toHaveProperty('error', 'INVALID_INVITE');
+  });
+
+  it('should refuse revoked links', async () => {
+    const created = await createLink();
+
+    if (created.status === 429) {
+      return;
+    }
+
+    const revoked = await request(app)
+      .delete(`/api/v1/groups/${group._id}/invites/${created.body.data.invite._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+    expect(revoked.status).toBe(200);
+
+    const response = await acceptLink(created.body.data.code);
+    if (response.status !== 429) {
+      expect(response.status).toBe(404);
+    }
+  });
+
+  it('should respect bans and the member limit', async () => {
+    const created = await createLink();
+
+    if (created.status === 429) {
+      return;
+    }
+
+    await Membership.create({
+      group: group._id,
+      user: invitee._id,
+      status: 'banned',
+      lastBannedAt: new Date(),
+      banReason: 'Spam',
+      bannedBy: owner._id
+    });
+
+    const bannedResponse = await acceptLink(created.body.data.code);
+    if (bannedResponse.status === 429) {
+      return;
+    }
+    expect(bannedResponse.status).toBe(403);
+
+    await Membership.deleteOne({ group: group._id, user: invitee._id });
+    await Group.updateOne({ _id: group._id }, { memberLimit: 2 });
+    const fullResponse = await acceptLink(created.body.data.code);
+    if (fullResponse.status !== 429) {
+      expect(fullResponse.status).toBe(400);
+      expect(fullResponse.body).toHaveProperty('error', 'GROUP_FULL');
+    }
+
+    const link = await container.get('groupInviteLinkModel').findById(created.body.data.invite._id);
+    expect(link.uses).toBe(0);
+  });
+
+  it('should stop accepting links from members who were removed or can no longer invite', async () => {
+    const groupService = container.get('groupService');
+    const created = await createLink({}, memberLogin);
+
+    if (created.status === 429) {
+      return;
+    }
+
+    expect(created.status).toBe(201);
+
+    await Group.updateOne({ _id: group._id }, { 'settings.allowMemberInvites': false });
+    const disabled = await acceptLink(created.body.data.code);
+    if (disabled.status === 429) {
+      return;
+    }
+
+    expect(disabled.status).toBe(404);
+    expect(disabled.body).toHaveProperty('error', 'INVALID_INVITE');
+
+    await Group.updateOne({ _id: group._id }, { 'settings.allowMemberInvites': true });
+    await groupService.removeMember(member._id.toString(), group._id.toString(), owner._id.toString());
+
+    const kicked = await acceptLink(created.body.data.code);
+    if (kicked.status === 429) {
+      return;
+    }
+
+    expect(kicked.status).toBe(404);
+    expect(kicked.body).toHaveProperty('error', 'INVALID_INVITE');
+    expect(await Membership.isActiveMember(group._id, invitee._id)).toBe(false);
+  });
+
+  it('should only let members invite when the group allows it', async () => {
+    await Group.updateOne({ _id: group._id }, { 'settings.allowMemberInvites': false });
+    const refused = await createLink({}, memberLogin);
+
+    if (refused.status === 429) {
+      return;
+    }
+
+    expect(refused.status).toBe(403);
+    expect(refused.body).toHaveProperty('error', 'INVITES_DISABLED');
+
+    await Group.updateOne({ _id: group._id }, { 'settings.allowMemberInvites': true });
+    const allowed = await createLink({}, memberLogin);
+    if (allowed.status !== 429) {
+      expect(allowed.status).toBe(201);
+    }
+  });
+
+  it('should email an invitation that the invitee can accept', async () => {
+    const invited = await request(app)
+      .post(`/api/v1/groups/${group._id}/invitations`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ email: testUsers.adminUser.email });
+
+    if (invited.status === 429) {
+      return;
+    }
+
+    expect(invited.status).toBe(201);
+
+    const duplicate = await request(app)
+      .post(`/api/v1/groups/${group._id}/invitations`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ email: testUsers.adminUser.email });
+    expect(duplicate.status).toBe(409);
+
+    const listed = await request(app)
+      .get('/api/v1/groups/invitations')
+      .set('Authorization', `Bearer ${inviteeLogin.token}`);
+    expect(listed.status).toBe(200);
+    expect(listed.body.data).toHaveLength(1);
+
+    const accepted = await request(app)
+      .post(`/api/v1/groups/invitations/${listed.body.data[0]._id}/accept`)
+      .set('Authorization', `Bearer ${inviteeLogin.token}`);
+    if (accepted.status === 429) {
+      return;
+    }
+
+    expect(accepted.status).toBe(200);
+    expect(await Membership.isActiveMember(group._id, invitee._id)).toBe(true);
+    expect(sentMail.some(mail => mail.to === testUsers.adminUser.email)).toBe(true);
+  });
+
+  it('should let the invitee decline an invitation', async () => {
+    const invitation = await GroupInvitation.create({
+      group: group._id,
+      invitedBy: owner._id,
+      email: testUsers.adminUser.email,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const response = await request(app)
+      .post(`/api/v1/groups/invitations/${invitation._id}/decline`)
+      .set('Authorization', `Bearer ${inviteeLogin.token}`);
+
+    expect(response.status).toBe(200);
+    expect((await GroupInvitation.findById(invitation._id)).status).toBe('declined');
+    expect(await Membership.isActiveMember(group._id, invitee._id)).toBe(false);
+
+    const otherUser = await request(app)
+      .post(`/api/v1/groups/invitations/${invitation._id}/accept`)
+      .set('Authorization', `Bearer ${memberLogin.token}`);
+    if (otherUser.status !== 429) {
+      expect(otherUser.status).toBe(404);
+    }
+  });
+
+  it('should let only one of two concurrent responses through', async () => {
+    const groupInviteService = container.get('groupInviteService');
+    const invitation = await GroupInvitation.create({
+      group: group._id,
+      invitedBy: owner._id,
+      email: testUsers.adminUser.email,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const results = await Promise.allSettled([
+      groupInviteService.respondToInvitation(invitee._id.toString(), invitation._id.toString(), true),
+      groupInviteService.respondToInvitation(invitee._id.toString(), invitation._id.toString(), false)
+    ]);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    expect(fulfilled).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ errorCode: 'INVITATION_ALREADY_ANSWERED' });
+
+    const stored = await GroupInvitation.findById(invitation._id);
+    expect(stored.status).toBe(fulfilled[0].value.status);
+    expect(await Membership.isActiveMember(group._id, invitee._id)).toBe(stored.status === 'accepted');
+  });
+
+  it('should reopen an invitation when joining the group fails', async () => {
+    const groupInviteService = container.get('groupInviteService');
+    const invitation = await GroupInvitation.create({
+      group: group._id,
+      invitedBy: owner._id,
+      email: testUsers.adminUser.email,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    await Group.updateOne({ _id: group._id }, { memberLimit: 2 });
+
+    await expect(groupInviteService.respondToInvitation(invitee._id.toString(), invitation._id.toString(), true))
+      .rejects.toMatchObject({ errorCode: 'GROUP_FULL' });
+
+    const stored = await GroupInvitation.findById(invitation._id);
+    expect(stored.status).toBe('pending');
+    expect(stored.respondedAt).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Message = require('../../../src/models/Message');
+const Membership = require('../../../src/models/Membership');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Management', () => {
+  const authService = container.get('authService');
+  let owner;
+  let member;
+  let ownerLogin;
+  let memberLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Managed Group', owner: owner._id },
+      [{ user: member._id }]
+    );
+  });
+
+  const entryOf = (user) => Membership.findOne({ group: group._id, user: user._id });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should let the owner update the group', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ description: 'Updated description', memberLimit: 10 });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.description).toBe('Updated description');
+    expect(response.body.data.memberLimit).toBe(10);
+  });
+
+  it('should refuse updates from regular members', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${memberLogin.token}`)
+      .send({ name: 'Taken Over' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'INSUFFICIENT_GROUP_PERMISSION');
+  });
+
+  it('should reject empty updates', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({});
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should let the owner remove a member', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/groups/${group._id}/members/${member._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(await entryOf(member)).toBeNull();
+    expect((await Group.findById(group._id)).memberCount).toBe(1);
+  });
+
+  it('should let a member leave the group', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/groups/${group._id}/leave`)
+      .set('Authorization', `Bearer ${memberLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(await Membership.countDocuments({ group: group._id })).toBe(1);
+    expect((await Group.findById(group._id)).memberCount).toBe(1);
+  });
+
+  it('should archive a group on delete instead of removing it', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    const archived = await Group.findById(group._id);
+    expect(archived).not.toBeNull();
+    expect(archived.isArchived()).toBe(true);
+  });
+
+  it('should transfer ownership to an active member', async () => {
+    const response = await request(app)
+      .post(`/api/v1/groups/${group._id}/transfer-ownership`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ newOwnerId: member._id.toString() });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect((await Group.findById(group._id)).owner.toString()).toBe(member._id.toString());
+
+    const deleteResponse = await request(app)
+      .delete(`/api/v1/groups/${group._id}/members/${member._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+    expect(deleteResponse.status).toBe(400);
+
+    // The previous owner stays on as an admin
+    expect((await entryOf(owner)).role).toBe('admin');
+    expect((await entryOf(member)).role).toBe('owner');
+  });
+
+  it('should let the owner promote a member to moderator', async () => {
+    const response = await request(app)
+      .put(`/api/v1/groups/${group._id}/members/${member._id}/role`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ role: 'moderator' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ role: 'moderator', previousRole: 'member' });
+    expect((await entryOf(member)).role).toBe('moderator');
+  });
+
+  it('should not let moderators edit settings or act on higher roles', async () => {
+    await Membership.updateOne({ group: group._id, user: member._id }, { role: 'moderator' });
+
+    const updateResponse = await request(app)
+      .patch(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${memberLogin.token}`)
+      .send({ description: 'Moderated' });
+
+    if (updateResponse.status === 429) {
+      return;
+    }
+
+    expect(updateResponse.status).toBe(403);
+
+    const roleResponse = await request(app)
+      .put(`/api/v1/groups/${group._id}/members/${owner._id}/role`)
+      .set('Authorization', `Bearer ${memberLogin.token}`)
+      .send({ role: 'member' });
+    expect(roleResponse.status).toBe(403);
+  });
+
+  it('should let moderators delete messages from regular members', async () => {
+    const third = await User.create(testUsers.adminUser);
+    const thirdEntry = await Membership.create({ group: group._id, user: third._id });
+    await Membership.updateOne({ group: group._id, user: member._id }, { role: 'moderator' });
+
+    const moderatorEntry = await entryOf(member);
+    const message = new Message({ content: 'Spam', sender: third._id, group: group._id });
+
+    expect(message.canDelete(member._id, moderatorEntry, thirdEntry)).toBe(true);
+    expect(message.canDelete(third._id, thirdEntry, thirdEntry)).toBe(true);
+
+    const ownerMessage = new Message({ content: 'Rules', sender: owner._id, group: group._id });
+    expect(ownerMessage.canDelete(member._id, moderatorEntry, await entryOf(owner))).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const { migrateMemberships } = require('../../../src/migrations/membershipsFromGroups');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Members', () => {
+  const authService = container.get('authService');
+  let owner;
+  let member;
+  let outsider;
+  let ownerLogin;
+  let outsiderLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    outsider = await User.create(testUsers.adminUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    outsiderLogin = await authService.login(testUsers.adminUser);
+
+    const others = await User.insertMany(
+      Array.from({ length: 5 }, (_, i) => ({ email: `member${i}@example.com`, password: 'MemberPassword1' }))
+    );
+
+    group = await createGroupWithMembers({ name: 'Crowded Group', owner: owner._id }, [
+      { user: member._id, role: 'moderator', joinedAt: new Date('2024-01-01') },
+      ...others.map((user, i) => ({ user: user._id, joinedAt: new Date(Date.UTC(2024, 1, i + 1)) })),
+      { user: outsider._id, status: 'pending' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const listMembers = (query = {}, login = ownerLogin) => request(app)
+    .get(`/api/v1/groups/${group._id}/members`)
+    .query(query)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should page through active members in join order', async () => {
+    const firstPage = await listMembers({ limit: 3 });
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.pagination).toMatchObject({ total: 7, page: 1, limit: 3, pages: 3 });
+    expect(firstPage.body.data[0].user.email).toBe(testUsers.secondUser.email);
+
+    const lastPage = await listMembers({ limit: 3, page: 3 });
+    expect(lastPage.body.data).toHaveLength(1);
+    expect(lastPage.body.data[0].role).toBe('owner');
+
+    // Pending join requests are not members yet
+    const emails = [...firstPage.body.data, ...lastPage.body.data].map(entry => entry.user.email);
+    expect(emails).not.toContain(testUsers.adminUser.email);
+  });
+
+  it('should filter members by role', async () => {
+    const response = await listMembers({ role: 'moderator' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].user._id).toBe(member._id.toString());
+  });
+
+  it('should only list members of private groups to members', async () => {
+    await Group.updateOne({ _id: group._id }, { type: 'private' });
+
+    const forbidden = await listMembers({}, outsiderLogin);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body).toHaveProperty('error', 'NOT_GROUP_MEMBER');
+
+    const allowed = await listMembers();
+    expect(allowed.status).toBe(200);
+  });
+
+  it('should reject page sizes above the maximum', async () => {
+    const response = await listMembers({ limit: 500 });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Membership Migration', () => {
+  let owner;
+  let member;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  it('should move embedded members into the membership collection', async () => {
+    // Written through the driver, as the schema no longer has a members array
+    const { insertedId } = await Group.collection.insertOne({
+      name: 'Legacy Group',
+      type: 'public',
+      owner: owner._id,
+      memberLimit: 100,
+      settings: { requireApproval: false, cooldownPeriod: 48 },
+      members: [
+        { user: owner._id, status: 'active', role: 'owner', joinedAt: new Date('2023-01-01') },
+        { user: member._id, status: 'active', role: 'moderator', joinedAt: new Date('2023-02-01') },
+        { user: new User()._id, status: 'banned', lastBannedAt: new Date('2023-03-01'), banReason: 'Spam' }
+      ],
+      createdAt: new Date('2023-01-01')
+    });
+
+    await expect(migrateMemberships()).resolves.toEqual({ groups: 1, memberships: 3 });
+
+    const migrated = await Group.findById(insertedId).lean();
+    expect(migrated.members).toBeUndefined();
+    expect(migrated.memberCount).toBe(2);
+
+    const moderator = await Membership.findOne({ group: insertedId, user: member._id });
+    expect(moderator.role).toBe('moderator');
+    expect(await Membership.countDocuments({ group: insertedId, status: 'banned', banReason: 'Spam' })).toBe(1);
+
+    // Running it again changes nothing
+    await expect(migrateMemberships()).resolves.toEqual({ groups: 0, memberships: 0 });
+    expect(await Membership.countDocuments({ group: insertedId })).toBe(3);
+  });
+
+  it('should keep timed bans free of the rejoin cooldown', async () => {
+    const bannedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const { insertedId } = await Group.collection.insertOne({
+      name: 'Legacy Group',
+      type: 'public',
+      owner: owner._id,
+      memberLimit: 100,
+      settings: { requireApproval: false, cooldownPeriod: 48 },
+      members: [
+        {
+          user: member._id,
+          status: 'banned',
+          lastBannedAt: bannedAt,
+          banExpiresAt: new Date(bannedAt.getTime() + 2 * 60 * 60 * 1000)
+        }
+      ],
+      createdAt: new Date('2023-01-01')
+    });
+
+    await migrateMemberships();
+
+    const banned = await Membership.findOne({ group: insertedId, user: member._id });
+    expect(banned.banDurationHours).toBe(2);
+    expect(banned.getBanLockoutEnd(48)).toBe(banned.banExpiresAt.getTime());
+  });
+});
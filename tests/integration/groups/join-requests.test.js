@@ -0,0 +1,217 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Join Requests', () => {
+  const authService = container.get('authService');
+  let owner;
+  let requester;
+  let ownerLogin;
+  let requesterLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    requester = await User.create(testUsers.secondUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    requesterLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers({
+      name: 'Private Group',
+      type: 'private',
+      owner: owner._id
+    });
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const joinGroup = () => request(app)
+    .post(`/api/v1/groups/${group._id}/join`)
+    .set('Authorization', `Bearer ${requesterLogin.token}`);
+
+  const requesterEntry = () => Membership.findOne({ group: group._id, user: requester._id });
+
+  const memberAction = (body) => request(app)
+    .post(`/api/v1/groups/${group._id}/members/${requester._id}/actions`)
+    .set('Authorization', `Bearer ${ownerLogin.token}`)
+    .send(body);
+
+  it('should create a pending request when joining a private group', async () => {
+    const response = await joinGroup();
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.status).toBe('pending');
+
+    expect((await requesterEntry()).status).toBe('pending');
+    expect((await Group.findById(group._id)).memberCount).toBe(1);
+
+    const duplicate = await joinGroup();
+    if (duplicate.status !== 429) {
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body).toHaveProperty('error', 'JOIN_REQUEST_PENDING');
+    }
+  });
+
+  it('should list pending requests for the owner only', async () => {
+    await Membership.create({ group: group._id, user: requester._id, status: 'pending' });
+
+    const response = await request(app)
+      .get(`/api/v1/groups/${group._id}/join-requests`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].user.email).toBe(testUsers.secondUser.email);
+
+    const forbidden = await request(app)
+      .get(`/api/v1/groups/${group._id}/join-requests`)
+      .set('Authorization', `Bearer ${requesterLogin.token}`);
+    expect(forbidden.status).toBe(403);
+  });
+
+  it('should approve a pending request', async () => {
+    await Membership.create({ group: group._id, user: requester._id, status: 'pending' });
+
+    const response = await memberAction({ action: 'approve' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('active');
+    expect((await requesterEntry()).status).toBe('active');
+    expect((await Group.findById(group._id)).memberCount).toBe(2);
+  });
+
+  it('should reject a pending request', async () => {
+    await Membership.create({ group: group._id, user: requester._id, status: 'pending' });
+
+    const response = await memberAction({ action: 'reject', reason: 'Invite only' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(await requesterEntry()).toBeNull();
+  });
+
+  it('should keep banned users out until they are unbanned', async () => {
+    const banResponse = await memberAction({ action: 'ban', reason: 'Spam' });
+
+    if (banResponse.status === 429) {
+      return;
+    }
+
+    expect(banResponse.status).toBe(200);
+    expect(banResponse.body.data.status).toBe('banned');
+
+    const joinResponse = await joinGroup();
+    if (joinResponse.status !== 429) {
+      expect(joinResponse.status).toBe(403);
+      expect(joinResponse.body).toHaveProperty('error', 'USER_BANNED');
+    }
+
+    const unbanResponse = await memberAction({ action: 'unban' });
+    expect(unbanResponse.status).toBe(200);
+    expect((await requesterEntry()).isBanned()).toBe(false);
+
+    // Lifting a ban early doesn't skip the cooldown
+    const cooldownResponse = await joinGroup();
+    if (cooldownResponse.status !== 429) {
+      expect(cooldownResponse.status).toBe(403);
+      expect(cooldownResponse.body).toHaveProperty('error', 'BAN_COOLDOWN');
+    }
+  });
+
+  it('should let users rejoin once a timed ban and its cooldown are over', async () => {
+    await Group.updateOne({ _id: group._id }, { $set: { 'settings.cooldownPeriod': 0 } });
+    await Membership.create({
+      group: group._id,
+      user: requester._id,
+      status: 'banned',
+      lastBannedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      banExpiresAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+
+    const response = await joinGroup();
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(202);
+    expect((await requesterEntry()).status).toBe('pending');
+  });
+
+  it('should not apply the cooldown after a timed ban shorter than it', async () => {
+    await Membership.create({
+      group: group._id,
+      user: requester._id,
+      status: 'banned',
+      lastBannedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      banExpiresAt: new Date(Date.now() - 60 * 60 * 1000),
+      banDurationHours: 1
+    });
+
+    const response = await joinGroup();
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(202);
+  });
+
+  it('should list active bans with their reasons', async () => {
+    const banResponse = await memberAction({ action: 'ban', reason: 'Spam', duration: 24 });
+
+    if (banResponse.status === 429) {
+      return;
+    }
+
+    expect(banResponse.body.data.banExpiresAt).toBeDefined();
+
+    const response = await request(app)
+      .get(`/api/v1/groups/${group._id}/bans`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({ reason: 'Spam' });
+    expect(response.body.data[0].user.email).toBe(testUsers.secondUser.email);
+  });
+
+  it('should only accept a duration when banning', async () => {
+    const response = await memberAction({ action: 'approve', duration: 24 });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject unknown actions', async () => {
+    const response = await memberAction({ action: 'promote' });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+});
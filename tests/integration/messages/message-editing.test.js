@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Message = require('../../../src/models/Message');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Message Editing', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  let owner;
+  let member;
+  let ownerLogin;
+  let memberLogin;
+  let group;
+  let message;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Release Planning', owner: owner._id },
+      [{ user: member._id }]
+    );
+
+    message = await messageService.sendMessage(member._id.toString(), group._id.toString(), 'Release on Monday');
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const editMessage = (login, content, method = 'put') => request(app)[method](`/api/v1/messages/messages/${message._id}`)
+    .set('Authorization', `Bearer ${login.token}`)
+    .send({ content });
+
+  const getHistory = (login) => request(app)
+    .get(`/api/v1/messages/messages/${message._id}/history`)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should let the sender edit a message with PUT or PATCH', async () => {
+    const first = await editMessage(memberLogin, 'Release on Tuesday');
+    if (first.status === 429) {
+      return;
+    }
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toHaveProperty('content', 'Release on Tuesday');
+    expect(first.body.data.metadata.edited).toBe(true);
+    expect(first.body.data).not.toHaveProperty('editHistory');
+
+    const second = await editMessage(memberLogin, 'Release on Wednesday', 'patch');
+    expect(second.status).toBe(200);
+
+    const stored = await Message.findById(message._id).select('+editHistory');
+    expect(stored.content).toBe('Release on Wednesday');
+    expect(stored.editHistory).toHaveLength(2);
+    // Earlier versions are only stored encrypted
+    expect(JSON.stringify(stored.editHistory)).not.toContain('Release on Monday');
+  });
+
+  it('should only let the sender edit a message', async () => {
+    const response = await editMessage(ownerLogin, 'Release cancelled');
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'UPDATE_UNAUTHORIZED');
+  });
+
+  it('should use the group edit window', async () => {
+    await Group.updateOne({ _id: group._id }, { 'settings.editWindowMinutes': 0 });
+
+    await expect(messageService.updateMessage(member._id.toString(), message._id.toString(), 'Too late'))
+      .rejects.toMatchObject({ errorCode: 'EDIT_WINDOW_EXPIRED' });
+
+    await Group.updateOne({ _id: group._id }, { 'settings.editWindowMinutes': 60 });
+    // createdAt is immutable in the schema, so age the message through the driver
+    await Message.collection.updateOne({ _id: message._id }, { $set: { createdAt: new Date(Date.now() - 30 * 60 * 1000) } });
+
+    await expect(messageService.updateMessage(member._id.toString(), message._id.toString(), 'Still in time'))
+      .resolves.toHaveProperty('content', 'Still in time');
+  });
+
+  it('should reject edits in archived groups', async () => {
+    await Group.updateOne({ _id: group._id }, { archivedAt: new Date() });
+
+    await expect(messageService.updateMessage(member._id.toString(), message._id.toString(), 'Edited'))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+  });
+
+  it('should reject empty content', async () => {
+    const response = await editMessage(memberLogin, '   ');
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should show the decrypted edit history to the group owner only', async () => {
+    await messageService.updateMessage(member._id.toString(), message._id.toString(), 'Release on Tuesday');
+    await messageService.updateMessage(member._id.toString(), message._id.toString(), 'Release on Wednesday');
+
+    const response = await getHistory(ownerLogin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.content).toBe('Release on Wednesday');
+    expect(response.body.data.revisions.map(revision => revision.content))
+      .toEqual(['Release on Monday', 'Release on Tuesday']);
+
+    const forbidden = await getHistory(memberLogin);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body).toHaveProperty('error', 'HISTORY_UNAUTHORIZED');
+  });
+
+  it('should not return the edit history with messages', async () => {
+    await messageService.updateMessage(member._id.toString(), message._id.toString(), 'Release on Tuesday');
+
+    const fetched = await messageService.getMessage(owner._id.toString(), message._id.toString());
+
+    expect(fetched.content).toBe('Release on Tuesday');
+    expect(fetched).not.toHaveProperty('editHistory');
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Message Mentions', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  let owner;
+  let member;
+  let outsider;
+  let memberLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    outsider = await User.create(testUsers.adminUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Support Rota', owner: owner._id },
+      [{ user: member._id }]
+    );
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const send = (userId, content) => messageService.sendMessage(userId.toString(), group._id.toString(), content);
+
+  it('should store the members mentioned by email or ID', async () => {
+    const response = await request(app)
+      .post(`/api/v1/messages/groups/${group._id}/messages`)
+      .set('Authorization', `Bearer ${memberLogin.token}`)
+      .send({ content: `@${testUsers.validUser.email.toUpperCase()}, can you cover Friday?` });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.metadata.mentions).toEqual([owner._id.toString()]);
+    expect(response.body.data.metadata.mentionsAll).toBe(false);
+
+    const byId = await send(owner._id, `Sure @${member._id}`);
+    expect(byId.metadata.mentions.map(String)).toEqual([member._id.toString()]);
+  });
+
+  it('should ignore mentions of non-members and the sender', async () => {
+    const message = await send(
+      member._id,
+      `@${testUsers.adminUser.email} @${outsider._id} @${testUsers.secondUser.email} @nobody@example.com hello`
+    );
+
+    expect(message.metadata.mentions).toHaveLength(0);
+    expect(message.content).toContain(`@${testUsers.adminUser.email}`);
+  });
+
+  it('should ignore mentions of members who left', async () => {
+    await Membership.updateOne({ group: group._id, user: member._id }, { status: 'left' });
+
+    const message = await send(owner._id, `@${testUsers.secondUser.email} are you still around?`);
+
+    expect(message.metadata.mentions).toHaveLength(0);
+  });
+
+  it('should flag @all without listing every member', async () => {
+    const message = await send(member._id, 'Standup moved to 10am @all');
+
+    expect(message.metadata.mentionsAll).toBe(true);
+    expect(message.metadata.mentions).toHaveLength(0);
+  });
+
+  it('should limit @all to owners and admins in large groups', async () => {
+    await Group.updateOne({ _id: group._id }, { memberCount: 500 });
+
+    await expect(send(member._id, 'Hey @all'))
+      .rejects.toMatchObject({ errorCode: 'MENTION_ALL_RESTRICTED' });
+
+    await expect(send(owner._id, 'Hey @all'))
+      .resolves.toHaveProperty('metadata.mentionsAll', true);
+
+    // Mentioning members by name is still fine
+    await expect(send(member._id, `Ask @${testUsers.validUser.email}`))
+      .resolves.toHaveProperty('metadata.mentionsAll', false);
+  });
+
+  it('should still send the message when mention notifications fail', async () => {
+    const emitSpy = jest.spyOn(container.get('broadcaster'), 'emitToRoom').mockImplementation(() => {
+      throw new Error('Socket server unavailable');
+    });
+
+    try {
+      await expect(send(member._id, `@${testUsers.validUser.email} the deploy is done`))
+        .resolves.toHaveProperty('content', `@${testUsers.validUser.email} the deploy is done`);
+    } finally {
+      emitSpy.mockRestore();
+    }
+  });
+});
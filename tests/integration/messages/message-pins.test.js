@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Message = require('../../../src/models/Message');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Pinned Messages', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  const pinService = container.get('pinService');
+  let owner;
+  let admin;
+  let member;
+  let adminLogin;
+  let memberLogin;
+  let group;
+  let message;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    admin = await User.create(testUsers.adminUser);
+    member = await User.create(testUsers.secondUser);
+    adminLogin = await authService.login(testUsers.adminUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Release Team', owner: owner._id },
+      [{ user: admin._id, role: 'admin' }, { user: member._id }]
+    );
+
+    message = await messageService.sendMessage(member._id.toString(), group._id.toString(), 'Release checklist is ready');
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const pin = (login, messageId = message._id) => request(app)
+    .post(`/api/v1/messages/messages/${messageId}/pin`)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  const getPins = (login) => request(app)
+    .get(`/api/v1/messages/groups/${group._id}/pins`)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should let admins pin messages and record it with a system message', async () => {
+    const response = await pin(adminLogin);
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.message.pinnedBy).toBe(admin._id.toString());
+    expect(response.body.data.systemMessage).toMatchObject({
+      messageType: 'system',
+      content: `${testUsers.adminUser.email} pinned a message`,
+      metadata: { systemEvent: 'message:pinned', relatedMessage: message._id.toString() },
+    });
+
+    const stored = await Group.findById(group._id);
+    expect(stored.pinnedCount).toBe(1);
+  });
+
+  it('should only let owners and admins pin messages', async () => {
+    const response = await pin(memberLogin);
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'PIN_UNAUTHORIZED');
+  });
+
+  it('should list decrypted pinned messages to members, latest first', async () => {
+    const second = await messageService.sendMessage(owner._id.toString(), group._id.toString(), 'Freeze starts Monday');
+    await pinService.pinMessage(admin._id.toString(), message._id.toString());
+    await pinService.pinMessage(owner._id.toString(), second._id.toString());
+
+    const response = await getPins(memberLogin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(pinned => pinned.content)).toEqual(['Freeze starts Monday', 'Release checklist is ready']);
+    expect(response.body.data[1].pinnedBy.email).toBe(testUsers.adminUser.email);
+    expect(response.body.data[0]).not.toHaveProperty('encryptedContent');
+  });
+
+  it('should reject pinning a message twice', async () => {
+    await pinService.pinMessage(admin._id.toString(), message._id.toString());
+
+    await expect(pinService.pinMessage(owner._id.toString(), message._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'ALREADY_PINNED' });
+  });
+
+  it('should enforce the group pin limit', async () => {
+    await Group.updateOne({ _id: group._id }, { 'settings.maxPinnedMessages': 1 });
+    const second = await messageService.sendMessage(owner._id.toString(), group._id.toString(), 'Freeze starts Monday');
+
+    await pinService.pinMessage(admin._id.toString(), message._id.toString());
+
+    await expect(pinService.pinMessage(admin._id.toString(), second._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'PIN_LIMIT_REACHED' });
+
+    const stored = await Message.findById(second._id);
+    expect(stored.pinnedAt).toBeUndefined();
+
+    // Unpinning frees the slot
+    await pinService.unpinMessage(owner._id.toString(), message._id.toString());
+    await expect(pinService.pinMessage(admin._id.toString(), second._id.toString()))
+      .resolves.toHaveProperty('message.content', 'Freeze starts Monday');
+  });
+
+  it('should unpin messages and record it with a system message', async () => {
+    await pinService.pinMessage(admin._id.toString(), message._id.toString());
+
+    const result = await pinService.unpinMessage(owner._id.toString(), message._id.toString());
+
+    expect(result.message).not.toHaveProperty('pinnedAt');
+    expect(result.systemMessage.metadata.systemEvent).toBe('message:unpinned');
+    expect((await Group.findById(group._id)).pinnedCount).toBe(0);
+
+    await expect(pinService.unpinMessage(owner._id.toString(), message._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'MESSAGE_NOT_PINNED' });
+  });
+
+  it('should free the slot when a pinned message is deleted', async () => {
+    await pinService.pinMessage(admin._id.toString(), message._id.toString());
+
+    await messageService.deleteMessage(member._id.toString(), message._id.toString());
+
+    expect((await Group.findById(group._id)).pinnedCount).toBe(0);
+  });
+
+  it('should not pin in archived groups', async () => {
+    await Group.updateOne({ _id: group._id }, { archivedAt: new Date() });
+
+    await expect(pinService.pinMessage(admin._id.toString(), message._id.toString()))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+  });
+});
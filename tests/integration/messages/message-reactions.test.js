@@ -0,0 +1,178 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Message = require('../../../src/models/Message');
+const Membership = require('../../../src/models/Membership');
+const Reaction = require('../../../src/models/Reaction');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Message Reactions', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  const reactionService = container.get('reactionService');
+  let owner;
+  let member;
+  let outsider;
+  let ownerLogin;
+  let memberLogin;
+  let group;
+  let message;
+
+  beforeAll(async () => {
+    await Reaction.init();
+  });
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    outsider = await User.create(testUsers.adminUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Lunch Club', owner: owner._id },
+      [{ user: member._id }]
+    );
+
+    message = await messageService.sendMessage(owner._id.toString(), group._id.toString(), 'Pizza on Friday?');
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const react = (login, emoji) => request(app)
+    .post(`/api/v1/messages/messages/${message._id}/reactions`)
+    .set('Authorization', `Bearer ${login.token}`)
+    .send({ emoji });
+
+  const unreact = (login, emoji) => request(app)
+    .delete(`/api/v1/messages/messages/${message._id}/reactions/${encodeURIComponent(emoji)}`)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should add reactions and count them per emoji', async () => {
+    const first = await react(memberLogin, '👍');
+    if (first.status === 429) {
+      return;
+    }
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ emoji: '👍', count: 1, userId: member._id.toString() });
+
+    const second = await react(ownerLogin, '👍');
+    expect(second.body.data.count).toBe(2);
+
+    const stored = await Message.findById(message._id);
+    expect(stored.reactionCounts.get('👍')).toBe(2);
+  });
+
+  it('should only allow one reaction per user and emoji', async () => {
+    await reactionService.addReaction(member._id.toString(), message._id.toString(), '🎉');
+
+    await expect(reactionService.addReaction(member._id.toString(), message._id.toString(), '🎉'))
+      .rejects.toMatchObject({ errorCode: 'ALREADY_REACTED' });
+
+    // A different emoji is fine
+    await expect(reactionService.addReaction(member._id.toString(), message._id.toString(), '🍕'))
+      .resolves.toHaveProperty('count', 1);
+
+    const stored = await Message.findById(message._id);
+    expect(stored.reactionCounts.get('🎉')).toBe(1);
+  });
+
+  it('should remove reactions and drop emojis nobody uses', async () => {
+    await reactionService.addReaction(member._id.toString(), message._id.toString(), '👍');
+
+    const response = await unreact(memberLogin, '👍');
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(0);
+
+    const stored = await Message.findById(message._id);
+    expect(stored.reactionCounts.has('👍')).toBe(false);
+    expect(await Reaction.countDocuments({ message: message._id })).toBe(0);
+
+    const again = await unreact(memberLogin, '👍');
+    expect(again.status).toBe(404);
+    expect(again.body).toHaveProperty('error', 'REACTION_NOT_FOUND');
+  });
+
+  it('should reject anything but emojis', async () => {
+    const response = await react(memberLogin, '+1');
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should restrict reactions to active members', async () => {
+    await expect(reactionService.addReaction(outsider._id.toString(), message._id.toString(), '👍'))
+      .rejects.toMatchObject({ errorCode: 'NOT_GROUP_MEMBER' });
+
+    await Group.updateOne({ _id: group._id }, { archivedAt: new Date() });
+
+    await expect(reactionService.addReaction(member._id.toString(), message._id.toString(), '👍'))
+      .rejects.toMatchObject({ errorCode: 'GROUP_ARCHIVED' });
+  });
+
+  it('should cap the number of different emojis on a message', async () => {
+    const emojis = ['😀', '😁', '😂', '🤣', '😃', '😄', '😅', '😆', '😉', '😊',
+      '😋', '😎', '😍', '😘', '🥰', '😗', '😙', '😚', '🙂', '🤗'];
+
+    for (const emoji of emojis) {
+      await reactionService.addReaction(member._id.toString(), message._id.toString(), emoji);
+    }
+
+    await expect(reactionService.addReaction(owner._id.toString(), message._id.toString(), '🤩'))
+      .rejects.toMatchObject({ errorCode: 'TOO_MANY_REACTIONS' });
+
+    // Existing emojis can still be used
+    await expect(reactionService.addReaction(owner._id.toString(), message._id.toString(), '😀'))
+      .resolves.toHaveProperty('count', 2);
+    expect(await Reaction.countDocuments({ message: message._id, emoji: '🤩' })).toBe(0);
+  });
+
+  it('should keep counts right under parallel reactions', async () => {
+    const others = await User.insertMany(
+      Array.from({ length: 8 }, (_, i) => ({ email: `fan${i}@example.com`, password: 'FanPassword1' }))
+    );
+    await Group.updateOne({ _id: group._id }, { $inc: { memberCount: others.length } });
+    await Membership.insertMany(others.map(user => ({ group: group._id, user: user._id })));
+
+    await Promise.all(others.map(user => reactionService.addReaction(user._id.toString(), message._id.toString(), '❤️')));
+
+    const stored = await Message.findById(message._id);
+    expect(stored.reactionCounts.get('❤️')).toBe(others.length);
+  });
+
+  it('should include reaction counts in group messages', async () => {
+    await reactionService.addReaction(member._id.toString(), message._id.toString(), '👍');
+    await reactionService.addReaction(owner._id.toString(), message._id.toString(), '👍');
+    await reactionService.addReaction(owner._id.toString(), message._id.toString(), '🍕');
+
+    const result = await messageService.getGroupMessages(member._id.toString(), group._id.toString());
+    const [listed] = result.messages;
+
+    expect(listed.reactions).toEqual([
+      { emoji: '👍', count: 2, reacted: true },
+      { emoji: '🍕', count: 1, reacted: false },
+    ]);
+    expect(listed).not.toHaveProperty('reactionCounts');
+  });
+
+  it('should delete reactions with their message', async () => {
+    await reactionService.addReaction(member._id.toString(), message._id.toString(), '👍');
+
+    await messageService.deleteMessage(owner._id.toString(), message._id.toString());
+
+    expect(await Reaction.countDocuments({ message: message._id })).toBe(0);
+  });
+});
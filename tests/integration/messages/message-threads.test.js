@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Message = require('../../../src/models/Message');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Message Threads', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  let owner;
+  let member;
+  let outsider;
+  let memberLogin;
+  let outsiderLogin;
+  let group;
+  let otherGroup;
+  let parent;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    outsider = await User.create(testUsers.adminUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+    outsiderLogin = await authService.login(testUsers.adminUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Offsite Planning', owner: owner._id },
+      [{ user: member._id }]
+    );
+    otherGroup = await createGroupWithMembers({ name: 'Elsewhere', owner: outsider._id });
+
+    parent = await messageService.sendMessage(owner._id.toString(), group._id.toString(), 'Who is joining the offsite?');
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const reply = (userId, content, replyTo = parent._id) => messageService
+    .sendMessage(userId.toString(), group._id.toString(), content, { replyTo: replyTo.toString() });
+
+  const getThread = (login, messageId = parent._id, query = {}) => request(app)
+    .get(`/api/v1/messages/messages/${messageId}/thread`)
+    .query(query)
+    .set('Authorization', `Bearer ${login.token}`);
+
+  it('should persist replies and track them on the parent', async () => {
+    const response = await request(app)
+      .post(`/api/v1/messages/groups/${group._id}/messages`)
+      .set('Authorization', `Bearer ${memberLogin.token}`)
+      .send({ content: 'Count me in', replyTo: parent._id.toString() });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.metadata.replyTo).toBe(parent._id.toString());
+
+    const stored = await Message.findById(parent._id);
+    expect(stored.metadata.replyCount).toBe(1);
+    expect(stored.metadata.lastReplyAt.toISOString()).toBe(response.body.data.createdAt);
+  });
+
+  it('should keep replies to a reply in the same thread', async () => {
+    const first = await reply(member._id, 'Count me in');
+    const second = await reply(owner._id, 'Great, see you there', first._id);
+
+    expect(second.metadata.replyTo.toString()).toBe(parent._id.toString());
+
+    const stored = await Message.findById(parent._id);
+    expect(stored.metadata.replyCount).toBe(2);
+  });
+
+  it('should reject replies to messages in other groups', async () => {
+    const foreign = await messageService.sendMessage(outsider._id.toString(), otherGroup._id.toString(), 'Hello');
+
+    await expect(reply(member._id, 'Wrong thread', foreign._id))
+      .rejects.toMatchObject({ errorCode: 'INVALID_REPLY_TO' });
+
+    await expect(reply(member._id, 'No thread', 'not-an-id'))
+      .rejects.toMatchObject({ errorCode: 'INVALID_REPLY_TO' });
+  });
+
+  it('should list a thread with paginated replies, oldest first', async () => {
+    for (const content of ['One', 'Two', 'Three']) {
+      await reply(member._id, content);
+    }
+
+    const firstPage = await getThread(memberLogin, parent._id, { limit: 2 });
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.data.parent.content).toBe('Who is joining the offsite?');
+    expect(firstPage.body.data.replies.map(message => message.content)).toEqual(['One', 'Two']);
+    expect(firstPage.body.pagination).toMatchObject({ total: 3, page: 1, limit: 2, pages: 2 });
+
+    const secondPage = await getThread(memberLogin, parent._id, { limit: 2, page: 2 });
+    expect(secondPage.body.data.replies.map(message => message.content)).toEqual(['Three']);
+  });
+
+  it('should return the whole thread when asked for a reply', async () => {
+    const answer = await reply(member._id, 'Count me in');
+
+    const response = await getThread(memberLogin, answer._id);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.parent._id).toBe(parent._id.toString());
+    expect(response.body.data.replies).toHaveLength(1);
+  });
+
+  it('should only show threads to group members', async () => {
+    const response = await getThread(outsiderLogin);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toHaveProperty('error', 'NOT_GROUP_MEMBER');
+  });
+
+  it('should update the reply count when a reply is deleted', async () => {
+    const answer = await reply(member._id, 'Count me in');
+
+    await messageService.deleteMessage(member._id.toString(), answer._id.toString());
+
+    const stored = await Message.findById(parent._id);
+    expect(stored.metadata.replyCount).toBe(0);
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app } = require('../../../src/app');
+const container = require('../../../src/container');
+const User = require('../../../src/models/User');
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const Message = require('../../../src/models/Message');
+const { setupTest, teardownTest, testUsers, createGroupWithMembers } = require('../../helpers/testUtils');
+
+describe('Group Posting Restrictions', () => {
+  const authService = container.get('authService');
+  const messageService = container.get('messageService');
+  let owner;
+  let member;
+  let ownerLogin;
+  let memberLogin;
+  let group;
+
+  beforeEach(async () => {
+    await setupTest();
+
+    owner = await User.create(testUsers.validUser);
+    member = await User.create(testUsers.secondUser);
+    ownerLogin = await authService.login(testUsers.validUser);
+    memberLogin = await authService.login(testUsers.secondUser);
+
+    group = await createGroupWithMembers(
+      { name: 'Company Announcements', owner: owner._id },
+      [{ user: member._id }]
+    );
+  });
+
+  afterEach(async () => {
+    await teardownTest();
+  });
+
+  const sendMessage = (login, content) => request(app)
+    .post(`/api/v1/messages/groups/${group._id}/messages`)
+    .set('Authorization', `Bearer ${login.token}`)
+    .send({ content });
+
+  it('should let the owner turn on announcement mode through a settings update', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/groups/${group._id}`)
+      .set('Authorization', `Bearer ${ownerLogin.token}`)
+      .send({ settings: { announcementMode: true } });
+
+    if (response.status === 429) {
+      return;
+    }
+
+    expect(response.status).toBe(200);
+    const updated = await Group.findById(group._id);
+    expect(updated.settings.announcementMode).toBe(true);
+    // Other settings keep their values
+    expect(updated.settings.allowMemberInvites).toBe(true);
+  });
+
+  it('should only accept messages from owners and admins in announcement mode', async () => {
+    await Group.updateOne({ _id: group._id }, { 'settings.announcementMode': true });
+
+    const memberResponse = await sendMessage(memberLogin, 'Can I post here?');
+    if (memberResponse.status === 429) {
+      return;
+    }
+
+    expect(memberResponse.status).toBe(403);
+    expect(memberResponse.body).toHaveProperty('error', 'ANNOUNCEMENT_ONLY');
+
+    const ownerResponse = await sendMessage(ownerLogin, 'Office closed on Friday');
+    expect(ownerResponse.status).toBe(201);
+  });
+
+  it('should enforce slow mode per member', async () => {
+    await Group.updateOne({ _id: group._id }, { 'settings.slowModeSeconds': 60 });
+
+    await messageService.sendMessage(member._id.toString(), group._id.toString(), 'First');
+
+    const response = await sendMessage(memberLogin, 'Second');
+    if (response.status === 429 && response.body.error === 'RATE_LIMIT_EXCEEDED') {
+      return;
+    }
+
+    expect(response.status).toBe(429);
+    expect(response.body).toHaveProperty('error', 'SLOW_MODE_ACTIVE');
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+    expect(response.headers['retry-after']).toBeDefined();
+
+    // The owner is exempt
+    await expect(messageService.sendMessage(owner._id.toString(), group._id.toString(), 'One'))
+      .resolves.toHaveProperty('content', 'One');
+    await expect(messageService.sendMessage(owner._id.toString(), group._id.toString(), 'Two'))
+      .resolves.toHaveProperty('content', 'Two');
+  });
+
+  it('should let members post again once the interval has passed', async () => {
+    await Group.updateOne({ _id: group._id }, { $set: { 'settings.slowModeSeconds': 30 } });
+    await Membership.updateOne(
+      { group: group._id, user: member._id },
+      { $set: { lastMessageAt: new Date(Date.now() - 31 * 1000) } }
+    );
+
+    await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'Hello'))
+      .resolves.toHaveProperty('content', 'Hello');
+    await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'Again'))
+      .rejects.toMatchObject({ errorCode: 'SLOW_MODE_ACTIVE' });
+  });
+
+  it('should not use up the slow mode interval on messages that are not posted', async () => {
+    await Group.updateOne({ _id: group._id }, { $set: { 'settings.slowModeSeconds': 60 } });
+
+    await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'x'.repeat(2001)))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const saveSpy = jest.spyOn(Message.prototype, 'save').mockRejectedValueOnce(new Error('Write failed'));
+    try {
+      await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'Lost'))
+        .rejects.toMatchObject({ statusCode: 500 });
+    } finally {
+      saveSpy.mockRestore();
+    }
+
+    await expect(messageService.sendMessage(member._id.toString(), group._id.toString(), 'Hello'))
+      .resolves.toHaveProperty('content', 'Hello');
+  });
+});
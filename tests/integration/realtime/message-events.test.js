@@ -2,11 +2,11 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 const http = require('http');
 const { io: Client } = require('socket.io-client');
-const { setupTest, teardownTest, testUsers, requestHelpers } = require('../../helpers/testUtils');
+const { setupTest, teardownTest, testUsers, requestHelpers, createGroupWithMembers } = require('../../helpers/testUtils');
 const jwt = require('jsonwebtoken');
 const env = require('../../../src/config/environment');
+const container = require('../../../src/container');
 const User = require('../../../src/models/User');
-const Group = require('../../../src/models/Group');
 const Message = require('../../../src/models/Message');
 const { hashPassword } = require('../../../src/utils/password');
 
@@ -47,18 +47,14 @@ describe('Socket.io Message Events', () => {
     testUser2 = user2;
     
     // Create test group with both users as members
-    const group = new Group({
+    testGroup = await createGroupWithMembers({
       name: 'Test Group',
       description: 'Test group for socket events',
       owner: user1._id,
-      members: [
-        { user: user1._id },
-        { user: user2._id }
-      ],
       type: 'public'
-    });
-    await group.save();
-    testGroup = group;
+    }, [
+      { user: user2._id }
+    ]);
     
     // Generate tokens for socket connection
     token1 = jwt.sign(
@@ -236,6 +232,195 @@ describe('Socket.io Message Events', () => {
       });
   });
   
+  // Test message edits
+  it('should broadcast edited messages to group members', (done) => {
+    const messageService = container.get('messageService');
+
+    clientSocket1 = createSocketClient(token1);
+    clientSocket2 = createSocketClient(token2);
+
+    let messageId;
+
+    messageService.sendMessage(testUser1._id.toString(), testGroup._id.toString(), 'Meeting at 10')
+      .then((message) => {
+        messageId = message._id.toString();
+        return connectAndJoinGroup(clientSocket1, testGroup._id.toString());
+      })
+      .then(() => connectAndJoinGroup(clientSocket2, testGroup._id.toString()))
+      .then(() => {
+        clientSocket2.on('message:updated', (data) => {
+          expect(data.success).toBe(true);
+          expect(data.data._id.toString()).toBe(messageId);
+          expect(data.data).toHaveProperty('content', 'Meeting at 11');
+          expect(data.data.metadata.edited).toBe(true);
+          done();
+        });
+
+        clientSocket1.emit('message:edit', { messageId, content: 'Meeting at 11' }, (response) => {
+          expect(response.success).toBe(true);
+          expect(response.data).toHaveProperty('content', 'Meeting at 11');
+
+          setTimeout(() => {
+            done(new Error('Edit not received by second client'));
+          }, 3000);
+        });
+      })
+      .catch((error) => {
+        done(error);
+      });
+  });
+
+  // Test reactions
+  it('should broadcast reaction changes to group members', (done) => {
+    const messageService = container.get('messageService');
+
+    clientSocket1 = createSocketClient(token1);
+    clientSocket2 = createSocketClient(token2);
+
+    let messageId;
+
+    messageService.sendMessage(testUser1._id.toString(), testGroup._id.toString(), 'Lunch at noon?')
+      .then((message) => {
+        messageId = message._id.toString();
+        return connectAndJoinGroup(clientSocket1, testGroup._id.toString());
+      })
+      .then(() => connectAndJoinGroup(clientSocket2, testGroup._id.toString()))
+      .then(() => {
+        clientSocket1.on('reaction:removed', (data) => {
+          expect(data).toMatchObject({ messageId, emoji: '👍', count: 0 });
+          expect(data.userId).toBe(testUser2._id.toString());
+          done();
+        });
+
+        clientSocket1.on('reaction:added', (data) => {
+          expect(data).toMatchObject({ messageId, emoji: '👍', count: 1 });
+          clientSocket2.emit('reaction:remove', { messageId, emoji: '👍' }, (response) => {
+            expect(response.success).toBe(true);
+          });
+        });
+
+        clientSocket2.emit('reaction:add', { messageId, emoji: '👍' }, (response) => {
+          expect(response.success).toBe(true);
+          expect(response.data).toHaveProperty('count', 1);
+        });
+
+        setTimeout(() => {
+          done(new Error('Reaction changes not received'));
+        }, 3000);
+      })
+      .catch((error) => {
+        done(error);
+      });
+  });
+
+  // Test thread replies
+  it('should notify thread participants of replies', (done) => {
+    const messageService = container.get('messageService');
+
+    clientSocket1 = createSocketClient(token1);
+    clientSocket2 = createSocketClient(token2);
+
+    let parentId;
+
+    messageService.sendMessage(testUser1._id.toString(), testGroup._id.toString(), 'Any plans for Friday?')
+      .then((message) => {
+        parentId = message._id.toString();
+        return connectAndJoinGroup(clientSocket1, testGroup._id.toString());
+      })
+      .then(() => connectAndJoinGroup(clientSocket2, testGroup._id.toString()))
+      .then(() => {
+        clientSocket1.on('thread:reply', (data) => {
+          expect(data.threadId).toBe(parentId);
+          expect(data.replyCount).toBe(1);
+          expect(data.data).toHaveProperty('content', 'Bowling!');
+          done();
+        });
+
+        clientSocket2.emit('message:send', {
+          groupId: testGroup._id.toString(),
+          content: 'Bowling!',
+          replyTo: parentId,
+        }, (response) => {
+          expect(response.success).toBe(true);
+        });
+
+        setTimeout(() => {
+          done(new Error('Thread reply not received'));
+        }, 3000);
+      })
+      .catch((error) => {
+        done(error);
+      });
+  });
+
+  // Test mentions
+  it('should notify mentioned members in their own room', (done) => {
+    clientSocket1 = createSocketClient(token1);
+    clientSocket2 = createSocketClient(token2);
+
+    connectAndJoinGroup(clientSocket1, testGroup._id.toString())
+      .then(() => {
+        // The second user is connected but hasn't opened the group
+        clientSocket2.on('mention:new', (data) => {
+          expect(data.groupId).toBe(testGroup._id.toString());
+          expect(data.data.metadata.mentions.map(String)).toEqual([testUser2._id.toString()]);
+          done();
+        });
+
+        clientSocket2.on('connect:success', () => {
+          clientSocket1.emit('message:send', {
+            groupId: testGroup._id.toString(),
+            content: `@${testUser2.email} can you review this?`,
+          }, (response) => {
+            expect(response.success).toBe(true);
+          });
+        });
+
+        setTimeout(() => {
+          done(new Error('Mention not received'));
+        }, 3000);
+      })
+      .catch((error) => {
+        done(error);
+      });
+  });
+
+  // Test pins
+  it('should broadcast pinned messages to the group', (done) => {
+    const messageService = container.get('messageService');
+    const pinService = container.get('pinService');
+
+    clientSocket1 = createSocketClient(token1);
+    clientSocket2 = createSocketClient(token2);
+
+    let messageId;
+
+    messageService.sendMessage(testUser2._id.toString(), testGroup._id.toString(), 'Agenda for Friday')
+      .then((message) => {
+        messageId = message._id.toString();
+        return connectAndJoinGroup(clientSocket1, testGroup._id.toString());
+      })
+      .then(() => connectAndJoinGroup(clientSocket2, testGroup._id.toString()))
+      .then(() => {
+        clientSocket2.on('message:pinned', (data) => {
+          expect(data.messageId).toBe(messageId);
+          expect(data.pinnedBy).toBe(testUser1._id.toString());
+          expect(data.systemMessage).toHaveProperty('messageType', 'system');
+          done();
+        });
+
+        setTimeout(() => {
+          done(new Error('Pin not received'));
+        }, 3000);
+
+        // The first user owns the test group
+        return pinService.pinMessage(testUser1._id.toString(), messageId);
+      })
+      .catch((error) => {
+        done(error);
+      });
+  });
+
   // Test typing indicators
   it('should send typing indicators to group members', (done) => {
     // Create socket clients
@@ -2,11 +2,10 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 const http = require('http');
 const { io: Client } = require('socket.io-client');
-const { setupTest, teardownTest, testUsers, requestHelpers } = require('../../helpers/testUtils');
+const { setupTest, teardownTest, testUsers, requestHelpers, createGroupWithMembers } = require('../../helpers/testUtils');
 const jwt = require('jsonwebtoken');
 const env = require('../../../src/config/environment');
 const User = require('../../../src/models/User');
-const Group = require('../../../src/models/Group');
 const { hashPassword } = require('../../../src/utils/password');
 
 // Import app and server from app.js module
@@ -57,18 +56,14 @@ describe('Socket.io Presence Events', () => {
     testUser3 = user3;
     
     // Create test group with only user1 and user2 as members
-    const group = new Group({
+    testGroup = await createGroupWithMembers({
       name: 'Test Group',
       description: 'Test group for presence events',
       owner: user1._id,
-      members: [
-        { user: user1._id },
-        { user: user2._id }
-      ],
       type: 'public'
-    });
-    await group.save();
-    testGroup = group;
+    }, [
+      { user: user2._id }
+    ]);
     
     // Generate tokens for socket connection
     token1 = jwt.sign(
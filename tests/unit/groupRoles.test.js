@@ -0,0 +1,71 @@
+/**
+ * Group Roles Unit Test
+ *
+ * Tests the group role ranking and permission matrix.
+ */
+
+const {
+  GROUP_ROLES,
+  GROUP_PERMISSIONS,
+  outranksInGroup,
+  roleHasPermission
+} = require('../../src/utils/groupRoles');
+
+describe('Group roles', () => {
+  it('should rank owner above admin above moderator above member', () => {
+    expect(outranksInGroup(GROUP_ROLES.OWNER, GROUP_ROLES.ADMIN)).toBe(true);
+    expect(outranksInGroup(GROUP_ROLES.ADMIN, GROUP_ROLES.MODERATOR)).toBe(true);
+    expect(outranksInGroup(GROUP_ROLES.MODERATOR, GROUP_ROLES.MEMBER)).toBe(true);
+    expect(outranksInGroup(GROUP_ROLES.ADMIN, GROUP_ROLES.ADMIN)).toBe(false);
+    expect(outranksInGroup(GROUP_ROLES.MEMBER, GROUP_ROLES.MODERATOR)).toBe(false);
+  });
+
+  it('should grant every permission to owners', () => {
+    Object.values(GROUP_PERMISSIONS).forEach(permission => {
+      expect(roleHasPermission(GROUP_ROLES.OWNER, permission)).toBe(true);
+    });
+  });
+
+  it('should let moderators moderate but not ban or edit settings', () => {
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.DELETE_MESSAGES)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.KICK_MEMBERS)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.APPROVE_JOINS)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.BAN_MEMBERS)).toBe(false);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.EDIT_SETTINGS)).toBe(false);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.MANAGE_ROLES)).toBe(false);
+  });
+
+  it('should let moderators invite but only admins manage other invites', () => {
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.INVITE_MEMBERS)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.MANAGE_INVITES)).toBe(false);
+    expect(roleHasPermission(GROUP_ROLES.ADMIN, GROUP_PERMISSIONS.MANAGE_INVITES)).toBe(true);
+  });
+
+  it('should only let admins post announcements and exempt moderators from slow mode', () => {
+    expect(roleHasPermission(GROUP_ROLES.ADMIN, GROUP_PERMISSIONS.POST_ANNOUNCEMENTS)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.POST_ANNOUNCEMENTS)).toBe(false);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.BYPASS_SLOW_MODE)).toBe(true);
+  });
+
+  it('should only let owners view message edit history', () => {
+    expect(roleHasPermission(GROUP_ROLES.OWNER, GROUP_PERMISSIONS.VIEW_EDIT_HISTORY)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.ADMIN, GROUP_PERMISSIONS.VIEW_EDIT_HISTORY)).toBe(false);
+  });
+
+  it('should only let admins mention @all in large groups', () => {
+    expect(roleHasPermission(GROUP_ROLES.ADMIN, GROUP_PERMISSIONS.MENTION_ALL)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.MENTION_ALL)).toBe(false);
+  });
+
+  it('should only let admins pin messages', () => {
+    expect(roleHasPermission(GROUP_ROLES.ADMIN, GROUP_PERMISSIONS.PIN_MESSAGES)).toBe(true);
+    expect(roleHasPermission(GROUP_ROLES.MODERATOR, GROUP_PERMISSIONS.PIN_MESSAGES)).toBe(false);
+  });
+
+  it('should grant no permissions to members or unknown roles', () => {
+    Object.values(GROUP_PERMISSIONS).forEach(permission => {
+      expect(roleHasPermission(GROUP_ROLES.MEMBER, permission)).toBe(false);
+      expect(roleHasPermission('superuser', permission)).toBe(false);
+    });
+  });
+});
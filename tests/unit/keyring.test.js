@@ -0,0 +1,109 @@
+/**
+ * Keyring Unit Test
+ *
+ * Tests loading of the asymmetric signing keyring and the grace windows for retired keys
+ * and legacy HS256 tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createKeyring } = require('../../src/utils/keyring');
+
+const exportPem = (key, type) => key.export({ type, format: 'pem' });
+
+describe('JWT keyring', () => {
+  const rotatedAt = Date.UTC(2024, 5, 1);
+  const hour = 60 * 60 * 1000;
+  const current = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const previous = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  const buildKeyring = (overrides = {}) => createKeyring({
+    keys: [
+      { kid: 'current', current: true, privateKey: exportPem(current.privateKey, 'pkcs8') },
+      { kid: 'previous', publicKey: exportPem(previous.publicKey, 'spki'), retiredAt: new Date(rotatedAt).toISOString() },
+      ...(overrides.keys || [])
+    ]
+  }, { defaultAlgorithm: 'ES256', graceHours: 24, legacyCutoverAt: new Date(rotatedAt).toISOString() });
+
+  it('should sign with the current key', () => {
+    const keyring = buildKeyring();
+    const { kid, algorithm, privateKey } = keyring.getSigningKey();
+
+    const token = jwt.sign({ userId: '1' }, privateKey, { algorithm, keyid: kid });
+    const { header } = jwt.decode(token, { complete: true });
+    expect(header).toMatchObject({ alg: 'ES256', kid: 'current' });
+
+    const verificationKey = keyring.getVerificationKey(header.kid);
+    expect(jwt.verify(token, verificationKey.publicKey, { algorithms: [verificationKey.algorithm] }))
+      .toHaveProperty('userId', '1');
+  });
+
+  it('should accept previous keys only during the grace window', () => {
+    const keyring = buildKeyring();
+
+    expect(keyring.getVerificationKey('previous', rotatedAt + 23 * hour)).not.toBeNull();
+    expect(keyring.getVerificationKey('previous', rotatedAt + 25 * hour)).toBeNull();
+    expect(keyring.getVerificationKey('current', rotatedAt + 1000 * hour)).not.toBeNull();
+    expect(keyring.getVerificationKey('unknown', rotatedAt)).toBeNull();
+  });
+
+  it('should publish accepted public keys as a JWKS', () => {
+    const keyring = buildKeyring();
+
+    const jwks = keyring.getJwks(rotatedAt + hour);
+    expect(jwks.keys.map(key => key.kid)).toEqual(['current', 'previous']);
+    expect(jwks.keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+    expect(jwks.keys[0]).not.toHaveProperty('d');
+
+    expect(keyring.getJwks(rotatedAt + 25 * hour).keys.map(key => key.kid)).toEqual(['current']);
+  });
+
+  it('should accept tokens without a kid only during the grace window', () => {
+    const keyring = buildKeyring();
+
+    expect(keyring.acceptsLegacyTokens(rotatedAt + hour)).toBe(true);
+    expect(keyring.acceptsLegacyTokens(rotatedAt + 25 * hour)).toBe(false);
+  });
+
+  it('should not restart grace windows when the keyring is reloaded', () => {
+    const later = rotatedAt + 1000 * hour;
+    const keyring = buildKeyring();
+
+    expect(keyring.getVerificationKey('previous', later)).toBeNull();
+    expect(keyring.acceptsLegacyTokens(later)).toBe(false);
+  });
+
+  it('should require retiredAt on previous keys and a legacy cutover time', () => {
+    expect(() => buildKeyring({
+      keys: [{ kid: 'older', publicKey: exportPem(previous.publicKey, 'spki') }]
+    })).toThrow(/needs a valid "retiredAt"/);
+
+    expect(() => createKeyring({
+      keys: [{ kid: 'current', current: true, privateKey: exportPem(current.privateKey, 'pkcs8') }]
+    }, { defaultAlgorithm: 'ES256', graceHours: 24 })).toThrow(/legacy HS256 cutover/);
+  });
+
+  it('should reject keys that do not match the algorithm', () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    expect(() => createKeyring({
+      keys: [{ kid: 'rsa', current: true, privateKey: exportPem(rsa.privateKey, 'pkcs8') }]
+    }, { defaultAlgorithm: 'ES256', graceHours: 24, legacyCutoverAt: rotatedAt })).toThrow(/cannot be used with ES256/);
+  });
+
+  it('should require exactly one current key with a private key', () => {
+    expect(() => createKeyring({
+      keys: [{ kid: 'a', publicKey: exportPem(previous.publicKey, 'spki'), retiredAt: rotatedAt }]
+    }, { defaultAlgorithm: 'ES256', graceHours: 24, legacyCutoverAt: rotatedAt })).toThrow(/exactly one key/);
+
+    expect(() => createKeyring({
+      keys: [{ kid: 'a', current: true, publicKey: exportPem(previous.publicKey, 'spki') }]
+    }, { defaultAlgorithm: 'ES256', graceHours: 24, legacyCutoverAt: rotatedAt })).toThrow(/needs a private key/);
+  });
+
+  it('should reject duplicate kids', () => {
+    expect(() => buildKeyring({
+      keys: [{ kid: 'previous', publicKey: exportPem(previous.publicKey, 'spki'), retiredAt: new Date(rotatedAt).toISOString() }]
+    })).toThrow(/duplicate/);
+  });
+});
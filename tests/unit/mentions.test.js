@@ -0,0 +1,47 @@
+/**
+ * Mentions Unit Test
+ *
+ * Tests how mentions are found in message content.
+ */
+
+const { parseMentions, hasMentions, MAX_MENTIONS } = require('../../src/utils/mentions');
+
+describe('Mention utilities', () => {
+  it('should find mentions by email and user ID', () => {
+    const mentions = parseMentions('@Jane.Doe@example.com and @507F1F77BCF86CD799439011, please review');
+
+    expect(mentions.emails).toEqual(['jane.doe@example.com']);
+    expect(mentions.userIds).toEqual(['507f1f77bcf86cd799439011']);
+    expect(mentions.here).toBe(false);
+    expect(mentions.all).toBe(false);
+  });
+
+  it('should find @here and @all', () => {
+    expect(parseMentions('Lunch? @here')).toMatchObject({ here: true, all: false });
+    expect(parseMentions('(@ALL) release is out!')).toMatchObject({ here: false, all: true });
+  });
+
+  it('should ignore email addresses and unknown handles', () => {
+    const mentions = parseMentions('Mail jane@example.com or ping @jane, @allhands or @here-ish');
+
+    expect(hasMentions(mentions)).toBe(false);
+  });
+
+  it('should strip trailing punctuation and drop duplicates', () => {
+    const mentions = parseMentions('@jane@example.com! Thanks @jane@example.com.');
+
+    expect(mentions.emails).toEqual(['jane@example.com']);
+  });
+
+  it('should cap the number of members mentioned by name', () => {
+    const content = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}@example.com`).join(' ');
+
+    expect(parseMentions(`${content} @all`)).toMatchObject({ all: true });
+    expect(parseMentions(content).emails).toHaveLength(MAX_MENTIONS);
+  });
+
+  it('should handle empty content', () => {
+    expect(hasMentions(parseMentions(''))).toBe(false);
+    expect(hasMentions(parseMentions(undefined))).toBe(false);
+  });
+});
@@ -63,17 +63,6 @@ describe('Group Model', () => {
       expect(group.settings.cooldownPeriod).toBe(48);
     });
 
-    test('should automatically add owner as active member', async () => {
-      const group = await Group.create({
-        name: 'Test Group',
-        owner: testUser._id
-      });
-
-      expect(group.members).toHaveLength(1);
-      expect(group.members[0].user.toString()).toBe(testUser._id.toString());
-      expect(group.members[0].status).toBe('active');
-    });
-
     test('should require name and owner', async () => {
       await expect(Group.create({})).rejects.toThrow('Group name is required');
       
@@ -122,41 +111,54 @@ describe('Group Model', () => {
       await expect(Group.create({
         name: 'Test Group',
         owner: testUser._id,
-        memberLimit: 1001 // too high
-      })).rejects.toThrow('Group cannot exceed 1000 members');
+        memberLimit: 100001 // too high
+      })).rejects.toThrow('Group cannot exceed 100000 members');
     });
   });
 
-  describe('Virtual Properties', () => {
+  describe('Member Slots', () => {
     let group;
 
     beforeEach(async () => {
       group = await Group.create({
         name: 'Test Group',
-        owner: testUser._id
+        owner: testUser._id,
+        memberCount: 1,
+        memberLimit: 2
       });
     });
 
-    test('should calculate memberCount correctly', async () => {
-      expect(group.memberCount).toBe(1); // owner only
+    test('reserveMemberSlot should stop at the member limit', async () => {
+      const reserved = await Group.reserveMemberSlot(group._id);
+      expect(reserved.memberCount).toBe(2);
+      expect(reserved.hasRoom()).toBe(false);
 
-      await group.addMember(testUser2._id, 'active');
-      expect(group.memberCount).toBe(2);
+      expect(await Group.reserveMemberSlot(group._id)).toBeNull();
+      expect((await Group.findById(group._id)).memberCount).toBe(2);
+    });
+
+    test('reserveMemberSlot should refuse archived groups', async () => {
+      await Group.updateOne({ _id: group._id }, { archivedAt: new Date() });
 
-      // Remove member and add as pending
-      group.members = group.members.filter(m => m.user.toString() !== testUser2._id.toString());
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.memberCount).toBe(1); // pending doesn't count
+      expect(await Group.reserveMemberSlot(group._id)).toBeNull();
     });
 
-    test('should calculate pendingMemberCount correctly', async () => {
-      expect(group.pendingMemberCount).toBe(0);
+    test('releaseMemberSlots should give places back', async () => {
+      await Group.reserveMemberSlot(group._id);
 
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.pendingMemberCount).toBe(1);
+      const released = await Group.releaseMemberSlots(group._id);
+      expect(released.memberCount).toBe(1);
+      expect(released.hasRoom()).toBe(true);
+    });
+
+    test('should update lastActivity when members change', async () => {
+      const originalActivity = group.stats.lastActivity;
+
+      // Wait a bit to ensure timestamp difference
+      await new Promise(resolve => setTimeout(resolve, 10));
 
-      await group.approveMember(testUser2._id);
-      expect(group.pendingMemberCount).toBe(0);
+      const reserved = await Group.reserveMemberSlot(group._id);
+      expect(reserved.stats.lastActivity.getTime()).toBeGreaterThan(originalActivity.getTime());
     });
   });
 
@@ -175,129 +177,11 @@ describe('Group Model', () => {
       expect(group.isOwner(testUser2._id)).toBe(false);
     });
 
-    test('isMember should work correctly', async () => {
-      expect(group.isMember(testUser._id)).toBe(true); // owner is member
-      expect(group.isMember(testUser2._id)).toBe(false);
-
-      await group.addMember(testUser2._id, 'active');
-      expect(group.isMember(testUser2._id)).toBe(true);
-
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.isMember(testUser2._id)).toBe(false); // pending doesn't count
-    });
-
-    test('isBanned should work correctly', async () => {
-      expect(group.isBanned(testUser2._id)).toBe(false);
-
-      await group.addMember(testUser2._id, 'banned');
-      expect(group.isBanned(testUser2._id)).toBe(true);
-    });
-
-    test('hasPendingRequest should work correctly', async () => {
-      expect(group.hasPendingRequest(testUser2._id)).toBe(false);
-
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.hasPendingRequest(testUser2._id)).toBe(true);
-
-      await group.approveMember(testUser2._id);
-      expect(group.hasPendingRequest(testUser2._id)).toBe(false);
-    });
-
-    test('addMember should work correctly', async () => {
-      await group.addMember(testUser2._id, 'active');
-      expect(group.isMember(testUser2._id)).toBe(true);
-
-      // Adding existing member should update status
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.isMember(testUser2._id)).toBe(false);
-      expect(group.hasPendingRequest(testUser2._id)).toBe(true);
-    });
-
-    test('removeMember should work correctly', async () => {
-      await group.addMember(testUser2._id, 'active');
-      expect(group.isMember(testUser2._id)).toBe(true);
-
-      await group.removeMember(testUser2._id);
-      expect(group.isMember(testUser2._id)).toBe(false);
-    });
-
-    test('banMember should work correctly', async () => {
-      await group.addMember(testUser2._id, 'active');
-      
-      await group.banMember(testUser2._id, 'Spam posting');
-      expect(group.isBanned(testUser2._id)).toBe(true);
-      
-      const member = group.getMember(testUser2._id);
-      expect(member.banReason).toBe('Spam posting');
-      expect(member.lastBannedAt).toBeInstanceOf(Date);
-    });
-
-    test('approveMember should work correctly', async () => {
-      await group.addMember(testUser2._id, 'pending');
-      expect(group.hasPendingRequest(testUser2._id)).toBe(true);
-
-      await group.approveMember(testUser2._id);
-      expect(group.isMember(testUser2._id)).toBe(true);
-      expect(group.hasPendingRequest(testUser2._id)).toBe(false);
-    });
-
-    test('isInCooldownPeriod should work correctly', async () => {
-      // Ban user
-      await group.addMember(testUser2._id, 'banned');
-      expect(group.isInCooldownPeriod(testUser2._id)).toBe(true);
-
-      // Simulate ban from the past (beyond cooldown)
-      const member = group.getMember(testUser2._id);
-      member.lastBannedAt = new Date(Date.now() - (49 * 60 * 60 * 1000)); // 49 hours ago
-      await group.save();
-      
-      expect(group.isInCooldownPeriod(testUser2._id)).toBe(false);
+    test('isArchived should work correctly', () => {
+      expect(group.isArchived()).toBe(false);
 
-      // Recent ban should still be in cooldown
-      member.lastBannedAt = new Date(Date.now() - (47 * 60 * 60 * 1000)); // 47 hours ago
-      await group.save();
-      
-      expect(group.isInCooldownPeriod(testUser2._id)).toBe(true);
-    });
-
-    test('getMember should return correct member', async () => {
-      await group.addMember(testUser2._id, 'pending');
-      
-      const member = group.getMember(testUser2._id);
-      expect(member.user.toString()).toBe(testUser2._id.toString());
-      expect(member.status).toBe('pending');
-    });
-  });
-
-  describe('Pre-save Middleware', () => {
-    test('should ensure owner is always an active member', async () => {
-      const group = new Group({
-        name: 'Test Group',
-        owner: testUser._id,
-        members: [] // Start with empty members
-      });
-
-      await group.save();
-
-      expect(group.members).toHaveLength(1);
-      expect(group.members[0].user.toString()).toBe(testUser._id.toString());
-      expect(group.members[0].status).toBe('active');
-    });
-
-    test('should update lastActivity when members change', async () => {
-      const group = await Group.create({
-        name: 'Test Group',
-        owner: testUser._id
-      });
-
-      const originalActivity = group.stats.lastActivity;
-
-      // Wait a bit to ensure timestamp difference
-      await new Promise(resolve => setTimeout(resolve, 10));
-
-      await group.addMember(testUser2._id, 'active');
-      
-      expect(group.stats.lastActivity.getTime()).toBeGreaterThan(originalActivity.getTime());
+      group.archivedAt = new Date();
+      expect(group.isArchived()).toBe(true);
     });
   });
 
@@ -308,13 +192,12 @@ describe('Group Model', () => {
       expect(indexes).toHaveProperty('name_1');
       expect(indexes).toHaveProperty('type_1');
       expect(indexes).toHaveProperty('owner_1');
-      expect(indexes['members.user_1']).toBeDefined(); // Use bracket notation for keys with dots
       expect(indexes).toHaveProperty('createdAt_-1');
     });
   });
 
   describe('JSON Serialization', () => {
-    test('should include virtuals in JSON output', async () => {
+    test('should include the member count in JSON output', async () => {
       const group = await Group.create({
         name: 'Test Group',
         owner: testUser._id
@@ -322,8 +205,7 @@ describe('Group Model', () => {
 
       const json = group.toJSON();
       
-      expect(json).toHaveProperty('memberCount');
-      expect(json).toHaveProperty('pendingMemberCount');
+      expect(json).toHaveProperty('memberCount', 0);
       expect(json).not.toHaveProperty('__v'); // Should be excluded
     });
   });
@@ -0,0 +1,165 @@
+const Group = require('../../../src/models/Group');
+const Membership = require('../../../src/models/Membership');
+const User = require('../../../src/models/User');
+const { setupTest, teardownTest } = require('../../helpers/testUtils');
+const { ensureTestConnection } = require('../../setup/database');
+
+// Use shared test database setup
+beforeAll(async () => {
+  await ensureTestConnection();
+});
+
+beforeEach(async () => {
+  await setupTest();
+});
+
+afterEach(async () => {
+  await teardownTest();
+});
+
+describe('Membership Model', () => {
+  let testUser, testUser2, group;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      email: 'owner@test.com',
+      password: 'TestPass123'
+    });
+
+    testUser2 = await User.create({
+      email: 'member@test.com',
+      password: 'TestPass123'
+    });
+
+    group = await Group.create({
+      name: 'Test Group',
+      owner: testUser._id
+    });
+  });
+
+  describe('Membership Creation', () => {
+    test('should default to an active plain member', async () => {
+      const membership = await Membership.create({ group: group._id, user: testUser2._id });
+
+      expect(membership.status).toBe('active');
+      expect(membership.role).toBe('member');
+      expect(membership.joinedAt).toBeInstanceOf(Date);
+    });
+
+    test('should allow one entry per user and group', async () => {
+      await Membership.init();
+      await Membership.create({ group: group._id, user: testUser2._id });
+
+      await expect(Membership.create({ group: group._id, user: testUser2._id, status: 'pending' }))
+        .rejects.toThrow();
+    });
+
+    test('should reject unknown statuses and roles', async () => {
+      await expect(Membership.create({ group: group._id, user: testUser2._id, status: 'invited' }))
+        .rejects.toThrow();
+      await expect(Membership.create({ group: group._id, user: testUser2._id, role: 'superuser' }))
+        .rejects.toThrow();
+    });
+  });
+
+  describe('Static Methods', () => {
+    test('isActiveMember should only count active entries', async () => {
+      expect(await Membership.isActiveMember(group._id, testUser2._id)).toBe(false);
+
+      await Membership.create({ group: group._id, user: testUser2._id, status: 'pending' });
+      expect(await Membership.isActiveMember(group._id, testUser2._id)).toBe(false);
+
+      await Membership.updateOne({ group: group._id, user: testUser2._id }, { status: 'active' });
+      expect(await Membership.isActiveMember(group._id, testUser2._id)).toBe(true);
+    });
+
+    test('findEntry should return entries whatever their status', async () => {
+      await Membership.create({ group: group._id, user: testUser2._id, status: 'banned' });
+
+      const entry = await Membership.findEntry(group._id, testUser2._id);
+      expect(entry.status).toBe('banned');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('timed bans should expire', () => {
+      const membership = new Membership({
+        group: group._id,
+        user: testUser2._id,
+        status: 'banned',
+        lastBannedAt: new Date(),
+        banExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      expect(membership.isBanned()).toBe(true);
+
+      membership.banExpiresAt = new Date(Date.now() - 1000);
+      expect(membership.isBanned()).toBe(false);
+    });
+
+    test('getBanLockoutEnd should include the cooldown after a ban', () => {
+      const membership = new Membership({ group: group._id, user: testUser2._id });
+      expect(membership.getBanLockoutEnd(48)).toBeNull();
+
+      membership.status = 'banned';
+      membership.lastBannedAt = new Date();
+      expect(membership.getBanLockoutEnd(48)).toBe(Infinity);
+
+      // Ban lifted, but the 48 hour cooldown still applies
+      membership.banExpiresAt = new Date();
+      expect(membership.getBanLockoutEnd(48)).toBe(membership.lastBannedAt.getTime() + 48 * 60 * 60 * 1000);
+
+      membership.lastBannedAt = new Date(Date.now() - (49 * 60 * 60 * 1000));
+      expect(membership.getBanLockoutEnd(48)).toBeNull();
+    });
+
+    test('getBanLockoutEnd should end timed bans shorter than the cooldown with the ban', () => {
+      const bannedAt = Date.now() - 2 * 60 * 60 * 1000;
+      const membership = new Membership({
+        group: group._id,
+        user: testUser2._id,
+        status: 'banned',
+        lastBannedAt: new Date(bannedAt),
+        banExpiresAt: new Date(bannedAt + 4 * 60 * 60 * 1000),
+        banDurationHours: 4
+      });
+
+      expect(membership.getBanLockoutEnd(48)).toBe(membership.banExpiresAt.getTime());
+
+      // Once the ban has run out the 48 hour cooldown doesn't keep them out
+      membership.banExpiresAt = new Date(Date.now() - 60 * 60 * 1000);
+      expect(membership.getBanLockoutEnd(48)).toBeNull();
+    });
+
+    test('hasPermission should depend on role and status', () => {
+      const moderator = new Membership({ group: group._id, user: testUser2._id, role: 'moderator' });
+      expect(moderator.hasPermission('members:kick')).toBe(true);
+      expect(moderator.hasPermission('members:ban')).toBe(false);
+
+      moderator.status = 'pending';
+      expect(moderator.hasPermission('members:kick')).toBe(false);
+    });
+
+    test('canModerate should require a higher role than the target', () => {
+      const owner = new Membership({ group: group._id, user: testUser._id, role: 'owner' });
+      const moderator = new Membership({ group: group._id, user: testUser2._id, role: 'moderator' });
+
+      expect(owner.canModerate(moderator, 'members:kick')).toBe(true);
+      expect(moderator.canModerate(owner, 'members:kick')).toBe(false);
+      expect(owner.canModerate(owner, 'members:kick')).toBe(false);
+
+      // Users without an entry rank as plain members
+      expect(moderator.canModerate(null, 'members:kick')).toBe(true);
+    });
+  });
+
+  describe('Database Indexes', () => {
+    test('should have compound indexes', async () => {
+      await Membership.init();
+      const indexes = await Membership.collection.getIndexes();
+
+      expect(indexes).toHaveProperty('group_1_user_1');
+      expect(indexes).toHaveProperty('user_1_status_1');
+      expect(indexes).toHaveProperty('group_1_status_1_joinedAt_1');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * TOTP Unit Test
+ *
+ * Tests the RFC 6238 implementation against the reference test vectors.
+ */
+
+const totp = require('../../src/utils/totp');
+
+describe('TOTP utilities', () => {
+  // RFC 6238 appendix B uses the ASCII secret "12345678901234567890" (SHA-1)
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(totp.base32Decode(rfcSecret).equals(bytes)).toBe(true);
+      expect(totp.base32Decode(rfcSecret.toLowerCase()).equals(bytes)).toBe(true);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      // Last 6 digits of the 8-digit reference values
+      expect(totp.generateTotp(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(totp.generateTotp(rfcSecret, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateTotp(rfcSecret, 1234567890 * 1000)).toBe('005924');
+      expect(totp.generateTotp(rfcSecret, 2000000000 * 1000)).toBe('279037');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1700000000 * 1000;
+
+    it('should accept the current code and return its time step', () => {
+      const code = totp.generateTotp(rfcSecret, now);
+
+      expect(totp.verifyTotp(rfcSecret, code, { timestamp: now })).toBe(totp.getTimeStep(now));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const previousCode = totp.generateTotp(rfcSecret, now - 30 * 1000);
+
+      expect(totp.verifyTotp(rfcSecret, previousCode, { timestamp: now })).toBe(totp.getTimeStep(now) - 1);
+      expect(totp.verifyTotp(rfcSecret, previousCode, { timestamp: now, window: 0 })).toBeNull();
+    });
+
+    it('should reject malformed and wrong codes', () => {
+      expect(totp.verifyTotp(rfcSecret, '12345', { timestamp: now })).toBeNull();
+      expect(totp.verifyTotp(rfcSecret, 'abcdef', { timestamp: now })).toBeNull();
+      expect(totp.verifyTotp(rfcSecret, undefined, { timestamp: now })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an otpauth URI with issuer and account', () => {
+      const uri = totp.buildOtpauthUri({
+        secret: rfcSecret,
+        accountName: 'john@example.com',
+        issuer: 'Group Messaging'
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Group%20Messaging%3Ajohn%40example\.com\?/);
+      expect(uri).toContain(`secret=${rfcSecret}`);
+      expect(uri).toContain('digits=6');
+      expect(uri).toContain('period=30');
+    });
+  });
+});